@@ -4,6 +4,7 @@
  */
 
 import dotenv from 'dotenv'
+import path from 'path'
 
 // Load environment variables
 dotenv.config()
@@ -23,13 +24,71 @@ export const serverConfig = {
 export const stellarConfig = {
   network: process.env.STELLAR_NETWORK || 'testnet',
   horizonUrl: process.env.HORIZON_URL || 'https://horizon-testnet.stellar.org',
-  // Valid charity addresses - using user-funded testnet accounts
-  charityAddresses: {
-    'Stellar Community Fund': 'GDKTQSV73PCX62MVQJV3NNAKYUQMXUP6MNQMQYJ4XI7REPQKHFDAENCF',
-    'Charity: Water': 'GDWAFO6SXQS7FCMPGPS74FWL4INPAMMXFAYX5JJWXE5KJI22YF3LJZM7',
-    'Red Cross': 'GAEYMY5KLHSRZQPC2RV7FSETCB27J2BU7OQ4U6O2LG6ZMXIZPUZCYAHD',
-    'Doctors Without Borders': 'GDKTQSV73PCX62MVQJV3NNAKYUQMXUP6MNQMQYJ4XI7REPQKHFDAENCF'
-  }
+  // 'horizon' queries horizonUrl; 'mock' serves transactions from memory (offline development/testing)
+  horizonDriver: process.env.HORIZON_DRIVER || 'horizon',
+  horizonMockFile: process.env.HORIZON_MOCK_FILE || null,
+  // Soroban RPC used to read smart-contract pool state
+  sorobanRpcUrl: process.env.SOROBAN_RPC_URL || 'https://soroban-testnet.stellar.org',
+  // 'rpc' queries sorobanRpcUrl; 'mock' serves contract state from memory (offline development/testing)
+  sorobanDriver: process.env.SOROBAN_DRIVER || 'rpc',
+  sorobanMockFile: process.env.SOROBAN_MOCK_FILE || null,
+  // Default treasury that receives deposits for pools without their own treasury.
+  // There is no built-in default: the server does not start without it
+  poolTreasury: process.env.POOL_TREASURY_ACCOUNT || null,
+  // Accounts withdrawals are paid from, in order of preference (comma-separated public keys);
+  // only those the signer holds a key for are used
+  treasuryAccounts: (process.env.TREASURY_ACCOUNTS || process.env.POOL_TREASURY_ACCOUNT || '')
+    .split(',').map(account => account.trim()).filter(Boolean)
+}
+
+/**
+ * Transaction signing configuration
+ * Secret keys are never part of the code or the config: the 'keystore' driver keeps them in
+ * an encrypted file unlocked with KEYSTORE_PASSPHRASE, the 'socket' driver asks an external
+ * signing process listening on SIGNER_SOCKET.
+ */
+export const signerConfig = {
+  driver: process.env.SIGNER_DRIVER || 'keystore',
+  keystorePath: process.env.KEYSTORE_PATH || path.join(process.cwd(), 'data', 'keystore.json'),
+  keystorePassphrase: process.env.KEYSTORE_PASSPHRASE || null,
+  socketPath: process.env.SIGNER_SOCKET || null,
+  socketTimeoutSeconds: parseInt(process.env.SIGNER_TIMEOUT_SECONDS) || 10
+}
+
+/**
+ * Asset configuration
+ * Pools may accept any asset listed here. Credit assets are only accepted from their
+ * configured issuer; BLND needs BLND_ISSUER before it can be deposited or paid out.
+ * USD prices come from `priceProviders`, asked in order (see prices/providers.js for the
+ * asset IDs each one uses); `usdPrices` fill in prices no provider returned.
+ */
+export const assetConfig = {
+  assets: {
+    XLM: { issuer: null, coingeckoId: 'stellar', coincapId: 'stellar', symbol: 'XLM' },
+    USDC: { issuer: process.env.USDC_ISSUER || 'GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5', coingeckoId: 'usd-coin', coincapId: 'usd-coin', symbol: 'USDC' },
+    BLND: { issuer: process.env.BLND_ISSUER || null, coingeckoId: 'blend' }
+  },
+  // PRICE_SOURCE=static turns the providers off so only usdPrices are used
+  priceProviders: (process.env.PRICE_PROVIDERS ?? (process.env.PRICE_SOURCE === 'static' ? '' : 'coingecko,coincap,cryptocompare,stellarexpert'))
+    .split(',').map(name => name.trim()).filter(Boolean),
+  priceUrl: process.env.PRICE_API_URL || 'https://api.coingecko.com/api/v3/simple/price',
+  priceCacheSeconds: parseInt(process.env.PRICE_CACHE_SECONDS) || 300,
+  // How long a provider that failed is skipped
+  priceRetrySeconds: parseInt(process.env.PRICE_RETRY_SECONDS) || 60,
+  // e.g. {"XLM": 0.12, "BLND": 0.05}
+  usdPrices: { USDC: 1, ...(process.env.ASSET_USD_PRICES ? JSON.parse(process.env.ASSET_USD_PRICES) : {}) }
+}
+
+/**
+ * Persistence configuration
+ * `driver` selects the storage adapter: 'sqlite' (default) or 'json'.
+ * The SQLite adapter falls back to the JSON adapter when better-sqlite3 is not installed.
+ */
+export const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || 'sqlite',
+  sqlitePath: process.env.SQLITE_PATH || path.join(process.cwd(), 'data', 'impactpools.db'),
+  jsonPath: process.env.JSON_STORE_PATH || path.join(process.cwd(), 'data', 'impactpools.json'),
+  legacyPoolsFile: process.env.LEGACY_POOLS_FILE || path.join(process.cwd(), 'pools-data.json')
 }
 
 /**
@@ -55,6 +114,159 @@ export const securityConfig = {
   ]
 }
 
+/**
+ * Wallet authentication configuration (SEP-10 style challenge/response)
+ * When AUTH_SIGNING_SECRET or AUTH_SESSION_SECRET are unset a random key is
+ * generated at startup, so sessions do not survive a restart.
+ */
+export const authConfig = {
+  signingSecret: process.env.AUTH_SIGNING_SECRET || null,
+  sessionSecret: process.env.AUTH_SESSION_SECRET || null,
+  homeDomain: process.env.AUTH_HOME_DOMAIN || 'impactpools.local',
+  webAuthDomain: process.env.AUTH_WEB_DOMAIN || 'localhost',
+  challengeTimeoutSeconds: parseInt(process.env.AUTH_CHALLENGE_TIMEOUT) || 300,
+  sessionTtlSeconds: parseInt(process.env.AUTH_SESSION_TTL) || 24 * 60 * 60,
+  // Wallets allowed to manage the charity registry and review held withdrawals (comma-separated public keys)
+  adminAccounts: (process.env.ADMIN_ACCOUNTS || '').split(',').map(account => account.trim()).filter(Boolean)
+}
+
+/**
+ * Yield engine configuration
+ * Yield accrues from each pool's lastYieldUpdate to now; the tick only controls how
+ * often balances are brought up to date. `compounding` is 'continuous', 'hourly',
+ * 'daily', 'weekly', 'monthly', 'annually' or a number of periods per year.
+ */
+export const yieldConfig = {
+  tickIntervalSeconds: parseInt(process.env.YIELD_TICK_SECONDS) || 30,
+  compounding: process.env.YIELD_COMPOUNDING || 'daily',
+  defaultAPY: parseFloat(process.env.YIELD_DEFAULT_APY) || 4.2
+}
+
+/**
+ * Charity payout configuration
+ * A charity is paid once its undistributed donations reach its threshold, or when it
+ * has been waiting longer than maxIntervalHours. Payouts are only simulated unless
+ * PAYOUT_DRY_RUN=false and the signer holds the treasury's key.
+ */
+export const payoutConfig = {
+  checkIntervalSeconds: parseInt(process.env.PAYOUT_CHECK_SECONDS) || 60 * 60,
+  thresholdAmount: parseFloat(process.env.PAYOUT_THRESHOLD) || 10,
+  // Optional per-charity overrides keyed by charity ID, e.g. {"red-cross": 5}
+  thresholds: process.env.PAYOUT_THRESHOLDS ? JSON.parse(process.env.PAYOUT_THRESHOLDS) : {},
+  maxIntervalHours: parseFloat(process.env.PAYOUT_MAX_INTERVAL_HOURS) || 7 * 24,
+  dryRun: process.env.PAYOUT_DRY_RUN !== 'false'
+}
+
+/**
+ * Withdrawal queue configuration
+ * Requests are paid by a background worker; a request that could not be submitted (or whose
+ * transaction expired unconfirmed) is retried until it has been attempted maxAttempts times.
+ * A request no treasury has the funds for waits without using up an attempt: it is looked at
+ * again after fundsRetrySeconds, doubling every time up to fundsRetryMaxSeconds.
+ * Limits and approval thresholds are in units of the asset withdrawn, keyed by asset code;
+ * assets without an entry have no limit.
+ */
+export const withdrawalConfig = {
+  workerIntervalSeconds: parseInt(process.env.WITHDRAWAL_WORKER_SECONDS) || 5,
+  maxAttempts: parseInt(process.env.WITHDRAWAL_MAX_ATTEMPTS) || 3,
+  fundsRetrySeconds: parseInt(process.env.WITHDRAWAL_FUNDS_RETRY_SECONDS) || 30,
+  fundsRetryMaxSeconds: parseInt(process.env.WITHDRAWAL_FUNDS_RETRY_MAX_SECONDS) || 60 * 60,
+  // Most a wallet can withdraw across all pools in any 24 hours, e.g. {"XLM": 1000, "USDC": 200}
+  dailyLimits: process.env.WITHDRAWAL_DAILY_LIMITS ? JSON.parse(process.env.WITHDRAWAL_DAILY_LIMITS) : {},
+  // Hours after a wallet's last deposit into a pool before it can withdraw from that pool
+  cooldownHours: parseFloat(process.env.WITHDRAWAL_COOLDOWN_HOURS) || 0,
+  // Withdrawals above these amounts wait for an admin's approval (ADMIN_ACCOUNTS), e.g. {"XLM": 500}
+  approvalThresholds: process.env.WITHDRAWAL_APPROVAL_THRESHOLDS ? JSON.parse(process.env.WITHDRAWAL_APPROVAL_THRESHOLDS) : {}
+}
+
+/**
+ * NFT mint queue configuration
+ * A claimed certificate is minted by a background worker, step by step. A job whose step failed
+ * is retried after retrySeconds, doubling with every attempt, until it has run maxAttempts times.
+ */
+export const nftMintConfig = {
+  workerIntervalSeconds: parseInt(process.env.NFT_MINT_WORKER_SECONDS) || 10,
+  maxAttempts: parseInt(process.env.NFT_MINT_MAX_ATTEMPTS) || 5,
+  retrySeconds: parseInt(process.env.NFT_MINT_RETRY_SECONDS) || 30
+}
+
+/**
+ * Server-sent events configuration (GET /api/events)
+ */
+export const eventsConfig = {
+  // Comment lines sent on idle streams so proxies don't close them
+  heartbeatSeconds: parseInt(process.env.EVENTS_HEARTBEAT_SECONDS) || 25,
+  // How long browsers wait before reconnecting a dropped stream
+  reconnectSeconds: parseInt(process.env.EVENTS_RECONNECT_SECONDS) || 5
+}
+
+/**
+ * Smart-contract pool sync configuration
+ * Pools with a contractId have their contract's `get_pool_info` read through Soroban RPC
+ * every intervalSeconds.
+ */
+export const contractSyncConfig = {
+  intervalSeconds: parseInt(process.env.CONTRACT_SYNC_SECONDS) || 30,
+  // A pool whose last successful sync is older than this is reported as stale
+  staleSeconds: parseInt(process.env.CONTRACT_SYNC_STALE_SECONDS) || 300
+}
+
+/**
+ * Contract event indexer configuration
+ * Deposit, withdrawal, yield and pause events of every pool contract are read with Soroban
+ * `getEvents` every intervalSeconds, pageLimit at a time. A contract seen for the first time is
+ * read from startLedger, or from lookbackLedgers before the latest ledger (RPC servers only keep
+ * about a day of events).
+ */
+export const contractEventsConfig = {
+  intervalSeconds: parseInt(process.env.CONTRACT_EVENTS_SECONDS) || 15,
+  pageLimit: parseInt(process.env.CONTRACT_EVENTS_PAGE_LIMIT) || 100,
+  startLedger: parseInt(process.env.CONTRACT_EVENTS_START_LEDGER) || null,
+  lookbackLedgers: parseInt(process.env.CONTRACT_EVENTS_LOOKBACK_LEDGERS) || 17000
+}
+
+/**
+ * Treasury payment ingestion configuration
+ * Payments to and from every treasury account are read from Horizon every intervalSeconds,
+ * pageLimit at a time. An account seen for the first time is read from startCursor: '0' for its
+ * whole history, 'now' to skip it. The deposit ledger is reconciled against the ingested payments
+ * every reconcileSeconds.
+ */
+export const ingestionConfig = {
+  intervalSeconds: parseInt(process.env.HORIZON_INGEST_SECONDS) || 15,
+  pageLimit: parseInt(process.env.HORIZON_INGEST_PAGE_LIMIT) || 200,
+  startCursor: process.env.HORIZON_INGEST_START_CURSOR || '0',
+  reconcileSeconds: parseInt(process.env.HORIZON_RECONCILE_SECONDS) || 300
+}
+
+/**
+ * Milestone configuration
+ * A ladder lists the donation totals (in USD) at which milestone certificates become claimable,
+ * lowest first, each step with its own tier, title and description. Pools climb the `pool`
+ * ladder with everything they donate, depositors the `individual` ladder with what they donate
+ * through a pool. These are the defaults: a charity in the registry or a new pool can bring its
+ * own ladders. `tiers` runs from lowest to highest and every step must rank above the one before.
+ */
+export const milestoneConfig = {
+  tiers: (process.env.MILESTONE_TIERS || 'Bronze,Silver,Gold,Platinum')
+    .split(',').map(tier => tier.trim()).filter(Boolean),
+  ladders: {
+    // e.g. [{"amount": 50, "tier": "Bronze", "title": "First Impact", "description": "..."}]
+    pool: process.env.MILESTONE_POOL_LADDER ? JSON.parse(process.env.MILESTONE_POOL_LADDER) : [
+      { amount: 25, tier: 'Bronze', title: 'First Impact', description: 'The pool donated its first $25 to charity' },
+      { amount: 100, tier: 'Silver', title: 'Growing Impact', description: 'The pool donated $100 to charity' },
+      { amount: 500, tier: 'Gold', title: 'Major Impact', description: 'The pool donated $500 to charity' },
+      { amount: 1000, tier: 'Platinum', title: 'Legendary Impact', description: 'The pool donated $1,000 to charity' }
+    ],
+    individual: process.env.MILESTONE_INDIVIDUAL_LADDER ? JSON.parse(process.env.MILESTONE_INDIVIDUAL_LADDER) : [
+      { amount: 5, tier: 'Bronze', title: 'Supporter', description: 'Donated $5 through the pool' },
+      { amount: 10, tier: 'Silver', title: 'Contributor', description: 'Donated $10 through the pool' },
+      { amount: 50, tier: 'Gold', title: 'Champion', description: 'Donated $50 through the pool' },
+      { amount: 100, tier: 'Platinum', title: 'Philanthropist', description: 'Donated $100 through the pool' }
+    ]
+  }
+}
+
 /**
  * Logging configuration
  */
@@ -67,11 +279,10 @@ export const loggingConfig = {
  * Application constants
  */
 export const appConstants = {
-  supportedAssets: ['XLM', 'USDC'],
+  supportedAssets: Object.keys(assetConfig.assets),
   minDonationPercentage: 1,
   maxDonationPercentage: 50,
   defaultPoolAPY: 8.5,
-  yieldCalculationInterval: 30000, // 30 seconds for demo
   maxPoolNameLength: 100,
   maxPoolsPerUser: 10 // For future rate limiting
 }
@@ -112,8 +323,21 @@ export const devConfig = {
 export default {
   server: serverConfig,
   stellar: stellarConfig,
+  signer: signerConfig,
+  assets: assetConfig,
+  storage: storageConfig,
   api: apiConfig,
   security: securityConfig,
+  auth: authConfig,
+  yield: yieldConfig,
+  payouts: payoutConfig,
+  withdrawals: withdrawalConfig,
+  events: eventsConfig,
+  contractSync: contractSyncConfig,
+  contractEvents: contractEventsConfig,
+  ingestion: ingestionConfig,
+  milestones: milestoneConfig,
+  nftMint: nftMintConfig,
   logging: loggingConfig,
   constants: appConstants,
   validation: validationRules,
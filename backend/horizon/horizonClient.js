@@ -0,0 +1,102 @@
+import * as StellarSDK from '@stellar/stellar-sdk'
+import { normalizeTransaction, normalizeBalances, normalizePaymentRecords } from './normalize.js'
+
+/**
+ * Horizon adapter backed by a live Horizon server
+ */
+export class HorizonClient {
+  constructor(horizonUrl) {
+    this.driver = 'horizon'
+    this.server = new StellarSDK.Horizon.Server(horizonUrl)
+  }
+
+  /**
+   * Look up a transaction with its value transfers
+   * @param {string} hash - Transaction hash
+   * @returns {Object|null} Normalized transaction, or null if Horizon does not know it
+   */
+  async getTransaction(hash) {
+    try {
+      const record = await this.server.transactions().transaction(hash).call()
+      const operations = await this.server.operations().forTransaction(hash).limit(200).call()
+
+      return normalizeTransaction(record, operations.records)
+    } catch (error) {
+      if (error.response?.status === 404 || error.name === 'NotFoundError') {
+        return null
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Page through the payments to and from an account, oldest first
+   * @param {string} account - Account ID
+   * @param {Object} options - { cursor, limit }; cursor is a paging token, '0' (the account's first payment) or 'now'
+   * @returns {Object} { payments, cursor, hasMore } - normalized payments (see normalize.js) and the cursor to continue from
+   */
+  async getPayments(account, { cursor = '0', limit = 200 } = {}) {
+    try {
+      // Pin 'now' to the latest payment so payments made before the next call aren't skipped
+      if (cursor === 'now') {
+        const latest = await this.server.payments().forAccount(account).order('desc').limit(1).call()
+        cursor = latest.records[0]?.paging_token || '0'
+      }
+
+      const page = await this.server.payments()
+        .forAccount(account)
+        .cursor(cursor)
+        .order('asc')
+        .limit(limit)
+        .join('transactions')
+        .call()
+
+      const last = page.records[page.records.length - 1]
+      return {
+        payments: normalizePaymentRecords(page.records),
+        cursor: last ? last.paging_token : cursor,
+        hasMore: page.records.length === limit
+      }
+    } catch (error) {
+      // The account has not been created yet
+      if (error.response?.status === 404 || error.name === 'NotFoundError') {
+        return { payments: [], cursor, hasMore: false }
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Load an account for building transactions (sequence number included)
+   */
+  async loadAccount(publicKey) {
+    return this.server.loadAccount(publicKey)
+  }
+
+  /**
+   * Balances and trustlines of an account
+   * @returns {Array|null} Normalized balance lines (see normalize.js), or null if the account does not exist
+   */
+  async getBalances(publicKey) {
+    try {
+      const account = await this.server.loadAccount(publicKey)
+      return normalizeBalances(account.balances)
+    } catch (error) {
+      if (error.response?.status === 404 || error.name === 'NotFoundError') {
+        return null
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Submit a signed transaction
+   * @returns {Object} { hash, ledger, successful }
+   */
+  async submitTransaction(transaction) {
+    const result = await this.server.submitTransaction(transaction)
+    return { hash: result.hash, ledger: result.ledger, successful: result.successful !== false }
+  }
+}
+
+export default HorizonClient
@@ -0,0 +1,52 @@
+/**
+ * Horizon access for backend services
+ *
+ * Every adapter exposes the same async interface:
+ *   horizon.getTransaction(hash)           - normalized transaction (see normalize.js) or null if unknown
+ *   horizon.loadAccount(publicKey)         - account usable as a TransactionBuilder source
+ *   horizon.getBalances(publicKey)         - normalized balance lines, or null if the account does not exist
+ *   horizon.getPayments(account, options)  - { payments, cursor, hasMore }: a page of the account's payments
+ *                                            after options.cursor, oldest first
+ *   horizon.submitTransaction(transaction) - { hash, ledger, successful }
+ *
+ * The 'horizon' driver talks to stellarConfig.horizonUrl; the 'mock' driver keeps
+ * transactions in memory so deposit verification and payouts can run without network access.
+ */
+
+import { stellarConfig } from '../config.js'
+import { HorizonClient } from './horizonClient.js'
+import { MockHorizonClient } from './mockHorizonClient.js'
+
+let horizonInstance = null
+
+/**
+ * Create a Horizon adapter
+ */
+export const createHorizon = (options = stellarConfig) => {
+  if (options.horizonDriver === 'mock') {
+    return new MockHorizonClient(options.horizonMockFile)
+  }
+  if (options.horizonDriver !== 'horizon') {
+    throw new Error(`Unknown Horizon driver: ${options.horizonDriver}`)
+  }
+  return new HorizonClient(options.horizonUrl)
+}
+
+/**
+ * Get the shared Horizon adapter
+ */
+export const getHorizon = () => {
+  if (!horizonInstance) {
+    horizonInstance = createHorizon()
+  }
+  return horizonInstance
+}
+
+/**
+ * Replace the shared Horizon adapter (e.g. with a MockHorizonClient in tests)
+ */
+export const setHorizon = (horizon) => {
+  horizonInstance = horizon
+}
+
+export default getHorizon
@@ -0,0 +1,147 @@
+import fs from 'fs'
+import * as StellarSDK from '@stellar/stellar-sdk'
+
+/**
+ * Base account and muxed ID of an address, the way Horizon reports them on payments
+ */
+const muxedParts = (field, address) => {
+  if (!StellarSDK.StrKey.isValidMed25519PublicKey(address)) {
+    return { [field]: address, [`${field}MuxedId`]: null }
+  }
+  const muxed = StellarSDK.MuxedAccount.fromAddress(address, '0')
+  return { [field]: muxed.baseAccount().accountId(), [`${field}MuxedId`]: muxed.id() }
+}
+
+/**
+ * In-memory Horizon adapter for offline development and testing
+ * Transactions use the normalized shape (see normalize.js) and can be seeded from a
+ * JSON file containing an array of transactions, or added at runtime.
+ */
+export class MockHorizonClient {
+  constructor(fixtureFile = null) {
+    this.driver = 'mock'
+    this.transactions = new Map()
+    this.sequences = new Map()
+    this.balances = new Map()
+    this.submitted = []
+    // Every payment of every transaction, in the order they were added (paging token = position)
+    this.payments = []
+
+    if (fixtureFile && fs.existsSync(fixtureFile)) {
+      const fixtures = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'))
+      fixtures.forEach(transaction => this.addTransaction(transaction))
+      console.log(`🧪 [HORIZON] Loaded ${fixtures.length} mock transactions from ${fixtureFile}`)
+    }
+  }
+
+  /**
+   * Register a transaction (missing fields get sensible defaults)
+   */
+  addTransaction(transaction) {
+    const normalized = {
+      successful: true,
+      memo: null,
+      memoType: transaction.memo ? 'text' : 'none',
+      createdAt: new Date().toISOString(),
+      ledger: this.transactions.size + 1,
+      payments: [],
+      ...transaction
+    }
+
+    this.transactions.set(normalized.hash, normalized)
+    for (const payment of normalized.payments) {
+      const pagingToken = String(this.payments.length + 1)
+      this.payments.push({
+        id: pagingToken,
+        pagingToken,
+        txHash: normalized.hash,
+        successful: normalized.successful,
+        createdAt: normalized.createdAt,
+        memo: normalized.memo,
+        memoType: normalized.memoType,
+        ...payment
+      })
+    }
+    return structuredClone(normalized)
+  }
+
+  async getTransaction(hash) {
+    const transaction = this.transactions.get(hash)
+    return transaction ? structuredClone(transaction) : null
+  }
+
+  /**
+   * Payments to and from an account after the cursor, oldest first
+   */
+  async getPayments(account, { cursor = '0', limit = 200 } = {}) {
+    const after = cursor === 'now' ? this.payments.length : Number(cursor)
+    const matches = this.payments
+      .slice(after)
+      .filter(payment => payment.from === account || payment.to === account)
+    const page = matches.slice(0, limit)
+
+    return {
+      payments: structuredClone(page),
+      cursor: page.length > 0 ? page[page.length - 1].pagingToken : String(after),
+      hasMore: matches.length > limit
+    }
+  }
+
+  /**
+   * Every account exists; sequence numbers advance with each submitted transaction
+   */
+  async loadAccount(publicKey) {
+    return new StellarSDK.Account(publicKey, this.sequences.get(publicKey) || '0')
+  }
+
+  /**
+   * Seed an account's balance lines ({ asset, assetIssuer, balance, limit, authorized })
+   */
+  setBalances(publicKey, balances) {
+    this.balances.set(publicKey, balances.map(line => ({
+      assetIssuer: null,
+      limit: null,
+      authorized: true,
+      ...line
+    })))
+  }
+
+  /**
+   * Accounts without seeded balances hold 10,000 XLM and no trustlines
+   */
+  async getBalances(publicKey) {
+    const balances = this.balances.get(publicKey) || [{ asset: 'XLM', assetIssuer: null, balance: 10000, limit: null, authorized: true }]
+    return structuredClone(balances)
+  }
+
+  /**
+   * Accept a signed transaction and make it visible to getTransaction
+   */
+  async submitTransaction(transaction) {
+    const hash = transaction.hash().toString('hex')
+    const source = transaction.source
+
+    this.sequences.set(source, transaction.sequence)
+    this.submitted.push(transaction)
+
+    const recorded = this.addTransaction({
+      hash,
+      sourceAccount: source,
+      memo: transaction.memo.value ? transaction.memo.value.toString() : null,
+      memoType: transaction.memo.type,
+      payments: transaction.operations
+        .filter(operation => operation.type === 'payment')
+        .map(operation => ({
+          ...muxedParts('from', operation.source || source),
+          ...muxedParts('to', operation.destination),
+          asset: operation.asset.isNative() ? 'XLM' : operation.asset.getCode(),
+          assetIssuer: operation.asset.isNative() ? null : operation.asset.getIssuer(),
+          amount: parseFloat(operation.amount)
+        }))
+    })
+
+    return { hash, ledger: recorded.ledger, successful: true }
+  }
+}
+
+export default MockHorizonClient
@@ -0,0 +1,102 @@
+/**
+ * Normalized transaction shape shared by the Horizon adapters:
+ *
+ *   {
+ *     hash, successful, sourceAccount, memo, memoType, createdAt, ledger,
+ *     payments: [{ from, to, fromMuxedId, toMuxedId, asset, assetIssuer, amount }]
+ *   }
+ *
+ * `asset` is 'XLM' for native lumens, otherwise the asset code. `from` and `to` are always
+ * the base account; payments from or to a muxed (M-) address carry its ID. `payments` covers
+ * payment and path payment operations and the token transfers of contract invocations.
+ */
+
+export const assetCodeOf = (record) => (record.asset_type === 'native' ? 'XLM' : record.asset_code)
+
+/**
+ * Extract value transfers from Horizon operation records
+ */
+export const paymentsFromOperations = (operations) => operations.flatMap((operation) => {
+  switch (operation.type) {
+    case 'payment':
+    case 'path_payment_strict_receive':
+    case 'path_payment_strict_send':
+      return [{
+        from: operation.from,
+        to: operation.to,
+        fromMuxedId: operation.from_muxed_id || null,
+        toMuxedId: operation.to_muxed_id || null,
+        asset: assetCodeOf(operation),
+        assetIssuer: operation.asset_issuer || null,
+        amount: parseFloat(operation.amount)
+      }]
+
+    case 'invoke_host_function':
+      return (operation.asset_balance_changes || [])
+        .filter(change => change.type === 'transfer')
+        .map(change => ({
+          from: change.from,
+          to: change.to,
+          fromMuxedId: null,
+          toMuxedId: null,
+          asset: assetCodeOf(change),
+          assetIssuer: change.asset_issuer || null,
+          amount: parseFloat(change.amount)
+        }))
+
+    default:
+      return []
+  }
+})
+
+/**
+ * Build a normalized transaction from a Horizon transaction record and its operations
+ */
+export const normalizeTransaction = (record, operations) => ({
+  hash: record.hash,
+  successful: record.successful,
+  sourceAccount: record.source_account,
+  memo: record.memo ?? null,
+  memoType: record.memo_type,
+  createdAt: record.created_at,
+  ledger: record.ledger_attr ?? record.ledger,
+  payments: paymentsFromOperations(operations)
+})
+
+/**
+ * Normalize a page of Horizon payment records (joined with their transactions):
+ *   [{ id, pagingToken, txHash, successful, createdAt, memo, memoType,
+ *      from, to, fromMuxedId, toMuxedId, asset, assetIssuer, amount }]
+ * A contract invocation with several token transfers yields one payment per transfer, with
+ * `-<index>` appended to the operation ID. Records that move no value are skipped.
+ */
+export const normalizePaymentRecords = (records) => records.flatMap((record) => {
+  const transaction = record.transaction_attr || {}
+  const transfers = paymentsFromOperations([record])
+
+  return transfers.map((payment, index) => ({
+    id: transfers.length > 1 ? `${record.id}-${index}` : record.id,
+    pagingToken: record.paging_token,
+    txHash: record.transaction_hash,
+    successful: record.transaction_successful !== false,
+    createdAt: record.created_at,
+    memo: transaction.memo ?? null,
+    memoType: transaction.memo_type ?? 'none',
+    ...payment
+  }))
+})
+
+/**
+ * Normalize Horizon account balance lines:
+ *   [{ asset, assetIssuer, balance, limit, authorized }]
+ * `limit` is null for XLM; liquidity pool shares are skipped.
+ */
+export const normalizeBalances = (balances) => balances
+  .filter(line => line.asset_type !== 'liquidity_pool_shares')
+  .map(line => ({
+    asset: assetCodeOf(line),
+    assetIssuer: line.asset_issuer || null,
+    balance: parseFloat(line.balance),
+    limit: line.limit !== undefined ? parseFloat(line.limit) : null,
+    authorized: line.asset_type === 'native' || line.is_authorized !== false
+  }))
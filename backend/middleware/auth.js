@@ -0,0 +1,56 @@
+import authService from '../services/authService.js'
+import { authConfig } from '../config.js'
+
+/**
+ * Require a valid wallet session token (Authorization: Bearer <token>)
+ * On success the authenticated public key is available as req.auth.account
+ */
+export const requireAuth = (req, res, next) => {
+  const header = req.headers.authorization || ''
+  const [scheme, token] = header.split(' ')
+
+  const session = scheme === 'Bearer' ? authService.verifyToken(token) : null
+
+  if (!session) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'Sign in with your wallet to perform this action'
+    })
+  }
+
+  req.auth = session
+  next()
+}
+
+/**
+ * Reject the request unless the authenticated account matches `account`
+ * Returns true if a response has been sent
+ */
+export const rejectUnlessAccount = (req, res, account, message) => {
+  if (req.auth?.account === account) {
+    return false
+  }
+
+  res.status(403).json({
+    error: 'Forbidden',
+    message
+  })
+  return true
+}
+
+/**
+ * Require the authenticated account to be one of the configured admin accounts
+ * Use after requireAuth
+ */
+export const requireAdmin = (req, res, next) => {
+  if (!authConfig.adminAccounts.includes(req.auth?.account)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'This action is restricted to ImpactPools administrators'
+    })
+  }
+
+  next()
+}
+
+export default requireAuth
@@ -0,0 +1,78 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as StellarSDK from '@stellar/stellar-sdk';
+import authService from '../services/authService.js';
+import { authConfig } from '../config.js';
+import { requireAuth, requireAdmin, rejectUnlessAccount } from './auth.js';
+
+const wallet = StellarSDK.Keypair.random().publicKey();
+
+// Minimal Express response that records what the middleware sent
+const createResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Run a middleware and report whether it passed the request on
+const run = (middleware, req) => {
+  const res = createResponse();
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+const adminAccounts = [...authConfig.adminAccounts];
+
+afterEach(() => {
+  authConfig.adminAccounts.splice(0, authConfig.adminAccounts.length, ...adminAccounts);
+});
+
+test('requireAuth accepts a bearer session token', () => {
+  const req = { headers: { authorization: `Bearer ${authService.issueToken(wallet).token}` } };
+
+  const { passed } = run(requireAuth, req);
+
+  assert.equal(passed, true);
+  assert.equal(req.auth.account, wallet);
+});
+
+test('requireAuth rejects a missing, malformed or tampered token', () => {
+  const { token } = authService.issueToken(wallet);
+
+  for (const authorization of [undefined, token, `Basic ${token}`, `Bearer ${token}x`]) {
+    const { passed, res } = run(requireAuth, { headers: { authorization } });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 401);
+  }
+});
+
+test('requireAdmin only passes configured admin accounts', () => {
+  const admin = StellarSDK.Keypair.random().publicKey();
+  authConfig.adminAccounts.push(admin);
+
+  assert.equal(run(requireAdmin, { auth: { account: admin } }).passed, true);
+
+  const { passed, res } = run(requireAdmin, { auth: { account: wallet } });
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+});
+
+test('rejectUnlessAccount answers 403 for another account', () => {
+  const res = createResponse();
+
+  assert.equal(rejectUnlessAccount({ auth: { account: wallet } }, res, wallet, 'Not yours'), false);
+  assert.equal(res.statusCode, null);
+
+  assert.equal(rejectUnlessAccount({ auth: { account: wallet } }, res, StellarSDK.Keypair.random().publicKey(), 'Not yours'), true);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.message, 'Not yours');
+});
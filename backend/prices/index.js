@@ -0,0 +1,50 @@
+/**
+ * USD prices for backend services
+ *
+ * The oracle exposes:
+ *   oracle.getUsdPrices() - { prices: { [asset]: usd }, source, sources: { [asset]: provider }, updatedAt }
+ *                           source lists the providers the prices came from; 'static' marks
+ *                           prices taken from assetConfig.usdPrices
+ *   oracle.getStatus()    - { providers: [{ name, available, lastError }], updatedAt }
+ *
+ * Providers (see providers.js) are asked in the order of assetConfig.priceProviders; with none
+ * configured only the static usdPrices are used.
+ */
+
+import { assetConfig } from '../config.js'
+import { PriceOracle } from './priceOracle.js'
+import { PRICE_PROVIDERS } from './providers.js'
+
+let oracleInstance = null
+
+/**
+ * Create a price oracle
+ */
+export const createPriceOracle = (options = assetConfig) => {
+  const providers = options.priceProviders.map(name => {
+    if (!PRICE_PROVIDERS[name]) {
+      throw new Error(`Unknown price provider: ${name}`)
+    }
+    return PRICE_PROVIDERS[name]
+  })
+  return new PriceOracle({ providers, config: options })
+}
+
+/**
+ * Get the shared price oracle
+ */
+export const getPriceOracle = () => {
+  if (!oracleInstance) {
+    oracleInstance = createPriceOracle()
+  }
+  return oracleInstance
+}
+
+/**
+ * Replace the shared price oracle (e.g. with fixed prices in tests)
+ */
+export const setPriceOracle = (oracle) => {
+  oracleInstance = oracle
+}
+
+export default getPriceOracle
@@ -0,0 +1,95 @@
+const FETCH_TIMEOUT_MS = 5000
+
+/**
+ * Price oracle that asks its providers in turn
+ * Each provider is only asked for the assets the providers before it didn't price. A provider
+ * that fails is skipped for priceRetrySeconds; prices no provider returned come from the
+ * configured usdPrices. Results are cached for priceCacheSeconds, or for priceRetrySeconds
+ * when a provider failed, and concurrent callers share one refresh.
+ */
+export class PriceOracle {
+  constructor({ providers, config, fetch = (...args) => globalThis.fetch(...args), clock = { now: () => Date.now() } }) {
+    this.providers = providers
+    this.config = config
+    this.fetch = fetch
+    this.clock = clock
+
+    this.cache = null
+    this.refreshing = null
+    // Provider name -> { failedAt, error }
+    this.failures = new Map()
+  }
+
+  async getUsdPrices() {
+    if (this.cache && this.cache.expiresAt > this.clock.now()) {
+      return this.cache.value
+    }
+    if (!this.refreshing) {
+      this.refreshing = this.refresh().finally(() => { this.refreshing = null })
+    }
+    return this.refreshing
+  }
+
+  async refresh() {
+    const now = this.clock.now()
+    const prices = {}
+    const sources = {}
+    let failed = false
+
+    for (const provider of this.providers) {
+      const failure = this.failures.get(provider.name)
+      if (failure && failure.failedAt + this.config.priceRetrySeconds * 1000 > now) {
+        failed = true
+        continue
+      }
+
+      const pending = Object.fromEntries(Object.entries(this.config.assets).filter(([code]) => !(code in prices)))
+      if (Object.keys(pending).length === 0) break
+
+      try {
+        const quotes = await provider.fetchPrices(pending, { fetch: this.fetch, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS), config: this.config })
+        for (const [code, usd] of Object.entries(quotes)) {
+          if (!(code in pending)) continue
+          prices[code] = usd
+          sources[code] = provider.name
+        }
+        this.failures.delete(provider.name)
+      } catch (error) {
+        failed = true
+        this.failures.set(provider.name, { failedAt: now, error: error.message })
+        console.warn(`⚠️ [PRICES] ${provider.name} unavailable, trying the next provider: ${error.message}`)
+      }
+    }
+
+    for (const [code, usd] of Object.entries(this.config.usdPrices)) {
+      if (code in prices) continue
+      prices[code] = usd
+      sources[code] = 'static'
+    }
+
+    const value = {
+      prices,
+      source: [...new Set(Object.values(sources))].join(',') || 'static',
+      sources,
+      updatedAt: new Date(now).toISOString()
+    }
+    const cacheSeconds = failed ? Math.min(this.config.priceRetrySeconds, this.config.priceCacheSeconds) : this.config.priceCacheSeconds
+    this.cache = { value, expiresAt: now + cacheSeconds * 1000 }
+    return value
+  }
+
+  /**
+   * Providers in the order they're asked, with any recent failure
+   */
+  getStatus() {
+    const now = this.clock.now()
+    return {
+      providers: this.providers.map(({ name }) => {
+        const failure = this.failures.get(name)
+        const coolingDown = !!failure && failure.failedAt + this.config.priceRetrySeconds * 1000 > now
+        return { name, available: !coolingDown, lastError: failure?.error || null }
+      }),
+      updatedAt: this.cache?.value.updatedAt || null
+    }
+  }
+}
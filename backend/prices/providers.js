@@ -0,0 +1,83 @@
+/**
+ * USD price providers
+ *
+ * Each provider quotes the assets it knows how to look up:
+ *   provider.fetchPrices(assets, { fetch, signal, config }) - { [code]: usd } for the assets it
+ *                                                             found; throws if the API fails
+ * `assets` maps asset codes to their assetConfig entries, which carry the provider's ID for the
+ * asset (coingeckoId, coincapId or symbol). Assets without an ID are left for the next provider.
+ */
+
+const getJson = async (fetch, url, signal) => {
+  const response = await fetch(url, { signal, headers: { 'User-Agent': 'ImpactPools/1.0 (Stellar DeFi App)' } })
+  if (!response.ok) {
+    throw new Error(`${new URL(url).host} returned ${response.status}`)
+  }
+  return response.json()
+}
+
+const isPrice = (value) => Number.isFinite(value) && value > 0
+
+// Asset codes with the provider ID stored under `field`, keyed by that ID
+const idsOf = (assets, field) => Object.fromEntries(
+  Object.entries(assets).filter(([, asset]) => asset[field]).map(([code, asset]) => [asset[field], code])
+)
+
+const coingecko = {
+  name: 'coingecko',
+  async fetchPrices(assets, { fetch, signal, config }) {
+    const ids = idsOf(assets, 'coingeckoId')
+    if (Object.keys(ids).length === 0) return {}
+
+    const quotes = await getJson(fetch, `${config.priceUrl}?ids=${Object.keys(ids).join(',')}&vs_currencies=usd`, signal)
+    const prices = {}
+    for (const [id, code] of Object.entries(ids)) {
+      if (isPrice(quotes[id]?.usd)) prices[code] = quotes[id].usd
+    }
+    return prices
+  }
+}
+
+const coincap = {
+  name: 'coincap',
+  async fetchPrices(assets, { fetch, signal }) {
+    const ids = idsOf(assets, 'coincapId')
+    if (Object.keys(ids).length === 0) return {}
+
+    const { data } = await getJson(fetch, `https://api.coincap.io/v2/assets?ids=${Object.keys(ids).join(',')}`, signal)
+    const prices = {}
+    for (const quote of data || []) {
+      const usd = parseFloat(quote.priceUsd)
+      if (ids[quote.id] && isPrice(usd)) prices[ids[quote.id]] = usd
+    }
+    return prices
+  }
+}
+
+const cryptocompare = {
+  name: 'cryptocompare',
+  async fetchPrices(assets, { fetch, signal }) {
+    const symbols = idsOf(assets, 'symbol')
+    if (Object.keys(symbols).length === 0) return {}
+
+    const quotes = await getJson(fetch, `https://min-api.cryptocompare.com/data/pricemulti?fsyms=${Object.keys(symbols).join(',')}&tsyms=USD`, signal)
+    const prices = {}
+    for (const [symbol, code] of Object.entries(symbols)) {
+      if (isPrice(quotes[symbol]?.USD)) prices[code] = quotes[symbol].USD
+    }
+    return prices
+  }
+}
+
+// Only quotes XLM, from Stellar's own markets
+const stellarexpert = {
+  name: 'stellarexpert',
+  async fetchPrices(assets, { fetch, signal }) {
+    if (!assets.XLM) return {}
+
+    const data = await getJson(fetch, 'https://api.stellar.expert/explorer/public/asset/XLM-native', signal)
+    return isPrice(data.price?.USD) ? { XLM: data.price.USD } : {}
+  }
+}
+
+export const PRICE_PROVIDERS = { coingecko, coincap, cryptocompare, stellarexpert }
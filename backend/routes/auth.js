@@ -0,0 +1,71 @@
+import express from 'express'
+import authService from '../services/authService.js'
+import { requireAuth } from '../middleware/auth.js'
+
+const router = express.Router()
+
+/**
+ * POST /api/auth/challenge
+ * Issue a challenge transaction for a wallet to sign
+ *
+ * Body: { account } - Client's Stellar public key
+ * Returns: { transaction, networkPassphrase, serverAccount }
+ */
+router.post('/challenge', (req, res) => {
+  try {
+    const { account } = req.body
+
+    if (!account) {
+      return res.status(400).json({
+        error: 'Missing account',
+        message: 'A Stellar public key is required'
+      })
+    }
+
+    res.status(200).json(authService.createChallenge(account))
+  } catch (error) {
+    res.status(400).json({
+      error: 'Invalid challenge request',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * POST /api/auth/token
+ * Exchange a signed challenge for a session token
+ *
+ * Body: { transaction } - Challenge XDR signed by the wallet
+ * Returns: { token, account, expiresAt }
+ */
+router.post('/token', (req, res) => {
+  try {
+    const { transaction } = req.body
+
+    if (!transaction) {
+      return res.status(400).json({
+        error: 'Missing transaction',
+        message: 'A signed challenge transaction is required'
+      })
+    }
+
+    const account = authService.verifyChallenge(transaction)
+    res.status(200).json(authService.issueToken(account))
+  } catch (error) {
+    console.warn('⚠️ [AUTH] Challenge verification failed:', error.message)
+    res.status(401).json({
+      error: 'Challenge verification failed',
+      message: error.message
+    })
+  }
+})
+
+/**
+ * GET /api/auth/session
+ * Return the account bound to the current session token
+ */
+router.get('/session', requireAuth, (req, res) => {
+  res.status(200).json(req.auth)
+})
+
+export default router
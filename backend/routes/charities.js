@@ -0,0 +1,150 @@
+import express from 'express'
+import charityService, { VERIFICATION_STATUSES } from '../services/charityService.js'
+import { requireAuth, requireAdmin } from '../middleware/auth.js'
+
+const router = express.Router()
+
+/**
+ * Send a failed service result
+ */
+const sendFailure = (res, result) => res.status(result.status).json({
+  error: result.error,
+  message: result.message
+})
+
+/**
+ * GET /api/charities
+ * Charity registry, ordered by name
+ *
+ * Query:
+ *   - status: pending, verified or rejected
+ *
+ * Returns: { charities, count }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query
+
+    if (status && !VERIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of ${VERIFICATION_STATUSES.join(', ')}`
+      })
+    }
+
+    const charities = await charityService.list({ status })
+    res.status(200).json({ charities, count: charities.length })
+  } catch (error) {
+    console.error('Error fetching charities:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch charities'
+    })
+  }
+})
+
+/**
+ * GET /api/charities/:id
+ * Retrieve a charity by ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const charity = await charityService.get(req.params.id)
+
+    if (!charity) {
+      return res.status(404).json({
+        error: 'Charity not found',
+        message: `No charity found with ID: ${req.params.id}`
+      })
+    }
+
+    res.status(200).json(charity)
+  } catch (error) {
+    console.error('Error fetching charity:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch charity'
+    })
+  }
+})
+
+/**
+ * POST /api/charities
+ * Register a charity
+ *
+ * Body: { name, address, description, logoUrl, website, verificationStatus, milestoneLadders?, id? }
+ *       milestoneLadders ({ pool, individual }) are used by pools created for the charity
+ * Auth: Wallet session token of an admin account
+ *
+ * Returns: Created charity (409 if the ID or address is already registered)
+ */
+router.post('/', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await charityService.create(req.body || {})
+    if (!result.valid) {
+      return sendFailure(res, result)
+    }
+
+    res.status(201).json(result.charity)
+  } catch (error) {
+    console.error('Error creating charity:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to create charity'
+    })
+  }
+})
+
+/**
+ * PUT /api/charities/:id
+ * Update a charity's details or verification status
+ *
+ * Body: Any of { name, address, description, logoUrl, website, verificationStatus }
+ * Auth: Wallet session token of an admin account
+ *
+ * Returns: Updated charity
+ */
+router.put('/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await charityService.update(req.params.id, req.body || {})
+    if (!result.valid) {
+      return sendFailure(res, result)
+    }
+
+    res.status(200).json(result.charity)
+  } catch (error) {
+    console.error('Error updating charity:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to update charity'
+    })
+  }
+})
+
+/**
+ * DELETE /api/charities/:id
+ * Remove a charity that no pool donates to
+ * Auth: Wallet session token of an admin account
+ */
+router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await charityService.remove(req.params.id)
+    if (!result.valid) {
+      return sendFailure(res, result)
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Charity deleted successfully',
+      deletedCharity: result.charity
+    })
+  } catch (error) {
+    console.error('Error deleting charity:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to delete charity'
+    })
+  }
+})
+
+export default router
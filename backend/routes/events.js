@@ -0,0 +1,60 @@
+import express from 'express'
+import eventService from '../services/eventService.js'
+import { eventsConfig } from '../config.js'
+
+const router = express.Router()
+
+/**
+ * Whether an event passes a client's filters
+ * Pool-specific events are filtered by `poolId`, NFT events by `publicKey`; other events
+ * (e.g. payouts) always pass.
+ */
+const matchesFilters = ({ type, data }, { types, poolId, publicKey }) => {
+  if (types && !types.includes(type)) return false
+
+  const eventPoolId = data.poolId || data.pool?.id
+  if (poolId && eventPoolId && eventPoolId !== poolId) return false
+
+  if (publicKey && type === 'nft' && data.publicKey !== publicKey) return false
+  return true
+}
+
+/**
+ * GET /api/events
+ * Server-sent event stream of pool updates, deposits, yield ticks, payouts and claimable NFTs
+ * (see eventService for the event types). Each message is `event: <type>` with the event data
+ * as JSON. Nothing is replayed, so clients should reload their state whenever the stream
+ * (re)connects; comments are sent every EVENTS_HEARTBEAT_SECONDS to keep proxies from closing it.
+ *
+ * Query (all optional): types - comma-separated event types, poolId - only this pool's events,
+ * publicKey - only this wallet's NFT events
+ */
+router.get('/', (req, res) => {
+  const filters = {
+    types: req.query.types ? String(req.query.types).split(',').map(type => type.trim()) : null,
+    poolId: req.query.poolId || null,
+    publicKey: req.query.publicKey || null
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  })
+  res.write(`retry: ${eventsConfig.reconnectSeconds * 1000}\n\n`)
+
+  const unsubscribe = eventService.subscribe(event => {
+    if (!matchesFilters(event, filters)) return
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`)
+  })
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), eventsConfig.heartbeatSeconds * 1000)
+
+  req.on('close', () => {
+    clearInterval(heartbeat)
+    unsubscribe()
+  })
+})
+
+export default router
@@ -0,0 +1,320 @@
+import express from 'express'
+import * as StellarSDK from '@stellar/stellar-sdk'
+import { getStorage } from '../storage/index.js'
+import ledgerService from '../services/ledgerService.js'
+import depositService from '../services/depositService.js'
+import yieldService from '../services/yieldService.js'
+import treasuryService from '../services/treasuryService.js'
+import { requireAuth, rejectUnlessAccount } from '../middleware/auth.js'
+
+// Mounted at /api/pools/:id so the pool ID is available in req.params
+const router = express.Router({ mergeParams: true })
+
+/**
+ * Build a paginated ledger handler for one collection
+ */
+const ledgerHandler = (collection) => async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const pool = await getStorage().pools.get(id)
+    if (!pool) {
+      return res.status(404).json({
+        error: 'Pool not found',
+        message: `No pool found with ID: ${id}`
+      })
+    }
+
+    const parsed = ledgerService.parseQuery(req.query)
+    if (!parsed.valid) {
+      return res.status(400).json({
+        error: parsed.error,
+        message: parsed.message
+      })
+    }
+
+    const page = await ledgerService.getPage(collection, id, parsed.filters)
+
+    res.status(200).json({
+      poolId: id,
+      [collection]: page.items,
+      count: page.items.length,
+      nextCursor: page.nextCursor
+    })
+  } catch (error) {
+    console.error(`Error fetching pool ${collection}:`, error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: `Failed to fetch pool ${collection}`
+    })
+  }
+}
+
+/**
+ * GET /api/pools/:id/transactions
+ * Paginated transaction history for a pool (newest first by default)
+ *
+ * Query:
+ *   - type: Comma-separated transaction types (pool_creation, deposit, withdrawal, yield_distribution,
+ *           charity_payout, contract_yield)
+ *   - user: Only transactions by this public key
+ *   - from, to: ISO 8601 time range (inclusive)
+ *   - cursor: nextCursor from the previous page
+ *   - limit: Page size (1-200, default 50)
+ *   - order: 'desc' (default) or 'asc'
+ *
+ * Returns: { poolId, transactions, count, nextCursor }
+ */
+router.get('/transactions', ledgerHandler('transactions'))
+
+/**
+ * GET /api/pools/:id/deposits
+ * Paginated deposit ledger for a pool; withdrawals are recorded as negative amounts
+ *
+ * Query: Same as /transactions; type is 'deposit' or 'withdrawal'
+ *
+ * Returns: { poolId, deposits, count, nextCursor }
+ */
+router.get('/deposits', ledgerHandler('deposits'))
+
+/**
+ * GET /api/pools/:id/contract-events
+ * Paginated events indexed from the pool's Soroban contract (newest first by default)
+ *
+ * Query: type (deposit, withdrawal, yield, pause, resume), cursor, limit and order as for /transactions
+ *
+ * Returns: { poolId, contractId, events, count, nextCursor }
+ */
+router.get('/contract-events', async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const pool = await getStorage().pools.get(id)
+    if (!pool) {
+      return res.status(404).json({
+        error: 'Pool not found',
+        message: `No pool found with ID: ${id}`
+      })
+    }
+
+    const parsed = ledgerService.parseQuery(req.query)
+    if (!parsed.valid) {
+      return res.status(400).json({
+        error: parsed.error,
+        message: parsed.message
+      })
+    }
+
+    const page = await ledgerService.getContractEventPage(id, parsed.filters)
+
+    res.status(200).json({
+      poolId: id,
+      contractId: pool.contractId || null,
+      events: page.items,
+      count: page.items.length,
+      nextCursor: page.nextCursor
+    })
+  } catch (error) {
+    console.error('Error fetching contract events:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch contract events'
+    })
+  }
+})
+
+/**
+ * GET /api/pools/:id/users/:publicKey/earnings
+ * Yield and donations attributed to one depositor, split from each yield period
+ * by the depositor's balance and how long it was held
+ *
+ * Returns: { poolId, publicKey, assets, balanceUSD, poolShare, donationPercentage, updatedAt }
+ *   assets maps each asset to { principal, yieldEarned, donated, netYield, balance, poolShare, usdPrice }
+ */
+router.get('/users/:publicKey/earnings', async (req, res) => {
+  try {
+    const { id, publicKey } = req.params
+
+    if (!StellarSDK.StrKey.isValidEd25519PublicKey(publicKey)) {
+      return res.status(400).json({
+        error: 'Invalid public key',
+        message: 'publicKey must be a Stellar account ID'
+      })
+    }
+
+    const pool = await getStorage().pools.get(id)
+    if (!pool) {
+      return res.status(404).json({
+        error: 'Pool not found',
+        message: `No pool found with ID: ${id}`
+      })
+    }
+
+    const earnings = await ledgerService.getEarnings(id, publicKey)
+
+    res.status(200).json({
+      poolId: id,
+      publicKey,
+      ...earnings
+    })
+  } catch (error) {
+    console.error('Error fetching depositor earnings:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch depositor earnings'
+    })
+  }
+})
+
+/**
+ * GET /api/pools/:id/users/:publicKey/position
+ * What one depositor has put into and taken out of the pool, from the verified deposit ledger
+ * (payments to the treasury are ingested into it even when the depositor never reported them)
+ *
+ * Returns: { poolId, publicKey, assets, depositCount, withdrawalCount, entries }
+ *   assets maps each asset to { deposited, withdrawn, net }; entries are the ledger records, newest first
+ */
+router.get('/users/:publicKey/position', async (req, res) => {
+  try {
+    const { id, publicKey } = req.params
+
+    if (!StellarSDK.StrKey.isValidEd25519PublicKey(publicKey)) {
+      return res.status(400).json({
+        error: 'Invalid public key',
+        message: 'publicKey must be a Stellar account ID'
+      })
+    }
+
+    const pool = await getStorage().pools.get(id)
+    if (!pool) {
+      return res.status(404).json({
+        error: 'Pool not found',
+        message: `No pool found with ID: ${id}`
+      })
+    }
+
+    const position = await ledgerService.getPosition(id, publicKey)
+
+    res.status(200).json({
+      poolId: id,
+      publicKey,
+      ...position
+    })
+  } catch (error) {
+    console.error('Error fetching depositor position:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch depositor position'
+    })
+  }
+})
+
+/**
+ * PUT /api/pools/:id/users/:publicKey/donation-rate
+ * Set the share of the depositor's yield donated to the pool's charities
+ *
+ * Body: { donationPercentage } - Between the pool's donationPercentage and 100, or null for the pool default
+ * Auth: Wallet session token of the depositor
+ *
+ * Yield accrued before the change is settled at the previous rate.
+ *
+ * Returns: { poolId, publicKey, donationPercentage } with the rate now in effect
+ */
+router.put('/users/:publicKey/donation-rate', requireAuth, async (req, res) => {
+  try {
+    const { id, publicKey } = req.params
+
+    if (rejectUnlessAccount(req, res, publicKey, 'Depositors can only set their own donation rate')) {
+      return
+    }
+
+    const result = await yieldService.setDonationPercentage(id, publicKey, req.body?.donationPercentage ?? null)
+
+    if (!result.valid) {
+      return res.status(result.status).json({
+        error: result.error,
+        message: result.message
+      })
+    }
+
+    res.status(200).json({
+      poolId: id,
+      publicKey,
+      donationPercentage: result.donationPercentage
+    })
+  } catch (error) {
+    console.error('Error setting donation rate:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to set donation rate'
+    })
+  }
+})
+
+/**
+ * POST /api/pools/:id/deposits
+ * Credit a deposit after verifying its transaction on Horizon
+ *
+ * Body: { txHash } - Hash of the submitted deposit transaction
+ *
+ * The depositor, asset and amount are taken from the network: the transaction must be
+ * successful, pay the pool's depositAddress (or contract) from its source account in one of
+ * the pool's assets, and not have been credited before. Plain payments to the treasury
+ * account must carry the pool's deposit memo instead.
+ *
+ * Returns: { pool, deposit, transaction }
+ */
+router.post('/deposits', async (req, res) => {
+  try {
+    const result = await depositService.recordDeposit(req.params.id, req.body.txHash)
+
+    if (!result.valid) {
+      return res.status(result.status).json({
+        error: result.error,
+        message: result.message
+      })
+    }
+
+    res.status(201).json({
+      pool: result.pool,
+      deposit: result.deposit,
+      transaction: result.transaction
+    })
+  } catch (error) {
+    console.error('Error recording deposit:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to record deposit'
+    })
+  }
+})
+
+/**
+ * GET /api/pools/:id/treasury
+ * The pool's deposit address and what its treasury holds for it
+ *
+ * Returns: { poolId, depositAddress, account, muxedId, assets, onChain, sharedWith }
+ *   assets maps each asset to { deposited, donated, donationsPaid, donationsOwed, held };
+ *   onChain is the treasury account's balance, which `sharedWith` other pools also use
+ */
+router.get('/treasury', async (req, res) => {
+  try {
+    const treasury = await treasuryService.getPoolTreasury(req.params.id)
+    if (!treasury) {
+      return res.status(404).json({
+        error: 'Pool not found',
+        message: `No pool found with ID: ${req.params.id}`
+      })
+    }
+
+    res.status(200).json(treasury)
+  } catch (error) {
+    console.error('Error fetching pool treasury:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch pool treasury'
+    })
+  }
+})
+
+export default router
@@ -1,9 +1,59 @@
+import crypto from 'crypto';
 import express from 'express';
+import StellarSDK from '@stellar/stellar-sdk';
 import nftService from '../services/nftService.js';
 import milestoneService from '../services/milestoneService.js';
+import mintJobService from '../services/mintJobService.js';
+import certificateRegistry from '../services/certificateRegistry.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { milestoneConfig } from '../config.js';
 
 const router = express.Router();
 
+// Longest string a Stellar data entry value holds (poolName and tier are stored on the issuer)
+const MAX_DATA_VALUE_LENGTH = 64;
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Check the certificate metadata of a manual mint
+ * @returns {string|null} What's wrong with it, or null if it can be minted
+ */
+const validateMintMetadata = (metadata) => {
+  if (!metadata || typeof metadata !== 'object') {
+    return 'metadata is required';
+  }
+  if (typeof metadata.poolName !== 'string' || !metadata.poolName.trim() || Buffer.byteLength(metadata.poolName) > MAX_DATA_VALUE_LENGTH) {
+    return `poolName must be between 1 and ${MAX_DATA_VALUE_LENGTH} bytes`;
+  }
+  if (typeof metadata.recipientPublicKey !== 'string' || !StellarSDK.StrKey.isValidEd25519PublicKey(metadata.recipientPublicKey)) {
+    return 'recipientPublicKey must be a Stellar public key';
+  }
+  if (!isNonNegativeNumber(metadata.milestoneAmount) || metadata.milestoneAmount === 0) {
+    return 'milestoneAmount must be a positive number';
+  }
+  if (!['pool', 'individual'].includes(metadata.milestoneType)) {
+    return 'milestoneType must be pool or individual';
+  }
+  if (!milestoneConfig.tiers.includes(metadata.tier)) {
+    return `tier must be one of ${milestoneConfig.tiers.join(', ')}`;
+  }
+
+  const valuation = metadata.usdValuation;
+  if (valuation !== undefined && valuation !== null) {
+    if (!isNonNegativeNumber(valuation.donatedUSD)) {
+      return 'usdValuation.donatedUSD must be a non-negative number';
+    }
+    if (!valuation.prices || typeof valuation.prices !== 'object' || !Object.values(valuation.prices).every(isNonNegativeNumber)) {
+      return 'usdValuation.prices must map asset codes to USD prices';
+    }
+    if (valuation.pricedAt !== undefined && valuation.pricedAt !== null && Number.isNaN(Date.parse(valuation.pricedAt))) {
+      return 'usdValuation.pricedAt must be a date';
+    }
+  }
+  return null;
+};
+
 /**
  * GET /api/nft/user/:publicKey
  * Get all NFTs owned by a specific user
@@ -38,7 +88,9 @@ router.get('/user/:publicKey', async (req, res) => {
 
 /**
  * GET /api/nft/milestones/:poolId
- * Get milestone progress for a specific pool
+ * Get milestone progress for a specific pool, with the pool's milestone ladders
+ * ({ pool, individual }: steps of { amount, tier, title, description })
+ * ?currentDonated= measures progress for a given USD amount instead of the pool's donated USD total
  */
 router.get('/milestones/:poolId', async (req, res) => {
   try {
@@ -53,16 +105,18 @@ router.get('/milestones/:poolId', async (req, res) => {
 
     console.log(`🎯 [NFT-API] Fetching milestone progress for pool: ${poolId}`);
     
-    const donatedAmount = parseFloat(currentDonated) || 0;
-    const progress = milestoneService.getPoolMilestoneProgress(poolId, donatedAmount);
-    const milestones = milestoneService.getPoolMilestones(poolId);
+    // Without currentDonated, progress is measured on the pool's stored USD total
+    const donatedAmount = currentDonated === undefined ? undefined : parseFloat(currentDonated) || 0;
+    const progress = await milestoneService.getPoolMilestoneProgress(poolId, donatedAmount);
+    const milestones = await milestoneService.getPoolMilestones(poolId);
     
     res.json({
       success: true,
       poolId,
       progress,
       milestones,
-      milestoneThresholds: [1, 5, 10] // Pool milestone amounts - TESTING VALUES
+      ladders: milestones.ladders,
+      milestoneThresholds: milestones.milestoneThresholds
     });
 
   } catch (error) {
@@ -76,29 +130,24 @@ router.get('/milestones/:poolId', async (req, res) => {
 
 /**
  * POST /api/nft/mint
- * Manually mint an NFT (admin function for testing)
+ * Manually mint an NFT (admin only): creates and funds an issuer and registers the certificate
  */
-router.post('/mint', async (req, res) => {
+router.post('/mint', requireAuth, requireAdmin, async (req, res) => {
   try {
     const { metadata } = req.body;
     
-    if (!metadata || !metadata.poolName || !metadata.recipientPublicKey) {
+    const problem = validateMintMetadata(metadata);
+    if (problem) {
       return res.status(400).json({ 
-        error: 'Metadata with poolName and recipientPublicKey is required' 
+        error: 'Invalid certificate metadata',
+        message: problem
       });
     }
 
     console.log(`🎨 [NFT-API] Manual NFT mint requested for: ${metadata.poolName}`);
     
-    // Set default values if not provided
-    const completeMetadata = {
-      milestoneAmount: 1, // TESTING VALUE
-      milestoneType: 'pool',
-      tier: 'Silver',
-      ...metadata
-    };
-    
-    const nft = await nftService.mintImpactCertificate(completeMetadata);
+    // Manual mints aren't milestones: each one is registered under its own key
+    const nft = await nftService.mintImpactCertificate(metadata, `manual_${crypto.randomUUID()}`);
     
     res.json({
       success: true,
@@ -123,7 +172,7 @@ router.get('/gallery', async (req, res) => {
   try {
     console.log(`🖼️ [NFT-API] Fetching NFT gallery data`);
     
-    const statistics = milestoneService.getMilestoneStatistics();
+    const statistics = await milestoneService.getMilestoneStatistics();
     
     // For demo purposes, return milestone statistics
     // In production, this could return recent NFTs or featured certificates
@@ -167,12 +216,17 @@ router.get('/validate/:assetCode/:issuer/:recipient', async (req, res) => {
     
     const validation = await nftService.validateNFT(assetCode, issuer, recipient);
     
+    // Only certificates minted by ImpactPools are in the registry, under this issuer
+    const certificate = await certificateRegistry.get(assetCode);
+    
     res.json({
       success: true,
       assetCode,
       issuer,
       recipient,
-      validation
+      validation,
+      registered: certificate?.issuerPublicKey === issuer,
+      certificate: certificate?.issuerPublicKey === issuer ? certificate : null
     });
 
   } catch (error) {
@@ -184,41 +238,6 @@ router.get('/validate/:assetCode/:issuer/:recipient', async (req, res) => {
   }
 });
 
-/**
- * POST /api/nft/milestone-check
- * Manually trigger milestone check for a pool (testing/admin function)
- */
-router.post('/milestone-check', async (req, res) => {
-  try {
-    const { poolId, poolData } = req.body;
-    
-    if (!poolId || !poolData) {
-      return res.status(400).json({ 
-        error: 'Pool ID and pool data are required' 
-      });
-    }
-
-    console.log(`🔧 [NFT-API] Manual milestone check for pool: ${poolId}`);
-    
-    const mintedNFTs = await milestoneService.manualMilestoneCheck(poolId, poolData);
-    
-    res.json({
-      success: true,
-      poolId,
-      message: 'Milestone check completed',
-      mintedNFTs,
-      nftCount: mintedNFTs.length
-    });
-
-  } catch (error) {
-    console.error(`❌ [NFT-API] Manual milestone check failed:`, error);
-    res.status(500).json({ 
-      error: 'Failed to perform milestone check',
-      details: error.message 
-    });
-  }
-});
-
 /**
  * GET /api/nft/statistics
  * Get comprehensive NFT and milestone statistics
@@ -227,7 +246,7 @@ router.get('/statistics', async (req, res) => {
   try {
     console.log(`📊 [NFT-API] Fetching NFT statistics`);
     
-    const statistics = milestoneService.getMilestoneStatistics();
+    const statistics = await milestoneService.getMilestoneStatistics();
     
     res.json({
       success: true,
@@ -248,12 +267,12 @@ router.get('/statistics', async (req, res) => {
 
 /**
  * GET /api/nft/user/:publicKey/milestones
- * Get individual user milestone progress
+ * Get individual user milestone progress (along a pool's individual ladder with ?poolId=)
  */
 router.get('/user/:publicKey/milestones', async (req, res) => {
   try {
     const { publicKey } = req.params;
-    const { currentContributed } = req.query;
+    const { currentContributed, poolId } = req.query;
     
     if (!publicKey) {
       return res.status(400).json({ 
@@ -264,15 +283,16 @@ router.get('/user/:publicKey/milestones', async (req, res) => {
     console.log(`👤 [NFT-API] Fetching user milestone progress: ${publicKey}`);
     
     const contributedAmount = parseFloat(currentContributed) || 0;
-    const progress = milestoneService.getUserMilestoneProgress(publicKey, contributedAmount);
-    const milestones = milestoneService.getUserMilestones(publicKey);
+    const progress = await milestoneService.getUserMilestoneProgress(publicKey, contributedAmount, poolId);
+    const milestones = await milestoneService.getUserMilestones(publicKey, poolId);
     
     res.json({
       success: true,
       userPublicKey: publicKey,
       progress,
       milestones,
-      milestoneThresholds: [0.5, 2, 5] // Individual milestone amounts - TESTING VALUES
+      ladder: milestones.ladder,
+      milestoneThresholds: milestones.milestoneThresholds
     });
 
   } catch (error) {
@@ -290,7 +310,8 @@ router.get('/user/:publicKey/milestones', async (req, res) => {
  */
 router.get('/health', async (req, res) => {
   try {
-    const statistics = milestoneService.getMilestoneStatistics();
+    const statistics = await milestoneService.getMilestoneStatistics();
+    const mintQueue = await mintJobService.getStatus();
     
     res.json({
       success: true,
@@ -306,6 +327,7 @@ router.get('/health', async (req, res) => {
         totalNFTsMinted: statistics.totalNFTsMinted,
         totalPoolsTracked: statistics.totalPoolsWithMilestones
       },
+      mintQueue,
       timestamp: new Date().toISOString()
     });
 
@@ -324,7 +346,7 @@ router.get('/user/:publicKey/claimable', async (req, res) => {
     const { publicKey } = req.params;
     
     // Get claimable NFTs from milestone service
-    const claimableNFTs = milestoneService.getUserClaimableNFTs(publicKey);
+    const claimableNFTs = await milestoneService.getUserClaimableNFTs(publicKey);
     
     res.json({
       success: true,
@@ -341,8 +363,10 @@ router.get('/user/:publicKey/claimable', async (req, res) => {
   }
 });
 
-// Claim an NFT
-router.post('/claim', async (req, res) => {
+// Claim an NFT (requires a wallet session for the claiming account)
+// Answers 202 with the mint job (follow it at GET /api/nft/mint-jobs/:id), 404 for an NFT the
+// wallet can't claim and 409 for one that was already claimed
+router.post('/claim', requireAuth, async (req, res) => {
   try {
     const { userPublicKey, nftId } = req.body;
     
@@ -352,18 +376,32 @@ router.post('/claim', async (req, res) => {
         error: 'Missing required fields: userPublicKey, nftId'
       });
     }
+
+    if (userPublicKey !== req.auth.account) {
+      return res.status(403).json({
+        success: false,
+        error: 'NFTs can only be claimed by the signed-in wallet'
+      });
+    }
     
     console.log(`🎯 [NFT-API] User ${userPublicKey} claiming NFT: ${nftId}`);
     
-    // Claim and mint the NFT
-    const nft = await milestoneService.claimNFT(userPublicKey, nftId);
+    // Claim the NFT and queue its mint
+    const result = await milestoneService.claimNFT(userPublicKey, nftId);
+    if (!result.valid) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        message: result.message
+      });
+    }
     
-    console.log(`✅ [NFT-API] NFT successfully claimed and minted`);
+    console.log(`✅ [NFT-API] NFT claimed, mint job ${result.mintJob.id} queued`);
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'NFT claimed and minted successfully',
-      nft
+      message: 'NFT claimed, the certificate is being minted',
+      mintJob: result.mintJob
     });
     
   } catch (error) {
@@ -375,36 +413,142 @@ router.post('/claim', async (req, res) => {
   }
 });
 
-// Check milestone eligibility (updated to use claimable system)
-router.post('/milestone-check/:poolId', async (req, res) => {
+/**
+ * GET /api/nft/mint-jobs/:id
+ * Status of a certificate mint, with each step's status, attempts, error and transaction hash
+ */
+router.get('/mint-jobs/:id', async (req, res) => {
   try {
-    const { poolId } = req.params;
-    const poolData = req.body;
+    const mintJob = await mintJobService.getJob(req.params.id);
+    if (!mintJob) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mint job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      mintJob
+    });
+
+  } catch (error) {
+    console.error('❌ [NFT-API] Error fetching mint job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get a user's certificate mints
+router.get('/user/:publicKey/mint-jobs', async (req, res) => {
+  try {
+    const mintJobs = await mintJobService.listJobs(req.params.publicKey);
+
+    res.json({
+      success: true,
+      mintJobs,
+      count: mintJobs.length
+    });
+
+  } catch (error) {
+    console.error('❌ [NFT-API] Error fetching mint jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/nft/mint-jobs/:id/retry
+ * Queue a failed mint again, resuming from the step that failed (requires the recipient's wallet session)
+ */
+router.post('/mint-jobs/:id/retry', requireAuth, async (req, res) => {
+  try {
+    const mintJob = await mintJobService.getJob(req.params.id);
+    if (!mintJob) {
+      return res.status(404).json({
+        success: false,
+        error: 'Mint job not found'
+      });
+    }
+
+    if (mintJob.recipientPublicKey !== req.auth.account) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only the recipient can retry this mint'
+      });
+    }
+
+    const result = await mintJobService.retry(mintJob.id);
+    if (!result.valid) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        message: result.message
+      });
+    }
 
-    console.log(`🔧 [NFT-API] Manual milestone check for pool: ${poolId}`);
+    res.status(202).json({
+      success: true,
+      mintJob: result.job
+    });
 
-    // Calculate total donated
-    const totalDonated = poolData.totalDeposited * (poolData.donationPercentage / 100);
+  } catch (error) {
+    console.error('❌ [NFT-API] Error retrying mint job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
-    // Check for claimable milestones (don't auto-mint)
-    const claimableNFTs = await milestoneService.checkClaimableMilestones(poolId, totalDonated, poolData);
+/**
+ * GET /api/nft/certificates/:assetCode
+ * Registry record of a certificate: issuer, recipient, milestone key, transaction hashes and image hash
+ */
+router.get('/certificates/:assetCode', async (req, res) => {
+  try {
+    const certificate = await certificateRegistry.get(req.params.assetCode);
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      });
+    }
 
-    console.log(`📋 [NFT-API] Found ${claimableNFTs.length} newly claimable milestones`);
+    res.json({
+      success: true,
+      certificate
+    });
+
+  } catch (error) {
+    console.error('❌ [NFT-API] Error fetching certificate:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get a user's registered certificates
+router.get('/user/:publicKey/certificates', async (req, res) => {
+  try {
+    const certificates = await certificateRegistry.listByRecipient(req.params.publicKey);
 
     res.json({
       success: true,
-      message: `Milestone check completed. ${claimableNFTs.length} new milestones available for claim.`,
-      claimableNFTs,
-      totalDonated,
-      poolMilestones: milestoneService.poolMilestones,
-      individualMilestones: milestoneService.individualMilestones
+      certificates,
+      count: certificates.length
     });
 
   } catch (error) {
-    console.error('❌ [NFT-API] Manual milestone check failed:', error);
-    res.status(500).json({ 
-      success: false, 
-      error: error.message 
+    console.error('❌ [NFT-API] Error fetching certificates:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
     });
   }
 });
@@ -0,0 +1,78 @@
+import express from 'express'
+import { getStorage } from '../storage/index.js'
+import payoutService from '../services/payoutService.js'
+
+const router = express.Router()
+
+const PAYOUT_STATUSES = ['dry_run', 'pending', 'settled', 'failed']
+
+/**
+ * GET /api/payouts
+ * Charity payout history (newest first)
+ *
+ * Query:
+ *   - status: dry_run, pending, settled or failed
+ *   - limit: Number of payouts (1-200, default 50)
+ *
+ * Returns: { payouts, count }
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50
+
+    if (status && !PAYOUT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: `status must be one of ${PAYOUT_STATUSES.join(', ')}`
+      })
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({
+        error: 'Invalid limit',
+        message: 'limit must be between 1 and 200'
+      })
+    }
+
+    // Signed transaction envelopes stay server-side
+    const payouts = (await getStorage().payouts.list({ status, limit }))
+      .map(({ xdr, ...payout }) => payout)
+
+    res.status(200).json({ payouts, count: payouts.length })
+  } catch (error) {
+    console.error('Error fetching payouts:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch payouts'
+    })
+  }
+})
+
+/**
+ * GET /api/payouts/status
+ * Payout scheduler status and configuration
+ */
+router.get('/status', (req, res) => {
+  res.status(200).json(payoutService.getStatus())
+})
+
+/**
+ * GET /api/payouts/preview
+ * Charities that would be paid by the next payout run, without building or recording anything
+ *
+ * Returns: { batches }
+ */
+router.get('/preview', async (req, res) => {
+  try {
+    const batches = await payoutService.planPayouts()
+    res.status(200).json({ batches })
+  } catch (error) {
+    console.error('Error previewing payouts:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to preview payouts'
+    })
+  }
+})
+
+export default router
@@ -1,230 +1,187 @@
 import express from 'express'
-import * as StellarSDK from '@stellar/stellar-sdk'
+import { getHorizon } from '../horizon/index.js'
+import { getStorage } from '../storage/index.js'
+import assetService, { NATIVE_ASSET } from '../services/assetService.js'
+import treasuryService from '../services/treasuryService.js'
+import withdrawalService, { publicWithdrawal } from '../services/withdrawalService.js'
+import { stellarConfig } from '../config.js'
+import { requireAuth, requireAdmin, rejectUnlessAccount } from '../middleware/auth.js'
 
 const router = express.Router()
 
-// Stellar Testnet configuration
-const STELLAR_NETWORK = StellarSDK.Networks.TESTNET
-const HORIZON_URL = 'https://horizon-testnet.stellar.org'
-const server = new StellarSDK.Horizon.Server(HORIZON_URL)
-
-// Treasury Account Configuration - Dynamic Detection
-// The system will check multiple potential treasury accounts to find the one with funds
-
-// Default treasury account for compatibility with frontend
-const POOL_TREASURY_ACCOUNT = 'GB3TJ4HJZF2SXQDXRTB4GRKQPXUGRBZI3MQS43BTTBHG6MA64VE3BPVG'
-
-const POTENTIAL_TREASURY_ACCOUNTS = [
-  {
-    name: 'User Wallet Treasury',
-    publicKey: 'GDOJCL3TYPS3YJX53QIERHEKWALVSNKMUZH4K7XGT25APLFNHW6HNDNP',
-    // Note: This account has the funds but no secret key for automated withdrawals
-    // Will require user signing for withdrawals
-  },
-  {
-    name: 'Legacy Pool Treasury', 
-    publicKey: 'GAEYMY5KLHSRZQPC2RV7FSETCB27J2BU7OQ4U6O2LG6ZMXIZPUZCYAHD',
-    // Original pool treasury account
-  },
-  {
-    name: 'Unified Treasury',
-    publicKey: 'GB3TJ4HJZF2SXQDXRTB4GRKQPXUGRBZI3MQS43BTTBHG6MA64VE3BPVG',
-    secretKey: 'SDQEPK5SWE4SP4FIM2LOZEHQGVGJHKIEJDQKMDDSCXY7WSP2QMSOJQZ7'
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255
+
+/**
+ * Explain why a wallet can't receive a withdrawal (see assetService.checkCanReceive)
+ */
+const recipientError = (check, asset) => {
+  switch (check.reason) {
+    case 'account_not_found':
+      return 'Your wallet account is not activated on Stellar. Please fund it with XLM first.'
+    case 'missing_trustline':
+      return `Your wallet has no trustline for ${asset}. Add one before withdrawing ${asset}.`
+    case 'trustline_not_authorized':
+      return `The ${asset} issuer has not authorized your wallet to hold ${asset}.`
+    default:
+      return `Your ${asset} trustline limit is too low for this withdrawal.`
   }
-]
+}
 
 /**
- * Find the treasury account that has sufficient funds for withdrawal
+ * Answer an approve or reject request for a held withdrawal (requireAdmin has already
+ * checked the reviewer is an ImpactPools admin)
  */
-const findTreasuryWithFunds = async (requiredAmount) => {
-  for (const treasury of POTENTIAL_TREASURY_ACCOUNTS) {
-    try {
-      // Skip accounts without secret keys (can't perform automated withdrawals)
-      if (!treasury.secretKey) {
-        console.log(`⏭️ Skipping ${treasury.name} - no secret key for automated withdrawals`)
-        continue
-      }
-      
-      const account = await server.loadAccount(treasury.publicKey)
-      const xlmBalance = account.balances.find(b => b.asset_type === 'native')
-      
-      if (xlmBalance && parseFloat(xlmBalance.balance) >= parseFloat(requiredAmount) + 1) {
-        console.log(`✅ Found treasury with sufficient funds: ${treasury.name} (${treasury.publicKey})`)
-        console.log(`   Balance: ${xlmBalance.balance} XLM, Required: ${requiredAmount} XLM`)
-        return treasury
-      } else {
-        console.log(`❌ ${treasury.name} has insufficient funds: ${xlmBalance?.balance || 0} XLM (needs ${requiredAmount} + 1 XLM)`)
-      }
-    } catch (error) {
-      console.warn(`⚠️ Could not check treasury ${treasury.name}:`, error.message)
+const reviewWithdrawal = async (req, res, decide) => {
+  try {
+    const result = await decide(req.params.id)
+    if (!result.valid) {
+      return res.status(result.status).json({
+        error: result.error,
+        message: result.message
+      })
     }
+
+    res.status(200).json({ withdrawal: publicWithdrawal(result.withdrawal) })
+  } catch (error) {
+    console.error('Error reviewing withdrawal:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to review withdrawal'
+    })
   }
-  
-  console.error('❌ No treasury account found with both sufficient funds and secret key')
-  return null
 }
 
 /**
- * Utility function to ensure memo is under 28 bytes limit
+ * Balances of the supported assets held by an account, e.g. { XLM: 120.5, USDC: 40 }
  */
-const validateMemo = (memo) => {
-  if (!memo) return ''
-  
-  const encoder = new TextEncoder()
-  const bytes = encoder.encode(memo)
-  
-  if (bytes.length <= 28) {
-    return memo
-  }
-  
-  let truncated = memo
-  while (encoder.encode(truncated).length > 28) {
-    truncated = truncated.slice(0, -1)
+const assetBalances = async (publicKey) => {
+  const lines = (await getHorizon().getBalances(publicKey)) || []
+  const balances = {}
+  for (const asset of assetService.supportedAssets) {
+    const line = lines.find(balance => balance.asset === asset && assetService.isConfiguredAsset(balance))
+    balances[asset] = line ? line.balance : 0
   }
-  
-  return truncated
+  return balances
 }
 
 /**
  * POST /api/withdrawal/process
- * Process a withdrawal from treasury to user wallet
+ * Request a withdrawal from treasury to user wallet
+ * The request is queued and paid by the withdrawal worker; poll GET /api/withdrawal/:id for
+ * its status. Repeating a request with the same idempotency key (the `Idempotency-Key`
+ * header or `idempotencyKey` in the body) returns the original request instead of paying again.
+ *
+ * Body: { recipientPublicKey, asset, amount, poolId, idempotencyKey } - `asset` (default XLM)
+ * must be the asset that was deposited; the wallet needs a trustline for credit assets. The
+ * amount can't exceed what the recipient can withdraw from pool `poolId` according to the
+ * server's ledger, nor what is left of their daily limit, and the pool's cooldown after their
+ * last deposit must have passed (see GET /api/withdrawal/limit). Amounts above the approval
+ * threshold are queued as 'held' until an ImpactPools admin approves them. The payment is sent from
+ * the pool's muxed address so it can be told apart from other pools' withdrawals on-chain.
+ * Auth: Wallet session token of the recipient
+ *
+ * Returns: 202 { success, id, status, withdrawal } (200 when the idempotency key was seen before)
  */
-router.post('/process', async (req, res) => {
+router.post('/process', requireAuth, async (req, res) => {
   try {
-    const { recipientPublicKey, asset, amount, userPoolBalance } = req.body
+    const { recipientPublicKey, asset = NATIVE_ASSET, amount, poolId } = req.body
+    const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey
+    const parsedAmount = typeof amount === 'number' || typeof amount === 'string' ? Number(amount) : NaN
 
     // Validate inputs
-    if (!recipientPublicKey || !amount || amount <= 0) {
+    if (!recipientPublicKey || !poolId || !Number.isFinite(parsedAmount) || parsedAmount <= 0) {
       return res.status(400).json({
         success: false,
         error: 'Invalid withdrawal parameters'
       })
     }
 
-    // Validate that user isn't withdrawing more than they deposited
-    if (userPoolBalance && parseFloat(amount) > userPoolBalance) {
-      return res.status(400).json({
-        success: false,
-        error: `Insufficient pool balance. You have ${userPoolBalance} XLM deposited.`,
-        reason: 'insufficient_user_balance'
-      })
+    if (rejectUnlessAccount(req, res, recipientPublicKey, 'Withdrawals can only be paid to the signed-in wallet')) {
+      return
     }
 
-    // Find a treasury account with sufficient funds
-    const treasury = await findTreasuryWithFunds(amount)
-    
-    if (!treasury || !treasury.secretKey) {
+    if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
       return res.status(400).json({
         success: false,
-        error: 'No treasury account available with sufficient funds for withdrawal',
-        reason: 'insufficient_treasury_funds'
+        error: `Idempotency key must be a string of 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
       })
     }
 
-    // Load treasury account
-    const treasuryKeyPair = StellarSDK.Keypair.fromSecret(treasury.secretKey)
-    const treasuryAccount = await server.loadAccount(treasuryKeyPair.publicKey())
-
-    // Double-check treasury balance
-    const xlmBalance = treasuryAccount.balances.find(b => b.asset_type === 'native')
-    if (!xlmBalance || parseFloat(xlmBalance.balance) < parseFloat(amount) + 1) {
+    if (!assetService.isSupported(asset)) {
       return res.status(400).json({
         success: false,
-        error: 'Treasury has insufficient funds for withdrawal',
-        reason: 'insufficient_treasury_funds',
-        treasuryBalance: parseFloat(xlmBalance?.balance || 0)
+        error: `Unsupported asset: ${asset}`,
+        reason: 'unsupported_asset'
       })
     }
 
-    // Verify recipient account exists
-    try {
-      await server.loadAccount(recipientPublicKey)
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
+    // A retried request is answered from the queue without checking the treasury again
+    const retried = idempotencyKey && await getStorage().withdrawals.findByIdempotencyKey(idempotencyKey)
+
+    if (!retried) {
+      // Check there is a treasury that can pay it now, so the user hears about it straight away
+      const treasury = await withdrawalService.findTreasuryWithFunds(parsedAmount, asset)
+      if (!treasury) {
         return res.status(400).json({
           success: false,
-          error: 'Your wallet account is not activated on Stellar. Please fund it with XLM first.',
-          reason: 'account_not_found'
+          error: 'No treasury account available with sufficient funds for withdrawal',
+          reason: 'insufficient_treasury_funds'
         })
       }
-      throw error
-    }
-
-    // Create withdrawal memo
-    const memo = validateMemo(`Pool withdrawal: ${amount} ${asset}`)
-
-    // Build the transaction
-    const transaction = new StellarSDK.TransactionBuilder(treasuryAccount, {
-      fee: StellarSDK.BASE_FEE,
-      networkPassphrase: STELLAR_NETWORK,
-    })
-      .addOperation(
-        StellarSDK.Operation.payment({
-          destination: recipientPublicKey,
-          asset: StellarSDK.Asset.native(), // XLM
-          amount: amount.toString(),
-        })
-      )
-      .addMemo(StellarSDK.Memo.text(memo))
-      .setTimeout(300) // 5 minutes timeout
-      .build()
-
-    // Sign the transaction with treasury key
-    transaction.sign(treasuryKeyPair)
-
-    // Submit to Stellar network
-    const result = await server.submitTransaction(transaction)
-
-    res.json({
-      success: true,
-      hash: result.hash,
-      amount: parseFloat(amount),
-      asset,
-      recipient: recipientPublicKey,
-      link: `https://stellar.expert/explorer/testnet/tx/${result.hash}`,
-      ledger: result.ledger,
-      timestamp: new Date().toISOString()
-    })
 
-  } catch (error) {
-    console.error('❌ [BACKEND] Withdrawal failed:', error)
-
-    // Provide specific error messages
-    if (error.response && error.response.data) {
-      const stellarError = error.response.data
-      if (stellarError.extras && stellarError.extras.result_codes) {
-        const codes = stellarError.extras.result_codes
+      // Verify the recipient account exists and can hold the asset
+      const recipientCheck = await assetService.checkCanReceive(recipientPublicKey, asset, parsedAmount)
+      if (!recipientCheck.valid) {
         return res.status(400).json({
           success: false,
-          error: `Stellar error: ${codes.transaction || stellarError.title}`,
-          stellarCode: codes.transaction,
-          details: stellarError.extras
+          error: recipientError(recipientCheck, asset),
+          reason: recipientCheck.reason
         })
       }
-      return res.status(400).json({
-        success: false,
-        error: `Network error: ${stellarError.title || stellarError.detail}`,
-        details: stellarError
-      })
-    } else {
-      return res.status(500).json({
+    }
+
+    const result = await withdrawalService.requestWithdrawal({
+      idempotencyKey,
+      recipient: recipientPublicKey,
+      asset,
+      amount: parsedAmount,
+      poolId
+    })
+    if (!result.valid) {
+      return res.status(result.status).json({
         success: false,
-        error: `Withdrawal failed: ${error.message}`
+        error: result.error,
+        reason: result.reason,
+        message: result.message
       })
     }
+
+    const withdrawal = publicWithdrawal(result.withdrawal)
+    res.status(result.created ? 202 : 200).json({
+      success: true,
+      id: withdrawal.id,
+      status: withdrawal.status,
+      withdrawal
+    })
+  } catch (error) {
+    console.error('❌ [BACKEND] Withdrawal request failed:', error)
+    res.status(500).json({
+      success: false,
+      error: `Withdrawal failed: ${error.message}`
+    })
   }
 })
 
 /**
  * GET /api/withdrawal/treasury-balance
- * Get current treasury balance
+ * Get current treasury balance (`balance` is XLM, `balances` covers every supported asset)
  */
 router.get('/treasury-balance', async (req, res) => {
   try {
-    // Use the unified treasury account that has funds
-    const unifiedTreasury = POTENTIAL_TREASURY_ACCOUNTS.find(t => t.secretKey)
+    // Report the preferred treasury the signer can withdraw from
+    const [treasury] = await withdrawalService.signingTreasuries()
     
-    if (!unifiedTreasury) {
+    if (!treasury) {
       return res.json({
         success: false,
         balance: 0,
@@ -233,14 +190,14 @@ router.get('/treasury-balance', async (req, res) => {
       })
     }
     
-    const account = await server.loadAccount(unifiedTreasury.publicKey)
-    const xlmBalance = account.balances.find(b => b.asset_type === 'native')
+    const balances = await assetBalances(treasury)
 
     res.json({
       success: true,
-      balance: parseFloat(xlmBalance?.balance || 0),
-      publicKey: unifiedTreasury.publicKey,
-      link: `https://stellar.expert/explorer/testnet/account/${unifiedTreasury.publicKey}`
+      balance: balances[NATIVE_ASSET],
+      balances,
+      publicKey: treasury,
+      link: `https://stellar.expert/explorer/testnet/account/${treasury}`
     })
   } catch (error) {
     console.error('Error checking treasury balance:', error)
@@ -255,65 +212,179 @@ router.get('/treasury-balance', async (req, res) => {
 
 /**
  * GET /api/withdrawal/pool-treasury-balance
- * Get pool treasury balance
+ * Get pool treasury balance (`balance` is XLM, `balances` covers every supported asset)
+ *
+ * Query: poolId - report only what the treasury holds for this pool (see GET /api/pools/:id/treasury)
  */
 router.get('/pool-treasury-balance', async (req, res) => {
   try {
-    const account = await server.loadAccount(POOL_TREASURY_ACCOUNT)
-    const xlmBalance = account.balances.find(b => b.asset_type === 'native')
+    if (req.query.poolId) {
+      const treasury = await treasuryService.getPoolTreasury(req.query.poolId)
+      if (!treasury) {
+        return res.status(404).json({
+          success: false,
+          balance: 0,
+          error: `No pool found with ID: ${req.query.poolId}`
+        })
+      }
+
+      const balances = Object.fromEntries(Object.entries(treasury.assets).map(([asset, entry]) => [asset, entry.held]))
+      return res.json({
+        success: true,
+        balance: balances[NATIVE_ASSET] || 0,
+        balances,
+        publicKey: treasury.depositAddress,
+        account: treasury.account,
+        link: `https://stellar.expert/explorer/testnet/account/${treasury.account}`
+      })
+    }
+
+    const balances = await assetBalances(stellarConfig.poolTreasury)
 
     res.json({
       success: true,
-      balance: parseFloat(xlmBalance?.balance || 0),
-      publicKey: POOL_TREASURY_ACCOUNT,
-      link: `https://stellar.expert/explorer/testnet/account/${POOL_TREASURY_ACCOUNT}`
+      balance: balances[NATIVE_ASSET],
+      balances,
+      publicKey: stellarConfig.poolTreasury,
+      link: `https://stellar.expert/explorer/testnet/account/${stellarConfig.poolTreasury}`
     })
   } catch (error) {
     console.error('Error checking pool treasury balance:', error)
     res.json({
       success: false,
       balance: 0,
-      publicKey: POOL_TREASURY_ACCOUNT,
+      publicKey: stellarConfig.poolTreasury,
       error: error.message
     })
   }
 })
 
+/**
+ * GET /api/withdrawal/limit
+ * How much a depositor can withdraw from a pool: their verified principal in the pool's ledger
+ * (accrued yield is not withdrawable) less withdrawals still in flight, capped by their daily
+ * limit and by what the preferred treasury can pay right now
+ * (0 until `cooldownUntil` has passed). Amounts above `approvalThreshold` are held for approval.
+ *
+ * Query: poolId, publicKey, asset (default XLM)
+ *
+ * Returns: { poolId, publicKey, asset, principal, balance, reserved, withdrawable, treasuryBalance,
+ *            cooldownUntil, dailyLimit, withdrawnToday, dailyRemaining, approvalThreshold, maxWithdrawable }
+ */
+router.get('/limit', async (req, res) => {
+  try {
+    const { poolId, publicKey, asset = NATIVE_ASSET } = req.query
+
+    if (!poolId || !publicKey) {
+      return res.status(400).json({
+        error: 'Invalid parameters',
+        message: 'poolId and publicKey are required'
+      })
+    }
+
+    const pool = await getStorage().pools.get(poolId)
+    if (!pool) {
+      return res.status(404).json({
+        error: 'Pool not found',
+        message: `No pool found with ID: ${poolId}`
+      })
+    }
+
+    const limit = await withdrawalService.withdrawableBalance(pool, publicKey, asset)
+    const policy = await withdrawalService.withdrawalPolicy(pool, publicKey, asset)
+    const [treasury] = await withdrawalService.signingTreasuries()
+    const treasuryBalance = treasury ? await assetService.spendableBalance(treasury, asset) : 0
+
+    const caps = [limit.withdrawable, treasuryBalance]
+    if (policy.dailyRemaining !== null) caps.push(policy.dailyRemaining)
+
+    res.status(200).json({
+      ...limit,
+      treasuryBalance,
+      ...policy,
+      maxWithdrawable: policy.cooldownUntil ? 0 : Math.min(...caps)
+    })
+  } catch (error) {
+    console.error('Error computing withdrawal limit:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to compute withdrawal limit'
+    })
+  }
+})
+
 /**
  * POST /api/withdrawal/validate
  * Validate withdrawal request (simplified with unified treasury)
+ * The user's balance in `poolId` comes from the server's ledger (see GET /api/withdrawal/limit).
+ *
+ * Body: { recipientPublicKey, asset, amount, poolId }
  */
 router.post('/validate', async (req, res) => {
   try {
-    const { recipientPublicKey, amount, userPoolBalance = 0 } = req.body
-
-    // Check if recipient account exists
-    try {
-      await server.loadAccount(recipientPublicKey)
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
-        return res.json({
-          valid: false,
-          error: 'Your wallet account is not activated on Stellar. Please fund it with XLM first.',
-          reason: 'account_not_found'
-        })
-      }
-      throw error
+    const { recipientPublicKey, asset = NATIVE_ASSET, amount, poolId } = req.body
+
+    if (!assetService.isSupported(asset)) {
+      return res.json({
+        valid: false,
+        error: `Unsupported asset: ${asset}`,
+        reason: 'unsupported_asset'
+      })
+    }
+
+    // Check the recipient account exists and can hold the asset
+    const recipientCheck = await assetService.checkCanReceive(recipientPublicKey, asset, parseFloat(amount))
+    if (!recipientCheck.valid) {
+      return res.json({
+        valid: false,
+        error: recipientError(recipientCheck, asset),
+        reason: recipientCheck.reason
+      })
     }
 
     // Check user balance
+    const pool = poolId ? await getStorage().pools.get(poolId) : null
+    if (!pool) {
+      return res.json({
+        valid: false,
+        error: `No pool found with ID: ${poolId}`,
+        reason: 'pool_not_found'
+      })
+    }
+
+    const { withdrawable: userPoolBalance } = await withdrawalService.withdrawableBalance(pool, recipientPublicKey, asset)
     if (parseFloat(amount) > userPoolBalance) {
       return res.json({
         valid: false,
-        error: `Insufficient pool balance. You have ${userPoolBalance} XLM deposited.`,
-        reason: 'insufficient_user_balance'
+        error: `Insufficient pool balance. You can withdraw ${userPoolBalance} ${asset}.`,
+        reason: 'insufficient_user_balance',
+        userPoolBalance
       })
     }
 
-    // Check unified treasury balance (no separate pool/withdrawal treasury confusion)
-    const unifiedTreasury = POTENTIAL_TREASURY_ACCOUNTS.find(t => t.secretKey)
+    // Check the treasury policy
+    const policy = await withdrawalService.withdrawalPolicy(pool, recipientPublicKey, asset)
+    if (policy.cooldownUntil) {
+      return res.json({
+        valid: false,
+        error: `Withdrawals from this pool open at ${policy.cooldownUntil}, after the cooldown following your last deposit.`,
+        reason: 'deposit_cooldown',
+        cooldownUntil: policy.cooldownUntil
+      })
+    }
+    if (policy.dailyRemaining !== null && parseFloat(amount) > policy.dailyRemaining) {
+      return res.json({
+        valid: false,
+        error: `Daily withdrawal limit reached. You can withdraw ${policy.dailyRemaining} more ${asset} in the next 24 hours.`,
+        reason: 'daily_limit_exceeded',
+        dailyRemaining: policy.dailyRemaining
+      })
+    }
+
+    // Check the preferred treasury the signer can withdraw from
+    const [treasury] = await withdrawalService.signingTreasuries()
     
-    if (!unifiedTreasury) {
+    if (!treasury) {
       return res.json({
         valid: false,
         error: 'No treasury account configured',
@@ -321,14 +392,12 @@ router.post('/validate', async (req, res) => {
       })
     }
     
-    const account = await server.loadAccount(unifiedTreasury.publicKey)
-    const xlmBalance = account.balances.find(b => b.asset_type === 'native')
-    const treasuryBalance = parseFloat(xlmBalance?.balance || 0)
+    const treasuryBalance = await assetService.spendableBalance(treasury, asset)
 
-    if (treasuryBalance < parseFloat(amount) + 1) {
+    if (treasuryBalance < parseFloat(amount)) {
       return res.json({
         valid: false,
-        error: `Insufficient treasury funds. Available: ${treasuryBalance} XLM.`,
+        error: `Insufficient treasury funds. Available: ${treasuryBalance} ${asset}.`,
         reason: 'insufficient_treasury_funds',
         treasuryBalance
       })
@@ -336,9 +405,11 @@ router.post('/validate', async (req, res) => {
 
     res.json({
       valid: true,
+      asset,
       treasuryBalance,
       userPoolBalance,
-      maxWithdrawable: Math.min(userPoolBalance, treasuryBalance - 1)
+      requiresApproval: policy.approvalThreshold !== null && parseFloat(amount) > policy.approvalThreshold,
+      maxWithdrawable: Math.min(userPoolBalance, treasuryBalance)
     })
 
   } catch (error) {
@@ -350,4 +421,77 @@ router.post('/validate', async (req, res) => {
   }
 })
 
-export default router
\ No newline at end of file
+/**
+ * GET /api/withdrawal/held
+ * Withdrawals above the approval threshold waiting for review, oldest first
+ *
+ * Query: poolId - optional, only that pool's withdrawals
+ * Auth: Wallet session token of an admin account (ADMIN_ACCOUNTS); pool creators can't review
+ *
+ * Returns: { withdrawals }
+ */
+router.get('/held', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { poolId } = req.query
+    const withdrawals = await withdrawalService.listHeld({ poolId })
+    res.status(200).json({ withdrawals: withdrawals.map(publicWithdrawal) })
+  } catch (error) {
+    console.error('Error listing held withdrawals:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to list held withdrawals'
+    })
+  }
+})
+
+/**
+ * POST /api/withdrawal/:id/approve
+ * Release a held withdrawal to the withdrawal worker
+ * Auth: Wallet session token of an admin account (not the recipient)
+ *
+ * Returns: { withdrawal }
+ */
+router.post('/:id/approve', requireAuth, requireAdmin, (req, res) => reviewWithdrawal(req, res, id => (
+  withdrawalService.approve(id, req.auth.account)
+)))
+
+/**
+ * POST /api/withdrawal/:id/reject
+ * Refuse a held withdrawal; the amount becomes withdrawable again
+ * Body: { reason } - optional, shown to the depositor
+ * Auth: Wallet session token of an admin account (not the recipient)
+ *
+ * Returns: { withdrawal }
+ */
+router.post('/:id/reject', requireAuth, requireAdmin, (req, res) => reviewWithdrawal(req, res, id => (
+  withdrawalService.reject(id, req.auth.account, req.body?.reason || null)
+)))
+
+/**
+ * GET /api/withdrawal/:id
+ * Status of a withdrawal request (pending, held, submitted, confirmed, failed or rejected); `txHash` and
+ * `link` are set once its transaction has been submitted
+ *
+ * Returns: { withdrawal }
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const withdrawal = await getStorage().withdrawals.get(req.params.id)
+    if (!withdrawal) {
+      return res.status(404).json({
+        error: 'Withdrawal not found',
+        message: `No withdrawal found with ID: ${req.params.id}`
+      })
+    }
+
+    res.status(200).json({ withdrawal: publicWithdrawal(withdrawal) })
+  } catch (error) {
+    console.error('Error fetching withdrawal:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to fetch withdrawal'
+    })
+  }
+})
+
+export default router
@@ -3,12 +3,38 @@ import cors from 'cors'
 import helmet from 'helmet'
 import morgan from 'morgan'
 import dotenv from 'dotenv'
-import fs from 'fs'
-import path from 'path'
+import * as StellarSDK from '@stellar/stellar-sdk'
+import { storageConfig, stellarConfig } from './config.js'
+import { initializeStorage, getStorage } from './storage/index.js'
+import { splitPoolDocument } from './storage/records.js'
+import { importLegacyPools } from './storage/migrations/importLegacyPools.js'
 // NEW: Import NFT routes
 import nftRoutes from './routes/nft.js'
 // NEW: Import withdrawal routes
 import withdrawalRoutes from './routes/withdrawal.js'
+import poolLedgerRoutes from './routes/ledger.js'
+import yieldService from './services/yieldService.js'
+import payoutService from './services/payoutService.js'
+import withdrawalService from './services/withdrawalService.js'
+import enhancedPoolService from './services/enhancedPoolService.js'
+import contractEventIndexer from './services/contractEventIndexer.js'
+import paymentIngestionService from './services/paymentIngestionService.js'
+import payoutRoutes from './routes/payouts.js'
+import charityService, { describeSplits } from './services/charityService.js'
+import assetService, { poolAssetTotals, valueInUsd } from './services/assetService.js'
+import { poolSummary } from './services/poolSummary.js'
+import eventService from './services/eventService.js'
+import domainEvents from './services/domainEvents.js'
+import eventRoutes from './routes/events.js'
+import depositService from './services/depositService.js'
+import treasuryService from './services/treasuryService.js'
+import milestoneService from './services/milestoneService.js'
+import mintJobService from './services/mintJobService.js'
+import certificateRegistry from './services/certificateRegistry.js'
+import { getSigner } from './signer/index.js'
+import charityRoutes from './routes/charities.js'
+import authRoutes from './routes/auth.js'
+import { requireAuth, rejectUnlessAccount } from './middleware/auth.js'
 
 // Load environment variables
 dotenv.config()
@@ -17,181 +43,6 @@ dotenv.config()
 const app = express()
 const PORT = process.env.PORT || 4000
 
-/**
- * Data persistence setup
- * Use JSON file for simple persistence to prevent data loss on restart
- */
-const DATA_FILE = path.join(process.cwd(), 'pools-data.json')
-
-/**
- * Load pools from JSON file
- */
-const loadPoolsFromFile = () => {
-  try {
-    if (fs.existsSync(DATA_FILE)) {
-      const data = fs.readFileSync(DATA_FILE, 'utf8')
-      const parsed = JSON.parse(data)
-      return parsed
-    }
-  } catch (error) {
-    console.warn('⚠️ Failed to load pools from file:', error.message)
-  }
-  return []
-}
-
-/**
- * Save pools to JSON file
- */
-const savePoolsToFile = (poolsData) => {
-  try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(poolsData, null, 2))
-  } catch (error) {
-    console.error('❌ Failed to save pools to file:', error.message)
-  }
-}
-
-/**
- * In-memory storage for pools with file persistence
- * Loads existing data on startup, saves on changes
- */
-let pools = loadPoolsFromFile()
-
-/**
- * Yield Generation Service
- * Calculates and applies yield to all active pools every 10 minutes
- */
-class YieldService {
-  constructor() {
-    this.isRunning = false;
-    this.interval = null;
-    this.YIELD_UPDATE_INTERVAL = 30 * 1000; // 30 seconds for real-time yield generation
-  }
-
-  start() {
-    if (this.isRunning) {
-      return;
-    }
-
-    this.isRunning = true;
-
-    // Run immediately on start
-    this.generateYieldForAllPools();
-
-    // Set up 30-second interval for real-time yield generation
-    this.interval = setInterval(() => {
-      this.generateYieldForAllPools();
-    }, this.YIELD_UPDATE_INTERVAL);
-  }
-
-  stop() {
-    if (this.interval) {
-      clearInterval(this.interval);
-      this.interval = null;
-    }
-    this.isRunning = false;
-  }
-
-  generateYieldForAllPools() {
-    try {
-      if (!pools || pools.length === 0) {
-        return;
-      }
-
-      let totalNewYield = 0;
-      let totalNewDonations = 0;
-      let updatedPoolsCount = 0;
-
-      pools.forEach((pool, index) => {
-        const yieldData = this.calculatePoolYield(pool);
-        
-        if (yieldData.newYield > 0) {
-          updatedPoolsCount++;
-          totalNewYield += yieldData.newYield;
-          totalNewDonations += yieldData.donationAmount;
-          
-          // Update the pool in the array
-          pools[index] = yieldData.updatedPool;
-        }
-      });
-
-      // Save updated pools to file
-      if (updatedPoolsCount > 0) {
-        savePoolsToFile(pools);
-      }
-
-    } catch (error) {
-      console.error('❌ [YIELD] Error generating yield:', error);
-    }
-  }
-
-  calculatePoolYield(pool) {
-    try {
-      // Only generate yield if pool has deposits
-      if (!pool.totalDeposited || pool.totalDeposited <= 0) {
-        return { updatedPool: pool, newYield: 0, donationAmount: 0 };
-      }
-
-      // Calculate yield based on APY and time elapsed (30 seconds for real-time generation)
-      const annualAPY = (pool.currentAPY || 4.2) / 100; // Convert percentage to decimal
-      const secondsElapsed = 30; // 30-second intervals for real-time yield
-      const secondsPerYear = 365 * 24 * 60 * 60; // Seconds in a year
-      
-      // Calculate yield for this 30-second period
-      const periodMultiplier = secondsElapsed / secondsPerYear;
-      const yieldForPeriod = pool.totalDeposited * annualAPY * periodMultiplier;
-
-      // Calculate donations based on donation percentage
-      const donationPercentage = pool.donationPercentage || 0;
-      const donationAmount = yieldForPeriod * (donationPercentage / 100);
-
-      // Update pool with accumulated yield and donations
-      const updatedPool = {
-        ...pool,
-        totalYieldGenerated: (pool.totalYieldGenerated || 0) + yieldForPeriod,
-        totalDonated: (pool.totalDonated || 0) + donationAmount,
-        lastYieldUpdate: new Date().toISOString(),
-        
-        // Add yield distribution transaction record
-        transactions: [
-          ...(pool.transactions || []),
-          {
-            id: `yield_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            type: 'yield_distribution',
-            amount: yieldForPeriod,
-            donationAmount: donationAmount,
-            asset: 'XLM',
-            timestamp: new Date().toISOString(),
-            periodAPY: annualAPY * 100,
-            isAutoGenerated: true
-          }
-        ]
-      };
-
-      return {
-        updatedPool,
-        newYield: yieldForPeriod,
-        donationAmount: donationAmount
-      };
-
-    } catch (error) {
-      console.error(`❌ [YIELD] Error calculating yield for pool ${pool.id}:`, error);
-      return { updatedPool: pool, newYield: 0, donationAmount: 0 };
-    }
-  }
-
-  getStatus() {
-    return {
-      isRunning: this.isRunning,
-      intervalSeconds: this.YIELD_UPDATE_INTERVAL / 1000,
-      intervalMinutes: this.YIELD_UPDATE_INTERVAL / (60 * 1000),
-      nextUpdate: this.isRunning ? new Date(Date.now() + this.YIELD_UPDATE_INTERVAL).toISOString() : null
-    };
-  }
-}
-
-// Initialize yield service
-const yieldService = new YieldService();
-
 // Middleware setup
 app.use(helmet()) // Security headers
 app.use(cors({
@@ -243,14 +94,18 @@ app.get('/health', (req, res) => {
  * GET /api/pools
  * Retrieve all available ImpactPools
  * 
- * Returns: Array of pool objects with all their details
+ * Returns: Array of pool summaries with per-asset `assetTotals`, their value in `totalsUSD`
+ * and each charity's `charityDonations` (deposit and transaction history is served by
+ * GET /api/pools/:id/deposits and GET /api/pools/:id/transactions)
  */
-app.get('/api/pools', (req, res) => {
+app.get('/api/pools', async (req, res) => {
   try {
+    const [pools, { prices }] = await Promise.all([getStorage().pools.list(), assetService.getUsdPrices()])
+
     // Return all pools sorted by creation date (newest first)
-    const sortedPools = pools.sort((a, b) => 
-      new Date(b.createdAt) - new Date(a.createdAt)
-    )
+    const sortedPools = pools
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(pool => poolSummary(pool, prices))
     
     res.status(200).json(sortedPools)
   } catch (error) {
@@ -269,12 +124,12 @@ app.get('/api/pools', (req, res) => {
  * Params:
  *   - id: Pool identifier
  * 
- * Returns: Pool object or 404 if not found
+ * Returns: Pool summary (see GET /api/pools) or 404 if not found
  */
-app.get('/api/pools/:id', (req, res) => {
+app.get('/api/pools/:id', async (req, res) => {
   try {
     const { id } = req.params
-    const pool = pools.find(p => p.id === id)
+    const [pool, { prices }] = await Promise.all([getStorage().pools.get(id), assetService.getUsdPrices()])
     
     if (!pool) {
       return res.status(404).json({
@@ -283,7 +138,7 @@ app.get('/api/pools/:id', (req, res) => {
       })
     }
     
-    res.status(200).json(pool)
+    res.status(200).json(poolSummary(pool, prices))
   } catch (error) {
     console.error('Error fetching pool:', error)
     res.status(500).json({
@@ -297,21 +152,33 @@ app.get('/api/pools/:id', (req, res) => {
  * POST /api/pools
  * Create a new ImpactPool
  * 
- * Body: Pool object with all required fields
+ * Body: Pool object with all required fields. The donated yield goes to the verified
+ *       charities in `charitySplits` ([{ charityId, share }], shares totalling 100) or
+ *       entirely to `charityId`. `deposits` and `transactions` arrays are ignored - deposits are
+ *       only credited once verified on the network by POST /api/pools/:id/deposits.
+ *       Optional `milestoneLadders` ({ pool, individual }) replace the first charity's or the
+ *       configured milestone ladders; the pool keeps the ladders it was created with.
+ *       The server assigns the pool's treasury and muxed `depositAddress`; a `currentAPY`
+ *       is ignored, yield accrues at the configured APY
+ * Auth: Wallet session token; the authenticated account must be the pool creator
  * 
- * Returns: Created pool object with generated ID
+ * Returns: Created pool summary
  */
-app.post('/api/pools', (req, res) => {
+app.post('/api/pools', requireAuth, async (req, res) => {
   try {
     const poolData = req.body
     
     // Basic validation
-    if (!poolData.name || !poolData.charity || !poolData.assets || !poolData.creator) {
+    if (!poolData.id || !poolData.name || !(poolData.charitySplits || poolData.charityId) || !poolData.assets || !poolData.creator) {
       return res.status(400).json({
         error: 'Missing required fields',
-        message: 'Pool must have name, charity, assets, and creator'
+        message: 'Pool must have id, name, charitySplits (or charityId), assets, and creator'
       })
     }
+
+    if (rejectUnlessAccount(req, res, poolData.creator, 'Pools can only be created by the signed-in wallet')) {
+      return
+    }
     
     // Validate donation percentage
     if (poolData.donationPercentage < 1 || poolData.donationPercentage > 50) {
@@ -328,14 +195,57 @@ app.post('/api/pools', (req, res) => {
         message: 'Assets must be a non-empty array'
       })
     }
+
+    const unsupportedAssets = poolData.assets.filter(asset => !assetService.isSupported(asset))
+    if (unsupportedAssets.length > 0) {
+      return res.status(400).json({
+        error: 'Unsupported assets',
+        message: `${unsupportedAssets.join(', ')} can't be held by pools; supported assets are ${assetService.supportedAssets.join(', ')}`
+      })
+    }
     
-    // Add the new pool to our storage
-    pools.push(poolData)
+    const charityResult = await charityService.resolveSplitsForPool(poolData)
+    if (!charityResult.valid) {
+      return res.status(charityResult.status).json({
+        error: charityResult.error,
+        message: charityResult.message
+      })
+    }
+
+    const ladderResult = await milestoneService.resolveLaddersForPool(poolData, charityResult.splits)
+    if (!ladderResult.valid) {
+      return res.status(ladderResult.status).json({
+        error: ladderResult.error,
+        message: ladderResult.message
+      })
+    }
+    
+    const storage = getStorage()
+
+    if (await storage.pools.get(poolData.id)) {
+      return res.status(409).json({
+        error: 'Pool already exists',
+        message: `A pool with ID ${poolData.id} already exists`
+      })
+    }
     
-    // Save to persistent storage
-    savePoolsToFile(pools)
+    // Ledger arrays are split off and dropped; the deposit totals are rebuilt from the (empty) ledger
+    const { pool } = splitPoolDocument({
+      ...poolData,
+      charitySplits: charityResult.splits,
+      charityId: charityResult.splits[0].charityId,
+      charity: describeSplits(charityResult.splits),
+      milestoneLadders: ladderResult.ladders,
+      assetTotals: {},
+      ...treasuryService.assign(poolData.id)
+    })
+    // Yield accrues at the server's APY (yieldConfig.defaultAPY), never at one the creator sends
+    delete pool.currentAPY
+    await storage.pools.insert(pool)
+    const createdPool = await yieldService.withPoolLock(pool.id, () => depositService.syncDepositTotals(pool.id))
     
-    res.status(201).json(poolData)
+    eventService.publishPool(createdPool, 'created')
+    res.status(201).json(poolSummary(createdPool, (await assetService.getUsdPrices()).prices))
   } catch (error) {
     console.error('Error creating pool:', error)
     res.status(500).json({
@@ -347,40 +257,65 @@ app.post('/api/pools', (req, res) => {
 
 /**
  * PUT /api/pools/:id
- * Update an existing pool (for deposits, withdrawals, etc.)
+ * Update an existing pool's details
  * 
  * Params:
  *   - id: Pool identifier
- * Body: Updated pool object
+ * Body: Pool fields to update; `deposits` and `transactions` arrays are ignored - the ledger
+ *       is only written by POST /api/pools/:id/deposits and the withdrawal queue. Totals and
+ *       `currentAPY` are owned by the server and ignored as well
+ * Auth: Wallet session token of the pool creator
  * 
- * Returns: Updated pool object
+ * Returns: Updated pool summary
  */
-app.put('/api/pools/:id', (req, res) => {
+app.put('/api/pools/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params
-    const updatedPoolData = req.body
-    
-    // Find the pool index
-    const poolIndex = pools.findIndex(p => p.id === id)
+    const storage = getStorage()
     
-    if (poolIndex === -1) {
+    const existingPool = await storage.pools.get(id)
+    if (!existingPool) {
       return res.status(404).json({
         error: 'Pool not found',
         message: `No pool found with ID: ${id}`
       })
     }
-    
-    // Update the pool
-    pools[poolIndex] = {
-      ...pools[poolIndex],
-      ...updatedPoolData,
-      id: id // Ensure ID doesn't change
+
+    if (rejectUnlessAccount(req, res, existingPool.creator, 'Only the pool creator can update this pool')) {
+      return
     }
     
-    // Save to persistent storage
-    savePoolsToFile(pools)
+    // Ledger arrays are split off and dropped, the rest updates the pool
+    const { pool: updatedPoolData } = splitPoolDocument({ ...req.body, id })
+    
+    // Update the pool (ID, creator, charity and milestone ladders can't change; deposit, yield and payout totals and the APY are owned by their services)
+    delete updatedPoolData.creator
+    delete updatedPoolData.charity
+    delete updatedPoolData.charityId
+    delete updatedPoolData.charitySplits
+    delete updatedPoolData.donatedByCharity
+    delete updatedPoolData.donationsPaidByCharity
+    delete updatedPoolData.charityDonations
+    delete updatedPoolData.assetTotals
+    delete updatedPoolData.totalsUSD
+    delete updatedPoolData.totalDeposited
+    delete updatedPoolData.participants
+    delete updatedPoolData.totalYieldGenerated
+    delete updatedPoolData.currentAPY
+    delete updatedPoolData.totalDonated
+    delete updatedPoolData.totalDonatedUSD
+    delete updatedPoolData.donationPricing
+    delete updatedPoolData.lastYieldUpdate
+    delete updatedPoolData.totalDonationsPaid
+    delete updatedPoolData.settledPayouts
+    delete updatedPoolData.treasury
+    delete updatedPoolData.treasuryMuxedId
+    delete updatedPoolData.depositAddress
+    delete updatedPoolData.milestoneLadders
+    const updatedPool = await storage.pools.update(id, updatedPoolData)
+    eventService.publishPool(updatedPool, 'updated')
     
-    res.status(200).json(pools[poolIndex])
+    res.status(200).json(poolSummary(updatedPool, (await assetService.getUsdPrices()).prices))
   } catch (error) {
     console.error('Error updating pool:', error)
     res.status(500).json({
@@ -392,31 +327,34 @@ app.put('/api/pools/:id', (req, res) => {
 
 /**
  * DELETE /api/pools/:id
- * Delete a pool (creator only in production)
+ * Delete a pool
  * 
  * Params:
  *   - id: Pool identifier
+ * Auth: Wallet session token of the pool creator
  * 
  * Returns: Success message
  */
-app.delete('/api/pools/:id', (req, res) => {
+app.delete('/api/pools/:id', requireAuth, async (req, res) => {
   try {
     const { id } = req.params
+    const storage = getStorage()
     
-    const poolIndex = pools.findIndex(p => p.id === id)
-    
-    if (poolIndex === -1) {
+    const pool = await storage.pools.get(id)
+    if (!pool) {
       return res.status(404).json({
         error: 'Pool not found',
         message: `No pool found with ID: ${id}`
       })
     }
+
+    if (rejectUnlessAccount(req, res, pool.creator, 'Only the pool creator can delete this pool')) {
+      return
+    }
     
-    // Remove the pool
-    const deletedPool = pools.splice(poolIndex, 1)[0]
-    
-    // Save to persistent storage
-    savePoolsToFile(pools)
+    // Remove the pool together with its deposits and transactions
+    const deletedPool = await storage.pools.remove(id)
+    eventService.publish('pool', { reason: 'deleted', poolId: id })
     
     res.status(200).json({
       success: true,
@@ -436,19 +374,44 @@ app.delete('/api/pools/:id', (req, res) => {
  * GET /api/stats
  * Get platform-wide statistics
  * 
- * Returns: Aggregated statistics across all pools
+ * Returns: Aggregated statistics across all pools. The totalValueLocked, totalDonated and
+ * totalYieldGenerated figures add up every asset; `assets` breaks them down per asset and
+ * `usd` values them at `prices` (null where an asset has no price).
  */
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', async (req, res) => {
   try {
+    const [pools, { prices, source, updatedAt }] = await Promise.all([getStorage().pools.list(), assetService.getUsdPrices()])
+
+    const assets = {}
+    for (const pool of pools) {
+      for (const [asset, totals] of Object.entries(poolAssetTotals(pool))) {
+        const entry = assets[asset] || { totalValueLocked: 0, totalDonated: 0, totalYieldGenerated: 0 }
+        entry.totalValueLocked += totals.deposited || 0
+        entry.totalDonated += totals.donated || 0
+        entry.totalYieldGenerated += totals.yieldGenerated || 0
+        assets[asset] = entry
+      }
+    }
+    const usdOf = (field) => valueInUsd(Object.fromEntries(Object.entries(assets).map(([asset, entry]) => [asset, entry[field]])), prices)
+
     const stats = {
       totalPools: pools.length,
       totalValueLocked: pools.reduce((sum, pool) => sum + pool.totalDeposited, 0),
       totalDonated: pools.reduce((sum, pool) => sum + pool.totalDonated, 0),
       totalParticipants: pools.reduce((sum, pool) => sum + pool.participants, 0),
       averageAPY: pools.length > 0 
-        ? pools.reduce((sum, pool) => sum + pool.currentAPY, 0) / pools.length 
+        ? pools.reduce((sum, pool) => sum + yieldService.poolAPY(pool), 0) / pools.length 
         : 0,
-      totalYieldGenerated: pools.reduce((sum, pool) => sum + pool.totalYieldGenerated, 0)
+      totalYieldGenerated: pools.reduce((sum, pool) => sum + pool.totalYieldGenerated, 0),
+      assets,
+      usd: {
+        totalValueLocked: usdOf('totalValueLocked'),
+        totalDonated: usdOf('totalDonated'),
+        totalYieldGenerated: usdOf('totalYieldGenerated')
+      },
+      prices,
+      priceSource: source,
+      pricesUpdatedAt: updatedAt
     }
     
     res.status(200).json(stats)
@@ -461,11 +424,80 @@ app.get('/api/stats', (req, res) => {
   }
 })
 
+/**
+ * GET /api/yield/status
+ * Get yield service status
+ */
+app.get('/api/yield/status', (req, res) => {
+  try {
+    const status = yieldService.getStatus()
+    res.status(200).json(status)
+  } catch (error) {
+    console.error('Error getting yield service status:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get yield service status'
+    })
+  }
+})
+
+/**
+ * GET /api/contracts/status
+ * Get the smart-contract pool sync status, each contract pool's last synced state and the
+ * contract event indexer's checkpoints
+ */
+app.get('/api/contracts/status', async (req, res) => {
+  try {
+    const [status, indexer] = await Promise.all([
+      enhancedPoolService.getStatus(),
+      contractEventIndexer.getStatus()
+    ])
+    res.status(200).json({ ...status, indexer })
+  } catch (error) {
+    console.error('Error getting contract sync status:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get contract sync status'
+    })
+  }
+})
+
+/**
+ * GET /api/treasury/ingestion
+ * Get the treasury payment ingestion status, each treasury account's checkpoint and the last
+ * reconciliation of the deposit ledger against the ingested payments
+ */
+app.get('/api/treasury/ingestion', async (req, res) => {
+  try {
+    const [status, reconciliation] = await Promise.all([
+      paymentIngestionService.getStatus(),
+      paymentIngestionService.getReport()
+    ])
+    res.status(200).json({ ...status, reconciliation })
+  } catch (error) {
+    console.error('Error getting treasury ingestion status:', error)
+    res.status(500).json({
+      error: 'Internal server error',
+      message: 'Failed to get treasury ingestion status'
+    })
+  }
+})
+
+// Wallet challenge authentication
+app.use('/api/auth', authRoutes)
 // NFT Impact Certificates Routes
 // NEW: Add NFT routes alongside existing functionality
 app.use('/api/nft', nftRoutes);
 // NEW: Add withdrawal routes alongside existing functionality
 app.use('/api/withdrawal', withdrawalRoutes);
+// Pool ledgers: paginated deposit and transaction history, verified deposit intake
+app.use('/api/pools/:id', poolLedgerRoutes)
+// Charity payouts from the treasury
+app.use('/api/payouts', payoutRoutes)
+// Charity registry
+app.use('/api/charities', charityRoutes)
+// Server-sent events: pool updates, deposits, yield, payouts and claimable NFTs
+app.use('/api/events', eventRoutes)
 
 /**
  * Error handling middleware
@@ -491,43 +523,91 @@ app.use('*', (req, res) => {
 })
 
 /**
- * GET /api/yield/status
- * Get yield service status
+ * Start the server
+ * Storage is opened (and the legacy pools-data.json imported on first run) before accepting requests
  */
-app.get('/api/yield/status', (req, res) => {
+const startServer = async () => {
+  // The old built-in treasury's key is public, so there is no default to fall back to
+  if (!StellarSDK.StrKey.isValidEd25519PublicKey(stellarConfig.poolTreasury || '')) {
+    throw new Error('POOL_TREASURY_ACCOUNT must be set to the public key of the pool treasury')
+  }
+
+  const storage = await initializeStorage(storageConfig)
+
+  const importResult = await importLegacyPools(storage, storageConfig.legacyPoolsFile)
+  if (!importResult.skipped) {
+    console.log(`📦 Imported ${importResult.pools} pools from ${storageConfig.legacyPoolsFile}`)
+  }
+
+  await charityService.initialize()
+  await treasuryService.initialize()
+  await certificateRegistry.initialize()
+  await mintJobService.initialize()
+  await milestoneService.initialize()
+
+  // Withdrawals and payouts only use treasuries the signer holds a key for
   try {
-    const status = yieldService.getStatus()
-    res.status(200).json(status)
+    const keys = await getSigner().listKeys()
+    const signable = stellarConfig.treasuryAccounts.filter(account => keys.includes(account))
+    console.log(`🔐 Signer can sign for ${signable.length}/${stellarConfig.treasuryAccounts.length} treasury accounts`)
   } catch (error) {
-    console.error('Error getting yield service status:', error)
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to get yield service status'
-    })
+    console.warn(`⚠️ Signer unavailable, withdrawals and payouts cannot be signed: ${error.message}`)
   }
+
+  app.listen(PORT, () => {
+    console.log(`🚀 ImpactPools API server running on port ${PORT} (${storage.driver} storage)`)
+    
+    // Start yield generation service
+    setTimeout(() => {
+      yieldService.start()
+      payoutService.start()
+      withdrawalService.start()
+      enhancedPoolService.start()
+      contractEventIndexer.start()
+      paymentIngestionService.start()
+      mintJobService.start()
+    }, 2000) // Start after 2 seconds to ensure server is fully ready
+  })
+}
+
+startServer().catch(error => {
+  console.error('❌ Failed to start server:', error)
+  process.exit(1)
 })
 
 /**
- * Start the server
+ * Graceful shutdown handling
+ * Stops background work and waits for pending storage writes before exiting
  */
-app.listen(PORT, () => {
-  console.log(`🚀 ImpactPools API server running on port ${PORT}`)
-  
-  // Start yield generation service
-  setTimeout(() => {
-    yieldService.start()
-  }, 2000) // Start after 2 seconds to ensure server is fully ready
-})
+const shutdown = async (signal) => {
+  console.log(`${signal} received, shutting down gracefully`)
+  yieldService.stop()
+  payoutService.stop()
+  withdrawalService.stop()
+  enhancedPoolService.stop()
+  contractEventIndexer.stop()
+  paymentIngestionService.stop()
+  milestoneService.stop()
+  mintJobService.stop()
 
-// Graceful shutdown handling
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully')
-  process.exit(0)
-})
+  try {
+    // Let a withdrawal that is being submitted record its outcome
+    await withdrawalService.activeRun
+    await enhancedPoolService.activeRun
+    await contractEventIndexer.activeRun
+    await paymentIngestionService.activeRun
+    // Let the certificate mint step that is running record its outcome
+    await mintJobService.activeRun
+    await domainEvents.settled()
+    await getStorage().close()
+  } catch (error) {
+    // Storage was never initialized
+  }
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully')
   process.exit(0)
-})
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
 
 export default app 
\ No newline at end of file
@@ -0,0 +1,186 @@
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { assetConfig } from '../config.js';
+import { getHorizon } from '../horizon/index.js';
+import { getPriceOracle } from '../prices/index.js';
+
+export const NATIVE_ASSET = 'XLM';
+
+// XLM kept back on treasury accounts for the base reserve and fees
+export const NATIVE_RESERVE = 1;
+
+/**
+ * Empty per-asset totals of a pool
+ */
+export const emptyAssetTotals = () => ({
+  deposited: 0,
+  yieldGenerated: 0,
+  donated: 0,
+  donatedUSD: 0,
+  unpricedDonated: 0,
+  donationsPaid: 0,
+  donatedByCharity: {},
+  donationsPaidByCharity: {}
+});
+
+/**
+ * Per-asset totals of a pool:
+ *   { [asset]: { deposited, yieldGenerated, donated, donatedUSD, unpricedDonated, donationsPaid, donatedByCharity, donationsPaidByCharity } }
+ * donatedUSD is the donations valued at the price of the day they accrued; unpricedDonated is
+ * what was donated while the asset had no price and isn't in donatedUSD yet (see yieldService).
+ * Pools recorded before multi-asset accounting only earned and paid out XLM, so their
+ * combined totals are reported as XLM.
+ */
+export const poolAssetTotals = (pool) => pool.assetTotals || {
+  [NATIVE_ASSET]: {
+    deposited: pool.totalDeposited || 0,
+    yieldGenerated: pool.totalYieldGenerated || 0,
+    donated: pool.totalDonated || 0,
+    donationsPaid: pool.totalDonationsPaid || 0,
+    donatedByCharity: pool.donatedByCharity || {},
+    donationsPaidByCharity: pool.donationsPaidByCharity || {}
+  }
+};
+
+/**
+ * Per-asset yield and donations of a depositor: { [asset]: { yieldEarned, donated } }
+ * Positions recorded before multi-asset accounting hold XLM totals.
+ */
+export const positionAssets = (position) => {
+  if (position?.assets) return position.assets;
+  if (!position?.yieldEarned && !position?.donated) return {};
+  return { [NATIVE_ASSET]: { yieldEarned: position.yieldEarned || 0, donated: position.donated || 0 } };
+};
+
+/**
+ * Value per-asset amounts in USD
+ * @param {Object} amounts - { [asset]: amount }
+ * @param {Object} prices - { [asset]: usdPrice }
+ * @returns {number|null} Total in USD, or null if a non-zero amount has no price
+ */
+export const valueInUsd = (amounts, prices) => {
+  let total = 0;
+  for (const [asset, amount] of Object.entries(amounts)) {
+    if (!amount) continue;
+    if (typeof prices[asset] !== 'number') return null;
+    total += amount * prices[asset];
+  }
+  return total;
+};
+
+/**
+ * A pool's deposited, yield and donation totals in USD
+ * @returns {Object} { deposited, yieldGenerated, donated } (null where an asset has no price)
+ */
+export const poolUsdTotals = (pool, prices) => {
+  const totals = Object.entries(poolAssetTotals(pool));
+  const field = (name) => valueInUsd(Object.fromEntries(totals.map(([asset, entry]) => [asset, entry[name]])), prices);
+
+  return {
+    deposited: field('deposited'),
+    yieldGenerated: field('yieldGenerated'),
+    donated: field('donated')
+  };
+};
+
+/**
+ * Asset Service
+ * Registry of the assets pools can hold, with the issuer checks, trustline checks and
+ * USD prices that multi-asset deposits, withdrawals, payouts and stats rely on.
+ * Amounts are kept in the asset's own units and USD values derived on read, except for
+ * donations, which are also valued in USD when they accrue so milestones can be reached.
+ */
+export class AssetService {
+  constructor({
+    getHorizon: horizonProvider = getHorizon,
+    getPriceOracle: priceOracleProvider = getPriceOracle,
+    config = assetConfig
+  } = {}) {
+    this.getHorizon = horizonProvider;
+    this.getPriceOracle = priceOracleProvider;
+    this.config = config;
+  }
+
+  /**
+   * Assets that can be deposited and paid out (credit assets need a configured issuer)
+   */
+  get supportedAssets() {
+    return Object.keys(this.config.assets).filter(code => this.isSupported(code));
+  }
+
+  isSupported(code) {
+    const asset = this.config.assets[code];
+    return !!asset && (code === NATIVE_ASSET || !!asset.issuer);
+  }
+
+  /**
+   * StellarSDK asset for a supported asset code
+   */
+  toStellarAsset(code) {
+    if (!this.isSupported(code)) {
+      throw new Error(`Unsupported asset: ${code}`);
+    }
+    return code === NATIVE_ASSET
+      ? StellarSDK.Asset.native()
+      : new StellarSDK.Asset(code, this.config.assets[code].issuer);
+  }
+
+  /**
+   * Whether a normalized payment (or balance line) is in the configured asset, issuer included
+   */
+  isConfiguredAsset({ asset, assetIssuer }) {
+    if (!this.isSupported(asset)) return false;
+    return asset === NATIVE_ASSET ? !assetIssuer : assetIssuer === this.config.assets[asset].issuer;
+  }
+
+  /**
+   * Amount of an asset an account can send
+   * XLM keeps NATIVE_RESERVE back; accounts without the asset (or that don't exist) have 0.
+   */
+  async spendableBalance(publicKey, code) {
+    const balances = await this.getHorizon().getBalances(publicKey);
+    const line = (balances || []).find(balance => balance.asset === code && this.isConfiguredAsset(balance));
+    if (!line) return 0;
+
+    return code === NATIVE_ASSET ? Math.max(0, line.balance - NATIVE_RESERVE) : line.balance;
+  }
+
+  /**
+   * Check that an account exists and can hold `amount` more of an asset
+   * @returns {Object} { valid: true } or { valid: false, reason, error, message }
+   */
+  async checkCanReceive(publicKey, code, amount) {
+    const reject = (reason, error, message) => ({ valid: false, reason, error, message });
+
+    const balances = await this.getHorizon().getBalances(publicKey);
+    if (!balances) {
+      return reject('account_not_found', 'Account not found', `${publicKey} is not activated on Stellar. Fund it with XLM first.`);
+    }
+    if (code === NATIVE_ASSET) {
+      return { valid: true };
+    }
+
+    const line = balances.find(balance => balance.asset === code && this.isConfiguredAsset(balance));
+    if (!line) {
+      return reject('missing_trustline', 'Missing trustline', `${publicKey} needs a trustline to ${code} (${this.config.assets[code].issuer}) before it can receive it`);
+    }
+    if (!line.authorized) {
+      return reject('trustline_not_authorized', 'Trustline not authorized', `The ${code} issuer has not authorized ${publicKey} to hold ${code}`);
+    }
+    if (line.limit !== null && line.limit - line.balance < amount) {
+      return reject('trustline_limit', 'Trustline limit reached', `The ${code} trustline of ${publicKey} can only receive ${Math.max(0, line.limit - line.balance)} more`);
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * USD price of every configured asset that has one (see prices/index.js)
+   * @returns {Object} { prices: { [asset]: usd }, source, sources, updatedAt }
+   */
+  async getUsdPrices() {
+    return this.getPriceOracle().getUsdPrices();
+  }
+}
+
+// Export singleton instance
+export default new AssetService();
@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { authConfig, stellarConfig } from '../config.js';
+
+const base64UrlJson = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Wallet Authentication Service
+ * SEP-10 style challenge/response: the server issues a challenge transaction signed
+ * by its own key, the wallet co-signs it, and a verified challenge is exchanged for
+ * a short-lived HS256 session token bound to the wallet's public key.
+ */
+export class AuthService {
+  constructor({
+    clock = { now: () => Date.now() },
+    config = authConfig,
+    networkPassphrase = stellarConfig.network === 'public' ? StellarSDK.Networks.PUBLIC : StellarSDK.Networks.TESTNET
+  } = {}) {
+    this.clock = clock;
+    this.config = config;
+    this.networkPassphrase = networkPassphrase;
+
+    if (config.signingSecret) {
+      this.serverKeypair = StellarSDK.Keypair.fromSecret(config.signingSecret);
+    } else {
+      this.serverKeypair = StellarSDK.Keypair.random();
+      console.warn('⚠️ [AUTH] AUTH_SIGNING_SECRET not set - using an ephemeral challenge signing key');
+    }
+
+    if (config.sessionSecret) {
+      this.sessionSecret = config.sessionSecret;
+    } else {
+      this.sessionSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️ [AUTH] AUTH_SESSION_SECRET not set - sessions will not survive a restart');
+    }
+
+    // Challenge hashes that were already exchanged for a token: hash -> expiry (ms)
+    this.usedChallenges = new Map();
+  }
+
+  /**
+   * Build a challenge transaction for a wallet to sign
+   * @param {string} account - Client's Stellar public key
+   * @returns {Object} { transaction, networkPassphrase, serverAccount }
+   */
+  createChallenge(account) {
+    if (!StellarSDK.StrKey.isValidEd25519PublicKey(account)) {
+      throw new Error('Invalid Stellar account');
+    }
+
+    const transaction = StellarSDK.WebAuth.buildChallengeTx(
+      this.serverKeypair,
+      account,
+      this.config.homeDomain,
+      this.config.challengeTimeoutSeconds,
+      this.networkPassphrase,
+      this.config.webAuthDomain
+    );
+
+    return {
+      transaction,
+      networkPassphrase: this.networkPassphrase,
+      serverAccount: this.serverKeypair.publicKey()
+    };
+  }
+
+  /**
+   * Verify a challenge signed by the client's master key
+   * Throws if the challenge is malformed, expired, reused or not signed by the client.
+   * @param {string} signedChallengeXdr - Challenge transaction signed by the wallet
+   * @returns {string} The authenticated account
+   */
+  verifyChallenge(signedChallengeXdr) {
+    const { tx, clientAccountID } = StellarSDK.WebAuth.readChallengeTx(
+      signedChallengeXdr,
+      this.serverKeypair.publicKey(),
+      this.networkPassphrase,
+      this.config.homeDomain,
+      this.config.webAuthDomain
+    );
+
+    StellarSDK.WebAuth.verifyChallengeTxSigners(
+      signedChallengeXdr,
+      this.serverKeypair.publicKey(),
+      this.networkPassphrase,
+      [clientAccountID],
+      this.config.homeDomain,
+      this.config.webAuthDomain
+    );
+
+    // Each challenge can only be exchanged once
+    this.pruneUsedChallenges();
+    const challengeHash = tx.hash().toString('hex');
+    if (this.usedChallenges.has(challengeHash)) {
+      throw new Error('Challenge has already been used');
+    }
+    this.usedChallenges.set(challengeHash, parseInt(tx.timeBounds.maxTime, 10) * 1000);
+
+    return clientAccountID;
+  }
+
+  /**
+   * Issue a session token for an authenticated account
+   * @returns {Object} { token, account, expiresAt }
+   */
+  issueToken(account) {
+    const issuedAt = Math.floor(this.clock.now() / 1000);
+    const payload = {
+      sub: account,
+      iss: this.config.homeDomain,
+      iat: issuedAt,
+      exp: issuedAt + this.config.sessionTtlSeconds,
+      jti: crypto.randomUUID()
+    };
+
+    const unsigned = `${base64UrlJson({ alg: 'HS256', typ: 'JWT' })}.${base64UrlJson(payload)}`;
+
+    return {
+      token: `${unsigned}.${this.sign(unsigned)}`,
+      account,
+      expiresAt: new Date(payload.exp * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Verify a session token
+   * @returns {Object|null} { account, expiresAt } or null if the token is invalid or expired
+   */
+  verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    try {
+      const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!claims.sub || !claims.exp || claims.exp * 1000 <= this.clock.now()) {
+        return null;
+      }
+      return { account: claims.sub, expiresAt: new Date(claims.exp * 1000).toISOString() };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  sign(data) {
+    return crypto.createHmac('sha256', this.sessionSecret).update(data).digest('base64url');
+  }
+
+  pruneUsedChallenges() {
+    const now = this.clock.now();
+    for (const [hash, expiresAt] of this.usedChallenges) {
+      if (expiresAt <= now) {
+        this.usedChallenges.delete(hash);
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export default new AuthService();
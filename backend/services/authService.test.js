@@ -0,0 +1,110 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { AuthService } from './authService.js';
+import { createClock } from '../testing/fixtures.js';
+
+const NETWORK = StellarSDK.Networks.TESTNET;
+const wallet = StellarSDK.Keypair.random();
+
+const config = {
+  signingSecret: StellarSDK.Keypair.random().secret(),
+  sessionSecret: 'test-session-secret',
+  homeDomain: 'impactpools.test',
+  webAuthDomain: 'api.impactpools.test',
+  challengeTimeoutSeconds: 300,
+  sessionTtlSeconds: 60 * 60
+};
+
+let clock;
+let auth;
+
+// Co-sign a challenge the way the wallet does
+const signChallenge = (challenge, keypair = wallet) => {
+  const transaction = new StellarSDK.Transaction(challenge.transaction, challenge.networkPassphrase);
+  transaction.sign(keypair);
+  return transaction.toXDR();
+};
+
+// Session time follows the real clock because the SDK checks challenge time bounds against it
+beforeEach(() => {
+  clock = createClock(Date.now());
+  auth = new AuthService({ clock, config, networkPassphrase: NETWORK });
+});
+
+test('exchanges a challenge signed by the wallet for its account', () => {
+  const challenge = auth.createChallenge(wallet.publicKey());
+
+  assert.equal(challenge.networkPassphrase, NETWORK);
+  assert.equal(challenge.serverAccount, StellarSDK.Keypair.fromSecret(config.signingSecret).publicKey());
+  assert.equal(auth.verifyChallenge(signChallenge(challenge)), wallet.publicKey());
+});
+
+test('rejects an invalid account', () => {
+  assert.throws(() => auth.createChallenge('not-an-account'), /Invalid Stellar account/);
+});
+
+test('accepts a challenge only once', () => {
+  const signed = signChallenge(auth.createChallenge(wallet.publicKey()));
+
+  auth.verifyChallenge(signed);
+
+  assert.throws(() => auth.verifyChallenge(signed), /already been used/);
+});
+
+test('rejects a challenge the wallet did not sign', () => {
+  const challenge = auth.createChallenge(wallet.publicKey());
+
+  assert.throws(() => auth.verifyChallenge(challenge.transaction));
+  assert.throws(() => auth.verifyChallenge(signChallenge(challenge, StellarSDK.Keypair.random())));
+});
+
+test('rejects a challenge issued by another server key', () => {
+  const otherServer = new AuthService({
+    clock,
+    config: { ...config, signingSecret: StellarSDK.Keypair.random().secret() },
+    networkPassphrase: NETWORK
+  });
+
+  const signed = signChallenge(otherServer.createChallenge(wallet.publicKey()));
+
+  assert.throws(() => auth.verifyChallenge(signed));
+});
+
+test('issues a session token bound to the account', () => {
+  const session = auth.issueToken(wallet.publicKey());
+
+  assert.equal(session.account, wallet.publicKey());
+  assert.equal(session.expiresAt, new Date((Math.floor(clock.now() / 1000) + config.sessionTtlSeconds) * 1000).toISOString());
+  assert.deepEqual(auth.verifyToken(session.token), { account: wallet.publicKey(), expiresAt: session.expiresAt });
+});
+
+test('expires a session token after its TTL', () => {
+  const { token } = auth.issueToken(wallet.publicKey());
+
+  clock.advance((config.sessionTtlSeconds - 1) * 1000);
+  assert.notEqual(auth.verifyToken(token), null);
+
+  clock.advance(1000);
+  assert.equal(auth.verifyToken(token), null);
+});
+
+test('rejects a tampered session token', () => {
+  const { token } = auth.issueToken(wallet.publicKey());
+  const [header, payload, signature] = token.split('.');
+
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...claims, sub: StellarSDK.Keypair.random().publicKey() })).toString('base64url');
+  const flipped = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+  assert.equal(auth.verifyToken(`${header}.${forged}.${signature}`), null);
+  assert.equal(auth.verifyToken(`${header}.${payload}.${flipped}`), null);
+  assert.equal(auth.verifyToken(`${header}.${payload}`), null);
+  assert.equal(auth.verifyToken(undefined), null);
+});
+
+test('rejects a token signed with another session secret', () => {
+  const other = new AuthService({ clock, config: { ...config, sessionSecret: 'another-secret' }, networkPassphrase: NETWORK });
+
+  assert.equal(auth.verifyToken(other.issueToken(wallet.publicKey()).token), null);
+});
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { getStorage } from '../storage/index.js';
+
+// Asset codes are 'IMP' plus 9 base-36 characters: 12, the longest Stellar asset code
+const ASSET_CODE_PREFIX = 'IMP';
+const ASSET_CODE_DIGITS = 9;
+
+// Candidates tried before giving up on a milestone key whose codes are all taken
+const MAX_CODE_ATTEMPTS = 16;
+
+/**
+ * Certificate asset code of a milestone key: derived from SHA-256(milestoneKey)
+ * Deterministic so a resumed mint gets the same code. In the unlikely case the code is already
+ * registered to another milestone, `attempt` picks the next candidate (SHA-256 of `key#attempt`).
+ */
+export const certificateAssetCode = (milestoneKey, attempt = 0) => {
+  const input = attempt === 0 ? milestoneKey : `${milestoneKey}#${attempt}`;
+  const digits = crypto.createHash('sha256').update(input).digest().readBigUInt64BE(0) % 36n ** BigInt(ASSET_CODE_DIGITS);
+  return `${ASSET_CODE_PREFIX}${digits.toString(36).toUpperCase().padStart(ASSET_CODE_DIGITS, '0')}`;
+};
+
+/**
+ * SHA-256 of a certificate's image (or of its metadata when no image was generated)
+ */
+export const certificateImageHash = (certificate) => (
+  crypto.createHash('sha256')
+    .update(Buffer.isBuffer(certificate) ? certificate : JSON.stringify(certificate))
+    .digest('hex')
+);
+
+/**
+ * Certificate Registry
+ * One record per certificate, keyed by its asset code and unique by milestone key:
+ * { assetCode, milestoneKey, issuerPublicKey, recipientPublicKey, status, metadataTxHash,
+ *   paymentTxHash, freezeTxHash, imageHash, createdAt, mintedAt }
+ *
+ * A mint reserves its asset code before creating the issuer ('reserved'), records the issuer
+ * once it exists, and is 'minted' when its certificate is complete. Reserving an already
+ * registered milestone returns its record, so a mint that is run again keeps its code and issuer.
+ */
+export class CertificateRegistry {
+  constructor({
+    clock = { now: () => Date.now() },
+    getStorage: storageProvider = getStorage
+  } = {}) {
+    this.clock = clock;
+    this.getStorage = storageProvider;
+  }
+
+  /**
+   * Register certificates minted before the registry from their milestones' nftDetails
+   */
+  async initialize() {
+    const storage = this.getStorage();
+    const minted = await storage.milestones.list({ statuses: ['minted'] });
+    let registered = 0;
+
+    for (const milestone of minted) {
+      const nft = milestone.nftDetails;
+      if (!nft?.assetCode || await storage.certificates.findByMilestone(milestone.id)) continue;
+
+      const inserted = await storage.certificates.insert({
+        assetCode: nft.assetCode,
+        milestoneKey: milestone.id,
+        issuerPublicKey: nft.issuerPublicKey || null,
+        recipientPublicKey: milestone.recipientPublicKey,
+        status: 'minted',
+        metadataTxHash: nft.metadataTxHash || null,
+        paymentTxHash: nft.paymentTxHash || null,
+        freezeTxHash: nft.freezeTxHash || null,
+        imageHash: nft.certificateImage
+          ? certificateImageHash(Buffer.from(nft.certificateImage, 'base64'))
+          : (nft.certificateData ? certificateImageHash(nft.certificateData) : null),
+        createdAt: milestone.claimedAt || nft.mintedAt,
+        mintedAt: nft.mintedAt
+      });
+
+      if (inserted) {
+        registered++;
+      } else {
+        console.warn(`⚠️ [REGISTRY] Asset code ${nft.assetCode} of ${milestone.id} is already registered to another certificate`);
+      }
+    }
+
+    if (registered > 0) {
+      console.log(`📒 [REGISTRY] Registered ${registered} previously minted certificates`);
+    }
+    return this;
+  }
+
+  /**
+   * Reserve the asset code of a milestone's certificate
+   * @returns {Object} The milestone's registry record (existing or newly reserved)
+   */
+  async reserve(milestoneKey, recipientPublicKey) {
+    if (!milestoneKey) {
+      throw new Error('A milestone key is required to register a certificate');
+    }
+
+    const storage = this.getStorage();
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      const existing = await storage.certificates.findByMilestone(milestoneKey);
+      if (existing) return existing;
+
+      const assetCode = certificateAssetCode(milestoneKey, attempt);
+      const certificate = {
+        assetCode,
+        milestoneKey,
+        issuerPublicKey: null,
+        recipientPublicKey,
+        status: 'reserved',
+        createdAt: new Date(this.clock.now()).toISOString()
+      };
+      if (await storage.certificates.insert(certificate)) {
+        console.log(`📒 [REGISTRY] Reserved asset code ${assetCode} for ${milestoneKey}`);
+        return certificate;
+      }
+    }
+
+    throw new Error(`No free certificate asset code for ${milestoneKey}`);
+  }
+
+  async recordIssuer(assetCode, issuerPublicKey) {
+    return this.getStorage().certificates.update(assetCode, { issuerPublicKey });
+  }
+
+  /**
+   * Record a completed certificate (see nftService.certificateDetails)
+   */
+  async recordMinted(nft) {
+    return this.getStorage().certificates.update(nft.assetCode, {
+      issuerPublicKey: nft.issuerPublicKey,
+      status: 'minted',
+      metadataTxHash: nft.metadataTxHash,
+      paymentTxHash: nft.paymentTxHash,
+      freezeTxHash: nft.freezeTxHash,
+      imageHash: nft.imageHash,
+      mintedAt: nft.mintedAt
+    });
+  }
+
+  async get(assetCode) {
+    return this.getStorage().certificates.get(assetCode);
+  }
+
+  async findByMilestone(milestoneKey) {
+    return this.getStorage().certificates.findByMilestone(milestoneKey);
+  }
+
+  /**
+   * A recipient's certificates, oldest first
+   */
+  async listByRecipient(recipientPublicKey) {
+    return this.getStorage().certificates.list({ recipient: recipientPublicKey, limit: 1000 });
+  }
+}
+
+// Export singleton instance
+export default new CertificateRegistry();
@@ -0,0 +1,127 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { CertificateRegistry, certificateAssetCode, certificateImageHash } from './certificateRegistry.js';
+import { START, createClock, useTestStorage } from '../testing/fixtures.js';
+
+const MILESTONE_KEY = 'pool_pool_registry_test_100';
+const RECIPIENT = 'GRECIPIENT';
+
+test('derives a 12 character asset code from the milestone key', () => {
+  const code = certificateAssetCode(MILESTONE_KEY);
+
+  assert.match(code, /^IMP[0-9A-Z]{9}$/);
+  assert.equal(certificateAssetCode(MILESTONE_KEY), code);
+  assert.notEqual(certificateAssetCode('pool_pool_registry_test_500'), code);
+});
+
+test('derives the fallback codes from the key and the attempt', () => {
+  const fallback = certificateAssetCode(MILESTONE_KEY, 1);
+
+  assert.match(fallback, /^IMP[0-9A-Z]{9}$/);
+  assert.notEqual(fallback, certificateAssetCode(MILESTONE_KEY));
+  assert.equal(fallback, certificateAssetCode(`${MILESTONE_KEY}#1`));
+  assert.notEqual(certificateAssetCode(MILESTONE_KEY, 2), fallback);
+});
+
+// The registry relies on the store to keep asset codes and milestone keys unique
+for (const driver of ['json', 'sqlite']) {
+  describe(`certificate registry on ${driver} storage`, () => {
+    const stores = useTestStorage(`certificates-${driver}`, { driver });
+
+    let storage;
+    let registry;
+
+    // A certificate of another milestone holding `assetCode`
+    const takeCode = (assetCode, milestoneKey) => storage.certificates.insert({
+      assetCode,
+      milestoneKey,
+      issuerPublicKey: null,
+      recipientPublicKey: 'GOTHER',
+      status: 'reserved',
+      createdAt: new Date(START).toISOString()
+    });
+
+    beforeEach(async () => {
+      storage = await stores.open();
+      registry = new CertificateRegistry({ clock: createClock(), getStorage: () => storage });
+    });
+
+    test('reserves the derived code once per milestone', async () => {
+      const reserved = await registry.reserve(MILESTONE_KEY, RECIPIENT);
+
+      assert.deepEqual(reserved, {
+        assetCode: certificateAssetCode(MILESTONE_KEY),
+        milestoneKey: MILESTONE_KEY,
+        issuerPublicKey: null,
+        recipientPublicKey: RECIPIENT,
+        status: 'reserved',
+        createdAt: new Date(START).toISOString()
+      });
+
+      // A resumed mint gets its code and issuer back
+      await registry.recordIssuer(reserved.assetCode, 'GISSUER');
+      const again = await registry.reserve(MILESTONE_KEY, RECIPIENT);
+
+      assert.equal(again.assetCode, reserved.assetCode);
+      assert.equal(again.issuerPublicKey, 'GISSUER');
+      assert.equal((await registry.listByRecipient(RECIPIENT)).length, 1);
+    });
+
+    test('falls back to the next code when the derived one is taken', async () => {
+      await takeCode(certificateAssetCode(MILESTONE_KEY), 'pool_other_100');
+
+      const reserved = await registry.reserve(MILESTONE_KEY, RECIPIENT);
+
+      assert.equal(reserved.assetCode, certificateAssetCode(MILESTONE_KEY, 1));
+      assert.equal((await registry.findByMilestone(MILESTONE_KEY)).assetCode, reserved.assetCode);
+    });
+
+    test('gives up when every candidate code is taken', async () => {
+      for (let attempt = 0; attempt < 16; attempt++) {
+        await takeCode(certificateAssetCode(MILESTONE_KEY, attempt), `pool_other_${attempt}`);
+      }
+
+      await assert.rejects(registry.reserve(MILESTONE_KEY, RECIPIENT), /No free certificate asset code/);
+      await assert.rejects(registry.reserve(null, RECIPIENT), /milestone key is required/);
+    });
+
+    test('registers certificates minted before the registry on startup', async () => {
+      const minted = (id, nftDetails) => storage.milestones.insert({
+        id,
+        poolId: 'pool_registry_test',
+        type: 'pool',
+        recipientPublicKey: RECIPIENT,
+        milestone: 100,
+        status: 'minted',
+        claimedAt: new Date(START).toISOString(),
+        nftDetails
+      });
+      const certificateData = { title: 'First $100 donated' };
+      await minted('pool_legacy_100', {
+        assetCode: 'IMPLEGACY001',
+        issuerPublicKey: 'GISSUER',
+        paymentTxHash: 'tx_payment',
+        certificateData,
+        mintedAt: new Date(START + 1000).toISOString()
+      });
+      await minted('pool_legacy_500', { issuerPublicKey: 'GISSUER' });
+      // pool_legacy_1000's code is already registered to another certificate
+      await takeCode('IMPLEGACY002', 'pool_other_100');
+      await minted('pool_legacy_1000', { assetCode: 'IMPLEGACY002', mintedAt: new Date(START).toISOString() });
+
+      await registry.initialize();
+      await registry.initialize();
+
+      const certificate = await registry.get('IMPLEGACY001');
+      assert.equal(certificate.milestoneKey, 'pool_legacy_100');
+      assert.equal(certificate.status, 'minted');
+      assert.equal(certificate.issuerPublicKey, 'GISSUER');
+      assert.equal(certificate.paymentTxHash, 'tx_payment');
+      assert.equal(certificate.imageHash, certificateImageHash(certificateData));
+      assert.equal(certificate.createdAt, new Date(START).toISOString());
+      assert.deepEqual((await registry.listByRecipient(RECIPIENT)).map(entry => entry.assetCode), ['IMPLEGACY001']);
+      assert.equal(await registry.findByMilestone('pool_legacy_500'), null);
+      assert.equal((await registry.get('IMPLEGACY002')).milestoneKey, 'pool_other_100');
+    });
+  });
+}
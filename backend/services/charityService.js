@@ -0,0 +1,414 @@
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { getStorage } from '../storage/index.js';
+import { poolAssetTotals } from './assetService.js';
+import { validateLadders } from './milestoneLadders.js';
+
+export const VERIFICATION_STATUSES = ['pending', 'verified', 'rejected'];
+
+export const MAX_CHARITIES_PER_POOL = 5;
+
+const SEED_MARKER_KEY = 'charityRegistrySeed';
+
+/**
+ * Charities the registry starts with (previously hard-coded in the frontend and config.js)
+ * Doctors Without Borders shared the Stellar Community Fund's address, so it starts
+ * without one and stays pending until its own address is verified.
+ */
+const DEFAULT_CHARITIES = [
+  {
+    id: 'stellar-community-fund',
+    name: 'Stellar Community Fund',
+    address: 'GDKTQSV73PCX62MVQJV3NNAKYUQMXUP6MNQMQYJ4XI7REPQKHFDAENCF',
+    website: 'https://communityfund.stellar.org',
+    verificationStatus: 'verified'
+  },
+  {
+    id: 'charity-water',
+    name: 'Charity: Water',
+    address: 'GDWAFO6SXQS7FCMPGPS74FWL4INPAMMXFAYX5JJWXE5KJI22YF3LJZM7',
+    website: 'https://www.charitywater.org',
+    verificationStatus: 'verified'
+  },
+  {
+    id: 'red-cross',
+    name: 'Red Cross',
+    address: 'GAEYMY5KLHSRZQPC2RV7FSETCB27J2BU7OQ4U6O2LG6ZMXIZPUZCYAHD',
+    website: 'https://www.redcross.org',
+    verificationStatus: 'verified'
+  },
+  {
+    id: 'doctors-without-borders',
+    name: 'Doctors Without Borders',
+    address: null,
+    website: 'https://www.doctorswithoutborders.org',
+    verificationStatus: 'pending'
+  }
+];
+
+const EDITABLE_FIELDS = ['name', 'address', 'description', 'logoUrl', 'website', 'verificationStatus', 'milestoneLadders'];
+
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 48);
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * A pool's charity split: [{ charityId, charity, share }] with shares (percent of the
+ * donated yield) summing to 100. Pools created before splits existed give everything
+ * to their single charity.
+ */
+export const poolSplits = (pool) => (
+  Array.isArray(pool.charitySplits) && pool.charitySplits.length > 0
+    ? pool.charitySplits
+    : [{ charityId: pool.charityId || null, charity: pool.charity, share: 100 }]
+);
+
+/**
+ * Divide an amount between a pool's charities by share
+ * The last charity receives the remainder so the parts always add up to `amount`.
+ * @returns {Array} [{ charityId, amount }]
+ */
+export const splitAmount = (amount, splits) => {
+  let allocated = 0;
+  return splits.map((split, index) => {
+    const part = index === splits.length - 1 ? amount - allocated : amount * split.share / 100;
+    allocated += part;
+    return { charityId: split.charityId, amount: part };
+  });
+};
+
+/**
+ * Donations each of a pool's charities has received and been paid, per asset
+ * Donations accrued before per-charity tracking (an asset's donated total not covered by
+ * donatedByCharity) are attributed by share; for single-charity pools payouts settled
+ * before per-charity tracking count towards that charity. Assets the pool has not
+ * donated yet are left out.
+ * @returns {Array} [{ charityId, charity, share, asset, donated, paid }]
+ */
+export const charityDonations = (pool) => {
+  const splits = poolSplits(pool);
+
+  return Object.entries(poolAssetTotals(pool))
+    .filter(([, totals]) => totals.donated > 0)
+    .flatMap(([asset, totals]) => {
+      const donatedByCharity = totals.donatedByCharity || {};
+      const paidByCharity = totals.donationsPaidByCharity || {};
+
+      const attributed = Object.values(donatedByCharity).reduce((sum, amount) => sum + amount, 0);
+      const unattributed = splitAmount(Math.max(0, totals.donated - attributed), splits);
+
+      return splits.map((split, index) => ({
+        charityId: split.charityId,
+        charity: split.charity,
+        share: split.share,
+        asset,
+        donated: (donatedByCharity[split.charityId] || 0) + unattributed[index].amount,
+        paid: paidByCharity[split.charityId] ?? (splits.length === 1 ? totals.donationsPaid || 0 : 0)
+      }));
+    });
+};
+
+/**
+ * Display name for a split, e.g. "Charity: Water & Red Cross"
+ */
+export const describeSplits = (splits) => {
+  const names = splits.map(split => split.charity);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}` : names[0];
+};
+
+/**
+ * Charity Service
+ * Registry of the charities pools can donate to. Pools reference charities by ID in their
+ * `charitySplits` and keep the charities' names for display; payouts only go to verified charities.
+ */
+class CharityService {
+  /**
+   * Seed the registry on first start and link existing pools to it by charity name
+   */
+  async initialize() {
+    const storage = getStorage();
+
+    if (!(await storage.meta.get(SEED_MARKER_KEY))) {
+      const now = new Date().toISOString();
+      for (const charity of DEFAULT_CHARITIES) {
+        if (await storage.charities.get(charity.id)) continue;
+        await storage.charities.insert({
+          description: '',
+          logoUrl: null,
+          ...charity,
+          verifiedAt: charity.verificationStatus === 'verified' ? now : null,
+          createdAt: now,
+          updatedAt: now
+        });
+      }
+      await storage.meta.set(SEED_MARKER_KEY, { seededAt: now, charities: DEFAULT_CHARITIES.length });
+      console.log(`🏥 [CHARITY] Seeded registry with ${DEFAULT_CHARITIES.length} charities`);
+    }
+
+    const charities = await storage.charities.list();
+    const byName = new Map(charities.map(charity => [charity.name, charity]));
+    let linked = 0;
+
+    for (const pool of await storage.pools.list()) {
+      if (pool.charityId || !byName.has(pool.charity)) continue;
+      await storage.pools.update(pool.id, { charityId: byName.get(pool.charity).id });
+      linked++;
+    }
+
+    if (linked > 0) {
+      console.log(`🏥 [CHARITY] Linked ${linked} pools to the charity registry`);
+    }
+  }
+
+  async list({ status } = {}) {
+    return getStorage().charities.list({ status });
+  }
+
+  async get(id) {
+    return getStorage().charities.get(id);
+  }
+
+  /**
+   * Validate charity fields
+   * @param {Object} fields - Fields to validate (only those present are checked unless `partial` is false);
+   *   valid `milestoneLadders` are replaced by their validated steps
+   * @returns {Object} { valid: true } or { valid: false, status, error, message }
+   */
+  validate(fields, { partial = false } = {}) {
+    const reject = (error, message) => ({ valid: false, status: 400, error, message });
+
+    if (!partial || fields.name !== undefined) {
+      if (typeof fields.name !== 'string' || fields.name.trim().length < 2 || fields.name.length > 100) {
+        return reject('Invalid name', 'Charity name must be between 2 and 100 characters');
+      }
+    }
+
+    if (fields.address !== undefined && fields.address !== null && !StellarSDK.StrKey.isValidEd25519PublicKey(fields.address)) {
+      return reject('Invalid address', 'address must be a valid Stellar public key');
+    }
+
+    if (fields.verificationStatus !== undefined && !VERIFICATION_STATUSES.includes(fields.verificationStatus)) {
+      return reject('Invalid verification status', `verificationStatus must be one of ${VERIFICATION_STATUSES.join(', ')}`);
+    }
+
+    for (const field of ['website', 'logoUrl']) {
+      if (fields[field] !== undefined && fields[field] !== null && fields[field] !== '' && !isHttpUrl(fields[field])) {
+        return reject(`Invalid ${field}`, `${field} must be an http(s) URL`);
+      }
+    }
+
+    if (fields.description !== undefined && fields.description !== null && typeof fields.description !== 'string') {
+      return reject('Invalid description', 'description must be a string');
+    }
+
+    if (fields.milestoneLadders !== undefined && fields.milestoneLadders !== null) {
+      const ladders = validateLadders(fields.milestoneLadders);
+      if (!ladders.valid) return ladders;
+      fields.milestoneLadders = ladders.ladders;
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Check that no other charity is registered with an address
+   */
+  async checkAddressAvailable(address, charityId = null) {
+    if (!address) return { valid: true };
+
+    const existing = await getStorage().charities.findByAddress(address);
+    if (existing && existing.id !== charityId) {
+      return {
+        valid: false,
+        status: 409,
+        error: 'Duplicate address',
+        message: `${address} is already registered to ${existing.name}`
+      };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * Register a charity (new charities are pending unless a status is given)
+   * @returns {Object} { valid: true, charity } or { valid: false, status, error, message }
+   */
+  async create(data) {
+    const fields = Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+    fields.verificationStatus = fields.verificationStatus || 'pending';
+
+    const validation = this.validate(fields);
+    if (!validation.valid) return validation;
+
+    if (fields.verificationStatus === 'verified' && !fields.address) {
+      return { valid: false, status: 400, error: 'Missing address', message: 'A charity needs a payout address before it can be verified' };
+    }
+
+    const storage = getStorage();
+    const id = data.id || slugify(fields.name);
+    if (!id || await storage.charities.get(id)) {
+      return { valid: false, status: 409, error: 'Charity already exists', message: `A charity with ID ${id} already exists` };
+    }
+
+    const addressCheck = await this.checkAddressAvailable(fields.address);
+    if (!addressCheck.valid) return addressCheck;
+
+    const now = new Date().toISOString();
+    const charity = await storage.charities.insert({
+      id,
+      name: fields.name.trim(),
+      address: fields.address || null,
+      description: fields.description || '',
+      logoUrl: fields.logoUrl || null,
+      website: fields.website || null,
+      milestoneLadders: fields.milestoneLadders || null,
+      verificationStatus: fields.verificationStatus,
+      verifiedAt: fields.verificationStatus === 'verified' ? now : null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    console.log(`🏥 [CHARITY] Registered ${charity.name} (${charity.verificationStatus})`);
+    return { valid: true, charity };
+  }
+
+  /**
+   * Update a charity; renames are copied to the pools that support it
+   * Changing the payout address sends the charity back to 'pending' unless the same
+   * update verifies it again.
+   * @returns {Object} { valid: true, charity } or { valid: false, status, error, message }
+   */
+  async update(id, data) {
+    const storage = getStorage();
+    const existing = await storage.charities.get(id);
+    if (!existing) {
+      return { valid: false, status: 404, error: 'Charity not found', message: `No charity found with ID: ${id}` };
+    }
+
+    const changes = Object.fromEntries(EDITABLE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+
+    const validation = this.validate(changes, { partial: true });
+    if (!validation.valid) return validation;
+
+    if (changes.name !== undefined) changes.name = changes.name.trim();
+
+    const addressChanged = changes.address !== undefined && changes.address !== existing.address;
+    if (addressChanged) {
+      const addressCheck = await this.checkAddressAvailable(changes.address, id);
+      if (!addressCheck.valid) return addressCheck;
+
+      if (changes.verificationStatus === undefined && existing.verificationStatus === 'verified') {
+        changes.verificationStatus = 'pending';
+      }
+    }
+
+    const address = changes.address !== undefined ? changes.address : existing.address;
+    const status = changes.verificationStatus || existing.verificationStatus;
+    if (status === 'verified' && !address) {
+      return { valid: false, status: 400, error: 'Missing address', message: 'A charity needs a payout address before it can be verified' };
+    }
+
+    if (changes.verificationStatus !== undefined && changes.verificationStatus !== existing.verificationStatus) {
+      changes.verifiedAt = changes.verificationStatus === 'verified' ? new Date().toISOString() : null;
+    }
+
+    const charity = await storage.charities.update(id, { ...changes, updatedAt: new Date().toISOString() });
+
+    if (changes.name !== undefined && changes.name !== existing.name) {
+      for (const pool of await storage.pools.list()) {
+        if (!poolSplits(pool).some(split => split.charityId === id)) continue;
+
+        const splits = poolSplits(pool).map(split => (split.charityId === id ? { ...split, charity: charity.name } : split));
+        await storage.pools.update(pool.id, {
+          charity: describeSplits(splits),
+          ...(pool.charitySplits ? { charitySplits: splits } : {})
+        });
+      }
+    }
+
+    return { valid: true, charity };
+  }
+
+  /**
+   * Remove a charity that no pool supports
+   * @returns {Object} { valid: true, charity } or { valid: false, status, error, message }
+   */
+  async remove(id) {
+    const storage = getStorage();
+    const existing = await storage.charities.get(id);
+    if (!existing) {
+      return { valid: false, status: 404, error: 'Charity not found', message: `No charity found with ID: ${id}` };
+    }
+
+    const supportingPools = (await storage.pools.list())
+      .filter(pool => poolSplits(pool).some(split => split.charityId === id));
+    if (supportingPools.length > 0) {
+      return {
+        valid: false,
+        status: 409,
+        error: 'Charity in use',
+        message: `${supportingPools.length} pools donate to ${existing.name}; reject the charity instead of deleting it`
+      };
+    }
+
+    await storage.charities.remove(id);
+    return { valid: true, charity: existing };
+  }
+
+  /**
+   * Resolve the charities a new pool donates to
+   * Accepts either `charitySplits` ([{ charityId, share }], shares summing to 100) or a
+   * single `charityId` that receives the whole donation.
+   * @returns {Object} { valid: true, splits } or { valid: false, status, error, message }
+   */
+  async resolveSplitsForPool({ charitySplits, charityId }) {
+    const reject = (error, message) => ({ valid: false, status: 400, error, message });
+    const requested = charitySplits ?? (charityId ? [{ charityId, share: 100 }] : []);
+
+    if (!Array.isArray(requested) || requested.length === 0 || requested.length > MAX_CHARITIES_PER_POOL) {
+      return reject('Invalid charity split', `A pool must support between 1 and ${MAX_CHARITIES_PER_POOL} charities`);
+    }
+
+    if (new Set(requested.map(split => split?.charityId)).size !== requested.length) {
+      return reject('Invalid charity split', 'Each charity can only appear once in a split');
+    }
+
+    for (const split of requested) {
+      if (typeof split?.share !== 'number' || !(split.share > 0) || Math.abs(Math.round(split.share * 100) - split.share * 100) > 1e-6) {
+        return reject('Invalid charity split', 'Shares must be positive percentages with at most two decimals');
+      }
+    }
+
+    const total = requested.reduce((sum, split) => sum + Math.round(split.share * 100), 0);
+    if (total !== 100 * 100) {
+      return reject('Invalid charity split', `Charity shares must total 100% (got ${total / 100}%)`);
+    }
+
+    const splits = [];
+    for (const split of requested) {
+      const charity = split.charityId ? await getStorage().charities.get(split.charityId) : null;
+
+      if (!charity) {
+        return reject('Unknown charity', `No charity found with ID: ${split.charityId}`);
+      }
+      if (charity.verificationStatus !== 'verified') {
+        return reject('Charity not verified', `${charity.name} has not been verified yet`);
+      }
+
+      splits.push({ charityId: charity.id, charity: charity.name, share: split.share });
+    }
+
+    return { valid: true, splits };
+  }
+}
+
+// Export singleton instance
+export default new CharityService();
@@ -0,0 +1,246 @@
+import { getStorage } from '../storage/index.js';
+import { getSoroban } from '../soroban/index.js';
+import { contractEventsConfig } from '../config.js';
+import { NATIVE_ASSET } from './assetService.js';
+import depositService from './depositService.js';
+
+const CHECKPOINT_META_KEY = 'contractEvents';
+
+const explorerLink = (hash) => `https://stellar.expert/explorer/testnet/tx/${hash}`;
+
+/**
+ * Contract Event Indexer
+ * Pages through Soroban `getEvents` for the contract of every pool with a `contractId` and
+ * stores their deposit, withdrawal, yield, pause and resume events (storage.contractEvents).
+ *
+ * Deposits and withdrawals are also written to the pool's deposit ledger and transaction
+ * history, the same ledger classic-payment pools are credited to, so balances, limits and
+ * earnings work the same for both kinds of pool. A deposit whose transaction was already
+ * credited through POST /api/pools/:id/deposits is not credited twice. Contract yield is
+ * recorded as a 'contract_yield' transaction only: the pool's yield is accrued by the yield engine.
+ *
+ * Progress is checkpointed per contract in storage.meta (the last processed ledger and the
+ * paging cursor), so a restart resumes where the last run stopped. Events are stored by id and
+ * ledger entries are keyed by event id, so reading an event twice has no effect.
+ * Amounts are in XLM, the asset the pool contracts hold.
+ */
+export class ContractEventIndexer {
+  constructor({
+    clock = { now: () => Date.now() },
+    getStorage: storageProvider = getStorage,
+    getSoroban: sorobanProvider = getSoroban,
+    deposits = depositService,
+    config = contractEventsConfig
+  } = {}) {
+    this.clock = clock;
+    this.getStorage = storageProvider;
+    this.getSoroban = sorobanProvider;
+    this.deposits = deposits;
+    this.config = config;
+
+    this.isRunning = false;
+    this.interval = null;
+    this.activeRun = null;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`📜 [INDEXER] Contract event indexer started (every ${this.config.intervalSeconds}s)`);
+
+    this.indexAll();
+    this.interval = setInterval(() => this.indexAll(), this.config.intervalSeconds * 1000);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.interval);
+    this.interval = null;
+    this.isRunning = false;
+    console.log('🛑 [INDEXER] Contract event indexer stopped');
+  }
+
+  /**
+   * Index every pool contract once (concurrent calls share the active run)
+   * A contract that fails is logged and retried from its checkpoint on the next run.
+   * @returns {Array} [{ poolId, contractId, indexed, ledger, error }]
+   */
+  indexAll() {
+    if (!this.activeRun) {
+      this.activeRun = this.executeRun()
+        .catch(error => {
+          console.error('❌ [INDEXER] Indexing run failed:', error);
+          return [];
+        })
+        .finally(() => {
+          this.activeRun = null;
+        });
+    }
+    return this.activeRun;
+  }
+
+  async executeRun() {
+    const storage = this.getStorage();
+    const pools = (await storage.pools.list()).filter(pool => pool.contractId);
+    const checkpoints = (await storage.meta.get(CHECKPOINT_META_KEY)) || {};
+    const results = [];
+
+    for (const pool of pools) {
+      try {
+        const { indexed, checkpoint } = await this.indexContract(pool, checkpoints);
+        results.push({ poolId: pool.id, contractId: pool.contractId, indexed, ledger: checkpoint.ledger, error: null });
+      } catch (error) {
+        console.warn(`⚠️ [INDEXER] Failed to index contract ${pool.contractId} of pool ${pool.id}:`, error.message);
+        results.push({ poolId: pool.id, contractId: pool.contractId, indexed: 0, ledger: checkpoints[pool.contractId]?.ledger ?? null, error: error.message });
+      }
+    }
+
+    this.lastRun = {
+      at: new Date(this.clock.now()).toISOString(),
+      contracts: results.length,
+      indexed: results.reduce((sum, result) => sum + result.indexed, 0),
+      failed: results.filter(result => result.error).length
+    };
+    return results;
+  }
+
+  /**
+   * Read a contract's events from its checkpoint up to the latest ledger
+   * The checkpoint is saved after every page. Once the contract is caught up the cursor is
+   * dropped and the next run starts from the latest ledger again (events already stored from
+   * that ledger are skipped), so the checkpoint never falls behind the RPC server's history.
+   * @param {Object} checkpoints - { [contractId]: { ledger, cursor, updatedAt } }, updated in place
+   * @returns {Object} { indexed, checkpoint }
+   */
+  async indexContract(pool, checkpoints) {
+    const storage = this.getStorage();
+    const soroban = this.getSoroban();
+    const { contractId } = pool;
+
+    let checkpoint = checkpoints[contractId];
+    if (!checkpoint) {
+      const startLedger = this.config.startLedger
+        || Math.max(1, (await soroban.getLatestLedger()) - this.config.lookbackLedgers);
+      checkpoint = { ledger: startLedger, cursor: null };
+    }
+
+    let indexed = 0;
+    for (;;) {
+      const page = await soroban.getEvents({
+        contractId,
+        startLedger: checkpoint.ledger,
+        cursor: checkpoint.cursor,
+        limit: this.config.pageLimit
+      });
+
+      for (const event of page.events) {
+        if (await this.processEvent(pool, event)) indexed++;
+      }
+
+      const last = page.events[page.events.length - 1];
+      const caughtUp = page.events.length < this.config.pageLimit;
+      checkpoint = caughtUp
+        ? { ledger: Math.max(last?.ledger ?? 0, page.latestLedger, checkpoint.ledger), cursor: null }
+        : { ledger: last.ledger, cursor: last.pagingToken };
+      checkpoint.updatedAt = new Date(this.clock.now()).toISOString();
+
+      checkpoints[contractId] = checkpoint;
+      await storage.meta.set(CHECKPOINT_META_KEY, checkpoints);
+
+      if (caughtUp) break;
+    }
+
+    if (indexed > 0) {
+      console.log(`📜 [INDEXER] Indexed ${indexed} events of contract ${contractId} (pool ${pool.id}) up to ledger ${checkpoint.ledger}`);
+    }
+    return { indexed, checkpoint };
+  }
+
+  /**
+   * Store one contract event and write it to the pool's ledger
+   * The ledger is written first and is idempotent, so an event is never stored without its
+   * ledger entry even if the process stops in between.
+   * @returns {boolean} Whether the event was new
+   */
+  async processEvent(pool, event) {
+    if (!event.successful || !event.type) {
+      return false;
+    }
+
+    const storage = this.getStorage();
+    const timestamp = event.ledgerClosedAt ? new Date(event.ledgerClosedAt).toISOString() : new Date(this.clock.now()).toISOString();
+    const txLink = event.txHash ? explorerLink(event.txHash) : null;
+
+    if (event.type === 'deposit' || event.type === 'withdrawal') {
+      const credited = event.type === 'deposit' && event.txHash ? await storage.deposits.findByTxHash(event.txHash) : null;
+
+      // Re-reading an event we credited ourselves is a no-op in creditLedger
+      if (!credited || credited.contractEventId === event.id) {
+        const amount = event.type === 'deposit' ? event.amount : -event.amount;
+        await this.deposits.creditLedger(pool.id, {
+          id: `contract_${event.id}`,
+          poolId: pool.id,
+          userId: event.user,
+          asset: NATIVE_ASSET,
+          amount,
+          timestamp,
+          txHash: event.txHash,
+          txLink,
+          isSmartContract: true,
+          contractEventId: event.id
+        }, {
+          id: event.txHash || `contract_${event.id}`,
+          poolId: pool.id,
+          type: event.type,
+          amount: event.amount,
+          asset: NATIVE_ASSET,
+          user: event.user,
+          timestamp,
+          link: txLink,
+          isSmartContract: true,
+          contractEventId: event.id
+        }, event.type);
+      }
+    } else if (event.type === 'yield') {
+      await storage.transactions.add({
+        id: `contract_${event.id}`,
+        poolId: pool.id,
+        type: 'contract_yield',
+        amount: event.amount,
+        donated: event.donationAmount,
+        asset: NATIVE_ASSET,
+        user: null,
+        timestamp,
+        link: txLink,
+        contractEventId: event.id
+      });
+    }
+
+    const { successful, pagingToken, ...stored } = event;
+    return storage.contractEvents.add({ ...stored, poolId: pool.id, ledgerClosedAt: timestamp });
+  }
+
+  /**
+   * Indexer status and each contract's checkpoint
+   */
+  async getStatus() {
+    const checkpoints = (await this.getStorage().meta.get(CHECKPOINT_META_KEY)) || {};
+
+    return {
+      isRunning: this.isRunning,
+      intervalSeconds: this.config.intervalSeconds,
+      lastRun: this.lastRun,
+      checkpoints
+    };
+  }
+}
+
+// Export singleton instance
+export default new ContractEventIndexer();
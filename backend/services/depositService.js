@@ -0,0 +1,240 @@
+import { getStorage } from '../storage/index.js';
+import { getHorizon } from '../horizon/index.js';
+import { stellarConfig } from '../config.js';
+import yieldService from './yieldService.js';
+import assetService, { emptyAssetTotals, poolAssetTotals } from './assetService.js';
+import treasuryService from './treasuryService.js';
+import eventService from './eventService.js';
+import domainEvents from './domainEvents.js';
+
+const TX_HASH_PATTERN = /^[0-9a-f]{64}$/i;
+
+const explorerLink = (hash) => `https://stellar.expert/explorer/testnet/tx/${hash}`;
+
+/**
+ * Deposit Service
+ * Credits pools only from deposits that can be verified on the Stellar network.
+ * Clients submit a transaction hash; the amount, asset and depositor come from Horizon.
+ */
+class DepositService {
+  constructor() {
+    // Hashes currently being verified, so concurrent submissions can't double-credit
+    this.pending = new Set();
+  }
+
+  /**
+   * Memo that identifies a traditional pool on plain payments to its treasury
+   * (payments to the pool's muxed depositAddress don't need it)
+   */
+  expectedMemo(pool) {
+    return `Deposit: ${pool.id.slice(-8)}`;
+  }
+
+  /**
+   * Check a Horizon transaction against a pool
+   * @param {Object} pool - Pool summary
+   * @param {Object} transaction - Normalized Horizon transaction
+   * @returns {Object} { valid: true, deposit } or { valid: false, status, error, message }
+   */
+  verifyTransaction(pool, transaction) {
+    const reject = (error, message) => ({ valid: false, status: 422, error, message });
+    const isSmartContract = !!(pool.isSmartContract && pool.contractId);
+
+    if (!transaction.successful) {
+      return reject('Transaction failed', 'The transaction was not successful on the Stellar network');
+    }
+
+    const destination = isSmartContract ? pool.contractId : (pool.treasury || stellarConfig.poolTreasury);
+    const toTreasury = transaction.payments.filter(payment => payment.to === destination);
+    if (toTreasury.length === 0) {
+      return reject('Wrong destination', `The transaction does not pay the pool ${isSmartContract ? 'contract' : 'treasury'} ${treasuryService.depositAddress(pool)}`);
+    }
+
+    // Payments to the pool's muxed address identify the pool by themselves; plain payments
+    // to the treasury (how deposits were made before per-pool addresses) need the pool memo
+    let toPool = toTreasury;
+    if (!isSmartContract) {
+      const toMuxed = toTreasury.filter(payment => pool.treasuryMuxedId && payment.toMuxedId === pool.treasuryMuxedId);
+      const unmuxed = toTreasury.filter(payment => !payment.toMuxedId);
+
+      if (toMuxed.length > 0) {
+        toPool = toMuxed;
+      } else if (unmuxed.length === 0) {
+        return reject('Wrong destination', `The transaction pays another pool; deposits into this pool go to ${treasuryService.depositAddress(pool)}`);
+      } else if (transaction.memo !== this.expectedMemo(pool)) {
+        return reject('Memo mismatch', `Deposits into this pool must be sent to ${treasuryService.depositAddress(pool)} or use the memo "${this.expectedMemo(pool)}"`);
+      } else {
+        toPool = unmuxed;
+      }
+    }
+
+    const fromSource = toPool.filter(payment => payment.from === transaction.sourceAccount);
+    if (fromSource.length === 0) {
+      return reject('Source mismatch', 'The payment must be sent from the transaction source account');
+    }
+
+    const inPoolAssets = fromSource.filter(payment => (pool.assets || []).includes(payment.asset));
+    if (inPoolAssets.length === 0) {
+      return reject('Unsupported asset', `This pool accepts ${(pool.assets || []).join(', ')}`);
+    }
+
+    // A look-alike asset from another issuer is worthless to the pool
+    const payments = inPoolAssets.filter(payment => assetService.isConfiguredAsset(payment));
+    if (payments.length === 0) {
+      const { asset } = inPoolAssets[0];
+      return assetService.isSupported(asset)
+        ? reject('Unknown issuer', `Only ${asset} issued by ${assetService.toStellarAsset(asset).getIssuer()} is accepted`)
+        : reject('Unsupported asset', `${asset} deposits are not enabled on this server`);
+    }
+    if (new Set(payments.map(payment => payment.asset)).size > 1) {
+      return reject('Multiple assets', 'A deposit transaction must pay a single asset');
+    }
+
+    const amount = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    if (!(amount > 0)) {
+      return reject('Invalid amount', 'The deposit amount must be positive');
+    }
+
+    return {
+      valid: true,
+      deposit: {
+        userId: transaction.sourceAccount,
+        asset: payments[0].asset,
+        amount,
+        timestamp: new Date(transaction.createdAt).toISOString(),
+        txHash: transaction.hash,
+        isSmartContract
+      }
+    };
+  }
+
+  /**
+   * Verify a deposit transaction and credit it to the pool
+   * @param {string} poolId - Pool identifier
+   * @param {string} txHash - Stellar transaction hash
+   * @returns {Object} { valid: true, pool, deposit, transaction } or { valid: false, status, error, message }
+   */
+  async recordDeposit(poolId, txHash) {
+    if (typeof txHash !== 'string' || !TX_HASH_PATTERN.test(txHash)) {
+      return { valid: false, status: 400, error: 'Invalid transaction hash', message: 'txHash must be a 64 character hex string' };
+    }
+
+    const hash = txHash.toLowerCase();
+    if (this.pending.has(hash)) {
+      return { valid: false, status: 409, error: 'Duplicate deposit', message: 'This transaction is already being processed' };
+    }
+
+    this.pending.add(hash);
+    try {
+      const storage = getStorage();
+
+      const pool = await storage.pools.get(poolId);
+      if (!pool) {
+        return { valid: false, status: 404, error: 'Pool not found', message: `No pool found with ID: ${poolId}` };
+      }
+
+      if (await storage.deposits.findByTxHash(hash)) {
+        return { valid: false, status: 409, error: 'Duplicate deposit', message: 'This transaction has already been credited' };
+      }
+
+      const transaction = await getHorizon().getTransaction(hash);
+      if (!transaction) {
+        return { valid: false, status: 404, error: 'Transaction not found', message: `Horizon has no transaction ${hash}` };
+      }
+
+      const verification = this.verifyTransaction(pool, transaction);
+      if (!verification.valid) {
+        console.warn(`⚠️ [DEPOSIT] Rejected ${hash} for pool ${poolId}: ${verification.message}`);
+        return verification;
+      }
+
+      const deposit = {
+        // The full hash: a suffix of it can be shared by two transactions
+        id: `deposit_${hash}`,
+        poolId,
+        ...verification.deposit,
+        txLink: explorerLink(hash)
+      };
+
+      const ledgerTransaction = {
+        id: hash,
+        poolId,
+        type: 'deposit',
+        amount: deposit.amount,
+        asset: deposit.asset,
+        user: deposit.userId,
+        timestamp: deposit.timestamp,
+        link: deposit.txLink,
+        isSmartContract: deposit.isSmartContract
+      };
+
+      return await this.creditLedger(poolId, deposit, ledgerTransaction);
+    } finally {
+      this.pending.delete(hash);
+    }
+  }
+
+  /**
+   * Add a verified entry to a pool's deposit ledger and transaction history
+   * Deposits are positive entries and withdrawals negative ones (e.g. withdrawals indexed from a
+   * pool contract). Yield is settled on the existing balances first, under the pool lock.
+   * A credited deposit raises a 'contribution_recorded' domain event.
+   * @param {string} reason - Reported with the pool update, 'deposit' or 'withdrawal'
+   * @returns {Object} { valid: true, pool, deposit, transaction } or { valid: false, status: 409, ... } if the entry already exists
+   */
+  async creditLedger(poolId, deposit, ledgerTransaction, reason = 'deposit') {
+    const storage = getStorage();
+
+    return yieldService.withPoolLock(poolId, async () => {
+      // Settle yield on the existing balances before the new deposit starts earning
+      await yieldService.applyAccrual(poolId);
+
+      if (!(await storage.deposits.add(deposit))) {
+        return { valid: false, status: 409, error: 'Duplicate deposit', message: 'This transaction has already been credited' };
+      }
+      await storage.transactions.add(ledgerTransaction);
+
+      const updatedPool = await this.syncDepositTotals(poolId);
+
+      if (deposit.amount > 0) {
+        console.log(`✅ [DEPOSIT] Credited ${deposit.amount} ${deposit.asset} from ${deposit.userId} to pool ${poolId}`);
+        eventService.publish('deposit', { poolId, deposit });
+        domainEvents.emit('contribution_recorded', { poolId, pool: updatedPool, deposit });
+      } else {
+        console.log(`✅ [DEPOSIT] Debited ${-deposit.amount} ${deposit.asset} withdrawn by ${deposit.userId} from pool ${poolId}`);
+      }
+      eventService.publishPool(updatedPool, reason);
+
+      return { valid: true, pool: updatedPool, deposit, transaction: ledgerTransaction };
+    });
+  }
+
+  /**
+   * Recompute a pool's deposited totals and participant count from its deposit ledger
+   * (withdrawals are negative entries). Callers must hold the pool lock.
+   * @returns {Object|null} Updated pool
+   */
+  async syncDepositTotals(poolId) {
+    const storage = getStorage();
+    const [pool, totals, participants] = await Promise.all([
+      storage.pools.get(poolId),
+      storage.deposits.totalsByAsset(poolId),
+      storage.deposits.countUsers(poolId)
+    ]);
+    if (!pool) return null;
+
+    const assetTotals = structuredClone(poolAssetTotals(pool));
+    for (const { asset, amount } of totals) {
+      assetTotals[asset] = { ...emptyAssetTotals(), ...assetTotals[asset], deposited: Math.max(0, amount) };
+    }
+
+    return storage.pools.update(poolId, {
+      assetTotals,
+      totalDeposited: Object.values(assetTotals).reduce((sum, entry) => sum + entry.deposited, 0),
+      participants
+    });
+  }
+}
+
+// Export singleton instance
+export default new DepositService();
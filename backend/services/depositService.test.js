@@ -0,0 +1,135 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { getStorage } from '../storage/index.js';
+import { setHorizon } from '../horizon/index.js';
+import { MockHorizonClient } from '../horizon/mockHorizonClient.js';
+import { assetConfig } from '../config.js';
+import treasuryService from './treasuryService.js';
+import depositService from './depositService.js';
+import { useSharedStorage } from '../testing/fixtures.js';
+
+const TREASURY = StellarSDK.Keypair.random().publicKey();
+const DEPOSITOR = StellarSDK.Keypair.random().publicKey();
+const POOL_ID = 'pool_deposit_test';
+
+let horizon;
+
+useSharedStorage('deposits');
+
+const randomHash = () => crypto.randomBytes(32).toString('hex');
+
+// A payment from DEPOSITOR to the pool's muxed deposit address
+const payment = (changes = {}) => ({
+  from: DEPOSITOR,
+  to: TREASURY,
+  toMuxedId: treasuryService.assign(POOL_ID, TREASURY).treasuryMuxedId,
+  asset: 'XLM',
+  assetIssuer: null,
+  amount: 100,
+  ...changes
+});
+
+const addDeposit = (payments = [payment()]) => horizon.addTransaction({
+  hash: randomHash(),
+  sourceAccount: DEPOSITOR,
+  payments
+}).hash;
+
+beforeEach(async () => {
+  horizon = new MockHorizonClient();
+  setHorizon(horizon);
+
+  const storage = getStorage();
+  await storage.deposits.removeByPool(POOL_ID);
+  await storage.transactions.removeByPool(POOL_ID);
+  await storage.pools.remove(POOL_ID);
+  await storage.pools.insert({
+    id: POOL_ID,
+    name: 'Deposit Test Pool',
+    assets: ['XLM', 'USDC'],
+    ...treasuryService.assign(POOL_ID, TREASURY),
+    createdAt: new Date().toISOString(),
+    lastYieldUpdate: new Date().toISOString()
+  });
+});
+
+test('credits a payment to the pool deposit address', async () => {
+  const hash = addDeposit();
+
+  const result = await depositService.recordDeposit(POOL_ID, hash);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.deposit.id, `deposit_${hash}`);
+  assert.equal(result.deposit.userId, DEPOSITOR);
+  assert.equal(result.deposit.amount, 100);
+  assert.equal(result.pool.totalDeposited, 100);
+  assert.equal((await getStorage().deposits.listByPool(POOL_ID)).length, 1);
+});
+
+test('rejects a payment to another account', async () => {
+  const hash = addDeposit([payment({ to: StellarSDK.Keypair.random().publicKey(), toMuxedId: null })]);
+
+  const result = await depositService.recordDeposit(POOL_ID, hash);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.status, 422);
+  assert.equal(result.error, 'Wrong destination');
+  assert.equal((await getStorage().deposits.listByPool(POOL_ID)).length, 0);
+});
+
+test('rejects a payment to another pool on the same treasury', async () => {
+  const hash = addDeposit([payment({ toMuxedId: treasuryService.assign('another_pool', TREASURY).treasuryMuxedId })]);
+
+  const result = await depositService.recordDeposit(POOL_ID, hash);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, 'Wrong destination');
+});
+
+test('rejects an asset the pool does not accept', async () => {
+  await getStorage().pools.update(POOL_ID, { assets: ['XLM'] });
+  const hash = addDeposit([payment({ asset: 'USDC', assetIssuer: assetConfig.assets.USDC.issuer })]);
+
+  const result = await depositService.recordDeposit(POOL_ID, hash);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, 'Unsupported asset');
+  assert.equal((await getStorage().deposits.listByPool(POOL_ID)).length, 0);
+});
+
+test('rejects a look-alike asset from another issuer', async () => {
+  const hash = addDeposit([payment({ asset: 'USDC', assetIssuer: StellarSDK.Keypair.random().publicKey() })]);
+
+  const result = await depositService.recordDeposit(POOL_ID, hash);
+
+  assert.equal(result.valid, false);
+  assert.equal(result.error, 'Unknown issuer');
+  assert.equal((await getStorage().deposits.listByPool(POOL_ID)).length, 0);
+});
+
+test('credits a transaction hash only once', async () => {
+  const hash = addDeposit();
+
+  assert.equal((await depositService.recordDeposit(POOL_ID, hash)).valid, true);
+  const replayed = await depositService.recordDeposit(POOL_ID, hash.toUpperCase());
+
+  assert.equal(replayed.valid, false);
+  assert.equal(replayed.status, 409);
+  assert.equal(replayed.error, 'Duplicate deposit');
+  assert.equal((await getStorage().deposits.listByPool(POOL_ID)).length, 1);
+  assert.equal((await getStorage().pools.get(POOL_ID)).totalDeposited, 100);
+});
+
+test('credits concurrent submissions of the same hash once', async () => {
+  const hash = addDeposit();
+
+  const results = await Promise.all([
+    depositService.recordDeposit(POOL_ID, hash),
+    depositService.recordDeposit(POOL_ID, hash)
+  ]);
+
+  assert.deepEqual(results.map(result => result.valid).sort(), [false, true]);
+  assert.equal((await getStorage().deposits.listByPool(POOL_ID)).length, 1);
+});
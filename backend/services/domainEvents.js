@@ -0,0 +1,60 @@
+import { EventEmitter } from 'events';
+
+/**
+ * Domain Events
+ * In-process events raised by the services that write the ledger, so other services can react
+ * to them without being called directly. Unlike eventService, nothing here is sent to clients.
+ *
+ * Events are emitted after the change is stored. Listeners run asynchronously, outside the
+ * emitter's call stack (and so outside any pool lock it holds); a failing listener is logged
+ * and doesn't affect the emitter or the other listeners.
+ *
+ * Event types and data:
+ *   'donation_accrued'       { poolId, pool, positions, timestamp } - yield accrual donated part of
+ *                            the depositors' yield; `positions` are the updated positions of the
+ *                            depositors who donated
+ *   'contribution_recorded'  { poolId, pool, deposit } - a deposit was credited to the pool's ledger
+ */
+export class DomainEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    // Listener runs that haven't finished yet (see settled)
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Emit an event to every listener of its type
+   */
+  emit(type, data) {
+    for (const listener of this.emitter.listeners(type)) {
+      const run = Promise.resolve()
+        .then(() => listener(data))
+        .catch(error => console.error(`❌ [DOMAIN] ${type} listener failed:`, error))
+        .finally(() => this.inFlight.delete(run));
+      this.inFlight.add(run);
+    }
+  }
+
+  /**
+   * Listen to one event type
+   * @param {Function} listener - Called with the event data; may return a promise
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(type, listener) {
+    this.emitter.on(type, listener);
+    return () => this.emitter.off(type, listener);
+  }
+
+  /**
+   * Wait for every listener run started so far (and those they start) to finish
+   */
+  async settled() {
+    while (this.inFlight.size > 0) {
+      await Promise.all([...this.inFlight]);
+    }
+  }
+}
+
+// Export singleton instance
+export default new DomainEvents();
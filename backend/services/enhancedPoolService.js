@@ -1,376 +1,225 @@
+import { getStorage } from '../storage/index.js';
+import { getSoroban } from '../soroban/index.js';
+import { contractSyncConfig } from '../config.js';
+import yieldService from './yieldService.js';
+import eventService from './eventService.js';
+
+/**
+ * Contract state fields that are compared to decide whether a sync changed anything
+ */
+const sameContractState = (previous, next) => !!previous && [
+  'totalDeposited', 'totalDonated', 'totalYieldGenerated', 'donationPercentage', 'isActive'
+].every(field => previous[field] === next[field]);
+
 /**
  * Enhanced Pool Service with Smart Contract Integration
- * Handles both traditional pools and Soroban smart contract pools
+ * Keeps smart-contract pools in step with their Soroban contracts. A background worker loads
+ * every pool with a `contractId` from storage, reads the contract's `get_pool_info` through
+ * the Soroban adapter and stores the result on the pool as `contractState`.
+ *
+ * The contract's totals are kept next to the pool's own totals rather than replacing them:
+ * `totalDeposited`, `assetTotals` and the rest are derived from the pool's ledger (verified
+ * deposits, accrued yield and confirmed withdrawals), and comparing the two shows when the
+ * contract and the ledger disagree.
  */
+export class EnhancedPoolService {
+  constructor({
+    clock = { now: () => Date.now() },
+    getStorage: storageProvider = getStorage,
+    getSoroban: sorobanProvider = getSoroban,
+    yieldEngine = yieldService,
+    events = eventService,
+    config = contractSyncConfig
+  } = {}) {
+    this.clock = clock;
+    this.getStorage = storageProvider;
+    this.getSoroban = sorobanProvider;
+    this.yieldEngine = yieldEngine;
+    this.events = events;
+    this.config = config;
+
+    this.isRunning = false;
+    this.interval = null;
+    this.activeRun = null;
+    this.lastRun = null;
+    // poolId -> { lastAttemptAt, lastSyncedAt, lastError }
+    this.syncStatus = new Map();
+  }
 
-const axios = require('axios')
-const { SorobanRpc, Contract, Networks } = require('@stellar/stellar-sdk')
+  start() {
+    if (this.isRunning) {
+      return;
+    }
 
-// Soroban RPC configuration
-const RPC_URL = 'https://soroban-testnet.stellar.org'
-const rpc = new SorobanRpc.Server(RPC_URL)
+    this.isRunning = true;
+    console.log(`🔗 [CONTRACT] Sync worker started (every ${this.config.intervalSeconds}s)`);
 
-class EnhancedPoolService {
-  constructor() {
-    this.contractPools = new Map()
-    this.eventSubscriptions = new Map()
-    this.isInitialized = false
+    this.syncAll();
+    this.interval = setInterval(() => this.syncAll(), this.config.intervalSeconds * 1000);
   }
 
-  /**
-   * Initialize the enhanced pool service
-   */
-  async initialize() {
-    try {
-      console.log('🚀 Initializing Enhanced Pool Service...')
-      
-      // Load existing contract pools from database
-      await this.loadContractPools()
-      
-      // Set up event listeners for contract events
-      await this.setupEventListeners()
-      
-      this.isInitialized = true
-      console.log('✅ Enhanced Pool Service initialized')
-      return { success: true }
-    } catch (error) {
-      console.error('❌ Failed to initialize Enhanced Pool Service:', error)
-      return { success: false, error: error.message }
+  stop() {
+    if (!this.isRunning) {
+      return;
     }
-  }
 
-  /**
-   * Load contract pools from database
-   */
-  async loadContractPools() {
-    try {
-      // This would query your database for pools with contract IDs
-      // For now, we'll use a mock implementation
-      const contractPools = [] // await db.pools.find({ contractId: { $exists: true } })
-      
-      contractPools.forEach(pool => {
-        if (pool.contractId) {
-          const contract = new Contract(pool.contractId)
-          this.contractPools.set(pool.id, {
-            pool,
-            contract,
-            lastUpdated: Date.now()
-          })
-        }
-      })
-      
-      console.log(`📋 Loaded ${contractPools.length} contract pools`)
-    } catch (error) {
-      console.error('Failed to load contract pools:', error)
-    }
+    clearInterval(this.interval);
+    this.interval = null;
+    this.isRunning = false;
+    console.log('🛑 [CONTRACT] Sync worker stopped');
   }
 
   /**
-   * Set up event listeners for smart contract events
+   * Sync every contract pool once (concurrent calls share the active run)
+   * A pool that fails to sync is logged and skipped; it is retried on the next run.
+   * @returns {Array} [{ poolId, synced, changed, error }]
    */
-  async setupEventListeners() {
-    try {
-      // Monitor for new contract events
-      // In a production system, you'd use Stellar event streaming
-      setInterval(() => {
-        this.processContractEvents()
-      }, 30000) // Check every 30 seconds
-      
-      console.log('🎧 Event listeners set up')
-    } catch (error) {
-      console.error('Failed to setup event listeners:', error)
+  syncAll() {
+    if (!this.activeRun) {
+      this.activeRun = this.executeRun()
+        .catch(error => {
+          console.error('❌ [CONTRACT] Sync run failed:', error);
+          return [];
+        })
+        .finally(() => {
+          this.activeRun = null;
+        });
     }
+    return this.activeRun;
   }
 
-  /**
-   * Process contract events (deposits, withdrawals, yield)
-   */
-  async processContractEvents() {
-    for (const [poolId, poolData] of this.contractPools.entries()) {
+  async executeRun() {
+    const pools = await this.loadContractPools();
+    const results = [];
+
+    for (const pool of pools) {
       try {
-        await this.syncContractPool(poolId, poolData)
+        const { changed } = await this.syncPool(pool);
+        results.push({ poolId: pool.id, synced: true, changed, error: null });
       } catch (error) {
-        console.error(`Failed to sync pool ${poolId}:`, error.message)
+        console.warn(`⚠️ [CONTRACT] Sync failed for pool ${pool.id} (${pool.contractId}):`, error.message);
+        results.push({ poolId: pool.id, synced: false, changed: false, error: error.message });
       }
     }
-  }
 
-  /**
-   * Sync a contract pool with its smart contract state
-   */
-  async syncContractPool(poolId, poolData) {
-    try {
-      const { contract, pool } = poolData
-      
-      // Get current pool info from contract
-      const contractInfo = await this.getContractPoolInfo(contract.contractId())
-      
-      if (contractInfo) {
-        // Update pool data with contract state
-        const updatedPool = {
-          ...pool,
-          totalDeposited: contractInfo.totalDeposited,
-          totalYieldGenerated: contractInfo.totalYieldGenerated,
-          totalDonated: contractInfo.totalDonated,
-          participants: contractInfo.totalParticipants,
-          lastSyncedAt: new Date().toISOString(),
-          contractState: contractInfo
-        }
-        
-        // Update database
-        await this.updatePoolInDatabase(poolId, updatedPool)
-        
-        // Update local cache
-        poolData.pool = updatedPool
-        poolData.lastUpdated = Date.now()
-        
-        console.log(`✅ Synced contract pool ${poolId}`)
-      }
-    } catch (error) {
-      console.warn(`Sync failed for pool ${poolId}:`, error.message)
+    // Forget pools that were deleted or lost their contract
+    const poolIds = new Set(pools.map(pool => pool.id));
+    for (const poolId of this.syncStatus.keys()) {
+      if (!poolIds.has(poolId)) this.syncStatus.delete(poolId);
     }
-  }
 
-  /**
-   * Get pool information from smart contract
-   */
-  async getContractPoolInfo(contractId) {
-    try {
-      // Query contract state
-      // In real implementation, this would call the contract's get_pool_info function
-      
-      // Mock response for development
-      return {
-        totalDeposited: 0,
-        totalYieldGenerated: 0,
-        totalDonated: 0,
-        totalParticipants: 0,
-        isActive: true,
-        lastYieldDistribution: null
-      }
-    } catch (error) {
-      console.error(`Failed to get contract info for ${contractId}:`, error)
-      return null
-    }
+    this.lastRun = {
+      at: new Date(this.clock.now()).toISOString(),
+      pools: results.length,
+      failed: results.filter(result => !result.synced).length
+    };
+    return results;
   }
 
   /**
-   * Process yield distribution for smart contract pools
+   * Pools backed by a Soroban contract
    */
-  async processYieldDistribution() {
-    console.log('💰 Processing yield distribution for contract pools...')
-    
-    for (const [poolId, poolData] of this.contractPools.entries()) {
-      try {
-        const yield = await this.calculateBlendYield(poolData.pool)
-        
-        if (yield > 0) {
-          await this.distributeYieldToContract(poolData.contract.contractId(), yield)
-          console.log(`✅ Distributed ${yield} yield to pool ${poolId}`)
-        }
-      } catch (error) {
-        console.error(`Yield distribution failed for pool ${poolId}:`, error)
-      }
-    }
+  async loadContractPools() {
+    const pools = await this.getStorage().pools.list();
+    return pools.filter(pool => pool.contractId);
   }
 
   /**
-   * Calculate yield from Blend protocol
+   * Read a pool's contract and store its state on the pool
+   * The contract is read outside the pool lock; only the write holds it.
+   * @returns {Object} { pool, changed } - changed is false when the contract reported the same state as last time
    */
-  async calculateBlendYield(pool) {
-    try {
-      // Query Blend protocol for actual yield
-      // This would integrate with the real Blend API
-      
-      // Mock yield calculation for development
-      const baseAmount = pool.totalDeposited || 0
-      const apy = 0.05 // 5% APY
-      const dailyYield = (baseAmount * apy) / 365
-      
-      return dailyYield
-    } catch (error) {
-      console.error('Failed to calculate Blend yield:', error)
-      return 0
-    }
-  }
+  async syncPool(pool) {
+    const now = new Date(this.clock.now()).toISOString();
+    const status = this.syncStatus.get(pool.id) || { lastSyncedAt: null };
+    this.syncStatus.set(pool.id, { ...status, lastAttemptAt: now });
 
-  /**
-   * Distribute yield to smart contract
-   */
-  async distributeYieldToContract(contractId, yieldAmount) {
+    let contractInfo;
     try {
-      // This would call the contract's process_yield function
-      // For now, we'll log the operation
-      
-      console.log(`📈 Yield distribution: ${yieldAmount} XLM to contract ${contractId}`)
-      
-      // In real implementation:
-      // const result = await contract.call('process_yield', yieldAmount, adminKeypair)
-      // return result
-      
-      return { success: true, yieldAmount }
+      contractInfo = await this.getSoroban().getPoolInfo(pool.contractId);
     } catch (error) {
-      console.error(`Failed to distribute yield to contract ${contractId}:`, error)
-      return { success: false, error: error.message }
+      this.syncStatus.set(pool.id, { ...status, lastAttemptAt: now, lastError: error.message });
+      throw error;
     }
-  }
 
-  /**
-   * Register a new smart contract pool
-   */
-  async registerContractPool(poolData) {
-    try {
-      if (!poolData.contractId) {
-        throw new Error('Contract ID required for smart contract pool')
-      }
-      
-      const contract = new Contract(poolData.contractId)
-      
-      // Store in local cache
-      this.contractPools.set(poolData.id, {
-        pool: poolData,
-        contract,
-        lastUpdated: Date.now()
-      })
-      
-      // Save to database
-      await this.updatePoolInDatabase(poolData.id, {
-        ...poolData,
-        isSmartContract: true,
-        registeredAt: new Date().toISOString()
-      })
-      
-      console.log(`🔗 Registered smart contract pool: ${poolData.id}`)
-      return { success: true }
-    } catch (error) {
-      console.error('Failed to register contract pool:', error)
-      return { success: false, error: error.message }
+    const result = await this.yieldEngine.withPoolLock(pool.id, async () => {
+      const storage = this.getStorage();
+      const current = await storage.pools.get(pool.id);
+      if (!current) return { pool: null, changed: false };
+
+      const changed = !sameContractState(current.contractState, contractInfo);
+      const updated = await storage.pools.update(pool.id, {
+        contractState: { ...contractInfo, syncedAt: now }
+      });
+      return { pool: updated, changed };
+    });
+
+    this.syncStatus.set(pool.id, { lastAttemptAt: now, lastSyncedAt: now, lastError: null });
+    if (result.changed) {
+      console.log(`✅ [CONTRACT] Synced pool ${pool.id}: ${contractInfo.totalDeposited} deposited, ${contractInfo.totalDonated} donated`);
+      await this.events.publishPool(result.pool, 'contract_sync');
     }
+    return result;
   }
 
   /**
-   * Get enhanced pool analytics
+   * Contract-backed analytics for one pool
+   * @returns {Object|null} The pool with performance and sync health, or null if it is not a contract pool
    */
   async getPoolAnalytics(poolId) {
-    try {
-      const poolData = this.contractPools.get(poolId)
-      if (!poolData) {
-        throw new Error('Contract pool not found')
-      }
-      
-      const { pool, contract } = poolData
-      
-      // Get real-time contract state
-      const contractInfo = await this.getContractPoolInfo(contract.contractId())
-      
-      // Calculate analytics
-      const analytics = {
-        ...pool,
-        contractInfo,
-        performance: {
-          totalValueLocked: contractInfo?.totalDeposited || 0,
-          yieldGenerated: contractInfo?.totalYieldGenerated || 0,
-          donationAmount: contractInfo?.totalDonated || 0,
-          participantCount: contractInfo?.totalParticipants || 0,
-          averageDeposit: contractInfo?.totalParticipants > 0 
-            ? (contractInfo.totalDeposited / contractInfo.totalParticipants) 
-            : 0
-        },
-        health: {
-          contractActive: contractInfo?.isActive || false,
-          lastSync: poolData.lastUpdated,
-          syncStatus: Date.now() - poolData.lastUpdated < 300000 ? 'healthy' : 'stale'
-        }
-      }
-      
-      return analytics
-    } catch (error) {
-      console.error(`Failed to get analytics for pool ${poolId}:`, error)
-      return null
+    const pool = await this.getStorage().pools.get(poolId);
+    if (!pool?.contractId) {
+      return null;
     }
-  }
 
-  /**
-   * Emergency pause a smart contract pool
-   */
-  async emergencyPausePool(poolId, adminKeypair) {
-    try {
-      const poolData = this.contractPools.get(poolId)
-      if (!poolData) {
-        throw new Error('Contract pool not found')
+    const contractInfo = pool.contractState || null;
+    return {
+      ...pool,
+      contractInfo,
+      performance: {
+        totalValueLocked: contractInfo?.totalDeposited || 0,
+        yieldGenerated: contractInfo?.totalYieldGenerated || 0,
+        donationAmount: contractInfo?.totalDonated || 0
+      },
+      health: {
+        contractActive: contractInfo?.isActive || false,
+        lastSync: contractInfo?.syncedAt || null,
+        syncStatus: this.syncHealth(contractInfo?.syncedAt)
       }
-      
-      // Call contract's emergency pause function
-      console.log(`🚨 Emergency pause initiated for pool ${poolId}`)
-      
-      // Update pool status in database
-      await this.updatePoolInDatabase(poolId, {
-        ...poolData.pool,
-        status: 'paused',
-        pausedAt: new Date().toISOString(),
-        pausedBy: adminKeypair.publicKey()
-      })
-      
-      return { success: true, status: 'paused' }
-    } catch (error) {
-      console.error(`Failed to pause pool ${poolId}:`, error)
-      return { success: false, error: error.message }
-    }
+    };
   }
 
   /**
-   * Get all contract pools status
+   * 'healthy' if the pool synced within config.staleSeconds, otherwise 'stale' ('never' if it never synced)
    */
-  getContractPoolsStatus() {
-    const status = {
-      totalPools: this.contractPools.size,
-      activePools: 0,
-      totalValueLocked: 0,
-      lastUpdateTime: null,
-      pools: []
-    }
-    
-    for (const [poolId, poolData] of this.contractPools.entries()) {
-      const pool = poolData.pool
-      const isHealthy = Date.now() - poolData.lastUpdated < 300000 // 5 minutes
-      
-      if (pool.status !== 'paused') {
-        status.activePools++
-      }
-      
-      status.totalValueLocked += pool.totalDeposited || 0
-      
-      status.pools.push({
-        id: poolId,
-        contractId: pool.contractId,
-        name: pool.name,
-        status: pool.status || 'active',
-        totalDeposited: pool.totalDeposited || 0,
-        participants: pool.participants || 0,
-        lastSync: poolData.lastUpdated,
-        isHealthy
-      })
-    }
-    
-    status.lastUpdateTime = Math.max(...Array.from(this.contractPools.values()).map(p => p.lastUpdated))
-    
-    return status
+  syncHealth(syncedAt) {
+    if (!syncedAt) return 'never';
+    return this.clock.now() - Date.parse(syncedAt) < this.config.staleSeconds * 1000 ? 'healthy' : 'stale';
   }
 
   /**
-   * Mock database update function
+   * Sync worker status and the last known state of every contract pool
    */
-  async updatePoolInDatabase(poolId, poolData) {
-    // In real implementation, this would update your database
-    // await db.pools.updateOne({ id: poolId }, { $set: poolData })
-    console.log(`💾 Database updated for pool ${poolId}`)
+  async getStatus() {
+    const pools = await this.loadContractPools();
+
+    return {
+      isRunning: this.isRunning,
+      intervalSeconds: this.config.intervalSeconds,
+      lastRun: this.lastRun,
+      totalPools: pools.length,
+      activePools: pools.filter(pool => pool.contractState?.isActive).length,
+      pools: pools.map(pool => ({
+        id: pool.id,
+        contractId: pool.contractId,
+        name: pool.name,
+        contractState: pool.contractState || null,
+        syncStatus: this.syncHealth(pool.contractState?.syncedAt),
+        lastError: this.syncStatus.get(pool.id)?.lastError || null
+      }))
+    };
   }
 }
 
 // Export singleton instance
-const enhancedPoolService = new EnhancedPoolService()
-
-module.exports = {
-  enhancedPoolService,
-  EnhancedPoolService
-}
+export default new EnhancedPoolService();
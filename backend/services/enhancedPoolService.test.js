@@ -0,0 +1,94 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MockSorobanClient } from '../soroban/mockSorobanClient.js';
+import { YieldService } from './yieldService.js';
+import { EnhancedPoolService } from './enhancedPoolService.js';
+import { START, createClock, useTestStorage } from '../testing/fixtures.js';
+
+const CONTRACT_ID = 'CCONTRACTPOOLTEST';
+
+const config = { intervalSeconds: 30, staleSeconds: 300 };
+
+const stores = useTestStorage('contracts');
+
+let storage;
+let soroban;
+let clock;
+let published;
+
+const createSync = () => new EnhancedPoolService({
+  clock,
+  getStorage: () => storage,
+  getSoroban: () => soroban,
+  yieldEngine: new YieldService({ getStorage: () => storage }),
+  events: { publishPool: async (pool, reason) => { published.push({ poolId: pool.id, reason }); } },
+  config
+});
+
+beforeEach(async () => {
+  storage = await stores.open();
+  soroban = new MockSorobanClient();
+  clock = createClock();
+  published = [];
+
+  await storage.pools.insert({ id: 'pool_contract', name: 'Contract Pool', contractId: CONTRACT_ID, isSmartContract: true, totalDeposited: 40 });
+  await storage.pools.insert({ id: 'pool_plain', name: 'Plain Pool', totalDeposited: 5 });
+  soroban.setPoolInfo(CONTRACT_ID, { total_deposited: 500000000, total_donated: 10000000, total_yield: 20000000, donation_percentage: 25, is_active: true });
+});
+
+test('stores the contract state next to the ledger totals', async () => {
+  const results = await createSync().syncAll();
+
+  assert.deepEqual(results, [{ poolId: 'pool_contract', synced: true, changed: true, error: null }]);
+  const pool = await storage.pools.get('pool_contract');
+  assert.deepEqual(pool.contractState, {
+    totalDeposited: 50,
+    totalDonated: 1,
+    totalYieldGenerated: 2,
+    donationPercentage: 25,
+    isActive: true,
+    syncedAt: new Date(START).toISOString()
+  });
+  assert.equal(pool.totalDeposited, 40);
+  assert.deepEqual(published, [{ poolId: 'pool_contract', reason: 'contract_sync' }]);
+  assert.deepEqual(soroban.calls.map(call => call.contractId), [CONTRACT_ID]);
+});
+
+test('reports a sync without changes as unchanged', async () => {
+  const sync = createSync();
+  await sync.syncAll();
+
+  clock.advance(30 * 1000);
+  const [result] = await sync.syncAll();
+
+  assert.equal(result.changed, false);
+  assert.equal(published.length, 1);
+  assert.equal((await storage.pools.get('pool_contract')).contractState.syncedAt, new Date(clock.now()).toISOString());
+});
+
+test('keeps syncing other pools when a contract cannot be read', async () => {
+  await storage.pools.insert({ id: 'pool_missing', name: 'Missing Contract', contractId: 'CMISSING' });
+  const sync = createSync();
+
+  const results = await sync.syncAll();
+
+  assert.deepEqual(results.map(({ poolId, synced }) => ({ poolId, synced })), [
+    { poolId: 'pool_contract', synced: true },
+    { poolId: 'pool_missing', synced: false }
+  ]);
+  assert.equal(sync.lastRun.failed, 1);
+  const status = await sync.getStatus();
+  assert.match(status.pools.find(pool => pool.id === 'pool_missing').lastError, /CMISSING not found/);
+});
+
+test('reports a pool that has not synced recently as stale', async () => {
+  const sync = createSync();
+  assert.equal((await sync.getPoolAnalytics('pool_contract')).health.syncStatus, 'never');
+
+  await sync.syncAll();
+  assert.equal((await sync.getPoolAnalytics('pool_contract')).health.syncStatus, 'healthy');
+
+  clock.advance(config.staleSeconds * 1000);
+  assert.equal((await sync.getPoolAnalytics('pool_contract')).health.syncStatus, 'stale');
+  assert.equal(await sync.getPoolAnalytics('pool_plain'), null);
+});
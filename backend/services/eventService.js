@@ -0,0 +1,72 @@
+import { EventEmitter } from 'events';
+import assetService from './assetService.js';
+import { poolSummary } from './poolSummary.js';
+
+/**
+ * Event Service
+ * Pushes changes to connected clients (see GET /api/events) so they don't have to poll.
+ * Events are only delivered to clients connected when they happen; clients reload their
+ * state whenever they (re)connect.
+ *
+ * Event types and data:
+ *   'pool'       { reason, pool } - pool summary after it was created, updated, credited with
+ *                a deposit or withdrawal, accrued yield, had donations paid out or
+ *                its contract reported a new state ('contract_sync')
+ *                { reason: 'deleted', poolId } once it is deleted
+ *   'deposit'    { poolId, deposit }
+ *   'yield'      { poolId, transactions } - yield distributed by the yield tick
+ *   'payout'     { payout } - a charity payout was confirmed on-chain
+ *   'nft'        { publicKey, poolId, nft } - a milestone NFT became claimable
+ */
+export class EventService {
+  constructor({ assets = assetService } = {}) {
+    this.assets = assets;
+    this.emitter = new EventEmitter();
+    // One listener per connected client
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Send an event to every subscriber
+   */
+  publish(type, data) {
+    this.emitter.emit('event', { type, data, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Publish a pool's summary (never throws; a failed price lookup only skips the event)
+   * @param {Object} pool - Stored pool
+   * @param {string} reason - What changed, e.g. 'deposit' or 'yield'
+   */
+  async publishPool(pool, reason) {
+    if (!pool || this.emitter.listenerCount('event') === 0) {
+      return;
+    }
+
+    try {
+      const { prices } = await this.assets.getUsdPrices();
+      this.publish('pool', { reason, pool: poolSummary(pool, prices) });
+    } catch (error) {
+      console.warn(`⚠️ [EVENTS] Could not publish pool ${pool.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Receive every event published from now on
+   * @param {Function} listener - Called with { type, data, timestamp }
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.emitter.on('event', listener);
+    return () => this.emitter.off('event', listener);
+  }
+
+  getStatus() {
+    return {
+      subscribers: this.emitter.listenerCount('event')
+    };
+  }
+}
+
+// Export singleton instance
+export default new EventService();
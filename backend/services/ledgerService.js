@@ -0,0 +1,247 @@
+import { getStorage } from '../storage/index.js';
+import { effectiveDonationPercentage } from './yieldService.js';
+import assetService, { NATIVE_ASSET, positionAssets, valueInUsd } from './assetService.js';
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Pool Ledger Service
+ * Read access to a pool's deposit and transaction history with cursor pagination.
+ * The ledger lives in its own storage collections so pool summaries stay small.
+ */
+export class LedgerService {
+  constructor({
+    getStorage: storageProvider = getStorage,
+    assets = assetService
+  } = {}) {
+    this.getStorage = storageProvider;
+    this.assets = assets;
+  }
+
+  /**
+   * Encode the position of a record as an opaque cursor
+   */
+  encodeCursor(record) {
+    return Buffer.from(JSON.stringify({ t: record.timestamp, id: record.id })).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor produced by encodeCursor
+   */
+  decodeCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (typeof t !== 'string' || typeof id !== 'string') return null;
+      return { timestamp: t, id };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Validate and normalize ledger query-string parameters
+   * Supports: type (comma separated), user, from, to (ISO dates), cursor, limit, order (asc|desc)
+   */
+  parseQuery(query = {}) {
+    const filters = {
+      types: query.type ? String(query.type).split(',').map(type => type.trim()).filter(Boolean) : [],
+      user: query.user || null,
+      order: query.order || 'desc',
+      limit: DEFAULT_PAGE_SIZE
+    };
+
+    if (!['asc', 'desc'].includes(filters.order)) {
+      return { valid: false, error: 'Invalid order', message: 'order must be "asc" or "desc"' };
+    }
+
+    if (query.limit !== undefined) {
+      const limit = parseInt(query.limit, 10);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { valid: false, error: 'Invalid limit', message: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+      }
+      filters.limit = limit;
+    }
+
+    for (const bound of ['from', 'to']) {
+      if (query[bound]) {
+        const date = new Date(query[bound]);
+        if (Number.isNaN(date.getTime())) {
+          return { valid: false, error: `Invalid ${bound}`, message: `${bound} must be an ISO 8601 date` };
+        }
+        filters[bound] = date.toISOString();
+      }
+    }
+
+    if (query.cursor) {
+      filters.after = this.decodeCursor(query.cursor);
+      if (!filters.after) {
+        return { valid: false, error: 'Invalid cursor', message: 'cursor is malformed or expired' };
+      }
+    }
+
+    return { valid: true, filters };
+  }
+
+  /**
+   * Fetch one page of a pool's ledger
+   * @param {'deposits'|'transactions'} collection - Ledger to read
+   * @param {string} poolId - Pool identifier
+   * @param {Object} filters - Normalized filters from parseQuery
+   * @returns {Object} { items, nextCursor }
+   */
+  async getPage(collection, poolId, filters) {
+    const { items, hasMore } = await this.getStorage()[collection].query({ poolId, ...filters });
+
+    return {
+      items,
+      nextCursor: hasMore && items.length > 0 ? this.encodeCursor(items[items.length - 1]) : null
+    };
+  }
+
+  /**
+   * Fetch one page of the events indexed from a pool's contract
+   * Uses the same filters and cursors as getPage (`type` is the event type; user, from and to are ignored).
+   * @returns {Object} { items, nextCursor }
+   */
+  async getContractEventPage(poolId, filters) {
+    const { items, hasMore } = await this.getStorage().contractEvents.list({
+      poolId,
+      types: filters.types,
+      after: filters.after?.id,
+      order: filters.order,
+      limit: filters.limit
+    });
+
+    const last = items[items.length - 1];
+    return {
+      items,
+      nextCursor: hasMore && last ? this.encodeCursor({ timestamp: last.ledgerClosedAt, id: last.id }) : null
+    };
+  }
+
+  /**
+   * Fetch every record matching the filters (follows cursors internally)
+   */
+  async getAll(collection, poolId, filters = {}) {
+    const records = [];
+    let after = null;
+
+    do {
+      const { items, hasMore } = await this.getStorage()[collection].query({
+        poolId,
+        ...filters,
+        order: 'asc',
+        limit: MAX_PAGE_SIZE,
+        after
+      });
+      records.push(...items);
+      after = hasMore ? items[items.length - 1] : null;
+    } while (after);
+
+    return records;
+  }
+
+  /**
+   * Yield and donations attributed to one depositor of a pool, per asset
+   * Figures are as of the pool's last yield accrual (`updatedAt`). `poolShare` weighs every
+   * asset by its USD price and is null when an asset has no price.
+   * @returns {Object} { assets: { [asset]: { principal, yieldEarned, donated, netYield, balance, poolShare, usdPrice } },
+   *                     balanceUSD, poolShare, donationPercentage, updatedAt }
+   */
+  async getEarnings(poolId, userId) {
+    const storage = this.getStorage();
+    const [pool, balances, positions, { prices }] = await Promise.all([
+      storage.pools.get(poolId),
+      storage.deposits.balancesByUser(poolId),
+      storage.positions.listByPool(poolId),
+      this.assets.getUsdPrices()
+    ]);
+
+    const positionsByUser = new Map(positions.map(position => [position.userId, position]));
+    const balanceOf = ({ userId: depositor, asset, amount }) => {
+      const earned = positionAssets(positionsByUser.get(depositor))[asset] || {};
+      return Math.max(0, amount + (earned.yieldEarned || 0) - (earned.donated || 0));
+    };
+
+    const position = positionsByUser.get(userId) || {};
+    const earnedByAsset = positionAssets(position);
+    const assetCodes = new Set([
+      ...balances.filter(entry => entry.userId === userId).map(entry => entry.asset),
+      ...Object.keys(earnedByAsset)
+    ]);
+
+    const assets = {};
+    for (const asset of assetCodes) {
+      const principal = balances.find(entry => entry.userId === userId && entry.asset === asset)?.amount || 0;
+      const { yieldEarned = 0, donated = 0 } = earnedByAsset[asset] || {};
+      const balance = balanceOf({ userId, asset, amount: principal });
+      const assetBalance = balances
+        .filter(entry => entry.asset === asset)
+        .reduce((sum, entry) => sum + balanceOf(entry), 0);
+
+      assets[asset] = {
+        principal,
+        yieldEarned,
+        donated,
+        netYield: yieldEarned - donated,
+        balance,
+        poolShare: assetBalance > 0 ? balance / assetBalance : 0,
+        usdPrice: prices[asset] ?? null
+      };
+    }
+
+    const poolBalances = {};
+    for (const entry of balances) {
+      poolBalances[entry.asset] = (poolBalances[entry.asset] || 0) + balanceOf(entry);
+    }
+    const balanceUSD = valueInUsd(Object.fromEntries(Object.entries(assets).map(([asset, entry]) => [asset, entry.balance])), prices);
+    const poolBalanceUSD = valueInUsd(poolBalances, prices);
+
+    let poolShare = null;
+    if (poolBalanceUSD === 0) {
+      poolShare = 0;
+    } else if (balanceUSD !== null && poolBalanceUSD !== null) {
+      poolShare = balanceUSD / poolBalanceUSD;
+    }
+
+    return {
+      assets,
+      balanceUSD,
+      poolShare,
+      donationPercentage: effectiveDonationPercentage(pool || {}, position),
+      updatedAt: position.updatedAt || null
+    };
+  }
+
+  /**
+   * A depositor's deposits and withdrawals in a pool, per asset
+   * Built from the pool's deposit ledger, which only holds transactions verified on the network.
+   * @returns {Object} { assets: { [asset]: { deposited, withdrawn, net } }, depositCount, withdrawalCount, entries }
+   *                   with entries newest first
+   */
+  async getPosition(poolId, userId) {
+    const entries = await this.getAll('deposits', poolId, { user: userId });
+    const assets = {};
+
+    for (const entry of entries) {
+      const totals = assets[entry.asset || NATIVE_ASSET] ||= { deposited: 0, withdrawn: 0, net: 0 };
+      if (entry.amount < 0) {
+        totals.withdrawn -= entry.amount;
+      } else {
+        totals.deposited += entry.amount;
+      }
+      totals.net = totals.deposited - totals.withdrawn;
+    }
+
+    return {
+      assets,
+      depositCount: entries.filter(entry => entry.amount >= 0).length,
+      withdrawalCount: entries.filter(entry => entry.amount < 0).length,
+      entries: entries.reverse()
+    };
+  }
+}
+
+// Export singleton instance
+export default new LedgerService();
@@ -0,0 +1,113 @@
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { LedgerService } from './ledgerService.js';
+import { START, useTestStorage } from '../testing/fixtures.js';
+
+const POOL_ID = 'pool_ledger_test';
+const at = (minutes) => new Date(START + minutes * 60 * 1000).toISOString();
+
+// Two records share every timestamp so the cursors have to break ties on the id
+const transactions = Array.from({ length: 7 }, (_, index) => ({
+  id: `tx_${index}`,
+  poolId: POOL_ID,
+  type: index % 3 === 0 ? 'deposit' : 'yield_distribution',
+  amount: index + 1,
+  asset: 'XLM',
+  user: index % 2 === 0 ? 'alice' : 'bob',
+  timestamp: at(Math.floor(index / 2))
+}));
+
+for (const driver of ['json', 'sqlite']) {
+  describe(`ledger pages on ${driver} storage`, () => {
+    const stores = useTestStorage(`ledger-${driver}`, { driver });
+
+    let storage;
+    let ledger;
+
+    // Follow nextCursor the way a client does
+    const readAll = async (query) => {
+      const pages = [];
+      let cursor;
+      do {
+        const parsed = ledger.parseQuery({ ...query, cursor });
+        assert.equal(parsed.valid, true);
+        const page = await ledger.getPage('transactions', POOL_ID, parsed.filters);
+        pages.push(page.items.map(item => item.id));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return pages;
+    };
+
+    beforeEach(async () => {
+      storage = await stores.open();
+      ledger = new LedgerService({ getStorage: () => storage });
+
+      await storage.pools.insert({ id: POOL_ID, name: 'Ledger Test Pool', creator: 'GCREATOR' });
+      await storage.pools.insert({ id: 'pool_other', name: 'Other Pool', creator: 'GCREATOR' });
+      await storage.transactions.addMany([...transactions].reverse());
+      await storage.transactions.add({ ...transactions[0], poolId: 'pool_other' });
+    });
+
+    test('returns every record of the pool once, newest first', async () => {
+      const pages = await readAll({ limit: '3' });
+
+      assert.deepEqual(pages, [['tx_6', 'tx_5', 'tx_4'], ['tx_3', 'tx_2', 'tx_1'], ['tx_0']]);
+    });
+
+    test('pages oldest first with order=asc', async () => {
+      const pages = await readAll({ limit: '2', order: 'asc' });
+
+      assert.deepEqual(pages, [['tx_0', 'tx_1'], ['tx_2', 'tx_3'], ['tx_4', 'tx_5'], ['tx_6']]);
+    });
+
+    test('has no next cursor when a page ends the ledger', async () => {
+      const pages = await readAll({ limit: '7' });
+
+      assert.deepEqual(pages, [['tx_6', 'tx_5', 'tx_4', 'tx_3', 'tx_2', 'tx_1', 'tx_0']]);
+    });
+
+    test('keeps the filters across pages', async () => {
+      const pages = await readAll({ limit: '1', type: 'deposit', user: 'alice', from: at(0), to: at(2) });
+
+      assert.deepEqual(pages, [['tx_0']]);
+      assert.deepEqual((await readAll({ limit: '1', type: 'yield_distribution', user: 'bob' })).flat(), ['tx_5', 'tx_1']);
+    });
+
+    test('does not repeat a record added before the cursor', async () => {
+      const first = await ledger.getPage('transactions', POOL_ID, ledger.parseQuery({ limit: '3' }).filters);
+      await storage.transactions.add({ ...transactions[6], id: 'tx_late', timestamp: at(10) });
+
+      const second = await ledger.getPage('transactions', POOL_ID, ledger.parseQuery({ limit: '3', cursor: first.nextCursor }).filters);
+
+      assert.deepEqual(second.items.map(item => item.id), ['tx_3', 'tx_2', 'tx_1']);
+    });
+
+    test('rejects a malformed cursor and an out-of-range limit', () => {
+      assert.equal(ledger.parseQuery({ cursor: 'not-a-cursor' }).error, 'Invalid cursor');
+      assert.equal(ledger.parseQuery({ cursor: Buffer.from('{"t":1}').toString('base64url') }).error, 'Invalid cursor');
+      assert.equal(ledger.parseQuery({ limit: '0' }).error, 'Invalid limit');
+      assert.equal(ledger.parseQuery({ limit: '201' }).error, 'Invalid limit');
+      assert.equal(ledger.parseQuery({ order: 'sideways' }).error, 'Invalid order');
+    });
+
+    test('pages contract events by event id', async () => {
+      for (const index of [3, 1, 2]) {
+        await storage.contractEvents.add({
+          id: `000${index}-0`,
+          contractId: 'CCONTRACT',
+          poolId: POOL_ID,
+          type: 'deposit',
+          ledger: index,
+          ledgerClosedAt: at(index)
+        });
+      }
+
+      const first = await ledger.getContractEventPage(POOL_ID, ledger.parseQuery({ limit: '2', order: 'asc' }).filters);
+      const second = await ledger.getContractEventPage(POOL_ID, ledger.parseQuery({ limit: '2', order: 'asc', cursor: first.nextCursor }).filters);
+
+      assert.deepEqual(first.items.map(event => event.id), ['0001-0', '0002-0']);
+      assert.deepEqual(second.items.map(event => event.id), ['0003-0']);
+      assert.equal(second.nextCursor, null);
+    });
+  });
+}
@@ -0,0 +1,87 @@
+import { milestoneConfig } from '../config.js';
+
+export const LADDER_TYPES = ['pool', 'individual'];
+
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+/**
+ * Validate one milestone ladder: [{ amount, tier, title, description }], lowest step first
+ * Amounts (USD) must be positive and increasing, and every step's tier must rank above the
+ * previous step's in `tiers`.
+ * @returns {Object} { valid: true, ladder } (steps reduced to their four fields) or { valid: false, status, error, message }
+ */
+export const validateLadder = (ladder, tiers = milestoneConfig.tiers) => {
+  const reject = (message) => ({ valid: false, status: 400, error: 'Invalid milestone ladder', message });
+
+  if (!Array.isArray(ladder) || ladder.length === 0) {
+    return reject('A milestone ladder must be a non-empty array of steps');
+  }
+
+  const steps = [];
+  for (const [index, step] of ladder.entries()) {
+    const position = `Step ${index + 1}`;
+    const previous = steps[steps.length - 1];
+
+    if (typeof step?.amount !== 'number' || !Number.isFinite(step.amount) || step.amount <= 0) {
+      return reject(`${position}: amount must be a positive number`);
+    }
+    if (previous && step.amount <= previous.amount) {
+      return reject(`${position}: amounts must increase ($${step.amount} follows $${previous.amount})`);
+    }
+    if (!tiers.includes(step.tier)) {
+      return reject(`${position}: tier must be one of ${tiers.join(', ')}`);
+    }
+    if (previous && tiers.indexOf(step.tier) <= tiers.indexOf(previous.tier)) {
+      return reject(`${position}: tiers must increase (${step.tier} follows ${previous.tier})`);
+    }
+    if (typeof step.title !== 'string' || !step.title.trim() || step.title.length > MAX_TITLE_LENGTH) {
+      return reject(`${position}: title must be between 1 and ${MAX_TITLE_LENGTH} characters`);
+    }
+    if (typeof step.description !== 'string' || !step.description.trim() || step.description.length > MAX_DESCRIPTION_LENGTH) {
+      return reject(`${position}: description must be between 1 and ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    steps.push({ amount: step.amount, tier: step.tier, title: step.title.trim(), description: step.description.trim() });
+  }
+
+  return { valid: true, ladder: steps };
+};
+
+/**
+ * Validate ladders given as { pool, individual }; either ladder may be left out
+ * @returns {Object} { valid: true, ladders } or { valid: false, status, error, message }
+ */
+export const validateLadders = (ladders, tiers = milestoneConfig.tiers) => {
+  if (!ladders || typeof ladders !== 'object' || Array.isArray(ladders)) {
+    return { valid: false, status: 400, error: 'Invalid milestone ladders', message: `milestoneLadders must be an object with ${LADDER_TYPES.join(' and/or ')} ladders` };
+  }
+
+  const unknown = Object.keys(ladders).filter(type => !LADDER_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return { valid: false, status: 400, error: 'Invalid milestone ladders', message: `Unknown ladder types: ${unknown.join(', ')}` };
+  }
+
+  const validated = {};
+  for (const type of LADDER_TYPES) {
+    if (ladders[type] === undefined || ladders[type] === null) continue;
+
+    const result = validateLadder(ladders[type], tiers);
+    if (!result.valid) {
+      return { ...result, message: `${type} ladder: ${result.message}` };
+    }
+    validated[type] = result.ladder;
+  }
+
+  return { valid: true, ladders: validated };
+};
+
+/**
+ * Ladders a pool's milestones are checked against: the ones stored when it was created, or
+ * the configured defaults for pools created before ladders were configurable
+ * @returns {Object} { pool, individual }
+ */
+export const poolLadders = (pool, config = milestoneConfig) => ({
+  pool: pool?.milestoneLadders?.pool || config.ladders.pool,
+  individual: pool?.milestoneLadders?.individual || config.ladders.individual
+});
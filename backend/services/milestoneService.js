@@ -1,43 +1,249 @@
-import nftService from './nftService.js';
-
-class MilestoneService {
-  constructor() {
-    // In-memory storage for milestone tracking (in production, use database)
-    this.milestoneHistory = new Map(); // poolId -> milestone data
-    this.userMilestones = new Map(); // userId -> milestone data
-    this.mintedNFTs = new Set(); // Track minted NFTs to prevent duplicates
-    this.claimableNFTs = new Map(); // Track claimable but unminted NFTs: userId -> eligible milestones
-    
-    // Milestone thresholds (TESTING VALUES - very low amounts)
-    this.poolMilestones = [0.05, 1, 5, 10]; // Pool milestone amounts in USD - TESTING VALUES
-    this.individualMilestones = [0.05, 0.5, 2, 5]; // Individual milestone amounts in USD - TESTING VALUES
+import { getStorage } from '../storage/index.js';
+import eventService from './eventService.js';
+import { milestoneConfig } from '../config.js';
+import { poolLadders, validateLadders } from './milestoneLadders.js';
+import { positionAssets } from './assetService.js';
+import domainEventService from './domainEvents.js';
+import mintJobService from './mintJobService.js';
+
+/**
+ * Everything a depositor donated through a pool in USD, all assets together, each donation
+ * valued when it accrued (see yieldService)
+ */
+const donatedUSD = (position) => Object.values(positionAssets(position))
+  .reduce((sum, earned) => sum + (earned.donatedUSD || 0), 0);
+
+/**
+ * USD valuation behind a milestone, kept in its certificate metadata so the amount can be
+ * audited: the donated total it was reached with and the prices of the pool's latest donations
+ */
+const usdValuation = (pool, donated) => ({
+  donatedUSD: donated,
+  prices: pool.donationPricing?.prices || {},
+  source: pool.donationPricing?.source || null,
+  pricedAt: pool.donationPricing?.pricedAt || null
+});
+
+/**
+ * Pool details kept on a claimable milestone
+ */
+const poolReference = (pool) => ({ id: pool.id || null, name: pool.name || null, creator: pool.creator || null });
+
+/**
+ * Milestone Service
+ * Pool and individual milestones are kept in storage.milestones, one record per milestone key
+ * (`pool_<poolId>_<milestone>` or `individual_<publicKey>_<poolId>_<milestone>`). The key is unique,
+ * so a milestone becomes claimable once and its certificate is minted at most once, across restarts.
+ *
+ * Milestones are the steps of the pool's ladders (see milestoneLadders.js): each pool keeps the
+ * ladders it was created with, and a step's tier, title and description go on its certificate.
+ * Step amounts are USD: they are compared with the pool's totalDonatedUSD and each depositor's
+ * donatedUSD, the donations valued at the price when they accrued. Donations made while their
+ * asset had no price count once the yield engine has valued them.
+ *
+ * Milestones are detected on the server: the service listens to the 'donation_accrued' and
+ * 'contribution_recorded' domain events and marks pool and individual milestones claimable as
+ * soon as they are crossed. On startup every pool is checked once to catch up.
+ *
+ * Milestone statuses: 'claimable' (waiting for the recipient), 'claimed' (claimed, certificate
+ * being minted by its mint job, see mintJobService) and 'minted'.
+ */
+export class MilestoneService {
+  constructor({
+    getStorage: storageProvider = getStorage,
+    config = milestoneConfig,
+    domainEvents = domainEventService,
+    mintJobs = mintJobService
+  } = {}) {
+    this.getStorage = storageProvider;
+    this.config = config;
+    this.domainEvents = domainEvents;
+    this.mintJobs = mintJobs;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Restore persisted milestones on startup and start listening for crossed milestones
+   * The configured ladders are validated first. Claimable certificates are read from storage;
+   * claims that have no mint job (claimed before minting was queued, and never minted) are
+   * queued for minting. Milestones crossed while the server was down are marked claimable.
+   */
+  async initialize() {
+    const validation = validateLadders(this.config.ladders, this.config.tiers);
+    if (!validation.valid) {
+      throw new Error(`Invalid milestone configuration: ${validation.message}`);
+    }
+
+    const milestones = await this.getStorage().milestones.list();
+    const countOf = (status) => milestones.filter(milestone => milestone.status === status).length;
+
+    console.log(`📋 [MILESTONE] Restored ${countOf('claimable')} claimable and ${countOf('minted')} minted milestone certificates`);
+    for (const milestone of milestones.filter(milestone => milestone.status === 'claimed')) {
+      if (await this.getStorage().mintJobs.findByMilestone(milestone.id)) continue;
+
+      console.warn(`⚠️ [MILESTONE] ${milestone.id} was claimed by ${milestone.recipientPublicKey} but never minted${milestone.error ? ` (${milestone.error})` : ''}, queueing its mint`);
+      await this.mintJobs.enqueue(milestone);
+    }
+
+    if (this.unsubscribers.length === 0) {
+      this.unsubscribers = [
+        this.domainEvents.subscribe('donation_accrued', (event) => this.handleDonationAccrued(event)),
+        this.domainEvents.subscribe('contribution_recorded', (event) => this.handleContributionRecorded(event))
+      ];
+    }
+
+    for (const pool of await this.getStorage().pools.list()) {
+      await this.checkClaimableMilestones(pool.id);
+    }
+    return this;
+  }
+
+  /**
+   * Stop listening for domain events
+   */
+  stop() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Donations accrued: check the pool's milestones and those of every depositor who donated
+   */
+  async handleDonationAccrued({ poolId, pool, positions }) {
+    await this.checkClaimablePoolMilestones(poolId, pool.totalDonatedUSD || 0, pool);
+    for (const position of positions) {
+      await this.checkClaimableIndividualMilestones(position.userId, donatedUSD(position), pool);
+    }
+  }
+
+  /**
+   * Deposit credited: check the depositor's milestones in the pool (the deposit settled the
+   * pool's yield first, which may have donated on their behalf)
+   */
+  async handleContributionRecorded({ poolId, pool, deposit }) {
+    const position = await this.getStorage().positions.get(poolId, deposit.userId);
+    if (position) {
+      await this.checkClaimableIndividualMilestones(deposit.userId, donatedUSD(position), pool);
+    }
+  }
+
+  /**
+   * Claimable NFT as returned to clients (with the `claimed` and `minted` flags)
+   */
+  toClaimableNFT(milestone) {
+    return {
+      ...milestone,
+      claimed: milestone.status !== 'claimable',
+      minted: milestone.status === 'minted'
+    };
+  }
+
+  /**
+   * Ladders of a stored pool (the configured defaults if the pool is unknown)
+   * @returns {Object} { pool, individual }
+   */
+  async getLadders(poolId) {
+    const pool = poolId ? await this.getStorage().pools.get(poolId) : null;
+    return poolLadders(pool, this.config);
+  }
+
+  /**
+   * Resolve the ladders a new pool is created with
+   * Ladders given with the pool (`milestoneLadders: { pool, individual }`) come first, then those
+   * of the pool's first charity in the registry, then the configured defaults.
+   * @returns {Object} { valid: true, ladders } or { valid: false, status, error, message }
+   */
+  async resolveLaddersForPool({ milestoneLadders }, splits = []) {
+    const validation = validateLadders(milestoneLadders ?? {}, this.config.tiers);
+    if (!validation.valid) return validation;
+
+    const charity = splits.length > 0 ? await this.getStorage().charities.get(splits[0].charityId) : null;
+    const charityLadders = charity?.milestoneLadders || {};
+
+    return {
+      valid: true,
+      ladders: {
+        pool: validation.ladders.pool || charityLadders.pool || this.config.ladders.pool,
+        individual: validation.ladders.individual || charityLadders.individual || this.config.ladders.individual
+      }
+    };
   }
 
   /**
-   * Check for claimable milestones without auto-minting
+   * Milestone key of a pool milestone, or of a user's milestone in a pool
+   */
+  milestoneKey({ type, poolId, recipientPublicKey, milestone }) {
+    return type === 'pool'
+      ? `pool_${poolId}_${milestone}`
+      : `individual_${recipientPublicKey}_${poolId}_${milestone}`;
+  }
+
+  /**
+   * Highest milestone recorded for a pool or a user
+   * @returns {Object|null} The milestone record
+   */
+  async highestMilestone(filters) {
+    const milestones = await this.getStorage().milestones.list(filters);
+    return milestones.reduce((highest, milestone) => (
+      !highest || milestone.milestone > highest.milestone ? milestone : highest
+    ), null);
+  }
+
+  /**
+   * Milestone history of a pool: { highestPoolMilestone, lastPoolMilestoneDate }
+   */
+  async getPoolHistory(poolId) {
+    const highest = await this.highestMilestone({ type: 'pool', poolId });
+    return highest
+      ? { highestPoolMilestone: highest.milestone, lastPoolMilestoneDate: highest.claimableAt }
+      : {};
+  }
+
+  /**
+   * Milestone history of a user in a pool (across all pools without a poolId):
+   * { highestIndividualMilestone, lastIndividualMilestoneDate, totalContributed }
+   */
+  async getUserHistory(userPublicKey, poolId) {
+    const highest = await this.highestMilestone({ type: 'individual', recipient: userPublicKey, poolId });
+    return highest
+      ? {
+          highestIndividualMilestone: highest.milestone,
+          lastIndividualMilestoneDate: highest.claimableAt,
+          totalContributed: highest.totalContributed
+        }
+      : {};
+  }
+
+  /**
+   * Check a stored pool's milestones and its depositors' without auto-minting
    * This tracks eligible milestones but lets users claim them manually
    */
-  async checkClaimableMilestones(poolId, newTotalDonated, poolData = {}) {
+  async checkClaimableMilestones(poolId) {
     try {
-      console.log(`🎯 [MILESTONE] Checking claimable milestones for pool ${poolId}, total: $${newTotalDonated}`);
+      const storage = this.getStorage();
+      const pool = await storage.pools.get(poolId);
+      if (!pool) return [];
       
       const claimableNFTs = [];
       
       // Check pool milestones
-      const poolClaimable = await this.checkClaimablePoolMilestones(poolId, newTotalDonated, poolData);
+      const poolClaimable = await this.checkClaimablePoolMilestones(poolId, pool.totalDonatedUSD || 0, pool);
       claimableNFTs.push(...poolClaimable);
       
-      // Check individual milestones (if individual contributor data available)
-      if (poolData.recentContributor) {
+      // Check individual milestones against the donations attributed to each depositor
+      const positions = await storage.positions.listByPool(poolId);
+      for (const position of positions) {
         const individualClaimable = await this.checkClaimableIndividualMilestones(
-          poolData.recentContributor.publicKey, 
-          poolData.recentContributor.totalContributed,
-          poolData
+          position.userId,
+          donatedUSD(position),
+          pool
         );
         claimableNFTs.push(...individualClaimable);
       }
       
-      console.log(`✅ [MILESTONE] Claimable milestone check completed: ${claimableNFTs.length} milestones available for claim`);
+      if (claimableNFTs.length > 0) {
+        console.log(`✅ [MILESTONE] ${claimableNFTs.length} milestones of pool ${poolId} became claimable`);
+      }
       return claimableNFTs;
       
     } catch (error) {
@@ -54,59 +260,52 @@ class MilestoneService {
     
     try {
       // Get previous highest milestone for this pool
-      const previousMilestone = this.milestoneHistory.get(poolId)?.highestPoolMilestone || 0;
+      const previousMilestone = (await this.getPoolHistory(poolId)).highestPoolMilestone || 0;
       
-      // Find new milestones reached
-      const newMilestones = this.poolMilestones.filter(
-        milestone => milestone <= totalDonated && milestone > previousMilestone
+      // Find new steps of the pool's ladder reached
+      const newSteps = (await this.getLadders(poolId)).pool.filter(
+        step => step.amount <= totalDonated && step.amount > previousMilestone
       );
 
-      for (const milestone of newMilestones) {
-        console.log(`🏆 [MILESTONE] Pool milestone claimable: $${milestone} for pool ${poolId}`);
+      for (const step of newSteps) {
+        const milestone = step.amount;
+        console.log(`🏆 [MILESTONE] Pool milestone claimable: $${milestone} (${step.tier}) for pool ${poolId}`);
         
         // Create unique identifier for this milestone NFT
-        const nftKey = `pool_${poolId}_${milestone}`;
+        const nftKey = this.milestoneKey({ type: 'pool', poolId, milestone });
+        const recipientPublicKey = poolData.creator || poolData.creatorPublicKey;
         
-        if (!this.mintedNFTs.has(nftKey)) {
-          const recipientPublicKey = poolData.creator || poolData.creatorPublicKey;
+        if (recipientPublicKey) {
+          const claimableNFT = {
+            id: nftKey,
+            type: 'pool',
+            poolId,
+            milestone,
+            poolData: poolReference({ ...poolData, id: poolId }),
+            recipientPublicKey,
+            metadata: {
+              poolName: poolData.name || `Pool ${poolId}`,
+              milestoneAmount: milestone,
+              milestoneType: 'pool',
+              tier: step.tier,
+              title: step.title,
+              achievementType: 'Pool Milestone',
+              description: step.description,
+              usdValuation: usdValuation(poolData, totalDonated)
+            },
+            status: 'claimable',
+            claimableAt: new Date().toISOString()
+          };
           
-          if (recipientPublicKey) {
-            const claimableNFT = {
-              id: nftKey,
-              type: 'pool',
-              poolId,
-              milestone,
-              poolData,
-              recipientPublicKey,
-              metadata: {
-                poolName: poolData.name || `Pool ${poolId}`,
-                milestoneAmount: milestone,
-                milestoneType: 'pool',
-                tier: this.determineTier(milestone, 'pool'),
-                achievementType: 'Pool Milestone',
-                description: `Pool reached $${milestone} in charitable donations`
-              },
-              claimableAt: new Date().toISOString(),
-              claimed: false,
-              minted: false
-            };
-            
-            claimableNFTs.push(claimableNFT);
-            
-            // Store as claimable
-            this.addClaimableNFT(recipientPublicKey, claimableNFT);
-            
-            // Update milestone history
-            this.updateMilestoneHistory(poolId, { 
-              highestPoolMilestone: milestone,
-              lastPoolMilestoneDate: new Date().toISOString()
-            });
-            
+          // Store as claimable (once per milestone key)
+          if (await this.addClaimableNFT(recipientPublicKey, claimableNFT)) {
+            claimableNFTs.push(this.toClaimableNFT(claimableNFT));
           } else {
-            console.warn(`⚠️ [MILESTONE] No recipient for pool milestone: ${poolId}`);
+            console.log(`⏭️ [MILESTONE] Pool milestone NFT already processed: ${nftKey}`);
           }
+          
         } else {
-          console.log(`⏭️ [MILESTONE] Pool milestone NFT already processed: ${nftKey}`);
+          console.warn(`⚠️ [MILESTONE] No recipient for pool milestone: ${poolId}`);
         }
       }
       
@@ -124,55 +323,49 @@ class MilestoneService {
     const claimableNFTs = [];
     
     try {
-      // Get previous highest milestone for this user
-      const userHistory = this.userMilestones.get(userPublicKey) || {};
+      // Get previous highest milestone for this user in this pool
+      const userHistory = await this.getUserHistory(userPublicKey, poolData.id);
       const previousMilestone = userHistory.highestIndividualMilestone || 0;
       
-      // Find new milestones reached
-      const newMilestones = this.individualMilestones.filter(
-        milestone => milestone <= totalContributed && milestone > previousMilestone
+      // Find new steps of the pool's individual ladder reached
+      const newSteps = (await this.getLadders(poolData.id)).individual.filter(
+        step => step.amount <= totalContributed && step.amount > previousMilestone
       );
 
-      for (const milestone of newMilestones) {
-        console.log(`🌟 [MILESTONE] Individual milestone claimable: $${milestone} for ${userPublicKey}`);
+      for (const step of newSteps) {
+        const milestone = step.amount;
+        console.log(`🌟 [MILESTONE] Individual milestone claimable: $${milestone} (${step.tier}) for ${userPublicKey}`);
         
         // Create unique identifier for this milestone NFT
-        const nftKey = `individual_${userPublicKey}_${milestone}`;
+        const nftKey = this.milestoneKey({ type: 'individual', poolId: poolData.id || null, recipientPublicKey: userPublicKey, milestone });
         
-        if (!this.mintedNFTs.has(nftKey)) {
-          const claimableNFT = {
-            id: nftKey,
-            type: 'individual',
-            userPublicKey,
-            milestone,
-            poolData,
+        const claimableNFT = {
+          id: nftKey,
+          type: 'individual',
+          poolId: poolData.id || null,
+          userPublicKey,
+          milestone,
+          poolData: poolReference(poolData),
+          totalContributed,
+          recipientPublicKey: userPublicKey,
+          metadata: {
+            poolName: poolData.name || `Pool ${poolData.id || 'Unknown'}`,
+            milestoneAmount: milestone,
+            milestoneType: 'individual',
+            tier: step.tier,
+            title: step.title,
+            achievementType: 'Individual Contribution',
+            description: step.description,
             totalContributed,
-            recipientPublicKey: userPublicKey,
-            metadata: {
-              poolName: poolData.name || `Pool ${poolData.id || 'Unknown'}`,
-              milestoneAmount: milestone,
-              milestoneType: 'individual',
-              tier: this.determineTier(milestone, 'individual'),
-              achievementType: 'Individual Contribution',
-              description: `Contributed $${milestone} to charitable impact`,
-              totalContributed
-            },
-            claimableAt: new Date().toISOString(),
-            claimed: false,
-            minted: false
-          };
-          
-          claimableNFTs.push(claimableNFT);
-          
-          // Store as claimable
-          this.addClaimableNFT(userPublicKey, claimableNFT);
-          
-          // Update user milestone history
-          this.updateUserMilestoneHistory(userPublicKey, {
-            highestIndividualMilestone: milestone,
-            lastIndividualMilestoneDate: new Date().toISOString(),
-            totalContributed
-          });
+            usdValuation: usdValuation(poolData, totalContributed)
+          },
+          status: 'claimable',
+          claimableAt: new Date().toISOString()
+        };
+        
+        // Store as claimable (once per milestone key)
+        if (await this.addClaimableNFT(userPublicKey, claimableNFT)) {
+          claimableNFTs.push(this.toClaimableNFT(claimableNFT));
         } else {
           console.log(`⏭️ [MILESTONE] Individual milestone NFT already processed: ${nftKey}`);
         }
@@ -187,425 +380,167 @@ class MilestoneService {
 
   /**
    * Add claimable NFT to user's claim list
+   * @returns {boolean} false if the milestone key was already recorded
    */
-  addClaimableNFT(userPublicKey, claimableNFT) {
-    if (!this.claimableNFTs.has(userPublicKey)) {
-      this.claimableNFTs.set(userPublicKey, []);
-    }
-    
-    const userClaimables = this.claimableNFTs.get(userPublicKey);
-    
-    // Check if already exists
-    const exists = userClaimables.some(nft => nft.id === claimableNFT.id);
-    if (!exists) {
-      userClaimables.push(claimableNFT);
+  async addClaimableNFT(userPublicKey, claimableNFT) {
+    const added = await this.getStorage().milestones.insert(claimableNFT);
+    if (added) {
       console.log(`📋 [MILESTONE] Added claimable NFT for ${userPublicKey}: ${claimableNFT.metadata.achievementType} - $${claimableNFT.milestone}`);
+      eventService.publish('nft', { publicKey: userPublicKey, poolId: claimableNFT.poolId || claimableNFT.poolData?.id || null, nft: this.toClaimableNFT(claimableNFT) });
     }
+    return added;
   }
 
   /**
    * Get user's claimable NFTs
    */
-  getUserClaimableNFTs(userPublicKey) {
-    const claimables = this.claimableNFTs.get(userPublicKey) || [];
-    return claimables.filter(nft => !nft.claimed && !nft.minted);
+  async getUserClaimableNFTs(userPublicKey) {
+    const claimables = await this.getStorage().milestones.list({ recipient: userPublicKey, statuses: ['claimable'] });
+    return claimables.map(nft => this.toClaimableNFT(nft));
   }
 
   /**
-   * Claim and mint an NFT
+   * Claim an NFT: the milestone becomes 'claimed' and its certificate is queued for minting
+   * @returns {Object} { valid: true, mintJob } (the job with its steps, see mintJobService) or
+   *   { valid: false, status, error, message } - 404 for an NFT the wallet can't claim, 409 once it was claimed
    */
   async claimNFT(userPublicKey, nftId) {
-    try {
-      console.log(`🎯 [CLAIM] User ${userPublicKey} claiming NFT: ${nftId}`);
-      
-      const userClaimables = this.claimableNFTs.get(userPublicKey) || [];
-      const claimableNFT = userClaimables.find(nft => nft.id === nftId);
-      
-      if (!claimableNFT) {
-        throw new Error('NFT not found or not claimable');
-      }
-      
-      if (claimableNFT.claimed || claimableNFT.minted) {
-        throw new Error('NFT already claimed or minted');
-      }
-      
-      // Mark as claimed
-      claimableNFT.claimed = true;
-      claimableNFT.claimedAt = new Date().toISOString();
-      
-      // Mint the NFT
-      const nft = await nftService.mintImpactCertificate(claimableNFT.metadata);
-      
-      // Update claimable NFT with mint details
-      claimableNFT.minted = true;
-      claimableNFT.mintedAt = nft.mintedAt;
-      claimableNFT.nftDetails = nft;
-      
-      // Add to minted set to prevent duplicates
-      this.mintedNFTs.add(nftId);
-      
-      console.log(`✅ [CLAIM] NFT successfully claimed and minted: ${nftId}`);
-      return nft;
-      
-    } catch (error) {
-      console.error(`❌ [CLAIM] NFT claiming failed for ${nftId}:`, error);
-      throw new Error(`NFT claiming failed: ${error.message}`);
-    }
-  }
+    console.log(`🎯 [CLAIM] User ${userPublicKey} claiming NFT: ${nftId}`);
 
-  /**
-   * Updated method to use claimable system instead of auto-minting
-   */
-  async checkAndMintNFTs(poolId, newTotalDonated, poolData = {}) {
-    // For backward compatibility, check claimable milestones but don't auto-mint
-    const claimableNFTs = await this.checkClaimableMilestones(poolId, newTotalDonated, poolData);
-    
-    // Return empty array for auto-minting (since we're using claim system now)
-    // But log the claimable milestones for awareness
-    if (claimableNFTs.length > 0) {
-      console.log(`📋 [MILESTONE] ${claimableNFTs.length} NFTs are now claimable (not auto-minted)`);
-    }
-    
-    return []; // No auto-minted NFTs
-  }
+    const storage = this.getStorage();
+    const claimableNFT = await storage.milestones.get(nftId);
 
-  /**
-   * Check pool-level milestones and mint certificates for pool achievements
-   */
-  async checkPoolMilestones(poolId, totalDonated, poolData) {
-    const mintedNFTs = [];
-    
-    try {
-      // Get previous highest milestone for this pool
-      const previousMilestone = this.milestoneHistory.get(poolId)?.highestPoolMilestone || 0;
-      
-      // Find new milestones reached
-      const newMilestones = this.poolMilestones.filter(
-        milestone => milestone <= totalDonated && milestone > previousMilestone
-      );
-
-      for (const milestone of newMilestones) {
-        console.log(`🏆 [MILESTONE] Pool milestone reached: $${milestone} for pool ${poolId}`);
-        
-        // Create unique identifier for this milestone NFT
-        const nftKey = `pool_${poolId}_${milestone}`;
-        
-        if (!this.mintedNFTs.has(nftKey)) {
-          try {
-            // Mint NFT for pool creator (if available)
-            const recipientPublicKey = poolData.creator || poolData.creatorPublicKey;
-            
-            if (recipientPublicKey) {
-              const nft = await this.mintPoolMilestoneNFT(
-                poolId,
-                milestone,
-                poolData,
-                recipientPublicKey
-              );
-              
-              mintedNFTs.push(nft);
-              this.mintedNFTs.add(nftKey);
-              
-              // Update milestone history
-              this.updateMilestoneHistory(poolId, { 
-                highestPoolMilestone: milestone,
-                lastPoolMilestoneDate: new Date().toISOString()
-              });
-              
-            } else {
-              console.warn(`⚠️ [MILESTONE] No recipient for pool milestone: ${poolId}`);
-            }
-            
-          } catch (error) {
-            console.error(`❌ [MILESTONE] Pool NFT minting failed for ${milestone}:`, error);
-          }
-        } else {
-          console.log(`⏭️ [MILESTONE] Pool milestone NFT already minted: ${nftKey}`);
-        }
-      }
-      
-    } catch (error) {
-      console.error(`❌ [MILESTONE] Pool milestone checking failed:`, error);
+    if (!claimableNFT || claimableNFT.recipientPublicKey !== userPublicKey) {
+      return { valid: false, status: 404, error: 'NFT not found or not claimable', message: `No NFT ${nftId} is claimable by ${userPublicKey}` };
     }
-    
-    return mintedNFTs;
-  }
-
-  /**
-   * Check individual contributor milestones
-   */
-  async checkIndividualMilestones(userPublicKey, totalContributed, poolData) {
-    const mintedNFTs = [];
-    
-    try {
-      // Get previous highest milestone for this user
-      const userHistory = this.userMilestones.get(userPublicKey) || {};
-      const previousMilestone = userHistory.highestIndividualMilestone || 0;
-      
-      // Find new milestones reached
-      const newMilestones = this.individualMilestones.filter(
-        milestone => milestone <= totalContributed && milestone > previousMilestone
-      );
 
-      for (const milestone of newMilestones) {
-        console.log(`🌟 [MILESTONE] Individual milestone reached: $${milestone} for ${userPublicKey}`);
-        
-        // Create unique identifier for this milestone NFT
-        const nftKey = `individual_${userPublicKey}_${milestone}`;
-        
-        if (!this.mintedNFTs.has(nftKey)) {
-          try {
-            const nft = await this.mintIndividualMilestoneNFT(
-              userPublicKey,
-              milestone,
-              poolData,
-              totalContributed
-            );
-            
-            mintedNFTs.push(nft);
-            this.mintedNFTs.add(nftKey);
-            
-            // Update user milestone history
-            this.updateUserMilestoneHistory(userPublicKey, {
-              highestIndividualMilestone: milestone,
-              lastIndividualMilestoneDate: new Date().toISOString(),
-              totalContributed
-            });
-            
-          } catch (error) {
-            console.error(`❌ [MILESTONE] Individual NFT minting failed for ${milestone}:`, error);
-          }
-        } else {
-          console.log(`⏭️ [MILESTONE] Individual milestone NFT already minted: ${nftKey}`);
-        }
-      }
-      
-    } catch (error) {
-      console.error(`❌ [MILESTONE] Individual milestone checking failed:`, error);
+    // Mark as claimed; only one claim can move the milestone out of 'claimable'
+    const claimed = await storage.milestones.transition(nftId, 'claimable', {
+      status: 'claimed',
+      claimedAt: new Date().toISOString()
+    });
+    if (!claimed) {
+      const current = await storage.milestones.get(nftId);
+      return { valid: false, status: 409, error: 'NFT already claimed or minted', message: `NFT ${nftId} is ${current.status}` };
     }
-    
-    return mintedNFTs;
-  }
-
-  /**
-   * Mint NFT for pool milestone achievement
-   */
-  async mintPoolMilestoneNFT(poolId, milestone, poolData, recipientPublicKey) {
-    const metadata = {
-      poolName: poolData.name || `Pool ${poolId}`,
-      milestoneAmount: milestone,
-      milestoneType: 'pool',
-      tier: this.determineTier(milestone, 'pool'),
-      recipientPublicKey,
-      poolId,
-      achievementType: 'Pool Milestone',
-      description: `Pool reached $${milestone} in charitable donations`
-    };
 
-    console.log(`🎨 [MILESTONE] Minting pool milestone NFT: ${milestone} for ${poolData.name}`);
-    
-    const nft = await nftService.mintImpactCertificate(metadata);
-    
-    // Add milestone-specific data
-    nft.milestoneType = 'pool';
-    nft.milestoneAmount = milestone;
-    nft.poolId = poolId;
-    
-    return nft;
-  }
-
-  /**
-   * Mint NFT for individual milestone achievement
-   */
-  async mintIndividualMilestoneNFT(userPublicKey, milestone, poolData, totalContributed) {
-    const metadata = {
-      poolName: poolData.name || 'Impact Pool Contribution',
-      milestoneAmount: milestone,
-      milestoneType: 'individual',
-      tier: this.determineTier(milestone, 'individual'),
-      recipientPublicKey: userPublicKey,
-      totalContributed,
-      achievementType: 'Individual Milestone',
-      description: `Individual contributed $${milestone} to charitable causes`
-    };
+    // The mint job marks the milestone 'minted' once the certificate is issued
+    const mintJob = await this.mintJobs.enqueue(claimed);
 
-    console.log(`🎨 [MILESTONE] Minting individual milestone NFT: ${milestone} for ${userPublicKey}`);
-    
-    const nft = await nftService.mintImpactCertificate(metadata);
-    
-    // Add milestone-specific data
-    nft.milestoneType = 'individual';
-    nft.milestoneAmount = milestone;
-    nft.userPublicKey = userPublicKey;
-    
-    return nft;
+    console.log(`✅ [CLAIM] NFT claimed, certificate queued for minting: ${nftId}`);
+    return { valid: true, mintJob };
   }
 
   /**
-   * Determine achievement tier based on milestone amount and type
+   * Get milestone progress for a pool
+   * @param {number} [currentDonated] - Donated USD to measure; the pool's stored totalDonatedUSD without it
    */
-  determineTier(amount, type) {
-    if (type === 'pool') {
-      if (amount >= 1000) return 'Platinum';
-      if (amount >= 500) return 'Gold';
-      if (amount >= 100) return 'Silver';
-      return 'Bronze';
-    } else if (type === 'individual') {
-      if (amount >= 100) return 'Platinum';
-      if (amount >= 50) return 'Gold';
-      if (amount >= 10) return 'Silver';
-      return 'Bronze';
-    }
-    return 'Bronze';
+  async getPoolMilestoneProgress(poolId, currentDonated) {
+    currentDonated ??= (await this.getStorage().pools.get(poolId))?.totalDonatedUSD || 0;
+    const ladder = (await this.getLadders(poolId)).pool;
+    const previousMilestone = (await this.getPoolHistory(poolId)).highestPoolMilestone || 0;
+    return this.ladderProgress(ladder, currentDonated, previousMilestone);
   }
 
   /**
-   * Get milestone progress for a pool
+   * Get milestone progress for an individual user
    */
-  getPoolMilestoneProgress(poolId, currentDonated) {
-    const nextMilestone = this.poolMilestones.find(m => m > currentDonated);
-    const previousMilestone = this.milestoneHistory.get(poolId)?.highestPoolMilestone || 0;
-    
-    return {
-      currentAmount: currentDonated,
-      nextMilestone,
-      previousMilestone,
-      progress: nextMilestone ? (currentDonated / nextMilestone) * 100 : 100,
-      completedMilestones: this.poolMilestones.filter(m => m <= currentDonated),
-      remainingMilestones: this.poolMilestones.filter(m => m > currentDonated)
-    };
+  async getUserMilestoneProgress(userPublicKey, currentContributed, poolId) {
+    const ladder = (await this.getLadders(poolId)).individual;
+    const userHistory = await this.getUserHistory(userPublicKey, poolId);
+    const previousMilestone = userHistory.highestIndividualMilestone || 0;
+    return this.ladderProgress(ladder, currentContributed, previousMilestone);
   }
 
   /**
-   * Get milestone progress for an individual user
+   * Progress along a ladder; `nextStep` is the next step to reach and `ladder` all of its steps
    */
-  getUserMilestoneProgress(userPublicKey, currentContributed) {
-    const nextMilestone = this.individualMilestones.find(m => m > currentContributed);
-    const userHistory = this.userMilestones.get(userPublicKey) || {};
-    const previousMilestone = userHistory.highestIndividualMilestone || 0;
+  ladderProgress(ladder, currentAmount, previousMilestone) {
+    const nextStep = ladder.find(step => step.amount > currentAmount) || null;
     
     return {
-      currentAmount: currentContributed,
-      nextMilestone,
+      currentAmount,
+      nextMilestone: nextStep?.amount,
+      nextStep,
       previousMilestone,
-      progress: nextMilestone ? (currentContributed / nextMilestone) * 100 : 100,
-      completedMilestones: this.individualMilestones.filter(m => m <= currentContributed),
-      remainingMilestones: this.individualMilestones.filter(m => m > currentContributed)
+      progress: nextStep ? (currentAmount / nextStep.amount) * 100 : 100,
+      completedMilestones: ladder.filter(step => step.amount <= currentAmount).map(step => step.amount),
+      remainingMilestones: ladder.filter(step => step.amount > currentAmount).map(step => step.amount),
+      ladder
     };
   }
 
   /**
-   * Get all milestones for a specific pool
+   * Get all milestones for a specific pool, with the pool's ladders
    */
-  getPoolMilestones(poolId) {
-    const history = this.milestoneHistory.get(poolId) || {};
+  async getPoolMilestones(poolId) {
+    const [ladders, history] = await Promise.all([this.getLadders(poolId), this.getPoolHistory(poolId)]);
     return {
       poolId,
-      milestoneThresholds: this.poolMilestones,
+      milestoneThresholds: ladders.pool.map(step => step.amount),
+      ladders,
       ...history
     };
   }
 
   /**
-   * Get all milestones for a specific user
+   * Get all milestones for a specific user (in one pool when a poolId is given)
    */
-  getUserMilestones(userPublicKey) {
-    const history = this.userMilestones.get(userPublicKey) || {};
+  async getUserMilestones(userPublicKey, poolId) {
+    const [ladders, history] = await Promise.all([this.getLadders(poolId), this.getUserHistory(userPublicKey, poolId)]);
     return {
       userPublicKey,
-      milestoneThresholds: this.individualMilestones,
+      poolId: poolId || null,
+      milestoneThresholds: ladders.individual.map(step => step.amount),
+      ladder: ladders.individual,
       ...history
     };
   }
 
-  /**
-   * Update milestone history for a pool
-   */
-  updateMilestoneHistory(poolId, milestoneData) {
-    const existing = this.milestoneHistory.get(poolId) || {};
-    this.milestoneHistory.set(poolId, { ...existing, ...milestoneData });
-  }
-
-  /**
-   * Update milestone history for a user
-   */
-  updateUserMilestoneHistory(userPublicKey, milestoneData) {
-    const existing = this.userMilestones.get(userPublicKey) || {};
-    this.userMilestones.set(userPublicKey, { ...existing, ...milestoneData });
-  }
-
   /**
    * Check if specific milestone has been reached and NFT minted
+   * @param {string} identifier - Pool ID, or `<publicKey>_<poolId>` for individual milestones
    */
-  isMilestoneComplete(type, identifier, milestone) {
+  async isMilestoneComplete(type, identifier, milestone) {
     const nftKey = `${type}_${identifier}_${milestone}`;
-    return this.mintedNFTs.has(nftKey);
-  }
-
-  /**
-   * Manually trigger milestone check (useful for testing or admin functions)
-   */
-  async manualMilestoneCheck(poolId, poolData) {
-    console.log(`🔧 [MILESTONE] Manual milestone check for pool ${poolId}`);
-    
-    try {
-      const totalDonated = poolData.totalDonated || 0;
-      return await this.checkAndMintNFTs(poolId, totalDonated, poolData);
-    } catch (error) {
-      console.error(`❌ [MILESTONE] Manual milestone check failed:`, error);
-      throw error;
-    }
+    return (await this.getStorage().milestones.get(nftKey))?.status === 'minted';
   }
 
   /**
    * Get milestone statistics
    */
-  getMilestoneStatistics() {
-    const totalPoolsWithMilestones = this.milestoneHistory.size;
-    const totalUsersWithMilestones = this.userMilestones.size;
-    const totalNFTsMinted = this.mintedNFTs.size;
-    
-    // Count by tier
-    const tierCounts = { Bronze: 0, Silver: 0, Gold: 0, Platinum: 0 };
+  async getMilestoneStatistics() {
+    const milestones = await this.getStorage().milestones.list();
     
-    // Count pool milestones by tier
-    for (const history of this.milestoneHistory.values()) {
-      const milestone = history.highestPoolMilestone;
-      if (milestone) {
-        const tier = this.determineTier(milestone, 'pool');
-        tierCounts[tier]++;
-      }
+    // Highest milestone of every pool and every user
+    const highestPool = new Map();
+    const highestIndividual = new Map();
+    for (const record of milestones) {
+      const [highest, key] = record.type === 'pool' ? [highestPool, record.poolId] : [highestIndividual, record.recipientPublicKey];
+      if (!highest.has(key) || record.milestone > highest.get(key).milestone) highest.set(key, record);
     }
     
-    // Count individual milestones by tier
-    for (const history of this.userMilestones.values()) {
-      const milestone = history.highestIndividualMilestone;
-      if (milestone) {
-        const tier = this.determineTier(milestone, 'individual');
-        tierCounts[tier]++;
-      }
+    const totalPoolsWithMilestones = highestPool.size;
+    const totalUsersWithMilestones = highestIndividual.size;
+    const totalNFTsMinted = milestones.filter(milestone => milestone.status === 'minted').length;
+    
+    // Count the highest milestone of every pool and user by the tier of its ladder step
+    const tierCounts = Object.fromEntries(this.config.tiers.map(tier => [tier, 0]));
+    for (const record of [...highestPool.values(), ...highestIndividual.values()]) {
+      const tier = record.metadata?.tier;
+      if (tier) tierCounts[tier] = (tierCounts[tier] || 0) + 1;
     }
     
+    // Default ladders (pools may have their own)
     return {
       totalPoolsWithMilestones,
       totalUsersWithMilestones,
       totalNFTsMinted,
       tierCounts,
-      poolMilestoneThresholds: this.poolMilestones,
-      individualMilestoneThresholds: this.individualMilestones
+      poolMilestoneThresholds: this.config.ladders.pool.map(step => step.amount),
+      individualMilestoneThresholds: this.config.ladders.individual.map(step => step.amount)
     };
   }
-
-  /**
-   * Reset milestone data (useful for testing)
-   */
-  reset() {
-    this.milestoneHistory.clear();
-    this.userMilestones.clear();
-    this.mintedNFTs.clear();
-    this.claimableNFTs.clear();
-    console.log('🔄 [MILESTONE] Service reset completed');
-  }
 }
 
 export default new MilestoneService(); 
\ No newline at end of file
@@ -0,0 +1,52 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MilestoneService } from './milestoneService.js';
+import { START, silentDomainEvents, useTestStorage } from '../testing/fixtures.js';
+
+const RECIPIENT = 'GRECIPIENT';
+const milestone = {
+  id: 'pool_pool_claim_test_100',
+  poolId: 'pool_claim_test',
+  type: 'pool',
+  recipientPublicKey: RECIPIENT,
+  milestone: 100,
+  status: 'claimable',
+  claimableAt: new Date(START).toISOString()
+};
+
+const stores = useTestStorage('milestones');
+
+let storage;
+let queued;
+let milestones;
+
+beforeEach(async () => {
+  storage = await stores.open();
+  queued = [];
+  milestones = new MilestoneService({
+    getStorage: () => storage,
+    domainEvents: silentDomainEvents,
+    mintJobs: { enqueue: async (claimed) => { queued.push(claimed.id); return { id: `mint_${claimed.id}` }; } }
+  });
+  await storage.milestones.insert(milestone);
+});
+
+test('claims a claimable NFT once and queues its mint', async () => {
+  const result = await milestones.claimNFT(RECIPIENT, milestone.id);
+
+  assert.equal(result.valid, true);
+  assert.equal(result.mintJob.id, `mint_${milestone.id}`);
+  assert.equal((await storage.milestones.get(milestone.id)).status, 'claimed');
+
+  const repeated = await milestones.claimNFT(RECIPIENT, milestone.id);
+  assert.equal(repeated.valid, false);
+  assert.equal(repeated.status, 409);
+  assert.deepEqual(queued, [milestone.id]);
+});
+
+test('answers 404 for an NFT the wallet can not claim', async () => {
+  assert.equal((await milestones.claimNFT('GSOMEONE_ELSE', milestone.id)).status, 404);
+  assert.equal((await milestones.claimNFT(RECIPIENT, 'pool_missing_100')).status, 404);
+  assert.equal((await storage.milestones.get(milestone.id)).status, 'claimable');
+  assert.deepEqual(queued, []);
+});
@@ -0,0 +1,289 @@
+import { getStorage } from '../storage/index.js';
+import { nftMintConfig } from '../config.js';
+import nftService, { MINT_STEPS } from './nftService.js';
+import eventService from './eventService.js';
+
+// Steps that don't run again when a job is resumed
+const FINISHED_STEP_STATUSES = ['completed', 'skipped'];
+
+/**
+ * NFT Mint Queue Service
+ * Claimed certificates are minted by a background worker instead of inside the claim request.
+ * Every claim becomes a persisted mint job (one per milestone) with one record per mint step
+ * (see nftService.MINT_STEPS), and each step's outcome and transaction hash are stored as soon
+ * as it has run.
+ *
+ * Job statuses: 'pending' (waiting for the worker, or for its next attempt), 'running',
+ * 'completed' and 'failed'. A job whose step fails goes back to 'pending' and is resumed from
+ * that step after config.retrySeconds, doubling with every attempt; after config.maxAttempts
+ * attempts it is 'failed' and waits for retry(). Steps check whether they already took effect
+ * before acting, so a job interrupted by a restart is resumed on startup without funding,
+ * paying or locking twice.
+ *
+ * The milestone stays 'claimed' (with the last error) until its job completes and then becomes
+ * 'minted' with the certificate details.
+ */
+export class MintJobService {
+  constructor({
+    clock = { now: () => Date.now() },
+    getStorage: storageProvider = getStorage,
+    nft = nftService,
+    events = eventService,
+    config = nftMintConfig
+  } = {}) {
+    this.clock = clock;
+    this.getStorage = storageProvider;
+    this.nft = nft;
+    this.events = events;
+    this.config = config;
+
+    this.isRunning = false;
+    this.interval = null;
+    this.activeRun = null;
+    this.runRequested = false;
+  }
+
+  /**
+   * Return jobs interrupted by a restart to the queue so the worker resumes them
+   */
+  async initialize() {
+    const storage = this.getStorage();
+    const interrupted = await storage.mintJobs.list({ statuses: ['running'], limit: 1000 });
+    const now = new Date(this.clock.now()).toISOString();
+
+    for (const job of interrupted) {
+      for (const step of await storage.mintJobs.listSteps(job.id)) {
+        if (step.status === 'running') {
+          await storage.mintJobs.updateStep(step.id, { status: 'pending' });
+        }
+      }
+      await storage.mintJobs.update(job.id, { status: 'pending', nextAttemptAt: now, updatedAt: now });
+      console.log(`🔁 [MINT] Resuming interrupted mint job ${job.id}`);
+    }
+    return this;
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`🎨 [MINT] Worker started (every ${this.config.workerIntervalSeconds}s)`);
+
+    this.processQueue();
+    this.interval = setInterval(() => this.processQueue(), this.config.workerIntervalSeconds * 1000);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.interval);
+    this.interval = null;
+    this.isRunning = false;
+    console.log('🛑 [MINT] Worker stopped');
+  }
+
+  /**
+   * Queue the certificate mint of a claimed milestone
+   * A milestone only ever has one job; queueing it again returns the existing job.
+   * @returns {Object} The job, with its steps
+   */
+  async enqueue(milestone) {
+    const storage = this.getStorage();
+    const now = new Date(this.clock.now()).toISOString();
+    const id = `mint_${milestone.id}`;
+
+    const inserted = await storage.mintJobs.insert({
+      id,
+      milestoneId: milestone.id,
+      recipientPublicKey: milestone.recipientPublicKey,
+      poolId: milestone.poolId || null,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: now,
+      error: null,
+      mint: { metadata: milestone.metadata, recipientPublicKey: milestone.recipientPublicKey, milestoneKey: milestone.id },
+      createdAt: now,
+      updatedAt: now,
+      steps: MINT_STEPS.map((name, position) => ({
+        id: `${id}_${name}`,
+        jobId: id,
+        name,
+        position,
+        status: 'pending',
+        attempts: 0,
+        txHash: null,
+        error: null
+      }))
+    });
+
+    const job = await this.getJob(id);
+    if (inserted) {
+      console.log(`📥 [MINT] Queued certificate mint for ${milestone.id}`);
+      if (this.isRunning) this.processQueue();
+    }
+    return job;
+  }
+
+  /**
+   * Run every job that is due (concurrent calls share the active run)
+   */
+  processQueue() {
+    if (this.activeRun) {
+      this.runRequested = true;
+      return this.activeRun;
+    }
+
+    this.activeRun = (async () => {
+      do {
+        this.runRequested = false;
+        await this.processDue();
+      } while (this.runRequested);
+    })()
+      .catch(error => console.error('❌ [MINT] Worker run failed:', error))
+      .finally(() => {
+        this.activeRun = null;
+      });
+
+    return this.activeRun;
+  }
+
+  async processDue() {
+    const now = this.clock.now();
+    const pending = await this.getStorage().mintJobs.list({ statuses: ['pending'], limit: 1000 });
+
+    for (const job of pending.filter(job => !job.nextAttemptAt || Date.parse(job.nextAttemptAt) <= now)) {
+      if (!this.isRunning) break;
+      await this.runJob(job);
+    }
+  }
+
+  /**
+   * Run a job's remaining steps in order, then record the minted certificate
+   * @returns {Object} The job after this attempt
+   */
+  async runJob(job) {
+    const storage = this.getStorage();
+    const timestamp = () => new Date(this.clock.now()).toISOString();
+
+    let current = await storage.mintJobs.update(job.id, { status: 'running', attempts: job.attempts + 1, updatedAt: timestamp() });
+    const steps = await storage.mintJobs.listSteps(job.id);
+    const txHashes = Object.fromEntries(steps.map(step => [step.name, step.txHash || null]));
+
+    for (const step of steps.filter(step => !FINISHED_STEP_STATUSES.includes(step.status))) {
+      await storage.mintJobs.updateStep(step.id, { status: 'running', attempts: (step.attempts || 0) + 1, startedAt: timestamp(), error: null });
+
+      try {
+        const { changes = {}, txHash = null, skipped = false } = await this.nft.runMintStep(step.name, current.mint);
+        txHashes[step.name] = txHash;
+        current = await storage.mintJobs.update(job.id, { mint: { ...current.mint, ...changes }, updatedAt: timestamp() });
+        await storage.mintJobs.updateStep(step.id, { status: skipped ? 'skipped' : 'completed', txHash, completedAt: timestamp() });
+      } catch (error) {
+        await storage.mintJobs.updateStep(step.id, { status: 'failed', error: error.message });
+        return this.failAttempt(current, `${step.name}: ${error.message}`);
+      }
+    }
+
+    let nft;
+    try {
+      nft = await this.nft.certificateDetails(current.mint, txHashes);
+    } catch (error) {
+      return this.failAttempt(current, `certificate: ${error.message}`);
+    }
+
+    await storage.milestones.update(current.milestoneId, { status: 'minted', mintedAt: nft.mintedAt, nftDetails: nft, error: null });
+    const completed = await storage.mintJobs.update(job.id, { status: 'completed', error: null, nextAttemptAt: null, completedAt: timestamp(), updatedAt: timestamp() });
+
+    console.log(`✅ [MINT] Certificate for ${current.milestoneId} minted: ${nft.assetCode}`);
+    this.events.publish('nft', { publicKey: completed.recipientPublicKey, poolId: completed.poolId, mintJob: await this.getJob(job.id) });
+    return completed;
+  }
+
+  /**
+   * Record a failed attempt: retry later with backoff, or fail the job once it is out of attempts
+   */
+  async failAttempt(job, error) {
+    const storage = this.getStorage();
+    const now = this.clock.now();
+    const exhausted = job.attempts >= this.config.maxAttempts;
+    const retryAt = now + this.config.retrySeconds * 1000 * 2 ** (job.attempts - 1);
+
+    await storage.milestones.update(job.milestoneId, { error });
+    const failed = await storage.mintJobs.update(job.id, {
+      status: exhausted ? 'failed' : 'pending',
+      error,
+      nextAttemptAt: exhausted ? null : new Date(retryAt).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    });
+
+    if (exhausted) {
+      console.error(`❌ [MINT] Mint job ${job.id} failed after ${job.attempts} attempts: ${error}`);
+      this.events.publish('nft', { publicKey: failed.recipientPublicKey, poolId: failed.poolId, mintJob: await this.getJob(job.id) });
+    } else {
+      console.warn(`⚠️ [MINT] Mint job ${job.id} attempt ${job.attempts} failed, retrying at ${failed.nextAttemptAt}: ${error}`);
+    }
+    return failed;
+  }
+
+  /**
+   * Queue a failed job again, resuming from the step that failed
+   * @returns {Object} { valid: true, job } or { valid: false, status, error, message }
+   */
+  async retry(jobId) {
+    const job = await this.getStorage().mintJobs.get(jobId);
+    if (!job) {
+      return { valid: false, status: 404, error: 'Mint job not found', message: `No mint job ${jobId}` };
+    }
+    if (job.status !== 'failed') {
+      return { valid: false, status: 409, error: 'Mint job not failed', message: `Mint job ${jobId} is ${job.status}; only failed jobs can be retried` };
+    }
+
+    const now = new Date(this.clock.now()).toISOString();
+    await this.getStorage().mintJobs.update(jobId, { status: 'pending', attempts: 0, nextAttemptAt: now, updatedAt: now });
+    console.log(`🔁 [MINT] Mint job ${jobId} queued again`);
+    if (this.isRunning) this.processQueue();
+
+    return { valid: true, job: await this.getJob(jobId) };
+  }
+
+  /**
+   * A job with its steps, or null
+   */
+  async getJob(jobId) {
+    const storage = this.getStorage();
+    const job = await storage.mintJobs.get(jobId);
+    return job ? { ...job, steps: await storage.mintJobs.listSteps(jobId) } : null;
+  }
+
+  /**
+   * A recipient's jobs, oldest first, with their steps
+   */
+  async listJobs(recipientPublicKey) {
+    const jobs = await this.getStorage().mintJobs.list({ recipient: recipientPublicKey, limit: 1000 });
+    return Promise.all(jobs.map(job => this.getJob(job.id)));
+  }
+
+  async getStatus() {
+    const storage = this.getStorage();
+    const countOf = async (status) => (await storage.mintJobs.list({ statuses: [status], limit: 100000 })).length;
+
+    return {
+      isRunning: this.isRunning,
+      intervalSeconds: this.config.workerIntervalSeconds,
+      maxAttempts: this.config.maxAttempts,
+      retrySeconds: this.config.retrySeconds,
+      processing: Boolean(this.activeRun),
+      jobs: {
+        pending: await countOf('pending'),
+        running: await countOf('running'),
+        failed: await countOf('failed')
+      }
+    };
+  }
+}
+
+// Export singleton instance
+export default new MintJobService();
@@ -0,0 +1,190 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MINT_STEPS } from './nftService.js';
+import { MintJobService } from './mintJobService.js';
+import { START, createClock, silentEvents, useTestStorage } from '../testing/fixtures.js';
+
+const RECIPIENT = 'GRECIPIENT';
+const milestone = {
+  id: 'pool_pool_mint_test_100',
+  poolId: 'pool_mint_test',
+  type: 'pool',
+  recipientPublicKey: RECIPIENT,
+  milestone: 100,
+  status: 'claimed',
+  metadata: { title: 'First $100 donated' }
+};
+
+const stores = useTestStorage('mint-jobs');
+
+let storage;
+let clock;
+let ran;
+let failures;
+
+/**
+ * NFT service stand-in: records the steps it runs and fails a step while `failures[step]` is set
+ */
+const nft = {
+  runMintStep: async (name, mint) => {
+    ran.push(name);
+    if (failures[name]) throw new Error(failures[name]);
+    return { txHash: `tx_${name}`, changes: { [`${name}Done`]: true } };
+  },
+  certificateDetails: async (mint, txHashes) => ({
+    assetCode: 'IMPACT0001',
+    mintedAt: new Date(clock.now()).toISOString(),
+    txHashes,
+    mint
+  })
+};
+
+const createMintJobs = ({ running = true } = {}) => {
+  const mintJobs = new MintJobService({
+    clock,
+    getStorage: () => storage,
+    nft,
+    events: silentEvents,
+    config: { workerIntervalSeconds: 10, maxAttempts: 3, retrySeconds: 30 }
+  });
+  // Run jobs like the started worker does, without its interval
+  mintJobs.isRunning = running;
+  return mintJobs;
+};
+
+const stepStatuses = async (jobId) => Object.fromEntries(
+  (await storage.mintJobs.listSteps(jobId)).map(step => [step.name, step.status])
+);
+
+beforeEach(async () => {
+  storage = await stores.open();
+  clock = createClock();
+  ran = [];
+  failures = {};
+  await storage.milestones.insert(milestone);
+});
+
+test('runs every step and marks the milestone minted', async () => {
+  const mintJobs = createMintJobs();
+  const job = await mintJobs.enqueue(milestone);
+
+  await mintJobs.processQueue();
+
+  assert.deepEqual(ran, MINT_STEPS);
+  const completed = await mintJobs.getJob(job.id);
+  assert.equal(completed.status, 'completed');
+  assert.equal(completed.attempts, 1);
+  assert.ok(completed.steps.every(step => step.status === 'completed' && step.txHash === `tx_${step.name}`));
+  const minted = await storage.milestones.get(milestone.id);
+  assert.equal(minted.status, 'minted');
+  assert.equal(minted.nftDetails.assetCode, 'IMPACT0001');
+  assert.equal(minted.nftDetails.mint.send_paymentDone, true);
+});
+
+test('queues one job per milestone', async () => {
+  const mintJobs = createMintJobs();
+
+  const first = await mintJobs.enqueue(milestone);
+  const second = await mintJobs.enqueue(milestone);
+
+  assert.equal(second.id, first.id);
+  assert.equal((await storage.mintJobs.list({ limit: 10 })).length, 1);
+});
+
+test('resumes a failed job from the step that failed, backing off between attempts', async () => {
+  const mintJobs = createMintJobs();
+  const job = await mintJobs.enqueue(milestone);
+  failures.set_data = 'Horizon timeout';
+
+  await mintJobs.processQueue();
+
+  let retrying = await storage.mintJobs.get(job.id);
+  assert.equal(retrying.status, 'pending');
+  assert.equal(retrying.error, 'set_data: Horizon timeout');
+  assert.equal(retrying.nextAttemptAt, new Date(START + 30 * 1000).toISOString());
+  assert.equal((await storage.milestones.get(milestone.id)).error, 'set_data: Horizon timeout');
+  assert.deepEqual(await stepStatuses(job.id), {
+    create_issuer: 'completed',
+    fund_issuer: 'completed',
+    check_trustline: 'completed',
+    set_data: 'failed',
+    send_payment: 'pending',
+    freeze_issuer: 'pending'
+  });
+
+  // Not retried before it is due
+  ran = [];
+  clock.advance(29 * 1000);
+  await mintJobs.processQueue();
+  assert.deepEqual(ran, []);
+
+  // The second failure waits twice as long
+  clock.advance(1000);
+  await mintJobs.processQueue();
+  retrying = await storage.mintJobs.get(job.id);
+  assert.deepEqual(ran, ['set_data']);
+  assert.equal(retrying.attempts, 2);
+  assert.equal(retrying.nextAttemptAt, new Date(clock.now() + 60 * 1000).toISOString());
+
+  delete failures.set_data;
+  ran = [];
+  clock.set(Date.parse(retrying.nextAttemptAt));
+  await mintJobs.processQueue();
+
+  assert.deepEqual(ran, ['set_data', 'send_payment', 'freeze_issuer']);
+  assert.equal((await storage.mintJobs.get(job.id)).status, 'completed');
+  assert.equal((await storage.milestones.get(milestone.id)).status, 'minted');
+});
+
+test('fails a job after the last attempt until it is retried', async () => {
+  const mintJobs = createMintJobs();
+  const job = await mintJobs.enqueue(milestone);
+  failures.fund_issuer = 'Treasury underfunded';
+
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    await mintJobs.processQueue();
+    const current = await storage.mintJobs.get(job.id);
+    if (current.nextAttemptAt) clock.set(Date.parse(current.nextAttemptAt));
+  }
+
+  const failed = await storage.mintJobs.get(job.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 3);
+  assert.equal(failed.nextAttemptAt, null);
+  assert.equal((await storage.milestones.get(milestone.id)).status, 'claimed');
+
+  assert.equal((await mintJobs.retry('mint_missing')).status, 404);
+  delete failures.fund_issuer;
+  const retried = await mintJobs.retry(job.id);
+  assert.equal(retried.valid, true);
+  assert.equal(retried.job.status, 'pending');
+  assert.equal(retried.job.attempts, 0);
+  await mintJobs.activeRun;
+
+  assert.equal((await storage.mintJobs.get(job.id)).status, 'completed');
+  assert.equal((await mintJobs.retry(job.id)).status, 409);
+});
+
+test('resumes a job interrupted by a restart without repeating finished steps', async () => {
+  const job = await createMintJobs({ running: false }).enqueue(milestone);
+  // A crash during send_payment leaves the job and the step running
+  const steps = await storage.mintJobs.listSteps(job.id);
+  for (const step of steps.slice(0, 4)) {
+    await storage.mintJobs.updateStep(step.id, { status: 'completed', txHash: `tx_${step.name}` });
+  }
+  await storage.mintJobs.updateStep(steps[4].id, { status: 'running', attempts: 1 });
+  await storage.mintJobs.update(job.id, { status: 'running', attempts: 1, nextAttemptAt: null });
+
+  const restarted = await createMintJobs().initialize();
+
+  assert.equal((await storage.mintJobs.get(job.id)).status, 'pending');
+  assert.equal((await stepStatuses(job.id)).send_payment, 'pending');
+
+  await restarted.processQueue();
+
+  assert.deepEqual(ran, ['send_payment', 'freeze_issuer']);
+  const completed = await restarted.getJob(job.id);
+  assert.equal(completed.status, 'completed');
+  assert.equal(completed.attempts, 2);
+  assert.equal(completed.steps.find(step => step.name === 'send_payment').attempts, 2);
+});
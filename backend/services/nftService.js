@@ -1,13 +1,15 @@
 import StellarSDK from '@stellar/stellar-sdk';
 import { generateCertificate } from '../utils/certificateGenerator.js';
+import { getSigner } from '../signer/index.js';
+import certificateRegistry, { certificateImageHash } from './certificateRegistry.js';
+
+// Steps of a certificate mint, in the order they run (see NFTService.runMintStep)
+export const MINT_STEPS = ['create_issuer', 'fund_issuer', 'check_trustline', 'set_data', 'send_payment', 'freeze_issuer'];
 
 // Stellar testnet configuration
 const server = new StellarSDK.Horizon.Server('https://horizon-testnet.stellar.org');
 const network = StellarSDK.Networks.TESTNET;
 
-// NFT issuer for managing certificate accounts
-const NFT_ISSUER_SECRET = process.env.NFT_ISSUER_SECRET || 'SAMPLEKEY'; // Will be configured
-
 class NFTService {
   constructor() {
     this.server = server;
@@ -15,111 +17,176 @@ class NFTService {
   }
 
   /**
-   * Mint a non-transferable Impact Certificate NFT
+   * Mint a non-transferable Impact Certificate NFT in one go
+   * Runs every mint step in this process without recording them; claimed milestones are minted
+   * through the mint queue instead (see mintJobService), which resumes a mint that failed.
    * @param {Object} metadata - Certificate metadata
    * @param {string} metadata.poolName - Name of the impact pool
    * @param {number} metadata.milestoneAmount - Milestone amount reached
    * @param {string} metadata.recipientPublicKey - Recipient's Stellar address
    * @param {string} metadata.milestoneType - Type of milestone (pool/individual)
    * @param {string} metadata.tier - Achievement tier (Bronze/Silver/Gold/Platinum)
+   * @param {string} milestoneKey - Key the certificate is registered under (its asset code is derived from it)
    * @returns {Object} NFT details including asset code and transaction hash
    */
-  async mintImpactCertificate(metadata) {
+  async mintImpactCertificate(metadata, milestoneKey) {
     try {
       console.log(`🎨 [NFT] Minting Impact Certificate for ${metadata.poolName}`);
-      
-      // 1. Create unique issuer account for this NFT
-      const issuerKeypair = StellarSDK.Keypair.random();
-      console.log(`🔑 [NFT] Created issuer account: ${issuerKeypair.publicKey()}`);
-
-      // 2. Generate certificate image (or metadata if image generation unavailable)
-      const certificateResult = await generateCertificate(metadata);
-      let certificateImage = null;
-      let hasImage = false;
-      
-      if (Buffer.isBuffer(certificateResult)) {
-        certificateImage = certificateResult;
-        hasImage = true;
-        console.log(`🖼️ [NFT] Certificate image generated`);
-      } else {
-        console.log(`📄 [NFT] Certificate metadata generated (no image)`);
+
+      let mint = { metadata, recipientPublicKey: metadata.recipientPublicKey, milestoneKey };
+      const txHashes = {};
+      for (const step of MINT_STEPS) {
+        const { changes = {}, txHash = null } = await this.runMintStep(step, mint);
+        mint = { ...mint, ...changes };
+        txHashes[step] = txHash;
+      }
+
+      return await this.certificateDetails(mint, txHashes);
+
+    } catch (error) {
+      console.error(`❌ [NFT] Minting failed:`, error);
+      throw new Error(`NFT minting failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Run one step of a certificate mint
+   * Each step first checks whether it already took effect (the issuer is funded, its data
+   * entries are set, the recipient holds the certificate, the issuer is locked), so a step that
+   * failed after reaching the network can run again without repeating itself.
+   * @param {string} step - One of MINT_STEPS
+   * @param {Object} mint - { metadata, recipientPublicKey, milestoneKey } plus the changes of the steps before:
+   *   assetCode and issuerPublicKey (create_issuer) and trustlineExists (check_trustline)
+   * @returns {Object} { changes, txHash, skipped } - changes are kept for the steps after
+   */
+  async runMintStep(step, mint) {
+    switch (step) {
+      case 'create_issuer': {
+        if (mint.issuerPublicKey) return {};
+
+        // The registry derives the asset code from the milestone key and keeps the issuer it was
+        // created for, so running this step again reuses both (the signer keeps the issuer key)
+        const { assetCode, issuerPublicKey: registeredIssuer } = await certificateRegistry.reserve(mint.milestoneKey, mint.recipientPublicKey);
+        if (registeredIssuer) return { changes: { assetCode, issuerPublicKey: registeredIssuer } };
+
+        const issuerPublicKey = await getSigner().createKey(`nft-issuer:${assetCode}`);
+        await certificateRegistry.recordIssuer(assetCode, issuerPublicKey);
+        console.log(`🔑 [NFT] Created issuer account: ${issuerPublicKey}`);
+        return { changes: { assetCode, issuerPublicKey } };
       }
 
-      // 3. Create unique asset code for this certificate
-      const assetCode = this.generateAssetCode(metadata);
-      const asset = new StellarSDK.Asset(assetCode, issuerKeypair.publicKey());
-
-      // 4. Fund issuer account (required for operations)
-      await this.fundIssuerAccount(issuerKeypair.publicKey());
-
-      // 5. Check if trustline exists on recipient account
-      const trustlineExists = await this.createTrustline(metadata.recipientPublicKey, asset);
-
-      // 6. Set metadata on issuer account
-      await this.setNFTMetadata(issuerKeypair, metadata, certificateImage);
-
-      let paymentTxHash = null;
-      let transferSuccessful = false;
-
-      if (trustlineExists) {
-        try {
-          // 7. Send NFT to recipient (1 stroop = 0.0000001 XLM)
-          paymentTxHash = await this.sendNFTToRecipient(
-            issuerKeypair, 
-            metadata.recipientPublicKey, 
-            asset
-          );
-          transferSuccessful = true;
-          console.log(`✅ [NFT] NFT transfer successful`);
-        } catch (error) {
-          console.warn(`⚠️ [NFT] NFT transfer failed, but certificate metadata is preserved: ${error.message}`);
+      case 'fund_issuer':
+        if (!(await this.loadAccountIfExists(mint.issuerPublicKey))) {
+          await this.fundIssuerAccount(mint.issuerPublicKey);
         }
-      } else {
-        console.log(`📋 [NFT] NFT created but not transferred - recipient must create trustline first`);
+        return {};
+
+      case 'check_trustline': {
+        const asset = new StellarSDK.Asset(mint.assetCode, mint.issuerPublicKey);
+        return { changes: { trustlineExists: await this.createTrustline(mint.recipientPublicKey, asset) } };
       }
 
-      // 8. Freeze issuer account (makes NFT non-transferable)
-      const freezeTxHash = await this.freezeIssuerAccount(issuerKeypair);
-
-      const nftDetails = {
-        assetCode,
-        issuerPublicKey: issuerKeypair.publicKey(),
-        recipientPublicKey: metadata.recipientPublicKey,
-        paymentTxHash,
-        freezeTxHash,
-        metadata,
-        certificateImage: hasImage ? certificateImage.toString('base64') : null,
-        certificateData: hasImage ? null : certificateResult,
-        hasImage,
-        mintedAt: new Date().toISOString(),
-        isNonTransferable: true,
-        transferSuccessful,
-        trustlineRequired: !trustlineExists,
-        claimInstructions: !transferSuccessful ? 
-          `To receive this NFT, create a trustline to asset ${assetCode} from issuer ${issuerKeypair.publicKey()}` : 
-          null
-      };
+      case 'set_data': {
+        const issuer = await this.server.loadAccount(mint.issuerPublicKey);
+        if (issuer.data_attr?.nft_type) return {};
+        return { txHash: await this.setNFTMetadata(mint.issuerPublicKey, mint.metadata) };
+      }
+
+      case 'send_payment': {
+        if (!mint.trustlineExists) {
+          console.log(`📋 [NFT] NFT created but not transferred - recipient must create trustline first`);
+          return { skipped: true };
+        }
 
-      if (transferSuccessful) {
-        console.log(`✅ [NFT] Impact Certificate minted and transferred successfully: ${assetCode}`);
-      } else {
-        console.log(`📋 [NFT] Impact Certificate minted but requires manual claim: ${assetCode}`);
+        const recipient = await this.server.loadAccount(mint.recipientPublicKey);
+        const delivered = recipient.balances.some(
+          balance => balance.asset_code === mint.assetCode &&
+                    balance.asset_issuer === mint.issuerPublicKey &&
+                    parseFloat(balance.balance) > 0
+        );
+        if (delivered) return {};
+
+        // Send NFT to recipient (1 stroop = 0.0000001 XLM)
+        const asset = new StellarSDK.Asset(mint.assetCode, mint.issuerPublicKey);
+        return { txHash: await this.sendNFTToRecipient(mint.issuerPublicKey, mint.recipientPublicKey, asset) };
       }
-      return nftDetails;
 
-    } catch (error) {
-      console.error(`❌ [NFT] Minting failed:`, error);
-      throw new Error(`NFT minting failed: ${error.message}`);
+      case 'freeze_issuer': {
+        // Freeze issuer account (makes NFT non-transferable)
+        const issuer = await this.server.loadAccount(mint.issuerPublicKey);
+        const txHash = issuer.signers.every(signer => signer.weight === 0)
+          ? null
+          : await this.freezeIssuerAccount(mint.issuerPublicKey);
+
+        // The locked issuer can never sign again, so its key is no longer needed
+        if (await getSigner().hasKey(mint.issuerPublicKey)) {
+          await getSigner().removeKey(mint.issuerPublicKey);
+        }
+        return { txHash };
+      }
+
+      default:
+        throw new Error(`Unknown mint step: ${step}`);
+    }
+  }
+
+  /**
+   * Details of a minted certificate, with its image (or metadata if image generation is unavailable)
+   * The certificate is recorded as minted in the certificate registry, with its image hash.
+   * @param {Object} mint - The mint after its last step (see runMintStep)
+   * @param {Object} txHashes - Transaction hash of each step, by step name
+   */
+  async certificateDetails(mint, txHashes) {
+    const { metadata, milestoneKey, assetCode, issuerPublicKey, trustlineExists } = mint;
+
+    const certificateResult = await generateCertificate(metadata);
+    const hasImage = Buffer.isBuffer(certificateResult);
+    console.log(hasImage ? `🖼️ [NFT] Certificate image generated` : `📄 [NFT] Certificate metadata generated (no image)`);
+
+    const nftDetails = {
+      assetCode,
+      issuerPublicKey,
+      milestoneKey,
+      recipientPublicKey: metadata.recipientPublicKey,
+      metadataTxHash: txHashes.set_data || null,
+      paymentTxHash: txHashes.send_payment || null,
+      freezeTxHash: txHashes.freeze_issuer || null,
+      metadata,
+      certificateImage: hasImage ? certificateResult.toString('base64') : null,
+      certificateData: hasImage ? null : certificateResult,
+      hasImage,
+      imageHash: certificateImageHash(certificateResult),
+      mintedAt: new Date().toISOString(),
+      isNonTransferable: true,
+      transferSuccessful: !!trustlineExists,
+      trustlineRequired: !trustlineExists,
+      claimInstructions: !trustlineExists ?
+        `To receive this NFT, create a trustline to asset ${assetCode} from issuer ${issuerPublicKey}` :
+        null
+    };
+
+    await certificateRegistry.recordMinted(nftDetails);
+
+    if (trustlineExists) {
+      console.log(`✅ [NFT] Impact Certificate minted and transferred successfully: ${assetCode}`);
+    } else {
+      console.log(`📋 [NFT] Impact Certificate minted but requires manual claim: ${assetCode}`);
     }
+    return nftDetails;
   }
 
   /**
-   * Generate unique asset code for certificate
+   * Load an account, or null if it doesn't exist yet
    */
-  generateAssetCode(metadata) {
-    const timestamp = Date.now().toString().slice(-6); // Last 6 digits
-    const poolPrefix = metadata.poolName.substring(0, 3).toUpperCase();
-    return `${poolPrefix}${timestamp}`;
+  async loadAccountIfExists(publicKey) {
+    try {
+      return await this.server.loadAccount(publicKey);
+    } catch (error) {
+      if (error.response?.status === 404 || error.name === 'NotFoundError') {
+        return null;
+      }
+      throw error;
+    }
   }
 
   /**
@@ -184,11 +251,11 @@ class NFTService {
   /**
    * Set NFT metadata on issuer account
    */
-  async setNFTMetadata(issuerKeypair, metadata, certificateImage) {
+  async setNFTMetadata(issuerPublicKey, metadata) {
     try {
-      const account = await this.server.loadAccount(issuerKeypair.publicKey());
+      const account = await this.server.loadAccount(issuerPublicKey);
       
-      const transaction = new StellarSDK.TransactionBuilder(account, {
+      const builder = new StellarSDK.TransactionBuilder(account, {
         fee: StellarSDK.BASE_FEE * 10, // Higher fee for multiple operations
         networkPassphrase: this.network,
       })
@@ -215,11 +282,32 @@ class NFTService {
         .addOperation(StellarSDK.Operation.manageData({
           name: 'minted_at',
           value: new Date().toISOString()
-        }))
-        .setTimeout(300)
-        .build();
+        }));
+
+      // USD valuation the milestone was reached with, so it can be audited on chain
+      const valuation = metadata.usdValuation;
+      if (valuation) {
+        builder
+          .addOperation(StellarSDK.Operation.manageData({
+            name: 'donated_usd',
+            value: valuation.donatedUSD.toFixed(2)
+          }))
+          .addOperation(StellarSDK.Operation.manageData({
+            name: 'usd_prices',
+            // Data entry values are limited to 64 bytes
+            value: Object.entries(valuation.prices).map(([asset, price]) => `${asset}=${price}`).join(',').slice(0, 64) || 'none'
+          }));
+        if (valuation.pricedAt) {
+          builder.addOperation(StellarSDK.Operation.manageData({
+            name: 'priced_at',
+            value: valuation.pricedAt
+          }));
+        }
+      }
+
+      const transaction = builder.setTimeout(300).build();
 
-      transaction.sign(issuerKeypair);
+      await getSigner().signTransaction(transaction, issuerPublicKey);
       const result = await this.server.submitTransaction(transaction);
       
       console.log(`📝 [NFT] Metadata set on issuer account: ${result.hash}`);
@@ -233,9 +321,9 @@ class NFTService {
   /**
    * Send NFT to recipient
    */
-  async sendNFTToRecipient(issuerKeypair, recipientPublicKey, asset) {
+  async sendNFTToRecipient(issuerPublicKey, recipientPublicKey, asset) {
     try {
-      const account = await this.server.loadAccount(issuerKeypair.publicKey());
+      const account = await this.server.loadAccount(issuerPublicKey);
       
       const transaction = new StellarSDK.TransactionBuilder(account, {
         fee: StellarSDK.BASE_FEE * 2,
@@ -249,7 +337,7 @@ class NFTService {
         .setTimeout(300)
         .build();
 
-      transaction.sign(issuerKeypair);
+      await getSigner().signTransaction(transaction, issuerPublicKey);
       const result = await this.server.submitTransaction(transaction);
       
       console.log(`💸 [NFT] Certificate sent to recipient: ${result.hash}`);
@@ -263,9 +351,9 @@ class NFTService {
   /**
    * Freeze issuer account to make NFT non-transferable
    */
-  async freezeIssuerAccount(issuerKeypair) {
+  async freezeIssuerAccount(issuerPublicKey) {
     try {
-      const account = await this.server.loadAccount(issuerKeypair.publicKey());
+      const account = await this.server.loadAccount(issuerPublicKey);
       
       const transaction = new StellarSDK.TransactionBuilder(account, {
         fee: StellarSDK.BASE_FEE * 2,
@@ -274,14 +362,14 @@ class NFTService {
         .addOperation(StellarSDK.Operation.setOptions({
           masterWeight: 0, // Remove master key weight
           signer: {
-            ed25519PublicKey: issuerKeypair.publicKey(),
+            ed25519PublicKey: issuerPublicKey,
             weight: 0
           }
         }))
         .setTimeout(300)
         .build();
 
-      transaction.sign(issuerKeypair);
+      await getSigner().signTransaction(transaction, issuerPublicKey);
       const result = await this.server.submitTransaction(transaction);
       
       console.log(`🔒 [NFT] Issuer account frozen (NFT now non-transferable): ${result.hash}`);
@@ -0,0 +1,408 @@
+import { getStorage } from '../storage/index.js';
+import { getHorizon } from '../horizon/index.js';
+import { stellarConfig, ingestionConfig } from '../config.js';
+import { NATIVE_ASSET } from './assetService.js';
+import depositService from './depositService.js';
+
+const CHECKPOINT_META_KEY = 'treasuryPayments';
+const REPORT_META_KEY = 'treasuryReconciliation';
+
+// Payment statuses that can still change once the ledger catches up
+const OPEN_STATUSES = ['unmatched', 'rejected', 'pending', 'unrecorded'];
+
+// Stellar amounts have 7 decimals
+const AMOUNT_TOLERANCE = 0.0000001;
+
+const discrepancyKey = (discrepancy) => [discrepancy.type, discrepancy.poolId, discrepancy.txHash, discrepancy.paymentId].join(':');
+
+/**
+ * Treasury Payment Ingestion Service
+ * Follows the payments to and from every treasury account on Horizon (storage.treasuryPayments),
+ * so deposits reach the pool ledgers even when the depositor never submits the transaction hash.
+ *
+ * Incoming payments are matched to a pool by the muxed ID of the pool's deposit address or by
+ * the pool's deposit memo and credited through depositService.recordDeposit, which verifies the
+ * transaction and ignores hashes that were already credited. Outgoing payments are matched to
+ * the withdrawals and charity payouts that sent them; those record themselves in the ledger when
+ * they confirm, so an outgoing payment nobody sent is reported rather than debited.
+ *
+ * Progress is checkpointed per account in storage.meta (the Horizon paging cursor). Every run that
+ * ingests something, and every config.reconcileSeconds otherwise, the deposit ledger is compared
+ * with the ingested payments and the discrepancies are stored as a report and logged.
+ *
+ * Payment statuses:
+ *   in:  credited, rejected (matched a pool but failed verification), unmatched (no pool)
+ *   out: recorded (a confirmed withdrawal or settled payout), pending (one still in flight),
+ *        unrecorded (not sent by this server)
+ *   internal: between a treasury account and itself
+ */
+export class PaymentIngestionService {
+  constructor({
+    clock = { now: () => Date.now() },
+    getStorage: storageProvider = getStorage,
+    getHorizon: horizonProvider = getHorizon,
+    deposits = depositService,
+    stellar = stellarConfig,
+    config = ingestionConfig
+  } = {}) {
+    this.clock = clock;
+    this.getStorage = storageProvider;
+    this.getHorizon = horizonProvider;
+    this.deposits = deposits;
+    this.stellar = stellar;
+    this.config = config;
+
+    this.isRunning = false;
+    this.interval = null;
+    this.activeRun = null;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`💸 [INGEST] Treasury payment ingestion started (every ${this.config.intervalSeconds}s)`);
+
+    this.ingestAll();
+    this.interval = setInterval(() => this.ingestAll(), this.config.intervalSeconds * 1000);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.interval);
+    this.interval = null;
+    this.isRunning = false;
+    console.log('🛑 [INGEST] Treasury payment ingestion stopped');
+  }
+
+  /**
+   * Ingest every treasury account once, then reconcile if due (concurrent calls share the active run)
+   * An account that fails is logged and retried from its checkpoint on the next run.
+   * @returns {Array} [{ account, ingested, cursor, error }]
+   */
+  ingestAll() {
+    if (!this.activeRun) {
+      this.activeRun = this.executeRun()
+        .catch(error => {
+          console.error('❌ [INGEST] Ingestion run failed:', error);
+          return [];
+        })
+        .finally(() => {
+          this.activeRun = null;
+        });
+    }
+    return this.activeRun;
+  }
+
+  async executeRun() {
+    const storage = this.getStorage();
+    const pools = await storage.pools.list();
+    const checkpoints = (await storage.meta.get(CHECKPOINT_META_KEY)) || {};
+    const results = [];
+
+    for (const account of this.treasuryAccounts(pools)) {
+      try {
+        const { ingested, checkpoint } = await this.ingestAccount(account, pools, checkpoints);
+        results.push({ account, ingested, cursor: checkpoint.cursor, error: null });
+      } catch (error) {
+        console.warn(`⚠️ [INGEST] Failed to ingest payments of treasury ${account}:`, error.message);
+        results.push({ account, ingested: 0, cursor: checkpoints[account]?.cursor ?? null, error: error.message });
+      }
+    }
+
+    const ingested = results.reduce((sum, result) => sum + result.ingested, 0);
+    this.lastRun = {
+      at: new Date(this.clock.now()).toISOString(),
+      accounts: results.length,
+      ingested,
+      failed: results.filter(result => result.error).length
+    };
+
+    const report = await storage.meta.get(REPORT_META_KEY);
+    if (ingested > 0 || !report || this.clock.now() - Date.parse(report.generatedAt) >= this.config.reconcileSeconds * 1000) {
+      await this.reconcile();
+    }
+    return results;
+  }
+
+  /**
+   * Every account that holds pool deposits: the configured treasuries and the pools' own
+   */
+  treasuryAccounts(pools) {
+    const accounts = [
+      ...this.stellar.treasuryAccounts,
+      this.stellar.poolTreasury,
+      ...pools.filter(pool => !pool.contractId).map(pool => pool.treasury)
+    ];
+    return [...new Set(accounts.filter(Boolean))];
+  }
+
+  /**
+   * Read an account's payments from its checkpoint until Horizon has no more
+   * The checkpoint is saved after every page. `caughtUpAt` is when the last run that reached the
+   * end started: everything credited before then should have been ingested.
+   * @param {Object} checkpoints - { [account]: { cursor, since, caughtUpAt, updatedAt } }, updated in place
+   * @returns {Object} { ingested, checkpoint }
+   */
+  async ingestAccount(account, pools, checkpoints) {
+    const storage = this.getStorage();
+    const horizon = this.getHorizon();
+    const startedAt = new Date(this.clock.now()).toISOString();
+
+    // 'now' skips the account's history, so the ledger before it can't be reconciled
+    let checkpoint = checkpoints[account] || {
+      cursor: this.config.startCursor,
+      since: this.config.startCursor === 'now' ? startedAt : null,
+      caughtUpAt: null
+    };
+
+    let ingested = 0;
+    for (;;) {
+      const page = await horizon.getPayments(account, { cursor: checkpoint.cursor, limit: this.config.pageLimit });
+
+      for (const payment of page.payments) {
+        if (await this.processPayment(account, payment, pools)) ingested++;
+      }
+
+      checkpoint = {
+        ...checkpoint,
+        cursor: page.cursor,
+        caughtUpAt: page.hasMore ? checkpoint.caughtUpAt : startedAt,
+        updatedAt: new Date(this.clock.now()).toISOString()
+      };
+      checkpoints[account] = checkpoint;
+      await storage.meta.set(CHECKPOINT_META_KEY, checkpoints);
+
+      if (!page.hasMore) break;
+    }
+
+    if (ingested > 0) {
+      console.log(`💸 [INGEST] Ingested ${ingested} payments of treasury ${account}`);
+    }
+    return { ingested, checkpoint };
+  }
+
+  /**
+   * Match one payment and store it
+   * The ledger is written before the payment is stored, so a payment that was stored has been
+   * credited; reading it again after a crash is a no-op.
+   * @returns {boolean} Whether the payment was new
+   */
+  async processPayment(account, payment, pools) {
+    const storage = this.getStorage();
+    if (!payment.successful || await storage.treasuryPayments.get(payment.id)) {
+      return false;
+    }
+
+    const direction = payment.to === account ? 'in' : 'out';
+    let match;
+    if (payment.from === account && payment.to === account) {
+      match = { poolId: null, status: 'internal' };
+    } else if (direction === 'in') {
+      match = await this.creditIncoming(account, payment, pools);
+    } else {
+      match = await this.matchOutgoing(account, payment, pools);
+    }
+
+    const { pagingToken, successful, ...fields } = payment;
+    return storage.treasuryPayments.add({
+      ...fields,
+      account,
+      direction,
+      error: null,
+      ...match
+    });
+  }
+
+  /**
+   * The classic pool a payment to or from the account belongs to
+   * @param {string|null} muxedId - Muxed ID of the account side of the payment
+   */
+  matchPool(account, payment, muxedId, pools) {
+    const onAccount = pools.filter(pool => !pool.contractId && (pool.treasury || this.stellar.poolTreasury) === account);
+
+    if (muxedId) {
+      return onAccount.find(pool => pool.treasuryMuxedId === muxedId) || null;
+    }
+    return onAccount.find(pool => payment.memo === this.deposits.expectedMemo(pool)) || null;
+  }
+
+  /**
+   * Credit a payment into the treasury to the pool it names
+   * @returns {Object} { poolId, status, error }
+   */
+  async creditIncoming(account, payment, pools) {
+    const pool = this.matchPool(account, payment, payment.toMuxedId, pools);
+    if (!pool) {
+      return { poolId: null, status: 'unmatched' };
+    }
+
+    if (await this.getStorage().deposits.findByTxHash(payment.txHash)) {
+      return { poolId: pool.id, status: 'credited' };
+    }
+
+    const result = await this.deposits.recordDeposit(pool.id, payment.txHash);
+    if (!result.valid) {
+      return { poolId: pool.id, status: 'rejected', error: result.message };
+    }
+    return { poolId: pool.id, status: 'credited' };
+  }
+
+  /**
+   * Match a payment out of the treasury to the withdrawal or payout that sent it
+   * @returns {Object} { poolId, status }
+   */
+  async matchOutgoing(account, payment, pools) {
+    const pool = payment.fromMuxedId ? this.matchPool(account, payment, payment.fromMuxedId, pools) : null;
+    const entry = await this.getStorage().deposits.findByTxHash(payment.txHash);
+
+    return {
+      poolId: entry?.poolId || pool?.id || null,
+      status: (await this.outgoingStatus(payment.txHash)) || 'unrecorded'
+    };
+  }
+
+  /**
+   * 'recorded' if this server's ledger has the outgoing transaction, 'pending' if it sent it and
+   * is waiting for it to confirm, otherwise null
+   */
+  async outgoingStatus(txHash) {
+    const storage = this.getStorage();
+    const [entry, withdrawal, payout] = await Promise.all([
+      storage.deposits.findByTxHash(txHash),
+      storage.withdrawals.findByTxHash(txHash),
+      storage.payouts.findByTxHash(txHash)
+    ]);
+
+    if (entry || withdrawal?.status === 'confirmed' || payout?.status === 'settled') {
+      return 'recorded';
+    }
+    if ((withdrawal && withdrawal.status !== 'failed') || (payout && payout.status !== 'failed')) {
+      return 'pending';
+    }
+    return null;
+  }
+
+  /**
+   * Compare the deposit ledger with the ingested payments
+   * Open payments are re-checked first (a deposit may have been credited, or a withdrawal
+   * confirmed, since they were ingested). Discrepancy types:
+   *   uncredited_payment    - a payment to a pool that could not be credited
+   *   unmatched_payment     - a payment to a treasury that names no pool
+   *   unrecorded_withdrawal - a payment out of a treasury that no withdrawal or payout sent
+   *   missing_on_chain      - a ledger entry with no matching treasury payment
+   *   amount_mismatch       - a ledger entry whose amount differs from its payments
+   * Ledger entries are only checked once their treasury's ingestion has caught up past them, and
+   * never when they came from the legacy pools file (before the pool's `legacyImportedAt`).
+   * New discrepancies are logged; the report is kept in storage.meta.
+   * @returns {Object} { generatedAt, counts, discrepancies }
+   */
+  async reconcile() {
+    const storage = this.getStorage();
+    const [pools, checkpoints, previous] = await Promise.all([
+      storage.pools.list(),
+      storage.meta.get(CHECKPOINT_META_KEY),
+      storage.meta.get(REPORT_META_KEY)
+    ]);
+    const discrepancies = [];
+
+    for (let payment of await storage.treasuryPayments.list({ statuses: OPEN_STATUSES, limit: 1000 })) {
+      const status = payment.direction === 'in'
+        ? ((await storage.deposits.findByTxHash(payment.txHash)) ? 'credited' : payment.status)
+        : ((await this.outgoingStatus(payment.txHash)) || 'unrecorded');
+      if (status !== payment.status) {
+        payment = await storage.treasuryPayments.update(payment.id, { status, error: null });
+      }
+
+      const amount = `${payment.amount} ${payment.asset}`;
+      const discrepancy = {
+        poolId: payment.poolId,
+        account: payment.account,
+        txHash: payment.txHash,
+        paymentId: payment.id,
+        asset: payment.asset,
+        ledgerAmount: 0,
+        chainAmount: payment.amount
+      };
+      if (payment.status === 'rejected') {
+        discrepancies.push({ type: 'uncredited_payment', ...discrepancy, message: `Payment of ${amount} to pool ${payment.poolId} was not credited: ${payment.error}` });
+      } else if (payment.status === 'unmatched') {
+        discrepancies.push({ type: 'unmatched_payment', ...discrepancy, message: `Payment of ${amount} from ${payment.from} to ${payment.account} names no pool` });
+      } else if (payment.status === 'unrecorded') {
+        discrepancies.push({ type: 'unrecorded_withdrawal', ...discrepancy, message: `Payment of ${amount} from ${payment.account} to ${payment.to} was not sent by a withdrawal or payout` });
+      }
+    }
+
+    for (const pool of pools.filter(pool => !pool.contractId)) {
+      const account = pool.treasury || this.stellar.poolTreasury;
+      const checkpoint = checkpoints?.[account];
+      if (!checkpoint?.caughtUpAt) continue;
+
+      for (const entry of await storage.deposits.listByPool(pool.id)) {
+        // Withdrawals are timestamped when they confirm, after their payment
+        if (!entry.txHash || entry.isSmartContract) continue;
+        if ((checkpoint.since && entry.timestamp < checkpoint.since) || entry.timestamp >= checkpoint.caughtUpAt) continue;
+        if (pool.legacyImportedAt && entry.timestamp <= pool.legacyImportedAt) continue;
+
+        const direction = entry.amount < 0 ? 'out' : 'in';
+        const asset = entry.asset || NATIVE_ASSET;
+        const payments = (await storage.treasuryPayments.list({ txHash: entry.txHash, direction }))
+          .filter(payment => payment.poolId === pool.id && payment.asset === asset);
+        const ledgerAmount = Math.abs(entry.amount);
+        const chainAmount = payments.reduce((sum, payment) => sum + payment.amount, 0);
+        const label = `${direction === 'in' ? 'Deposit' : 'Withdrawal'} ${entry.id} of ${ledgerAmount} ${asset} in pool ${pool.id}`;
+
+        const discrepancy = { poolId: pool.id, account, txHash: entry.txHash, paymentId: null, asset, ledgerAmount, chainAmount };
+        if (payments.length === 0) {
+          discrepancies.push({ type: 'missing_on_chain', ...discrepancy, message: `${label} has no matching treasury payment` });
+        } else if (Math.abs(chainAmount - ledgerAmount) > AMOUNT_TOLERANCE) {
+          discrepancies.push({ type: 'amount_mismatch', ...discrepancy, message: `${label} was paid ${chainAmount} ${asset} on chain` });
+        }
+      }
+    }
+
+    const counts = {};
+    for (const discrepancy of discrepancies) {
+      counts[discrepancy.type] = (counts[discrepancy.type] || 0) + 1;
+    }
+
+    const known = new Set((previous?.discrepancies || []).map(discrepancyKey));
+    for (const discrepancy of discrepancies.filter(discrepancy => !known.has(discrepancyKey(discrepancy)))) {
+      console.warn(`⚠️ [INGEST] Discrepancy (${discrepancy.type}): ${discrepancy.message}`);
+    }
+
+    const report = { generatedAt: new Date(this.clock.now()).toISOString(), counts, discrepancies };
+    await storage.meta.set(REPORT_META_KEY, report);
+    return report;
+  }
+
+  /**
+   * The last reconciliation report, or null before the first one
+   */
+  async getReport() {
+    return (await this.getStorage().meta.get(REPORT_META_KEY)) || null;
+  }
+
+  /**
+   * Ingestion status and each treasury account's checkpoint
+   */
+  async getStatus() {
+    const checkpoints = (await this.getStorage().meta.get(CHECKPOINT_META_KEY)) || {};
+
+    return {
+      isRunning: this.isRunning,
+      intervalSeconds: this.config.intervalSeconds,
+      lastRun: this.lastRun,
+      checkpoints
+    };
+  }
+}
+
+// Export singleton instance
+export default new PaymentIngestionService();
@@ -0,0 +1,195 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { MockHorizonClient } from '../horizon/mockHorizonClient.js';
+import { muxedIdFor } from './treasuryService.js';
+import { PaymentIngestionService } from './paymentIngestionService.js';
+import { DAY, START, createClock, useTestStorage } from '../testing/fixtures.js';
+
+const TREASURY = StellarSDK.Keypair.random().publicKey();
+const DEPOSITOR = StellarSDK.Keypair.random().publicKey();
+const STRANGER = StellarSDK.Keypair.random().publicKey();
+const POOL_ID = 'pool_ingestion_test';
+const MUXED_ID = muxedIdFor(POOL_ID);
+
+const at = (minutes) => new Date(START + minutes * 60 * 1000).toISOString();
+const hash = (index) => index.toString(16).padStart(64, '0');
+
+const stores = useTestStorage('ingestion');
+
+let storage;
+let horizon;
+let clock;
+let credited;
+let rejectedHashes;
+
+/**
+ * Deposit service stand-in that credits the payment Horizon reports, unless the hash is rejected
+ */
+const deposits = {
+  expectedMemo: pool => `Deposit: ${pool.id.slice(-8)}`,
+  recordDeposit: async (poolId, txHash) => {
+    credited.push(txHash);
+    if (rejectedHashes.has(txHash)) {
+      return { valid: false, message: 'Transaction failed verification' };
+    }
+    const transaction = await horizon.getTransaction(txHash);
+    const [payment] = transaction.payments;
+    await storage.deposits.add({
+      id: `deposit_${txHash.slice(-8)}`,
+      poolId,
+      userId: payment.from,
+      asset: payment.asset,
+      amount: payment.amount,
+      timestamp: transaction.createdAt,
+      txHash
+    });
+    return { valid: true };
+  }
+};
+
+const createIngestion = (config = {}) => new PaymentIngestionService({
+  clock,
+  getStorage: () => storage,
+  getHorizon: () => horizon,
+  deposits,
+  stellar: { treasuryAccounts: [TREASURY], poolTreasury: TREASURY },
+  config: { intervalSeconds: 15, pageLimit: 200, startCursor: '0', reconcileSeconds: 300, ...config }
+});
+
+// A payment of `amount` XLM into the pool's muxed deposit address
+const payIn = (index, amount, changes = {}) => horizon.addTransaction({
+  hash: hash(index),
+  createdAt: at(index),
+  payments: [{ from: DEPOSITOR, to: TREASURY, toMuxedId: MUXED_ID, fromMuxedId: null, asset: 'XLM', amount }],
+  ...changes
+});
+
+// A payment of `amount` XLM out of the pool's muxed address
+const payOut = (index, amount, to = DEPOSITOR) => horizon.addTransaction({
+  hash: hash(index),
+  createdAt: at(index),
+  payments: [{ from: TREASURY, fromMuxedId: MUXED_ID, to, toMuxedId: null, asset: 'XLM', amount }]
+});
+
+const typesOf = report => report.discrepancies.map(discrepancy => discrepancy.type).sort();
+
+beforeEach(async () => {
+  storage = await stores.open();
+  horizon = new MockHorizonClient();
+  clock = createClock(START + DAY);
+  credited = [];
+  rejectedHashes = new Set();
+
+  await storage.pools.insert({
+    id: POOL_ID,
+    name: 'Ingestion Test Pool',
+    assets: ['XLM'],
+    treasury: TREASURY,
+    treasuryMuxedId: MUXED_ID,
+    createdAt: at(0)
+  });
+});
+
+test('credits payments to the pool address and resumes from the checkpoint', async () => {
+  payIn(1, 10);
+  payIn(2, 20);
+  payIn(3, 30);
+
+  const [result] = await createIngestion({ pageLimit: 2 }).ingestAll();
+
+  assert.deepEqual(result, { account: TREASURY, ingested: 3, cursor: '3', error: null });
+  assert.deepEqual(credited, [hash(1), hash(2), hash(3)]);
+  assert.deepEqual((await storage.deposits.listByPool(POOL_ID)).map(entry => entry.amount), [10, 20, 30]);
+  assert.equal((await storage.treasuryPayments.get('1')).status, 'credited');
+
+  // A restarted service reads on from the stored cursor instead of the start
+  payIn(4, 40);
+  const [resumed] = await createIngestion().ingestAll();
+
+  assert.deepEqual(resumed, { account: TREASURY, ingested: 1, cursor: '4', error: null });
+  assert.deepEqual(credited, [hash(1), hash(2), hash(3), hash(4)]);
+});
+
+test('matches a payment to the treasury by the pool memo', async () => {
+  payIn(1, 10, {
+    memo: deposits.expectedMemo({ id: POOL_ID }),
+    payments: [{ from: DEPOSITOR, to: TREASURY, toMuxedId: null, fromMuxedId: null, asset: 'XLM', amount: 10 }]
+  });
+
+  await createIngestion().ingestAll();
+
+  const payment = await storage.treasuryPayments.get('1');
+  assert.equal(payment.poolId, POOL_ID);
+  assert.equal(payment.status, 'credited');
+});
+
+test('matches outgoing payments to the withdrawals that sent them', async () => {
+  await storage.withdrawals.insert({ id: 'withdrawal_paid', idempotencyKey: 'key_1', recipient: DEPOSITOR, asset: 'XLM', amount: 5, poolId: POOL_ID, status: 'confirmed', txHash: hash(1), createdAt: at(1) });
+  await storage.withdrawals.insert({ id: 'withdrawal_sent', idempotencyKey: 'key_2', recipient: DEPOSITOR, asset: 'XLM', amount: 6, poolId: POOL_ID, status: 'submitted', txHash: hash(2), createdAt: at(2) });
+  payOut(1, 5);
+  payOut(2, 6);
+  payOut(3, 7, STRANGER);
+
+  const ingestion = createIngestion();
+  await ingestion.ingestAll();
+
+  assert.deepEqual(
+    (await storage.treasuryPayments.list({ direction: 'out' })).map(payment => [payment.txHash, payment.poolId, payment.status]).sort(),
+    [[hash(1), POOL_ID, 'recorded'], [hash(2), POOL_ID, 'pending'], [hash(3), POOL_ID, 'unrecorded']]
+  );
+  // Ingestion never debits a pool itself
+  assert.deepEqual(await storage.deposits.listByPool(POOL_ID), []);
+
+  // The pending withdrawal confirms before the next reconciliation
+  await storage.withdrawals.update('withdrawal_sent', { status: 'confirmed' });
+  const report = await ingestion.reconcile();
+
+  assert.equal((await storage.treasuryPayments.get('2')).status, 'recorded');
+  assert.deepEqual(typesOf(report), ['unrecorded_withdrawal']);
+  assert.equal(report.discrepancies[0].txHash, hash(3));
+});
+
+test('reports every kind of discrepancy', async () => {
+  rejectedHashes.add(hash(1));
+  payIn(1, 10);
+  horizon.addTransaction({
+    hash: hash(2),
+    createdAt: at(2),
+    memo: 'no pool',
+    payments: [{ from: STRANGER, to: TREASURY, toMuxedId: null, fromMuxedId: null, asset: 'XLM', amount: 3 }]
+  });
+  payOut(3, 4, STRANGER);
+  // Already in the ledger, with another amount than was paid, so ingestion doesn't credit it again
+  payIn(4, 25);
+  await storage.deposits.add({ id: 'deposit_mismatch', poolId: POOL_ID, userId: DEPOSITOR, asset: 'XLM', amount: 26, timestamp: at(4), txHash: hash(4) });
+  await storage.deposits.add({ id: 'deposit_missing', poolId: POOL_ID, userId: DEPOSITOR, asset: 'XLM', amount: 8, timestamp: at(5), txHash: hash(5) });
+
+  await createIngestion().ingestAll();
+  const report = await createIngestion().getReport();
+
+  assert.deepEqual(report.counts, {
+    uncredited_payment: 1,
+    unmatched_payment: 1,
+    unrecorded_withdrawal: 1,
+    amount_mismatch: 1,
+    missing_on_chain: 1
+  });
+  assert.deepEqual(credited, [hash(1)]);
+  const mismatch = report.discrepancies.find(discrepancy => discrepancy.type === 'amount_mismatch');
+  assert.deepEqual([mismatch.txHash, mismatch.ledgerAmount, mismatch.chainAmount], [hash(4), 26, 25]);
+  const missing = report.discrepancies.find(discrepancy => discrepancy.type === 'missing_on_chain');
+  assert.deepEqual([missing.txHash, missing.ledgerAmount, missing.chainAmount], [hash(5), 8, 0]);
+});
+
+test('does not expect treasury payments for the ledger imported from the legacy file', async () => {
+  await storage.pools.update(POOL_ID, { legacyImportedAt: at(10) });
+  await storage.deposits.add({ id: 'deposit_legacy', poolId: POOL_ID, userId: DEPOSITOR, asset: 'XLM', amount: 8, timestamp: at(5), txHash: hash(5) });
+  await storage.deposits.add({ id: 'deposit_later', poolId: POOL_ID, userId: DEPOSITOR, asset: 'XLM', amount: 9, timestamp: at(15), txHash: hash(15) });
+
+  await createIngestion().ingestAll();
+  const report = await createIngestion().getReport();
+
+  assert.deepEqual(typesOf(report), ['missing_on_chain']);
+  assert.equal(report.discrepancies[0].txHash, hash(15));
+});
@@ -0,0 +1,405 @@
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { getStorage } from '../storage/index.js';
+import { getHorizon } from '../horizon/index.js';
+import { getSigner } from '../signer/index.js';
+import { payoutConfig, stellarConfig } from '../config.js';
+import { charityDonations } from './charityService.js';
+import assetService, { NATIVE_ASSET, emptyAssetTotals, poolAssetTotals } from './assetService.js';
+import yieldService from './yieldService.js';
+import eventService from './eventService.js';
+
+const STROOPS = 1e7;
+const MAX_OPERATIONS_PER_TRANSACTION = 100;
+const TRANSACTION_TIMEOUT_SECONDS = 300;
+const LAST_PAID_META_KEY = 'charityPayouts';
+
+// Amounts are paid in whole stroops; anything smaller stays undistributed
+// (the epsilon keeps binary float error such as 0.29 * 1e7 = 2899999.9999999995 from losing a stroop)
+const toStroops = (amount) => Math.floor(amount * STROOPS + 1e-6);
+const floorToStroops = (amount) => toStroops(amount) / STROOPS;
+
+/**
+ * Charity Payout Service
+ * Moves donations accrued by the yield engine from the treasury to the charities.
+ * Each run collects every pool's undistributed donations per charity and asset and, for
+ * verified charities that reached their threshold or waited long enough, submits one batched
+ * payment transaction per treasury and asset. Donations to unverified charities, or in an
+ * asset the charity has no trustline for, stay in the treasury. Pools are only marked as
+ * settled once the payment is on-chain.
+ *
+ * Payout statuses: 'dry_run' (built but never submitted), 'pending' (signed, awaiting
+ * confirmation, or submitted without a result), 'settled' and 'failed' (rejected by Horizon, or
+ * never confirmed before it expired).
+ */
+export class PayoutService {
+  constructor({
+    clock = { now: () => Date.now() },
+    getStorage: storageProvider = getStorage,
+    getHorizon: horizonProvider = getHorizon,
+    getSigner: signerProvider = getSigner,
+    assets = assetService,
+    yieldEngine = yieldService,
+    events = eventService,
+    config = payoutConfig,
+    defaultTreasury = stellarConfig.poolTreasury,
+    networkPassphrase = stellarConfig.network === 'public' ? StellarSDK.Networks.PUBLIC : StellarSDK.Networks.TESTNET
+  } = {}) {
+    this.clock = clock;
+    this.getStorage = storageProvider;
+    this.getHorizon = horizonProvider;
+    this.getSigner = signerProvider;
+    this.assets = assets;
+    this.yieldEngine = yieldEngine;
+    this.events = events;
+    this.config = config;
+    this.defaultTreasury = defaultTreasury;
+    this.networkPassphrase = networkPassphrase;
+
+    this.isRunning = false;
+    this.interval = null;
+    this.activeRun = null;
+    this.lastRun = null;
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`💸 [PAYOUT] Scheduler started (${this.config.dryRun ? 'dry run' : 'live'}, every ${this.config.checkIntervalSeconds}s)`);
+
+    this.interval = setInterval(() => {
+      this.runPayouts().catch(error => console.error('❌ [PAYOUT] Payout run failed:', error));
+    }, this.config.checkIntervalSeconds * 1000);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Run one payout cycle (concurrent calls share the active run)
+   * @returns {Array} Payout records created by this run
+   */
+  runPayouts({ dryRun = this.config.dryRun } = {}) {
+    if (!this.activeRun) {
+      this.activeRun = this.executeRun(dryRun).finally(() => {
+        this.activeRun = null;
+      });
+    }
+    return this.activeRun;
+  }
+
+  async executeRun(dryRun) {
+    if (!dryRun) {
+      await this.reconcilePending();
+    }
+
+    const batches = await this.planPayouts();
+    const payouts = [];
+
+    for (const batch of batches) {
+      const payout = await this.executeBatch(batch, { dryRun });
+      if (payout) payouts.push(payout);
+    }
+
+    this.lastRun = { at: new Date(this.clock.now()).toISOString(), dryRun, payouts: payouts.length };
+    return payouts;
+  }
+
+  /**
+   * Work out which charities are due a payout
+   * Thresholds are in units of the asset being paid.
+   * @returns {Array} [{ treasury, asset, items: [{ charityId, charity, address, asset, amount, pools: [{ poolId, amount }] }] }]
+   */
+  async planPayouts() {
+    const storage = this.getStorage();
+    const now = this.clock.now();
+    const [pools, pendingPayouts, lastPaid, charities] = await Promise.all([
+      storage.pools.list(),
+      storage.payouts.list({ status: 'pending', limit: 1000 }),
+      storage.meta.get(LAST_PAID_META_KEY),
+      storage.charities.list({ status: 'verified' })
+    ]);
+    const verifiedCharities = new Map(charities.map(charity => [charity.id, charity]));
+
+    // Donations already on their way to a charity are not available again
+    const inFlight = new Map();
+    for (const payout of pendingPayouts) {
+      for (const item of payout.items) {
+        for (const allocation of item.pools) {
+          const key = `${allocation.poolId}:${item.charityId}:${item.asset || payout.asset}`;
+          inFlight.set(key, (inFlight.get(key) || 0) + allocation.amount);
+        }
+      }
+    }
+
+    const groups = new Map();
+    for (const pool of pools) {
+      for (const donation of charityDonations(pool)) {
+        const amount = floorToStroops(
+          donation.donated - donation.paid - (inFlight.get(`${pool.id}:${donation.charityId}:${donation.asset}`) || 0)
+        );
+        if (amount <= 0) continue;
+
+        const charity = verifiedCharities.get(donation.charityId);
+        if (!charity?.address) {
+          console.warn(`⚠️ [PAYOUT] Charity "${donation.charityId || donation.charity}" of pool ${pool.id} is not verified - holding its donations`);
+          continue;
+        }
+
+        const treasury = pool.treasury || this.defaultTreasury;
+        const key = `${treasury}:${charity.id}:${donation.asset}`;
+        const group = groups.get(key) || {
+          treasury,
+          asset: donation.asset,
+          charityId: charity.id,
+          charity: charity.name,
+          address: charity.address,
+          stroops: 0,
+          pools: [],
+          oldestPool: now
+        };
+
+        // Summed in stroops so the payment always equals the sum of the pool allocations
+        group.stroops += toStroops(amount);
+        group.pools.push({ poolId: pool.id, amount });
+        group.oldestPool = Math.min(group.oldestPool, Date.parse(pool.createdAt) || now);
+        groups.set(key, group);
+      }
+    }
+
+    const batches = new Map();
+    for (const group of groups.values()) {
+      const amount = group.stroops / STROOPS;
+      const threshold = this.config.thresholds?.[group.charityId] ?? this.config.thresholdAmount;
+      const waitingSince = Date.parse(lastPaid?.[group.address]) || group.oldestPool;
+      const overdue = now - waitingSince >= this.config.maxIntervalHours * 60 * 60 * 1000;
+
+      if (amount < threshold && !overdue) continue;
+
+      if (group.asset !== NATIVE_ASSET) {
+        const check = await this.assets.checkCanReceive(group.address, group.asset, amount);
+        if (!check.valid) {
+          console.warn(`⚠️ [PAYOUT] ${group.charity} can't receive ${group.asset} (${check.message}) - holding its donations`);
+          continue;
+        }
+      }
+
+      const batchKey = `${group.treasury}:${group.asset}`;
+      const batch = batches.get(batchKey) || { treasury: group.treasury, asset: group.asset, items: [] };
+      batch.items.push({
+        charityId: group.charityId,
+        charity: group.charity,
+        address: group.address,
+        asset: group.asset,
+        amount,
+        pools: group.pools
+      });
+      batches.set(batchKey, batch);
+    }
+
+    return [...batches.values()].flatMap(({ treasury, asset, items }) => {
+      const chunks = [];
+      for (let index = 0; index < items.length; index += MAX_OPERATIONS_PER_TRANSACTION) {
+        chunks.push({ treasury, asset, items: items.slice(index, index + MAX_OPERATIONS_PER_TRANSACTION) });
+      }
+      return chunks;
+    });
+  }
+
+  /**
+   * Build, sign and submit one batched payment transaction
+   * @returns {Object|null} Payout record, or null if the batch could not be signed
+   */
+  async executeBatch(batch, { dryRun }) {
+    const storage = this.getStorage();
+    const horizon = this.getHorizon();
+    const now = this.clock.now();
+
+    const signer = this.getSigner();
+    if (!dryRun) {
+      if (!(await signer.hasKey(batch.treasury))) {
+        console.warn(`⚠️ [PAYOUT] No signing key for treasury ${batch.treasury} - skipping ${batch.items.length} payouts`);
+        return null;
+      }
+    }
+
+    let account;
+    try {
+      account = await horizon.loadAccount(batch.treasury);
+    } catch (error) {
+      if (!dryRun) throw error;
+      account = new StellarSDK.Account(batch.treasury, '0');
+    }
+
+    const builder = new StellarSDK.TransactionBuilder(account, {
+      fee: StellarSDK.BASE_FEE,
+      networkPassphrase: this.networkPassphrase
+    });
+    const asset = this.assets.toStellarAsset(batch.asset);
+    for (const item of batch.items) {
+      builder.addOperation(StellarSDK.Operation.payment({
+        destination: item.address,
+        asset,
+        amount: item.amount.toFixed(7)
+      }));
+    }
+    const transaction = builder
+      .addMemo(StellarSDK.Memo.text('ImpactPools donations'))
+      .setTimeout(TRANSACTION_TIMEOUT_SECONDS)
+      .build();
+
+    if (!dryRun) {
+      await signer.signTransaction(transaction, batch.treasury);
+    }
+
+    const payout = {
+      id: `${dryRun ? 'dryrun' : 'payout'}_${now}_${transaction.hash().toString('hex').slice(0, 8)}`,
+      status: dryRun ? 'dry_run' : 'pending',
+      dryRun,
+      txHash: transaction.hash().toString('hex'),
+      treasury: batch.treasury,
+      asset: batch.asset,
+      totalAmount: batch.items.reduce((sum, item) => sum + toStroops(item.amount), 0) / STROOPS,
+      items: batch.items,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + TRANSACTION_TIMEOUT_SECONDS * 1000).toISOString(),
+      xdr: transaction.toXDR()
+    };
+
+    // Recorded before submission so a crash mid-submit is reconciled instead of paid twice
+    await storage.payouts.insert(payout);
+
+    if (dryRun) {
+      console.log(`🧪 [PAYOUT] Dry run: ${payout.totalAmount} ${payout.asset} to ${batch.items.length} charities from ${batch.treasury}`);
+      return payout;
+    }
+
+    try {
+      await horizon.submitTransaction(transaction);
+    } catch (error) {
+      const resultCodes = error.response?.data?.extras?.result_codes;
+
+      // Without result codes (a timeout or network error) the transaction may still land, so the
+      // payout stays pending until reconcilePending finds it on-chain or it expires
+      if (!resultCodes) {
+        console.warn(`⚠️ [PAYOUT] Submitting ${payout.id} gave no result (${error.message}) - reconciling by tx hash`);
+        return storage.payouts.update(payout.id, { error: error.message });
+      }
+
+      const reason = JSON.stringify(resultCodes);
+      console.error(`❌ [PAYOUT] Submitting ${payout.id} failed: ${reason}`);
+      return storage.payouts.update(payout.id, { status: 'failed', error: reason });
+    }
+
+    return this.settle(payout);
+  }
+
+  /**
+   * Mark a confirmed payout's donations as paid and record it in each pool's ledger
+   * Safe to run again after a partial settle: each pool records the payout items it has counted
+   * (`settledPayouts`, in the same update as the paid totals) and skips them the second time.
+   */
+  async settle(payout) {
+    const storage = this.getStorage();
+    const settledAt = new Date(this.clock.now()).toISOString();
+
+    for (const item of payout.items) {
+      const asset = item.asset || payout.asset;
+
+      const settlementKey = `${payout.id}:${item.charityId}`;
+
+      for (const allocation of item.pools) {
+        // Under the pool lock so a concurrent accrual can't overwrite the asset totals
+        const pool = await this.yieldEngine.withPoolLock(allocation.poolId, async () => {
+          const current = await storage.pools.get(allocation.poolId);
+          if (!current) return null;
+          if (current.settledPayouts?.includes(settlementKey)) return current;
+
+          const paid = charityDonations(current)
+            .find(donation => donation.charityId === item.charityId && donation.asset === asset)?.paid || 0;
+          const assetTotals = structuredClone(poolAssetTotals(current));
+          const totals = { ...emptyAssetTotals(), ...assetTotals[asset] };
+          totals.donationsPaid = floorToStroops(totals.donationsPaid + allocation.amount);
+          totals.donationsPaidByCharity = {
+            ...totals.donationsPaidByCharity,
+            [item.charityId]: floorToStroops(paid + allocation.amount)
+          };
+          assetTotals[asset] = totals;
+
+          return storage.pools.update(current.id, {
+            assetTotals,
+            totalDonationsPaid: floorToStroops((current.totalDonationsPaid || 0) + allocation.amount),
+            settledPayouts: [...(current.settledPayouts || []), settlementKey]
+          });
+        });
+        if (!pool) continue;
+        this.events.publishPool(pool, 'payout');
+
+        await storage.transactions.add({
+          id: `payout_${payout.txHash}_${item.charityId}`,
+          poolId: pool.id,
+          type: 'charity_payout',
+          amount: allocation.amount,
+          asset,
+          charityId: item.charityId,
+          charity: item.charity,
+          charityAddress: item.address,
+          timestamp: settledAt,
+          txHash: payout.txHash,
+          link: `https://stellar.expert/explorer/testnet/tx/${payout.txHash}`
+        });
+      }
+    }
+
+    const lastPaid = (await storage.meta.get(LAST_PAID_META_KEY)) || {};
+    for (const item of payout.items) {
+      lastPaid[item.address] = settledAt;
+    }
+    await storage.meta.set(LAST_PAID_META_KEY, lastPaid);
+
+    console.log(`✅ [PAYOUT] Settled ${payout.id}: ${payout.totalAmount} ${payout.asset} (tx ${payout.txHash})`);
+    const settled = await storage.payouts.update(payout.id, { status: 'settled', settledAt });
+    this.events.publish('payout', { payout: settled });
+    return settled;
+  }
+
+  /**
+   * Resolve payouts left pending by a crash or timeout using their transaction hash
+   */
+  async reconcilePending() {
+    const storage = this.getStorage();
+    const pending = await storage.payouts.list({ status: 'pending', limit: 1000 });
+
+    for (const payout of pending) {
+      const transaction = await this.getHorizon().getTransaction(payout.txHash);
+
+      if (transaction?.successful) {
+        await this.settle(payout);
+      } else if (transaction || Date.parse(payout.expiresAt) < this.clock.now()) {
+        console.warn(`⚠️ [PAYOUT] Payout ${payout.id} never confirmed - releasing its donations`);
+        await storage.payouts.update(payout.id, { status: 'failed', error: transaction ? 'Transaction failed' : 'Transaction expired' });
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      dryRun: this.config.dryRun,
+      intervalSeconds: this.config.checkIntervalSeconds,
+      thresholdAmount: this.config.thresholdAmount,
+      maxIntervalHours: this.config.maxIntervalHours,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Export singleton instance
+export default new PayoutService();
@@ -0,0 +1,162 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { MockHorizonClient } from '../horizon/mockHorizonClient.js';
+import { emptyAssetTotals } from './assetService.js';
+import { YieldService } from './yieldService.js';
+import { PayoutService } from './payoutService.js';
+import { START, createClock, silentEvents, useTestStorage } from '../testing/fixtures.js';
+
+const TREASURY = StellarSDK.Keypair.random().publicKey();
+const CHARITY_ADDRESS = StellarSDK.Keypair.random().publicKey();
+const POOL_ID = 'pool_payout_test';
+
+const config = { dryRun: false, checkIntervalSeconds: 60, thresholdAmount: 1, maxIntervalHours: 24 };
+const signer = { hasKey: async () => true, signTransaction: async () => {} };
+
+/**
+ * Mock Horizon whose next submission fails with `failure`; with `landed` the
+ * transaction still makes it on-chain (e.g. a timeout after Horizon accepted it)
+ */
+class FailingHorizon extends MockHorizonClient {
+  async submitTransaction(transaction) {
+    const { failure, landed } = this;
+    this.failure = null;
+    if (!failure) return super.submitTransaction(transaction);
+
+    if (landed) await super.submitTransaction(transaction);
+    throw failure;
+  }
+}
+
+const rejected = () => Object.assign(new Error('Request failed with status code 400'), {
+  response: { data: { extras: { result_codes: { transaction: 'tx_failed', operations: ['op_underfunded'] } } } }
+});
+
+const stores = useTestStorage('payouts');
+
+let storage;
+let horizon;
+let clock;
+
+const createPayouts = () => new PayoutService({
+  clock,
+  getStorage: () => storage,
+  getHorizon: () => horizon,
+  getSigner: () => signer,
+  yieldEngine: new YieldService({ getStorage: () => storage }),
+  events: silentEvents,
+  config,
+  defaultTreasury: TREASURY,
+  networkPassphrase: StellarSDK.Networks.TESTNET
+});
+
+const paidTotals = async () => {
+  const pool = await storage.pools.get(POOL_ID);
+  return { donationsPaid: pool.assetTotals.XLM.donationsPaid, totalDonationsPaid: pool.totalDonationsPaid || 0 };
+};
+
+beforeEach(async () => {
+  storage = await stores.open();
+  horizon = new FailingHorizon();
+  clock = createClock();
+
+  await storage.charities.insert({
+    id: 'charity_test',
+    name: 'Test Charity',
+    address: CHARITY_ADDRESS,
+    verificationStatus: 'verified'
+  });
+  await storage.pools.insert({
+    id: POOL_ID,
+    name: 'Payout Test Pool',
+    assets: ['XLM'],
+    treasury: TREASURY,
+    charityId: 'charity_test',
+    charity: 'Test Charity',
+    createdAt: new Date(START).toISOString(),
+    assetTotals: { XLM: { ...emptyAssetTotals(), donated: 10, donatedByCharity: { charity_test: 10 } } }
+  });
+});
+
+test('settles a confirmed payout', async () => {
+  const [payout] = await createPayouts().runPayouts();
+
+  assert.equal(payout.status, 'settled');
+  assert.equal(payout.totalAmount, 10);
+  assert.equal(horizon.submitted.length, 1);
+  assert.deepEqual(await paidTotals(), { donationsPaid: 10, totalDonationsPaid: 10 });
+  assert.equal((await storage.transactions.listByPool(POOL_ID)).filter(tx => tx.type === 'charity_payout').length, 1);
+});
+
+test('a dry run neither submits nor settles', async () => {
+  const [payout] = await createPayouts().runPayouts({ dryRun: true });
+
+  assert.equal(payout.status, 'dry_run');
+  assert.equal(horizon.submitted.length, 0);
+  assert.deepEqual(await paidTotals(), { donationsPaid: 0, totalDonationsPaid: 0 });
+});
+
+test('releases the donations of a payout Horizon rejected', async () => {
+  const payouts = createPayouts();
+  horizon.failure = rejected();
+
+  const [failed] = await payouts.runPayouts();
+
+  assert.equal(failed.status, 'failed');
+  assert.match(failed.error, /op_underfunded/);
+  assert.deepEqual(await paidTotals(), { donationsPaid: 0, totalDonationsPaid: 0 });
+
+  clock.advance(60 * 1000);
+  const [retried] = await payouts.runPayouts();
+  assert.equal(retried.status, 'settled');
+  assert.deepEqual(await paidTotals(), { donationsPaid: 10, totalDonationsPaid: 10 });
+});
+
+test('keeps a payout without a submission result pending and settles it once it is on-chain', async () => {
+  const payouts = createPayouts();
+  horizon.failure = new Error('timeout of 30000ms exceeded');
+  horizon.landed = true;
+
+  const [pending] = await payouts.runPayouts();
+
+  assert.equal(pending.status, 'pending');
+  assert.deepEqual(await paidTotals(), { donationsPaid: 0, totalDonationsPaid: 0 });
+
+  // The next run finds the transaction by hash instead of paying the donations again
+  clock.advance(60 * 1000);
+  assert.deepEqual(await payouts.runPayouts(), []);
+  assert.equal(horizon.submitted.length, 1);
+  assert.equal((await storage.payouts.get(pending.id)).status, 'settled');
+  assert.deepEqual(await paidTotals(), { donationsPaid: 10, totalDonationsPaid: 10 });
+});
+
+test('fails a pending payout that expired without reaching the ledger', async () => {
+  const payouts = createPayouts();
+  horizon.failure = new Error('socket hang up');
+
+  const [pending] = await payouts.runPayouts();
+  assert.equal(pending.status, 'pending');
+
+  // Still in flight before it expires: nothing is paid twice
+  clock.advance(60 * 1000);
+  assert.deepEqual(await payouts.runPayouts(), []);
+  assert.equal((await storage.payouts.get(pending.id)).status, 'pending');
+
+  clock.set(Date.parse(pending.expiresAt) + 1);
+  const [retried] = await payouts.runPayouts();
+
+  assert.equal((await storage.payouts.get(pending.id)).status, 'failed');
+  assert.equal(retried.status, 'settled');
+  assert.deepEqual(await paidTotals(), { donationsPaid: 10, totalDonationsPaid: 10 });
+});
+
+test('settling a payout again does not count it twice', async () => {
+  const payouts = createPayouts();
+  const [payout] = await payouts.runPayouts();
+
+  await payouts.settle(payout);
+
+  assert.deepEqual(await paidTotals(), { donationsPaid: 10, totalDonationsPaid: 10 });
+  assert.equal((await storage.transactions.listByPool(POOL_ID)).filter(tx => tx.type === 'charity_payout').length, 1);
+});
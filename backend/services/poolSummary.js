@@ -0,0 +1,15 @@
+import { poolAssetTotals, poolUsdTotals } from './assetService.js';
+import { charityDonations } from './charityService.js';
+
+/**
+ * Pool summary as served by the API and pushed to event subscribers: per-asset totals,
+ * their USD value and each charity's donations
+ * @param {Object} pool - Stored pool
+ * @param {Object} prices - USD prices by asset code (see assetService.getUsdPrices)
+ */
+export const poolSummary = (pool, prices) => ({
+  ...pool,
+  assetTotals: poolAssetTotals(pool),
+  totalsUSD: poolUsdTotals(pool, prices),
+  charityDonations: charityDonations(pool)
+});
@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { getStorage } from '../storage/index.js';
+import { getHorizon } from '../horizon/index.js';
+import { stellarConfig } from '../config.js';
+import assetService, { poolAssetTotals } from './assetService.js';
+
+/**
+ * Muxed account ID of a pool: the first 64 bits of SHA-256(poolId)
+ * Derived rather than counted so concurrent pool creations can't be handed the same ID.
+ */
+export const muxedIdFor = (poolId) => (
+  crypto.createHash('sha256').update(poolId).digest().readBigUInt64BE(0).toString()
+);
+
+/**
+ * M-address of a muxed ID on an account
+ */
+export const muxedAddress = (account, muxedId) => (
+  new StellarSDK.MuxedAccount(new StellarSDK.Account(account, '0'), muxedId).accountId()
+);
+
+/**
+ * Split an address into its base account and muxed ID (null for G- and contract addresses)
+ */
+export const parseAddress = (address) => {
+  if (!StellarSDK.StrKey.isValidMed25519PublicKey(address)) {
+    return { account: address, muxedId: null };
+  }
+  const muxed = StellarSDK.MuxedAccount.fromAddress(address, '0');
+  return { account: muxed.baseAccount().accountId(), muxedId: muxed.id() };
+};
+
+/**
+ * Treasury Service
+ * Gives every pool its own muxed (M-) address on the shared treasury account, so deposits,
+ * withdrawals and balances can be attributed to a pool on-chain without funding and keying
+ * an account per pool. Pools created before per-pool addresses keep accepting plain
+ * payments to the treasury that carry the pool's deposit memo.
+ */
+export class TreasuryService {
+  constructor({
+    getStorage: storageProvider = getStorage,
+    getHorizon: horizonProvider = getHorizon,
+    assets = assetService,
+    defaultTreasury = stellarConfig.poolTreasury
+  } = {}) {
+    this.getStorage = storageProvider;
+    this.getHorizon = horizonProvider;
+    this.assets = assets;
+    this.defaultTreasury = defaultTreasury;
+  }
+
+  /**
+   * Treasury fields of a new pool (chosen by the server, never by the pool creator)
+   * @returns {Object} { treasury, treasuryMuxedId, depositAddress }
+   */
+  assign(poolId, account = this.defaultTreasury) {
+    const treasuryMuxedId = muxedIdFor(poolId);
+    return { treasury: account, treasuryMuxedId, depositAddress: muxedAddress(account, treasuryMuxedId) };
+  }
+
+  /**
+   * Address deposits into a pool are sent to
+   */
+  depositAddress(pool) {
+    if (pool.isSmartContract && pool.contractId) return pool.contractId;
+    return pool.depositAddress || pool.treasury || this.defaultTreasury;
+  }
+
+  /**
+   * Give pools created before per-pool addresses a muxed address on their treasury
+   */
+  async initialize() {
+    const storage = this.getStorage();
+    let assigned = 0;
+
+    for (const pool of await storage.pools.list()) {
+      if (pool.treasuryMuxedId) continue;
+      await storage.pools.update(pool.id, this.assign(pool.id, pool.treasury || this.defaultTreasury));
+      assigned++;
+    }
+
+    if (assigned > 0) {
+      console.log(`🏦 [TREASURY] Assigned muxed deposit addresses to ${assigned} existing pools`);
+    }
+  }
+
+  /**
+   * A pool's share of its treasury
+   * `held` is what the pool's ledger says the treasury holds for it (net deposits less
+   * donations paid out); `onChain` is the whole treasury account, which pools may share.
+   * @returns {Object|null} { poolId, depositAddress, account, muxedId, assets: { [asset]: { deposited,
+   *                        donated, donationsPaid, donationsOwed, held } }, onChain, sharedWith }
+   */
+  async getPoolTreasury(poolId) {
+    const storage = this.getStorage();
+    const pool = await storage.pools.get(poolId);
+    if (!pool) return null;
+
+    const depositAddress = this.depositAddress(pool);
+    const { account, muxedId } = parseAddress(depositAddress);
+
+    const assets = {};
+    for (const [asset, totals] of Object.entries(poolAssetTotals(pool))) {
+      const donationsPaid = totals.donationsPaid || 0;
+      assets[asset] = {
+        deposited: totals.deposited || 0,
+        donated: totals.donated || 0,
+        donationsPaid,
+        donationsOwed: Math.max(0, (totals.donated || 0) - donationsPaid),
+        held: Math.max(0, (totals.deposited || 0) - donationsPaid)
+      };
+    }
+
+    let onChain = null;
+    if (StellarSDK.StrKey.isValidEd25519PublicKey(account)) {
+      const lines = (await this.getHorizon().getBalances(account)) || [];
+      onChain = {};
+      for (const asset of this.assets.supportedAssets) {
+        const line = lines.find(balance => balance.asset === asset && this.assets.isConfiguredAsset(balance));
+        onChain[asset] = line ? line.balance : 0;
+      }
+    }
+
+    const sharedWith = (await storage.pools.list())
+      .filter(other => other.id !== pool.id && !(other.isSmartContract && other.contractId))
+      .filter(other => (other.treasury || this.defaultTreasury) === account)
+      .length;
+
+    return { poolId, depositAddress, account, muxedId, assets, onChain, sharedWith };
+  }
+}
+
+// Export singleton instance
+export default new TreasuryService();
@@ -0,0 +1,750 @@
+import crypto from 'crypto';
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { getStorage } from '../storage/index.js';
+import { getHorizon } from '../horizon/index.js';
+import { getSigner } from '../signer/index.js';
+import { getSoroban } from '../soroban/index.js';
+import { stellarConfig, withdrawalConfig } from '../config.js';
+import assetService, { NATIVE_ASSET } from './assetService.js';
+import { muxedAddress } from './treasuryService.js';
+import yieldService from './yieldService.js';
+import depositService from './depositService.js';
+import eventService from './eventService.js';
+
+const TRANSACTION_TIMEOUT_SECONDS = 300;
+const STROOPS_PER_UNIT = 1e7;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Requests that have not been paid, failed or rejected yet; their amounts are reserved against the balance
+const IN_FLIGHT_STATUSES = ['pending', 'held', 'submitted'];
+
+// Requests that count towards the daily limit
+const DAILY_LIMIT_STATUSES = [...IN_FLIGHT_STATUSES, 'confirmed'];
+
+const explorerLink = (hash) => `https://stellar.expert/explorer/testnet/tx/${hash}`;
+
+// Round to Stellar's 7 decimal places so sums of ledger entries compare cleanly
+const roundAmount = (amount) => Math.round(amount * STROOPS_PER_UNIT) / STROOPS_PER_UNIT;
+
+/**
+ * Ensure a text memo fits Stellar's 28 byte limit
+ */
+const validateMemo = (memo) => {
+  if (!memo) return '';
+
+  const encoder = new TextEncoder();
+  let truncated = memo;
+  while (encoder.encode(truncated).length > 28) {
+    truncated = truncated.slice(0, -1);
+  }
+  return truncated;
+};
+
+/**
+ * Run `task` once every task queued before it under `key` has settled
+ * (same pattern as yieldService.withPoolLock)
+ */
+const runExclusive = (locks, key, task) => {
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.then(task, task);
+  const settled = run.catch(() => {});
+
+  locks.set(key, settled);
+  settled.then(() => {
+    if (locks.get(key) === settled) {
+      locks.delete(key);
+    }
+  });
+
+  return run;
+};
+
+/**
+ * Withdrawal fields shown to clients (never the treasury's sequence bookkeeping)
+ */
+export const publicWithdrawal = ({ sequence, ...withdrawal }) => ({
+  ...withdrawal,
+  link: withdrawal.txHash ? explorerLink(withdrawal.txHash) : null
+});
+
+/**
+ * Withdrawal Queue Service
+ * Withdrawals are stored as requests and paid by a background worker instead of inside the
+ * HTTP request, so a retried or double-clicked request is only ever paid once: every request
+ * carries an idempotency key, and repeating a key returns the request made with it.
+ *
+ * Statuses: 'pending' (waiting for the worker), 'held' (above the approval threshold, waiting
+ * for an admin; approving makes it 'pending'), 'submitted' (signed and sent; recorded before
+ * submission so a crash is reconciled by transaction hash instead of paid twice), 'confirmed',
+ * 'failed' and 'rejected'. Requests that could not be submitted, or whose transaction expired
+ * without confirming, go back to 'pending' until they have been attempted config.maxAttempts times.
+ * A request no treasury has the funds for is not an attempt: it stays 'pending' and is skipped
+ * until its `nextAttemptAt`, backing off further each time the treasuries are still short.
+ *
+ * The worker pays requests in the order they were made, one at a time per treasury, and
+ * remembers the last sequence number it used for each treasury so a lagging Horizon can't
+ * hand it a sequence number that is already taken.
+ *
+ * How much a depositor may withdraw is worked out here from the pool's deposit ledger (and,
+ * for smart-contract pools, the contract's own record), never from what the client reports.
+ * Requests still in flight are reserved against that balance, and a confirmed withdrawal is
+ * written to the ledger as a negative deposit under the pool lock. The treasury policy in
+ * config (daily limits, the cooldown after a deposit and approval thresholds) is applied when
+ * a request is made.
+ */
+export class WithdrawalService {
+  constructor({
+    clock = { now: () => Date.now() },
+    getStorage: storageProvider = getStorage,
+    getHorizon: horizonProvider = getHorizon,
+    getSigner: signerProvider = getSigner,
+    getSoroban: sorobanProvider = getSoroban,
+    assets = assetService,
+    yieldEngine = yieldService,
+    deposits = depositService,
+    events = eventService,
+    config = withdrawalConfig,
+    treasuryAccounts = stellarConfig.treasuryAccounts,
+    networkPassphrase = stellarConfig.network === 'public' ? StellarSDK.Networks.PUBLIC : StellarSDK.Networks.TESTNET
+  } = {}) {
+    this.clock = clock;
+    this.getStorage = storageProvider;
+    this.getHorizon = horizonProvider;
+    this.getSigner = signerProvider;
+    this.getSoroban = sorobanProvider;
+    this.assets = assets;
+    this.yieldEngine = yieldEngine;
+    this.deposits = deposits;
+    this.events = events;
+    this.config = config;
+    this.treasuryAccounts = treasuryAccounts;
+    this.networkPassphrase = networkPassphrase;
+
+    this.isRunning = false;
+    this.interval = null;
+    this.activeRun = null;
+    this.runRequested = false;
+    this.treasuryLocks = new Map();
+    this.recipientLocks = new Map();
+    this.sequences = new Map();
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    console.log(`🏧 [WITHDRAWAL] Worker started (every ${this.config.workerIntervalSeconds}s)`);
+
+    this.processQueue();
+    this.interval = setInterval(() => this.processQueue(), this.config.workerIntervalSeconds * 1000);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.interval);
+    this.interval = null;
+    this.isRunning = false;
+    console.log('🛑 [WITHDRAWAL] Worker stopped');
+  }
+
+  /**
+   * How much of `asset` a depositor can withdraw from a pool right now
+   * The balance is the depositor's verified principal: their net entry in the pool's deposit
+   * ledger, which only holds deposits confirmed on the network less what they withdrew. Accrued
+   * yield is simulated and not held by the treasury, so it is not withdrawable. For smart-contract
+   * pools the balance is capped by what the contract holds for them (falling back to the ledger
+   * alone if the contract can't be read). Withdrawals still in flight are reserved against it.
+   * @returns {Object} { poolId, publicKey, asset, principal, balance, reserved, withdrawable }
+   */
+  async withdrawableBalance(pool, publicKey, asset = NATIVE_ASSET) {
+    const storage = this.getStorage();
+
+    const ledgerBalances = await storage.deposits.balancesByUser(pool.id);
+    const entry = ledgerBalances.find(balance => balance.userId === publicKey && balance.asset === asset);
+    let principal = entry ? entry.amount : 0;
+
+    if (pool.isSmartContract && pool.contractId && asset === NATIVE_ASSET) {
+      try {
+        principal = Math.min(principal, await this.getSoroban().getUserBalance(pool.contractId, publicKey));
+      } catch (error) {
+        console.warn(`⚠️ [WITHDRAWAL] Could not read contract ${pool.contractId} balance for ${publicKey}, using the pool ledger:`, error.message);
+      }
+    }
+
+    let reserved = 0;
+    for (const status of IN_FLIGHT_STATUSES) {
+      const requests = await storage.withdrawals.list({ status, recipient: publicKey, limit: 1000 });
+      reserved += requests
+        .filter(request => request.poolId === pool.id && request.asset === asset)
+        .reduce((sum, request) => sum + request.amount, 0);
+    }
+
+    const balance = roundAmount(Math.max(0, principal));
+    reserved = roundAmount(reserved);
+    return {
+      poolId: pool.id,
+      publicKey,
+      asset,
+      principal: roundAmount(principal),
+      balance,
+      reserved,
+      withdrawable: roundAmount(Math.max(0, balance - reserved))
+    };
+  }
+
+  /**
+   * Treasury policy that applies to a depositor's next withdrawal of `asset` from a pool
+   * `dailyLimit`, `dailyRemaining` and `approvalThreshold` are null when the asset has none.
+   * @returns {Object} { cooldownUntil, dailyLimit, withdrawnToday, dailyRemaining, approvalThreshold }
+   */
+  async withdrawalPolicy(pool, publicKey, asset = NATIVE_ASSET) {
+    const storage = this.getStorage();
+    const now = this.clock.now();
+
+    let cooldownUntil = null;
+    if (this.config.cooldownHours > 0) {
+      const { items: [lastDeposit] } = await storage.deposits.query({
+        poolId: pool.id,
+        types: ['deposit'],
+        user: publicKey,
+        order: 'desc',
+        limit: 1
+      });
+      const opensAt = lastDeposit ? Date.parse(lastDeposit.timestamp) + this.config.cooldownHours * HOUR_MS : 0;
+      if (opensAt > now) {
+        cooldownUntil = new Date(opensAt).toISOString();
+      }
+    }
+
+    const dailyLimit = this.config.dailyLimits[asset] ?? null;
+    let withdrawnToday = 0;
+    if (dailyLimit !== null) {
+      const since = new Date(now - DAY_MS).toISOString();
+      const recent = await storage.withdrawals.list({ recipient: publicKey, limit: 1000 });
+      withdrawnToday = roundAmount(recent
+        .filter(request => request.createdAt > since && request.asset === asset && DAILY_LIMIT_STATUSES.includes(request.status))
+        .reduce((sum, request) => sum + request.amount, 0));
+    }
+
+    return {
+      cooldownUntil,
+      dailyLimit,
+      withdrawnToday,
+      dailyRemaining: dailyLimit === null ? null : roundAmount(Math.max(0, dailyLimit - withdrawnToday)),
+      approvalThreshold: this.config.approvalThresholds[asset] ?? null
+    };
+  }
+
+  /**
+   * Queue a withdrawal
+   * The amount is checked against the depositor's withdrawable balance and the treasury policy
+   * under the recipient's and the pool's locks, so concurrent requests can't together withdraw
+   * more than the depositor holds or the daily limit allows. Requests above the approval
+   * threshold are stored as 'held'.
+   * @param {Object} request - { idempotencyKey, recipient, asset, amount, poolId }
+   * @returns {Object} { valid: true, withdrawal, created } or { valid: false, status, error, reason, message }
+   */
+  async requestWithdrawal({ idempotencyKey, recipient, asset = NATIVE_ASSET, amount, poolId }) {
+    const storage = this.getStorage();
+    const now = new Date(this.clock.now()).toISOString();
+    const withdrawal = {
+      id: `withdrawal_${this.clock.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      idempotencyKey: idempotencyKey || crypto.randomUUID(),
+      status: 'pending',
+      poolId,
+      recipient,
+      asset,
+      // Rounded to the 7 decimals the payment is sent with, so the checks and the record match what is paid
+      amount: roundAmount(Number(amount)),
+      treasury: null,
+      txHash: null,
+      attempts: 0,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (!Number.isFinite(withdrawal.amount) || withdrawal.amount <= 0) {
+      return { valid: false, status: 400, error: 'Invalid amount', reason: 'invalid_amount', message: 'The amount must be at least 0.0000001' };
+    }
+
+    const existing = await storage.withdrawals.findByIdempotencyKey(withdrawal.idempotencyKey);
+    if (existing) {
+      return this.replay(existing, withdrawal);
+    }
+
+    const pool = await storage.pools.get(poolId);
+    if (!pool) {
+      return { valid: false, status: 404, error: 'Pool not found', message: `No pool found with ID: ${poolId}` };
+    }
+
+    const rejection = await this.withRecipientLock(recipient, () => this.yieldEngine.withPoolLock(poolId, async () => {
+      const { withdrawable } = await this.withdrawableBalance(pool, recipient, asset);
+      if (withdrawal.amount > withdrawable) {
+        return {
+          valid: false,
+          status: 400,
+          error: `Insufficient pool balance. You can withdraw ${withdrawable} ${asset}.`,
+          reason: 'insufficient_user_balance',
+          withdrawable
+        };
+      }
+
+      const policy = await this.withdrawalPolicy(pool, recipient, asset);
+      if (policy.cooldownUntil) {
+        return {
+          valid: false,
+          status: 400,
+          error: `Withdrawals from this pool open ${this.config.cooldownHours} hours after your last deposit, at ${policy.cooldownUntil}.`,
+          reason: 'deposit_cooldown',
+          cooldownUntil: policy.cooldownUntil
+        };
+      }
+      if (policy.dailyRemaining !== null && withdrawal.amount > policy.dailyRemaining) {
+        return {
+          valid: false,
+          status: 400,
+          error: `Daily withdrawal limit reached. You can withdraw ${policy.dailyRemaining} more ${asset} in the next 24 hours.`,
+          reason: 'daily_limit_exceeded',
+          dailyRemaining: policy.dailyRemaining
+        };
+      }
+      if (policy.approvalThreshold !== null && withdrawal.amount > policy.approvalThreshold) {
+        withdrawal.status = 'held';
+      }
+
+      try {
+        await storage.withdrawals.insert(withdrawal);
+      } catch (error) {
+        // A concurrent request with the same key won the insert
+        const raced = await storage.withdrawals.findByIdempotencyKey(withdrawal.idempotencyKey);
+        if (!raced) throw error;
+        return this.replay(raced, withdrawal);
+      }
+      return null;
+    }));
+    if (rejection) {
+      return rejection;
+    }
+
+    if (withdrawal.status === 'held') {
+      console.log(`⏸️ [WITHDRAWAL] Holding ${withdrawal.id} for approval: ${withdrawal.amount} ${asset} to ${recipient}`);
+    } else {
+      console.log(`🏧 [WITHDRAWAL] Queued ${withdrawal.id}: ${withdrawal.amount} ${asset} to ${recipient}`);
+      this.processQueue();
+    }
+    return { valid: true, withdrawal, created: true };
+  }
+
+  /**
+   * Held withdrawals waiting for approval, oldest first
+   */
+  async listHeld({ poolId = null } = {}) {
+    const held = await this.getStorage().withdrawals.list({ status: 'held', order: 'asc', limit: 1000 });
+    return poolId ? held.filter(withdrawal => withdrawal.poolId === poolId) : held;
+  }
+
+  /**
+   * Decide on a held withdrawal (the caller checks `reviewer` is an admin account; the wallet the
+   * withdrawal pays can never review it)
+   * @returns {Object} { valid: true, withdrawal } or { valid: false, status, error, message }
+   */
+  async review(id, reviewer, changes) {
+    const storage = this.getStorage();
+    const withdrawal = await storage.withdrawals.get(id);
+    if (!withdrawal) {
+      return { valid: false, status: 404, error: 'Withdrawal not found', message: `No withdrawal found with ID: ${id}` };
+    }
+    if (withdrawal.recipient === reviewer) {
+      return { valid: false, status: 403, error: 'Forbidden', message: 'A withdrawal can\'t be reviewed by the wallet it pays' };
+    }
+
+    // Under the pool lock so an approval and a rejection can't both apply
+    return this.yieldEngine.withPoolLock(withdrawal.poolId, async () => {
+      const current = await storage.withdrawals.get(id);
+      if (current.status !== 'held') {
+        return { valid: false, status: 409, error: 'Withdrawal not held', message: `Withdrawal ${id} is ${current.status}` };
+      }
+
+      const now = new Date(this.clock.now()).toISOString();
+      const updated = await storage.withdrawals.update(id, {
+        ...changes,
+        reviewedBy: reviewer,
+        reviewedAt: now,
+        updatedAt: now
+      });
+      return { valid: true, withdrawal: updated };
+    });
+  }
+
+  /**
+   * Release a held withdrawal to the worker
+   */
+  async approve(id, reviewer) {
+    const result = await this.review(id, reviewer, { status: 'pending' });
+    if (result.valid) {
+      console.log(`👍 [WITHDRAWAL] ${reviewer} approved ${id}`);
+      this.processQueue();
+    }
+    return result;
+  }
+
+  /**
+   * Refuse a held withdrawal; its amount is released back to the depositor's balance
+   */
+  async reject(id, reviewer, reason = null) {
+    const result = await this.review(id, reviewer, {
+      status: 'rejected',
+      error: reason ? `Rejected by an administrator: ${reason}` : 'Rejected by an administrator'
+    });
+    if (result.valid) {
+      console.log(`👎 [WITHDRAWAL] ${reviewer} rejected ${id}${reason ? `: ${reason}` : ''}`);
+    }
+    return result;
+  }
+
+  /**
+   * Answer a repeated idempotency key with the original request
+   */
+  replay(existing, requested) {
+    const matches = existing.recipient === requested.recipient &&
+      existing.asset === requested.asset &&
+      existing.amount === requested.amount &&
+      (existing.poolId || null) === (requested.poolId || null);
+
+    if (!matches) {
+      return {
+        valid: false,
+        status: 409,
+        error: 'Idempotency key reused',
+        message: `Idempotency key ${requested.idempotencyKey} was already used for a different withdrawal`
+      };
+    }
+    return { valid: true, withdrawal: existing, created: false };
+  }
+
+  /**
+   * Run the worker once (or join the run in progress; a request made during a run triggers
+   * another run once it finishes)
+   */
+  processQueue() {
+    if (this.activeRun) {
+      this.runRequested = true;
+      return this.activeRun;
+    }
+
+    this.activeRun = (async () => {
+      do {
+        this.runRequested = false;
+        await this.reconcileSubmitted();
+        await this.processPending();
+      } while (this.runRequested);
+    })()
+      .catch(error => console.error('❌ [WITHDRAWAL] Worker run failed:', error))
+      .finally(() => {
+        this.activeRun = null;
+      });
+
+    return this.activeRun;
+  }
+
+  /**
+   * Serialize work on one treasury account
+   */
+  withTreasuryLock(treasury, task) {
+    return runExclusive(this.treasuryLocks, treasury, task);
+  }
+
+  /**
+   * Serialize requests paying one wallet (its daily limit spans every pool)
+   */
+  withRecipientLock(recipient, task) {
+    return runExclusive(this.recipientLocks, recipient, task);
+  }
+
+  /**
+   * Configured treasury accounts the signer can sign for, in order of preference
+   */
+  async signingTreasuries() {
+    const signer = this.getSigner();
+    const treasuries = [];
+    for (const publicKey of this.treasuryAccounts) {
+      if (await signer.hasKey(publicKey)) {
+        treasuries.push(publicKey);
+      } else {
+        console.log(`⏭️ [WITHDRAWAL] Skipping treasury ${publicKey} - the signer holds no key for it`);
+      }
+    }
+    return treasuries;
+  }
+
+  /**
+   * Find the treasury account that has sufficient funds of `asset` for withdrawal
+   * (XLM balances keep a reserve back, see assetService.spendableBalance)
+   * @returns {string|null} Public key of the treasury
+   */
+  async findTreasuryWithFunds(requiredAmount, asset = NATIVE_ASSET) {
+    for (const publicKey of await this.signingTreasuries()) {
+      try {
+        const available = await this.assets.spendableBalance(publicKey, asset);
+        if (available >= parseFloat(requiredAmount)) {
+          return publicKey;
+        }
+        console.log(`❌ [WITHDRAWAL] Treasury ${publicKey} has insufficient funds: ${available} ${asset} available (needs ${requiredAmount} ${asset})`);
+      } catch (error) {
+        console.warn(`⚠️ [WITHDRAWAL] Could not check treasury ${publicKey}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pick a treasury for each pending request and pay it on that treasury's lane
+   */
+  async processPending() {
+    const pending = await this.getStorage().withdrawals.list({ status: 'pending', order: 'asc', limit: 100 });
+    const now = this.clock.now();
+    const lanes = [];
+
+    for (const withdrawal of pending) {
+      if (withdrawal.nextAttemptAt && Date.parse(withdrawal.nextAttemptAt) > now) continue;
+
+      const treasury = await this.findTreasuryWithFunds(withdrawal.amount, withdrawal.asset);
+      if (!treasury) {
+        await this.waitForFunds(withdrawal, 'No treasury account available with sufficient funds for withdrawal');
+        continue;
+      }
+      lanes.push(
+        this.withTreasuryLock(treasury, () => this.submit(withdrawal, treasury))
+          .catch(error => console.error(`❌ [WITHDRAWAL] Could not submit ${withdrawal.id} (will retry):`, error.message))
+      );
+    }
+
+    await Promise.all(lanes);
+  }
+
+  /**
+   * Build, sign and submit one withdrawal (the caller holds the treasury lock)
+   */
+  async submit(withdrawal, treasury) {
+    const storage = this.getStorage();
+    const horizon = this.getHorizon();
+
+    // Earlier requests on this lane may have drained the treasury since it was picked
+    const available = await this.assets.spendableBalance(treasury, withdrawal.asset);
+    if (available < withdrawal.amount) {
+      return this.waitForFunds(withdrawal, 'Treasury has insufficient funds for withdrawal');
+    }
+
+    let account = await horizon.loadAccount(treasury);
+    const lastSequence = this.sequences.get(treasury);
+    if (lastSequence && BigInt(lastSequence) > BigInt(account.sequenceNumber())) {
+      account = new StellarSDK.Account(treasury, lastSequence);
+    }
+
+    // Pay from the pool's muxed address when the pool lives on this treasury
+    const pool = withdrawal.poolId ? await storage.pools.get(withdrawal.poolId) : null;
+    const source = pool?.treasuryMuxedId && pool.treasury === treasury
+      ? muxedAddress(pool.treasury, pool.treasuryMuxedId)
+      : undefined;
+
+    const transaction = new StellarSDK.TransactionBuilder(account, {
+      fee: StellarSDK.BASE_FEE,
+      networkPassphrase: this.networkPassphrase
+    })
+      .addOperation(StellarSDK.Operation.payment({
+        destination: withdrawal.recipient,
+        asset: this.assets.toStellarAsset(withdrawal.asset),
+        amount: withdrawal.amount.toFixed(7),
+        source
+      }))
+      .addMemo(StellarSDK.Memo.text(validateMemo(`Pool withdrawal: ${withdrawal.amount} ${withdrawal.asset}`)))
+      .setTimeout(TRANSACTION_TIMEOUT_SECONDS)
+      .build();
+
+    await this.getSigner().signTransaction(transaction, treasury);
+    this.sequences.set(treasury, transaction.sequence);
+
+    const now = this.clock.now();
+    const submitted = await storage.withdrawals.update(withdrawal.id, {
+      status: 'submitted',
+      treasury,
+      txHash: transaction.hash().toString('hex'),
+      sequence: transaction.sequence,
+      attempts: (withdrawal.attempts || 0) + 1,
+      error: null,
+      fundsChecks: 0,
+      nextAttemptAt: null,
+      submittedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + TRANSACTION_TIMEOUT_SECONDS * 1000).toISOString(),
+      updatedAt: new Date(now).toISOString()
+    });
+
+    try {
+      const result = await horizon.submitTransaction(transaction);
+      return await this.confirm(submitted, result.ledger);
+    } catch (error) {
+      const codes = error.response?.data?.extras?.result_codes;
+      if (!codes) {
+        // The transaction may still land; reconcileSubmitted resolves it by hash
+        console.warn(`⚠️ [WITHDRAWAL] Submitting ${withdrawal.id} did not complete: ${error.message}`);
+        return submitted;
+      }
+
+      // Rejected transactions don't use up the sequence number, so reload it next time
+      this.sequences.delete(treasury);
+      const reason = JSON.stringify(codes);
+      console.error(`❌ [WITHDRAWAL] Submitting ${withdrawal.id} failed: ${reason}`);
+
+      if (codes.transaction === 'tx_bad_seq') {
+        return this.retryOrFail(submitted, `Stellar error: ${reason}`);
+      }
+      return this.fail(submitted, `Stellar error: ${reason}`);
+    }
+  }
+
+  /**
+   * Resolve submitted withdrawals whose outcome is unknown (crash, timeout) by transaction hash
+   */
+  async reconcileSubmitted() {
+    const storage = this.getStorage();
+    const submitted = await storage.withdrawals.list({ status: 'submitted', order: 'asc', limit: 1000 });
+
+    for (const withdrawal of submitted) {
+      const transaction = await this.getHorizon().getTransaction(withdrawal.txHash);
+
+      if (transaction?.successful) {
+        await this.confirm(withdrawal, transaction.ledger);
+      } else if (transaction) {
+        await this.fail(withdrawal, 'Transaction failed');
+      } else if (Date.parse(withdrawal.expiresAt) < this.clock.now()) {
+        // An expired transaction can never land, so the request is safe to pay again
+        await this.retryOrFail(withdrawal, 'Transaction expired');
+      }
+    }
+  }
+
+  /**
+   * Mark a withdrawal paid and record it in its pool's ledger (a negative deposit plus a
+   * 'withdrawal' transaction, both keyed so confirming twice records it once)
+   */
+  async confirm(withdrawal, ledger) {
+    const storage = this.getStorage();
+    const now = new Date(this.clock.now()).toISOString();
+
+    if (withdrawal.poolId) {
+      await this.yieldEngine.withPoolLock(withdrawal.poolId, async () => {
+        if (!(await storage.pools.get(withdrawal.poolId))) return;
+
+        // Settle yield on the balance the withdrawal is taken from
+        await this.yieldEngine.applyAccrual(withdrawal.poolId);
+
+        const link = explorerLink(withdrawal.txHash);
+        await storage.deposits.add({
+          id: withdrawal.id,
+          poolId: withdrawal.poolId,
+          userId: withdrawal.recipient,
+          asset: withdrawal.asset,
+          amount: -withdrawal.amount,
+          timestamp: now,
+          txHash: withdrawal.txHash,
+          txLink: link
+        });
+        await storage.transactions.add({
+          id: withdrawal.txHash,
+          poolId: withdrawal.poolId,
+          type: 'withdrawal',
+          amount: withdrawal.amount,
+          asset: withdrawal.asset,
+          user: withdrawal.recipient,
+          timestamp: now,
+          link,
+          withdrawalId: withdrawal.id
+        });
+        const pool = await this.deposits.syncDepositTotals(withdrawal.poolId);
+        this.events.publishPool(pool, 'withdrawal');
+      });
+    }
+
+    console.log(`✅ [WITHDRAWAL] Confirmed ${withdrawal.id}: ${withdrawal.amount} ${withdrawal.asset} (tx ${withdrawal.txHash})`);
+    return storage.withdrawals.update(withdrawal.id, {
+      status: 'confirmed',
+      ledger: ledger || null,
+      confirmedAt: now,
+      updatedAt: now
+    });
+  }
+
+  async fail(withdrawal, error) {
+    console.error(`❌ [WITHDRAWAL] ${withdrawal.id} failed: ${error}`);
+    return this.getStorage().withdrawals.update(withdrawal.id, {
+      status: 'failed',
+      attempts: withdrawal.attempts,
+      error,
+      updatedAt: new Date(this.clock.now()).toISOString()
+    });
+  }
+
+  /**
+   * Put a request back in the queue, or fail it once it has used up its attempts
+   */
+  async retryOrFail(withdrawal, error) {
+    const attempts = withdrawal.status === 'pending' ? (withdrawal.attempts || 0) + 1 : withdrawal.attempts;
+    if (attempts >= this.config.maxAttempts) {
+      return this.fail({ ...withdrawal, attempts }, error);
+    }
+
+    console.warn(`⚠️ [WITHDRAWAL] Retrying ${withdrawal.id} (attempt ${attempts}/${this.config.maxAttempts}): ${error}`);
+    return this.getStorage().withdrawals.update(withdrawal.id, {
+      status: 'pending',
+      attempts,
+      error,
+      updatedAt: new Date(this.clock.now()).toISOString()
+    });
+  }
+
+  /**
+   * Keep a request no treasury can pay yet in the queue without using up an attempt
+   * It is skipped for config.fundsRetrySeconds, doubling with every check that still finds
+   * the treasuries short, up to config.fundsRetryMaxSeconds.
+   */
+  async waitForFunds(withdrawal, error) {
+    const now = this.clock.now();
+    const fundsChecks = (withdrawal.fundsChecks || 0) + 1;
+    const delaySeconds = Math.min(
+      this.config.fundsRetryMaxSeconds,
+      this.config.fundsRetrySeconds * 2 ** (fundsChecks - 1)
+    );
+    const nextAttemptAt = new Date(now + delaySeconds * 1000).toISOString();
+
+    console.warn(`⏳ [WITHDRAWAL] ${withdrawal.id} waits for treasury funds until ${nextAttemptAt}: ${error}`);
+    return this.getStorage().withdrawals.update(withdrawal.id, {
+      status: 'pending',
+      fundsChecks,
+      nextAttemptAt,
+      error,
+      updatedAt: new Date(now).toISOString()
+    });
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      intervalSeconds: this.config.workerIntervalSeconds,
+      maxAttempts: this.config.maxAttempts,
+      dailyLimits: this.config.dailyLimits,
+      cooldownHours: this.config.cooldownHours,
+      approvalThresholds: this.config.approvalThresholds,
+      processing: Boolean(this.activeRun)
+    };
+  }
+}
+
+// Export singleton instance
+export default new WithdrawalService();
@@ -0,0 +1,346 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import * as StellarSDK from '@stellar/stellar-sdk';
+import { MockHorizonClient } from '../horizon/mockHorizonClient.js';
+import { muxedIdFor, muxedAddress } from './treasuryService.js';
+import { YieldService } from './yieldService.js';
+import { WithdrawalService } from './withdrawalService.js';
+import { DAY, START, createClock, silentEvents, silentDomainEvents, useTestStorage } from '../testing/fixtures.js';
+
+const TREASURY = StellarSDK.Keypair.random().publicKey();
+const DEPOSITOR = StellarSDK.Keypair.random().publicKey();
+const ADMIN = StellarSDK.Keypair.random().publicKey();
+const POOL_ID = 'pool_withdrawal_test';
+
+const baseConfig = {
+  workerIntervalSeconds: 5,
+  maxAttempts: 3,
+  fundsRetrySeconds: 30,
+  fundsRetryMaxSeconds: 120,
+  dailyLimits: {},
+  cooldownHours: 0,
+  approvalThresholds: {}
+};
+const signer = { hasKey: async () => true, signTransaction: async () => {} };
+
+/**
+ * Mock Horizon that rejects every submission with `resultCodes` while they are set
+ */
+class RejectingHorizon extends MockHorizonClient {
+  async submitTransaction(transaction) {
+    if (!this.resultCodes) return super.submitTransaction(transaction);
+    throw Object.assign(new Error('Request failed with status code 400'), {
+      response: { data: { extras: { result_codes: this.resultCodes } } }
+    });
+  }
+}
+
+const stores = useTestStorage('withdrawals');
+
+let storage;
+let horizon;
+let clock;
+let treasuryFunds;
+
+const createWithdrawals = (config = {}) => new WithdrawalService({
+  clock,
+  getStorage: () => storage,
+  getHorizon: () => horizon,
+  getSigner: () => signer,
+  assets: {
+    spendableBalance: async () => treasuryFunds,
+    toStellarAsset: () => StellarSDK.Asset.native()
+  },
+  yieldEngine: new YieldService({
+    clock,
+    getStorage: () => storage,
+    config: { tickIntervalSeconds: 30, compounding: 'daily', defaultAPY: 10 },
+    events: silentEvents,
+    domainEvents: silentDomainEvents,
+    assets: { getUsdPrices: async () => ({ prices: { XLM: 0.1 }, source: 'test', updatedAt: new Date(START).toISOString() }) }
+  }),
+  deposits: { syncDepositTotals: poolId => storage.pools.get(poolId) },
+  events: silentEvents,
+  config: { ...baseConfig, ...config },
+  treasuryAccounts: [TREASURY],
+  networkPassphrase: StellarSDK.Networks.TESTNET
+});
+
+const request = (withdrawals, changes = {}) => withdrawals.requestWithdrawal({
+  idempotencyKey: 'key_1',
+  recipient: DEPOSITOR,
+  asset: 'XLM',
+  amount: 40,
+  poolId: POOL_ID,
+  ...changes
+});
+
+beforeEach(async () => {
+  storage = await stores.open();
+  horizon = new RejectingHorizon();
+  clock = createClock();
+  treasuryFunds = 1000;
+
+  const treasuryMuxedId = muxedIdFor(POOL_ID);
+  await storage.pools.insert({
+    id: POOL_ID,
+    name: 'Withdrawal Test Pool',
+    assets: ['XLM'],
+    treasury: TREASURY,
+    treasuryMuxedId,
+    depositAddress: muxedAddress(TREASURY, treasuryMuxedId),
+    donationPercentage: 20,
+    createdAt: new Date(START).toISOString(),
+    lastYieldUpdate: new Date(START).toISOString()
+  });
+  await storage.deposits.add({
+    id: 'deposit_1',
+    poolId: POOL_ID,
+    userId: DEPOSITOR,
+    asset: 'XLM',
+    amount: 100,
+    timestamp: new Date(START).toISOString(),
+    txHash: 'a'.repeat(64)
+  });
+});
+
+test('queues a withdrawal and pays it from the pool address', async () => {
+  const withdrawals = createWithdrawals();
+
+  const result = await request(withdrawals);
+  assert.equal(result.valid, true);
+  assert.equal(result.created, true);
+  assert.equal(result.withdrawal.status, 'pending');
+
+  await withdrawals.processQueue();
+
+  const paid = await storage.withdrawals.get(result.withdrawal.id);
+  assert.equal(paid.status, 'confirmed');
+  assert.equal(paid.attempts, 1);
+  assert.equal(paid.treasury, TREASURY);
+  const [payment] = horizon.submitted[0].operations;
+  assert.equal(payment.source, muxedAddress(TREASURY, muxedIdFor(POOL_ID)));
+  assert.equal(payment.destination, DEPOSITOR);
+  assert.equal(payment.amount, '40.0000000');
+});
+
+test('rejects a withdrawal above the balance', async () => {
+  const result = await request(createWithdrawals(), { amount: 100.0000001 });
+
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, 'insufficient_user_balance');
+  assert.equal(result.withdrawable, 100);
+});
+
+test('does not let accrued yield be withdrawn', async () => {
+  const withdrawals = createWithdrawals();
+  clock.advance(60 * DAY);
+  await withdrawals.yieldEngine.accruePool(POOL_ID);
+  assert.ok((await storage.positions.get(POOL_ID, DEPOSITOR)).assets.XLM.yieldEarned > 0);
+
+  const limit = await withdrawals.withdrawableBalance(await storage.pools.get(POOL_ID), DEPOSITOR);
+  assert.deepEqual(
+    { principal: limit.principal, balance: limit.balance, withdrawable: limit.withdrawable },
+    { principal: 100, balance: 100, withdrawable: 100 }
+  );
+  assert.equal((await request(withdrawals, { amount: 100.5 })).reason, 'insufficient_user_balance');
+});
+
+test('answers a repeated idempotency key with the original request', async () => {
+  const withdrawals = createWithdrawals();
+  const first = await request(withdrawals);
+
+  const repeated = await request(withdrawals);
+  assert.equal(repeated.valid, true);
+  assert.equal(repeated.created, false);
+  assert.equal(repeated.withdrawal.id, first.withdrawal.id);
+
+  const reused = await request(withdrawals, { amount: 10 });
+  assert.equal(reused.valid, false);
+  assert.equal(reused.status, 409);
+
+  await withdrawals.processQueue();
+  assert.equal(horizon.submitted.length, 1);
+});
+
+test('concurrent requests with one key create one withdrawal', async () => {
+  const withdrawals = createWithdrawals();
+
+  const results = await Promise.all([request(withdrawals), request(withdrawals), request(withdrawals)]);
+
+  assert.ok(results.every(result => result.valid));
+  assert.deepEqual(results.map(result => result.created).sort(), [false, false, true]);
+  assert.equal(new Set(results.map(result => result.withdrawal.id)).size, 1);
+  await withdrawals.processQueue();
+  assert.equal(horizon.submitted.length, 1);
+});
+
+test('concurrent requests can not together withdraw more than the balance', async () => {
+  const withdrawals = createWithdrawals();
+
+  const results = await Promise.all([
+    request(withdrawals, { idempotencyKey: 'key_a', amount: 60 }),
+    request(withdrawals, { idempotencyKey: 'key_b', amount: 60 })
+  ]);
+
+  assert.deepEqual(results.map(result => result.valid).sort(), [false, true]);
+  assert.equal(results.find(result => !result.valid).withdrawable, 40);
+  await withdrawals.processQueue();
+  assert.equal(horizon.submitted.length, 1);
+});
+
+test('records a confirmed withdrawal in the pool ledger once', async () => {
+  const withdrawals = createWithdrawals();
+  const { withdrawal } = await request(withdrawals);
+  await withdrawals.processQueue();
+
+  const confirmed = await storage.withdrawals.get(withdrawal.id);
+  await withdrawals.confirm(confirmed, confirmed.ledger);
+
+  const entries = await storage.deposits.listByPool(POOL_ID);
+  assert.deepEqual(entries.map(entry => entry.amount), [100, -40]);
+  assert.equal(entries[1].id, withdrawal.id);
+  const ledger = (await storage.transactions.listByPool(POOL_ID)).filter(entry => entry.type === 'withdrawal');
+  assert.equal(ledger.length, 1);
+  assert.equal(ledger[0].withdrawalId, withdrawal.id);
+  assert.equal((await withdrawals.withdrawableBalance(await storage.pools.get(POOL_ID), DEPOSITOR)).principal, 60);
+});
+
+test('retries a rejected sequence number and fails after the last attempt', async () => {
+  const withdrawals = createWithdrawals();
+  horizon.resultCodes = { transaction: 'tx_bad_seq' };
+  const { withdrawal } = await request(withdrawals);
+
+  // The request starts a worker run of its own
+  await withdrawals.activeRun;
+  const retried = await storage.withdrawals.get(withdrawal.id);
+  assert.equal(retried.status, 'pending');
+  assert.equal(retried.attempts, 1);
+
+  await withdrawals.processQueue();
+  await withdrawals.processQueue();
+
+  const failed = await storage.withdrawals.get(withdrawal.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 3);
+  assert.match(failed.error, /tx_bad_seq/);
+  // A failed request no longer reserves its amount
+  assert.equal((await withdrawals.withdrawableBalance(await storage.pools.get(POOL_ID), DEPOSITOR)).withdrawable, 100);
+});
+
+test('fails a withdrawal Horizon rejects for another reason without retrying', async () => {
+  const withdrawals = createWithdrawals();
+  horizon.resultCodes = { transaction: 'tx_failed', operations: ['op_no_destination'] };
+  const { withdrawal } = await request(withdrawals);
+
+  await withdrawals.processQueue();
+
+  const failed = await storage.withdrawals.get(withdrawal.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 1);
+});
+
+test('waits for treasury funds without using up attempts', async () => {
+  const withdrawals = createWithdrawals();
+  treasuryFunds = 0;
+  const { withdrawal } = await request(withdrawals);
+
+  await withdrawals.processQueue();
+  let waiting = await storage.withdrawals.get(withdrawal.id);
+  assert.equal(waiting.status, 'pending');
+  assert.equal(waiting.attempts, 0);
+  assert.equal(waiting.nextAttemptAt, new Date(START + 30 * 1000).toISOString());
+
+  // Not looked at again before it is due
+  clock.advance(5 * 1000);
+  await withdrawals.processQueue();
+  assert.equal((await storage.withdrawals.get(withdrawal.id)).fundsChecks, 1);
+
+  // Each check that still finds no funds doubles the wait, up to fundsRetryMaxSeconds
+  for (const delaySeconds of [60, 120, 120, 120]) {
+    clock.set(Date.parse(waiting.nextAttemptAt));
+    await withdrawals.processQueue();
+    waiting = await storage.withdrawals.get(withdrawal.id);
+    assert.equal(waiting.status, 'pending');
+    assert.equal(waiting.nextAttemptAt, new Date(clock.now() + delaySeconds * 1000).toISOString());
+  }
+  assert.equal(waiting.attempts, 0);
+  assert.equal(waiting.fundsChecks, 5);
+
+  treasuryFunds = 1000;
+  clock.set(Date.parse(waiting.nextAttemptAt));
+  await withdrawals.processQueue();
+
+  const paid = await storage.withdrawals.get(withdrawal.id);
+  assert.equal(paid.status, 'confirmed');
+  assert.equal(paid.attempts, 1);
+  assert.equal(paid.nextAttemptAt, null);
+});
+
+test('limits what a wallet withdraws of an asset over 24 hours', async () => {
+  const withdrawals = createWithdrawals({ dailyLimits: { XLM: 50 } });
+  await request(withdrawals);
+  await withdrawals.activeRun;
+
+  const over = await request(withdrawals, { idempotencyKey: 'key_2', amount: 20 });
+  assert.equal(over.valid, false);
+  assert.equal(over.reason, 'daily_limit_exceeded');
+  assert.equal(over.dailyRemaining, 10);
+
+  clock.advance(DAY + 1);
+  assert.equal((await request(withdrawals, { idempotencyKey: 'key_3', amount: 20 })).valid, true);
+});
+
+test('opens withdrawals the cooldown after the last deposit', async () => {
+  const withdrawals = createWithdrawals({ cooldownHours: 24 });
+
+  const early = await request(withdrawals);
+  assert.equal(early.valid, false);
+  assert.equal(early.reason, 'deposit_cooldown');
+  assert.equal(early.cooldownUntil, new Date(START + DAY).toISOString());
+
+  clock.advance(DAY);
+  assert.equal((await request(withdrawals)).valid, true);
+});
+
+test('holds a withdrawal above the approval threshold until an admin approves it', async () => {
+  const withdrawals = createWithdrawals({ approvalThresholds: { XLM: 30 } });
+
+  const { withdrawal } = await request(withdrawals);
+  assert.equal(withdrawal.status, 'held');
+  await withdrawals.processQueue();
+  assert.equal(horizon.submitted.length, 0);
+  // A held withdrawal keeps its amount reserved
+  assert.equal((await withdrawals.withdrawableBalance(await storage.pools.get(POOL_ID), DEPOSITOR)).withdrawable, 60);
+
+  const selfApproved = await withdrawals.approve(withdrawal.id, DEPOSITOR);
+  assert.equal(selfApproved.valid, false);
+  assert.equal(selfApproved.status, 403);
+  assert.equal((await storage.withdrawals.get(withdrawal.id)).status, 'held');
+
+  const approved = await withdrawals.approve(withdrawal.id, ADMIN);
+  assert.equal(approved.valid, true);
+  assert.equal(approved.withdrawal.status, 'pending');
+  assert.equal(approved.withdrawal.reviewedBy, ADMIN);
+  await withdrawals.activeRun;
+
+  assert.equal((await storage.withdrawals.get(withdrawal.id)).status, 'confirmed');
+  assert.equal(horizon.submitted.length, 1);
+  assert.equal((await withdrawals.approve(withdrawal.id, ADMIN)).status, 409);
+});
+
+test('releases the amount of a rejected withdrawal', async () => {
+  const withdrawals = createWithdrawals({ approvalThresholds: { XLM: 30 } });
+  const { withdrawal } = await request(withdrawals);
+
+  const rejected = await withdrawals.reject(withdrawal.id, ADMIN, 'Unusual activity');
+  assert.equal(rejected.valid, true);
+  assert.equal(rejected.withdrawal.status, 'rejected');
+  assert.equal(rejected.withdrawal.error, 'Rejected by an administrator: Unusual activity');
+
+  assert.equal((await withdrawals.withdrawableBalance(await storage.pools.get(POOL_ID), DEPOSITOR)).withdrawable, 100);
+  assert.equal((await withdrawals.approve(withdrawal.id, ADMIN)).status, 409);
+  assert.equal((await withdrawals.reject('withdrawal_missing', ADMIN)).status, 404);
+  await withdrawals.processQueue();
+  assert.equal(horizon.submitted.length, 0);
+});
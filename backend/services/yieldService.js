@@ -1,166 +1,523 @@
+import { getStorage } from '../storage/index.js';
+import { yieldConfig } from '../config.js';
+import { poolSplits, splitAmount } from './charityService.js';
+import assetService, { NATIVE_ASSET, emptyAssetTotals, poolAssetTotals, positionAssets } from './assetService.js';
+import eventService from './eventService.js';
+import domainEventService from './domainEvents.js';
+
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+const MAX_DONATION_PERCENTAGE = 100;
+
+const COMPOUNDING_PERIODS = {
+  continuous: Infinity,
+  hourly: 365 * 24,
+  daily: 365,
+  weekly: 52,
+  monthly: 12,
+  annually: 1
+};
+
+/**
+ * Resolve a compounding setting to periods per year
+ */
+export const compoundingPeriodsPerYear = (compounding) => {
+  if (typeof compounding === 'string' && compounding in COMPOUNDING_PERIODS) {
+    return COMPOUNDING_PERIODS[compounding];
+  }
+
+  const periods = Number(compounding);
+  if (!Number.isFinite(periods) || periods <= 0) {
+    throw new Error(`Invalid yield compounding: ${compounding}`);
+  }
+  return periods;
+};
+
+/**
+ * Growth of one unit of balance over `years` at the nominal annual `rate`
+ * Split-invariant: accruing t1 then t2 yields the same as accruing t1 + t2.
+ */
+export const growthFactor = (rate, years, periodsPerYear) => {
+  if (years <= 0 || rate === 0) return 0;
+  if (periodsPerYear === Infinity) return Math.expm1(rate * years);
+  return Math.pow(1 + rate / periodsPerYear, periodsPerYear * years) - 1;
+};
+
+/**
+ * Yield on one unit of balance over `years` when `donationShare` (0 to 1) of it is donated as it accrues
+ * Only the kept part compounds, so this is split-invariant too: a restart that accrues a long
+ * period at once credits what regular ticks would have. Donating everything earns simple interest.
+ */
+export const accruedYield = (rate, years, periodsPerYear, donationShare) => {
+  if (donationShare >= 1) return years > 0 ? rate * years : 0;
+  return growthFactor(rate * (1 - donationShare), years, periodsPerYear) / (1 - donationShare);
+};
+
+/**
+ * Value a pool's or depositor's unpriced donations in one asset ({ donated, donatedUSD, unpricedDonated })
+ * Donations made while the asset had no USD price are kept in `unpricedDonated` (in the asset)
+ * and added to donatedUSD at the first price seen afterwards; figures from before USD valuation
+ * (no donatedUSD) are unpriced in full.
+ * @param {number|null} price - USD price of the asset, or null if it has none
+ */
+export const valueDonations = (figures, price) => {
+  const donatedUSD = figures.donatedUSD ?? 0;
+  const unpricedDonated = figures.donatedUSD === undefined || figures.donatedUSD === null
+    ? figures.donated || 0
+    : figures.unpricedDonated || 0;
+
+  if (price === null || unpricedDonated === 0) {
+    return { ...figures, donatedUSD, unpricedDonated };
+  }
+  return { ...figures, donatedUSD: donatedUSD + unpricedDonated * price, unpricedDonated: 0 };
+};
+
+/**
+ * Donation percentage applied to a depositor's yield
+ * Depositors may give more than the pool's donationPercentage, never less.
+ */
+export const effectiveDonationPercentage = (pool, position) => Math.min(
+  MAX_DONATION_PERCENTAGE,
+  Math.max(pool.donationPercentage || 0, position?.donationPercentage ?? 0)
+);
+
 /**
- * Yield Generation Service
- * Calculates and applies yield to all active pools every 10 minutes
- * This simulates real DeFi yield generation over time
+ * Yield Engine
+ * Accrues yield for every pool from its lastYieldUpdate to the current time, so
+ * restarts, pauses and slow ticks neither lose nor double-count yield.
+ * Each depositor's balance in each asset (net deposits plus yield they kept) compounds on
+ * its own and is credited in that asset pro rata by balance and time held; the pool's
+ * per-asset totals are the sum of what was credited to the depositors. Each depositor
+ * donates at their own rate (see effectiveDonationPercentage) and the donated part is
+ * divided between the pool's charities by their share of the split. Donations are also
+ * valued in USD at the price when they accrue (donatedUSD), which is what milestones are
+ * reached on; donations in an asset without a price are valued once it has one (see
+ * valueDonations). Every accrual that donates or values earlier donations raises a
+ * 'donation_accrued' domain event.
+ *
+ * The clock and storage are injectable so accrual can be tested deterministically:
+ *   new YieldService({ clock: { now: () => fixedTime }, getStorage: () => fakeStorage })
  */
+export class YieldService {
+  constructor({
+    clock = { now: () => Date.now() },
+    getStorage: storageProvider = getStorage,
+    config = yieldConfig,
+    events = eventService,
+    domainEvents = domainEventService,
+    assets = assetService
+  } = {}) {
+    this.clock = clock;
+    this.getStorage = storageProvider;
+    this.config = config;
+    this.events = events;
+    this.assets = assets;
+    this.domainEvents = domainEvents;
+    this.periodsPerYear = compoundingPeriodsPerYear(config.compounding);
 
-class YieldService {
-  constructor() {
     this.isRunning = false;
     this.interval = null;
-    this.YIELD_UPDATE_INTERVAL = 10 * 60 * 1000; // 10 minutes in milliseconds
-    
-    console.log(' [YIELD] Service initialized - 10 minute intervals');
+    this.YIELD_UPDATE_INTERVAL = config.tickIntervalSeconds * 1000;
+
+    // Per-pool promise chains so accruals and deposits for a pool never interleave
+    this.poolLocks = new Map();
   }
 
-  /**
-   * Start the yield generation process
-   */
-  start(getPoolsCallback, savePoolsCallback) {
+  start() {
     if (this.isRunning) {
-      console.log('⚠️ [YIELD] Service already running');
       return;
     }
 
-    this.getPoolsCallback = getPoolsCallback;
-    this.savePoolsCallback = savePoolsCallback;
     this.isRunning = true;
 
-    // Run immediately on start
+    // Run immediately on start to catch up on time the server was down
     this.generateYieldForAllPools();
 
-    // Set up 10-minute interval
     this.interval = setInterval(() => {
       this.generateYieldForAllPools();
     }, this.YIELD_UPDATE_INTERVAL);
-
-    console.log(' [YIELD] Service started - generating yield every 10 minutes');
   }
 
-  /**
-   * Stop the yield generation process
-   */
   stop() {
     if (this.interval) {
       clearInterval(this.interval);
       this.interval = null;
     }
     this.isRunning = false;
-    console.log(' [YIELD] Service stopped');
   }
 
   /**
-   * Generate yield for all active pools
+   * Run `task` while holding the pool's lock
    */
+  withPoolLock(poolId, task) {
+    const previous = this.poolLocks.get(poolId) || Promise.resolve();
+    const run = previous.then(task, task);
+    const settled = run.catch(() => {});
+
+    this.poolLocks.set(poolId, settled);
+    settled.then(() => {
+      if (this.poolLocks.get(poolId) === settled) {
+        this.poolLocks.delete(poolId);
+      }
+    });
+
+    return run;
+  }
+
   async generateYieldForAllPools() {
     try {
-      const pools = this.getPoolsCallback();
-      if (!pools || pools.length === 0) {
-        console.log(' [YIELD] No pools found to generate yield for');
-        return;
+      const pools = await this.getStorage().pools.list();
+
+      // Fetch prices once up front so accruals holding a pool lock find them cached
+      await this.assets.getUsdPrices();
+
+      for (const pool of pools) {
+        const accrual = await this.accruePool(pool.id);
+
+        if (accrual && accrual.transactions.length > 0) {
+          this.events.publish('yield', { poolId: pool.id, transactions: accrual.transactions });
+          this.events.publishPool(accrual.pool, 'yield');
+        }
       }
+    } catch (error) {
+      console.error('❌ [YIELD] Error generating yield:', error);
+    }
+  }
 
-      console.log(\` [YIELD] Generating yield for \${pools.length} pools...\`);
-      let totalNewYield = 0;
-      let totalNewDonations = 0;
-      let updatedPools = 0;
+  /**
+   * Bring a pool's yield up to date
+   * @returns {Object|null} Accrual result (see applyAccrual)
+   */
+  accruePool(poolId) {
+    return this.withPoolLock(poolId, () => this.applyAccrual(poolId));
+  }
+
+  /**
+   * Accrue yield from the pool's lastYieldUpdate to now and credit it to depositors
+   * Each asset earns on its own balances and is credited, donated and recorded in that asset.
+   * Donations are valued in USD at the current price; donations recorded before USD
+   * valuation are valued at that price too the first time the pool or position donates again.
+   * Callers must hold the pool lock (see accruePool / withPoolLock).
+   * @returns {Object|null} { pool, transactions, credits } or null if the pool is gone
+   */
+  async applyAccrual(poolId) {
+    const storage = this.getStorage();
+    const pool = await storage.pools.get(poolId);
+    if (!pool) return null;
+
+    const now = this.clock.now();
+    const nowIso = new Date(now).toISOString();
+    const since = Date.parse(pool.lastYieldUpdate || pool.createdAt);
 
-      const updatedPoolsData = pools.map(pool => {
-        const yieldData = this.calculatePoolYield(pool);
-        
-        if (yieldData.newYield > 0) {
-          updatedPools++;
-          totalNewYield += yieldData.newYield;
-          totalNewDonations += yieldData.donationAmount;
+    const noYield = (currentPool) => ({ pool: currentPool, transactions: [], credits: [] });
 
-          console.log(\`✅ [YIELD] Pool "\${pool.name}": +$\${yieldData.newYield.toFixed(6)} yield, +$\${yieldData.donationAmount.toFixed(6)} donated\`);
+    // A pool without a usable start time starts accruing now
+    if (Number.isNaN(since)) {
+      return noYield(await storage.pools.update(poolId, { lastYieldUpdate: nowIso }));
+    }
+    if (since >= now) {
+      return noYield(pool);
+    }
+
+    const credits = await this.calculateCredits(pool, since, now);
+    const assetTotals = structuredClone(poolAssetTotals(pool));
+    const transactions = [];
+
+    const donating = credits.some(credit => credit.donationAmount > 0);
+    const unpricedBefore = (asset) => valueDonations(assetTotals[asset], null).unpricedDonated;
+    const valuing = donating || Object.keys(assetTotals).some(asset => unpricedBefore(asset) > 0);
+    const pricing = valuing ? await this.assets.getUsdPrices() : null;
+    // USD price of each asset looked up in this accrual; null when the asset has none
+    const prices = {};
+    const usdPrice = (asset) => {
+      if (!(asset in prices)) {
+        prices[asset] = typeof pricing.prices[asset] === 'number' ? pricing.prices[asset] : null;
+        if (prices[asset] === null) {
+          console.warn(`⚠️ [YIELD] No USD price for ${asset}, its donations in pool ${poolId} count towards milestones once it has one`);
         }
+      }
+      return prices[asset];
+    };
+
+    // Assets whose earlier unpriced donations are valued in this accrual
+    const valuedAssets = new Set();
+    if (valuing) {
+      for (const asset of Object.keys(assetTotals)) {
+        const unpriced = unpricedBefore(asset);
+        if (unpriced === 0 && !credits.some(credit => credit.asset === asset && credit.donationAmount > 0)) continue;
 
-        return yieldData.updatedPool;
+        assetTotals[asset] = valueDonations(assetTotals[asset], usdPrice(asset));
+        if (unpriced > 0 && assetTotals[asset].unpricedDonated === 0) valuedAssets.add(asset);
+      }
+    }
+
+    for (const asset of new Set(credits.map(credit => credit.asset))) {
+      const assetCredits = credits.filter(credit => credit.asset === asset);
+      const newYield = assetCredits.reduce((sum, credit) => sum + credit.yieldAmount, 0);
+      const donationAmount = assetCredits.reduce((sum, credit) => sum + credit.donationAmount, 0);
+      const donations = donationAmount > 0 ? splitAmount(donationAmount, poolSplits(pool)) : [];
+      const price = donationAmount > 0 ? usdPrice(asset) : null;
+      // null until the asset has a price: the donation is then valued with the unpriced ones
+      const donationUSD = donationAmount > 0 && price === null ? null : donationAmount * (price || 0);
+
+      const totals = { ...emptyAssetTotals(), ...assetTotals[asset] };
+      totals.yieldGenerated += newYield;
+      totals.donated += donationAmount;
+      if (donationUSD === null) {
+        totals.unpricedDonated += donationAmount;
+      } else {
+        totals.donatedUSD += donationUSD;
+      }
+      totals.donatedByCharity = { ...totals.donatedByCharity };
+      for (const donation of donations) {
+        totals.donatedByCharity[donation.charityId] = (totals.donatedByCharity[donation.charityId] || 0) + donation.amount;
+      }
+      assetTotals[asset] = totals;
+
+      // Yield distribution transaction record for the pool ledger
+      transactions.push({
+        id: `yield_${now}_${asset}`,
+        poolId,
+        type: 'yield_distribution',
+        amount: newYield,
+        donationAmount,
+        donationUSD,
+        usdPrice: price,
+        donations,
+        lenderAmount: newYield - donationAmount,
+        asset,
+        timestamp: nowIso,
+        periodStart: new Date(since).toISOString(),
+        periodEnd: nowIso,
+        periodAPY: this.poolAPY(pool),
+        depositors: assetCredits.length,
+        isAutoGenerated: true
       });
+    }
 
-      // Save updated pools
-      this.savePoolsCallback(updatedPoolsData);
+    const newYield = credits.reduce((sum, credit) => sum + credit.yieldAmount, 0);
+    const donationAmount = credits.reduce((sum, credit) => sum + credit.donationAmount, 0);
+    const updatedPool = await storage.pools.update(poolId, {
+      ...(credits.length > 0 || valuing ? { assetTotals } : {}),
+      ...(valuing ? {
+        totalDonatedUSD: Object.values(assetTotals).reduce((sum, totals) => sum + (totals.donatedUSD || 0), 0),
+        // Prices the latest donations were valued at, for the certificates they lead to
+        donationPricing: { prices, source: pricing.source, pricedAt: pricing.updatedAt }
+      } : {}),
+      totalYieldGenerated: (pool.totalYieldGenerated || 0) + newYield,
+      totalDonated: (pool.totalDonated || 0) + donationAmount,
+      lastYieldUpdate: nowIso
+    });
 
-      console.log(\` [YIELD] Completed: \${updatedPools} pools updated, +$\${totalNewYield.toFixed(2)} total yield, +$\${totalNewDonations.toFixed(2)} total donations\`);
+    if (credits.length === 0 && valuedAssets.size === 0) {
+      return noYield(updatedPool);
+    }
 
-    } catch (error) {
-      console.error('❌ [YIELD] Error generating yield:', error);
+    // Positions of depositors without credits this time still get their unpriced donations valued
+    const positions = new Map();
+    if (valuedAssets.size > 0) {
+      for (const position of await storage.positions.listByPool(poolId)) {
+        const assets = positionAssets(position);
+        if (![...valuedAssets].some(asset => assets[asset] && valueDonations(assets[asset], null).unpricedDonated > 0)) continue;
+
+        const { yieldEarned, donated, ...rest } = position;
+        positions.set(position.userId, { ...rest, assets, updatedAt: nowIso });
+      }
+    }
+
+    for (const credit of credits) {
+      const { yieldEarned, donated, ...position } = positions.get(credit.userId) || credit.position;
+      const assets = { ...positionAssets(credit.position), ...position.assets };
+      let earned = assets[credit.asset] || { yieldEarned: 0, donated: 0, donatedUSD: 0, unpricedDonated: 0 };
+
+      if (credit.donationAmount > 0) {
+        // Earlier unpriced donations are valued first, then this one at today's price (or kept unpriced)
+        const price = prices[credit.asset];
+        earned = valueDonations(earned, price);
+        earned = price === null
+          ? { ...earned, unpricedDonated: earned.unpricedDonated + credit.donationAmount }
+          : { ...earned, donatedUSD: earned.donatedUSD + credit.donationAmount * price };
+      }
+
+      positions.set(credit.userId, {
+        ...position,
+        poolId,
+        userId: credit.userId,
+        assets: {
+          ...assets,
+          [credit.asset]: {
+            ...earned,
+            yieldEarned: earned.yieldEarned + credit.yieldAmount,
+            donated: earned.donated + credit.donationAmount
+          }
+        },
+        updatedAt: nowIso
+      });
+    }
+
+    for (const position of positions.values()) {
+      for (const asset of valuedAssets) {
+        if (position.assets[asset]) position.assets[asset] = valueDonations(position.assets[asset], prices[asset]);
+      }
     }
+    await storage.positions.upsertMany([...positions.values()]);
+    await storage.transactions.addMany(transactions);
+
+    if (donating || valuedAssets.size > 0) {
+      const donors = new Set([
+        ...credits.filter(credit => credit.donationAmount > 0).map(credit => credit.userId),
+        ...[...positions.values()].filter(position => [...valuedAssets].some(asset => position.assets[asset])).map(position => position.userId)
+      ]);
+      this.domainEvents.emit('donation_accrued', {
+        poolId,
+        pool: updatedPool,
+        positions: [...positions.values()].filter(position => donors.has(position.userId)),
+        timestamp: nowIso
+      });
+    }
+
+    return { pool: updatedPool, transactions, credits };
   }
 
   /**
-   * Calculate yield for a specific pool
+   * Work out each depositor's share of the yield for [since, now], per asset
+   * Shares are weighted by balance and duration: the balance held at `since` earns for
+   * the whole period, and every deposit or withdrawal recorded inside the period only
+   * earns (or stops earning) from its own timestamp.
+   * @returns {Array} [{ userId, asset, averageBalance, yieldAmount, donationPercentage, donationAmount, position }]
    */
-  calculatePoolYield(pool) {
-    try {
-      // Only generate yield if pool has deposits
-      if (!pool.totalDeposited || pool.totalDeposited <= 0) {
-        return { updatedPool: pool, newYield: 0, donationAmount: 0 };
-      }
+  async calculateCredits(pool, since, now) {
+    const storage = this.getStorage();
+    const [balances, positions, periodRecords] = await Promise.all([
+      storage.deposits.balancesByUser(pool.id),
+      storage.positions.listByPool(pool.id),
+      this.depositsSince(pool.id, since)
+    ]);
 
-      // Calculate yield based on APY and time elapsed (10 minutes)
-      const annualAPY = (pool.currentAPY || 4.2) / 100; // Convert percentage to decimal
-      const minutesElapsed = 10; // 10-minute intervals
-      const minutesPerYear = 365 * 24 * 60; // Minutes in a year
-      
-      // Calculate yield for this 10-minute period
-      const periodMultiplier = minutesElapsed / minutesPerYear;
-      const yieldForPeriod = pool.totalDeposited * annualAPY * periodMultiplier;
-
-      // Calculate donations based on donation percentage
-      const donationPercentage = pool.donationPercentage || 0;
-      const donationAmount = yieldForPeriod * (donationPercentage / 100);
-      const lenderAmount = yieldForPeriod - donationAmount;
-
-      // Update pool with accumulated yield and donations
-      const updatedPool = {
-        ...pool,
-        totalYieldGenerated: (pool.totalYieldGenerated || 0) + yieldForPeriod,
-        totalDonated: (pool.totalDonated || 0) + donationAmount,
-        lastYieldUpdate: new Date().toISOString(),
-        
-        // Add yield distribution transaction record
-        transactions: [
-          ...(pool.transactions || []),
-          {
-            id: \`yield_\${Date.now()}_\${Math.random().toString(36).substr(2, 9)}\`,
-            type: 'yield_distribution',
-            amount: yieldForPeriod,
-            donationAmount: donationAmount,
-            lenderAmount: lenderAmount,
-            asset: 'XLM',
-            timestamp: new Date().toISOString(),
-            periodAPY: annualAPY * 100,
-            isAutoGenerated: true
-          }
-        ]
-      };
+    const positionsByUser = new Map(positions.map(position => [position.userId, position]));
+    const rate = this.poolAPY(pool) / 100;
+    const periodYears = (now - since) / MS_PER_YEAR;
+
+    const recordsByBalance = new Map();
+    for (const record of periodRecords) {
+      const timestamp = Date.parse(record.timestamp);
+      const startsAt = Number.isNaN(timestamp) ? since : Math.min(Math.max(timestamp, since), now);
+      const key = `${record.userId}:${record.asset || NATIVE_ASSET}`;
+      const records = recordsByBalance.get(key) || [];
+      records.push({ amount: record.amount, startsAt });
+      recordsByBalance.set(key, records);
+    }
+
+    return balances
+      .map(({ userId, asset, amount }) => {
+        const position = positionsByUser.get(userId) || {};
+        const { yieldEarned = 0, donated = 0 } = positionAssets(position)[asset] || {};
+        const donationPercentage = effectiveDonationPercentage(pool, position);
+        // Donations leave the balance as they accrue, so only the kept share compounds
+        const donationShare = donationPercentage / 100;
+        const records = recordsByBalance.get(`${userId}:${asset}`) || [];
+
+        // Balance at the start of the period; yield the depositor kept compounds with it
+        const periodNet = records.reduce((sum, record) => sum + record.amount, 0);
+        const openingBalance = Math.max(0, amount - periodNet + yieldEarned - donated);
+
+        let yieldAmount = openingBalance * accruedYield(rate, periodYears, this.periodsPerYear, donationShare);
+        let weightedBalance = openingBalance * (now - since);
+        for (const record of records) {
+          yieldAmount += record.amount * accruedYield(rate, (now - record.startsAt) / MS_PER_YEAR, this.periodsPerYear, donationShare);
+          weightedBalance += record.amount * (now - record.startsAt);
+        }
+        yieldAmount = Math.max(0, yieldAmount);
+
+        return {
+          userId,
+          asset,
+          averageBalance: Math.max(0, weightedBalance / (now - since)),
+          yieldAmount,
+          donationPercentage,
+          donationAmount: yieldAmount * donationPercentage / 100,
+          position
+        };
+      })
+      .filter(credit => credit.yieldAmount > 0);
+  }
+
+  /**
+   * Set a depositor's personal donation percentage for a pool
+   * Yield accrued so far is settled at the previous rate first.
+   * @param {number|null} percentage - Between the pool's donationPercentage and 100, or null for the pool default
+   * @returns {Object} { valid: true, donationPercentage } or { valid: false, status, error, message }
+   */
+  async setDonationPercentage(poolId, userId, percentage) {
+    const storage = this.getStorage();
+    const pool = await storage.pools.get(poolId);
+    if (!pool) {
+      return { valid: false, status: 404, error: 'Pool not found', message: `No pool found with ID: ${poolId}` };
+    }
 
+    const minimum = pool.donationPercentage || 0;
+    if (percentage !== null && (typeof percentage !== 'number' || !(percentage >= minimum && percentage <= MAX_DONATION_PERCENTAGE))) {
       return {
-        updatedPool,
-        newYield: yieldForPeriod,
-        donationAmount: donationAmount
+        valid: false,
+        status: 400,
+        error: 'Invalid donation percentage',
+        message: `Donation percentage must be between the pool minimum of ${minimum}% and ${MAX_DONATION_PERCENTAGE}%`
       };
-
-    } catch (error) {
-      console.error(\`❌ [YIELD] Error calculating yield for pool \${pool.id}:\`, error);
-      return { updatedPool: pool, newYield: 0, donationAmount: 0 };
     }
+
+    return this.withPoolLock(poolId, async () => {
+      await this.applyAccrual(poolId);
+
+      const { yieldEarned, donated, ...position } = (await storage.positions.get(poolId, userId)) || {};
+      const updated = {
+        poolId,
+        userId,
+        updatedAt: new Date(this.clock.now()).toISOString(),
+        ...position,
+        assets: positionAssets({ yieldEarned, donated, ...position }),
+        donationPercentage: percentage
+      };
+      await storage.positions.upsertMany([updated]);
+
+      console.log(`💝 [YIELD] ${userId} now donates ${effectiveDonationPercentage(pool, updated)}% of their yield in pool ${poolId}`);
+      return { valid: true, donationPercentage: effectiveDonationPercentage(pool, updated) };
+    });
   }
 
   /**
-   * Get service status
+   * Deposit ledger records (including withdrawals) timestamped at or after `since`
    */
+  async depositsSince(poolId, since) {
+    const records = [];
+    let after = null;
+
+    do {
+      const page = await this.getStorage().deposits.query({
+        poolId,
+        from: new Date(since).toISOString(),
+        order: 'asc',
+        limit: 200,
+        ...(after ? { after } : {})
+      });
+      records.push(...page.items);
+      after = page.hasMore ? page.items[page.items.length - 1] : null;
+    } while (after);
+
+    return records.filter(record => record.userId);
+  }
+
+  poolAPY(pool) {
+    return pool.currentAPY ?? this.config.defaultAPY;
+  }
+
   getStatus() {
     return {
       isRunning: this.isRunning,
-      intervalMinutes: this.YIELD_UPDATE_INTERVAL / (60 * 1000),
-      nextUpdate: this.isRunning ? new Date(Date.now() + this.YIELD_UPDATE_INTERVAL).toISOString() : null
+      intervalSeconds: this.YIELD_UPDATE_INTERVAL / 1000,
+      compounding: this.config.compounding,
+      nextUpdate: this.isRunning ? new Date(this.clock.now() + this.YIELD_UPDATE_INTERVAL).toISOString() : null
     };
   }
 }
 
 // Export singleton instance
-const yieldService = new YieldService();
-export default yieldService;
+export default new YieldService();
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { YieldService, accruedYield } from './yieldService.js';
+import { DAY, START, silentEvents, silentDomainEvents, useTestStorage, assertClose } from '../testing/fixtures.js';
+
+const POOL_ID = 'pool_yield_test';
+
+const config = { tickIntervalSeconds: 30, compounding: 'daily', defaultAPY: 10 };
+const assets = {
+  getUsdPrices: async () => ({ prices: { XLM: 0.1 }, source: 'test', updatedAt: new Date(START).toISOString() })
+};
+
+// Opening a store name again reopens its file the way a restarted server does
+const stores = useTestStorage('yield');
+const openStorage = (name) => stores.open(name);
+
+const createEngine = (storage, now) => new YieldService({
+  clock: { now: () => now },
+  getStorage: () => storage,
+  config,
+  events: silentEvents,
+  domainEvents: silentDomainEvents,
+  assets
+});
+
+const seedPool = async (storage) => {
+  await storage.pools.insert({
+    id: POOL_ID,
+    name: 'Yield Test Pool',
+    assets: ['XLM'],
+    charityId: 'charity_test',
+    charity: 'Test Charity',
+    donationPercentage: 20,
+    createdAt: new Date(START).toISOString(),
+    lastYieldUpdate: new Date(START).toISOString()
+  });
+  await storage.deposits.addMany([
+    { id: 'deposit_a', poolId: POOL_ID, userId: 'alice', asset: 'XLM', amount: 1000, timestamp: new Date(START).toISOString() },
+    { id: 'deposit_b', poolId: POOL_ID, userId: 'bob', asset: 'XLM', amount: 500, timestamp: new Date(START + 10 * DAY).toISOString() }
+  ]);
+};
+
+// Per-depositor and pool figures an accrual leaves behind
+const snapshot = async (storage) => {
+  const pool = await storage.pools.get(POOL_ID);
+  const positions = await storage.positions.listByPool(POOL_ID);
+  return {
+    yieldGenerated: pool.assetTotals.XLM.yieldGenerated,
+    donated: pool.assetTotals.XLM.donated,
+    donatedUSD: pool.totalDonatedUSD,
+    lastYieldUpdate: pool.lastYieldUpdate,
+    positions: Object.fromEntries(positions.map(position => [position.userId, position.assets.XLM]))
+  };
+};
+
+test('accrued yield does not depend on how the period is split', () => {
+  for (const periodsPerYear of [365, Infinity]) {
+    for (const donationShare of [0, 0.2, 1]) {
+      const whole = accruedYield(0.1, 0.5, periodsPerYear, donationShare);
+      const first = accruedYield(0.1, 0.2, periodsPerYear, donationShare);
+      // The kept part of the first period's yield earns in the second
+      const second = (1 + first * (1 - donationShare)) * accruedYield(0.1, 0.3, periodsPerYear, donationShare);
+
+      assertClose(first + second, whole);
+    }
+  }
+});
+
+test('accrues the same yield across a restart as in one run', async () => {
+  const single = await openStorage('single');
+  await seedPool(single);
+  await createEngine(single, START + 60 * DAY).accruePool(POOL_ID);
+
+  const restarted = await openStorage('restarted');
+  await seedPool(restarted);
+  await createEngine(restarted, START + 5 * DAY).accruePool(POOL_ID);
+  await createEngine(restarted, START + 25 * DAY).accruePool(POOL_ID);
+  const reopened = await openStorage('restarted');
+  await createEngine(reopened, START + 60 * DAY).accruePool(POOL_ID);
+
+  const expected = await snapshot(single);
+  const actual = await snapshot(reopened);
+
+  assert.equal(actual.lastYieldUpdate, expected.lastYieldUpdate);
+  assertClose(actual.yieldGenerated, expected.yieldGenerated);
+  assertClose(actual.donated, expected.donated);
+  assertClose(actual.donatedUSD, expected.donatedUSD);
+  for (const userId of ['alice', 'bob']) {
+    assertClose(actual.positions[userId].yieldEarned, expected.positions[userId].yieldEarned);
+    assertClose(actual.positions[userId].donated, expected.positions[userId].donated);
+  }
+});
+
+test('credits depositors by balance and time held', async () => {
+  const storage = await openStorage('store');
+  await seedPool(storage);
+  await createEngine(storage, START + 60 * DAY).accruePool(POOL_ID);
+
+  const { yieldGenerated, donated, donatedUSD, positions } = await snapshot(storage);
+  // 20% is donated as it accrues, so the balance compounds at 80% of the 10% APY
+  const growth = (days) => (Math.pow(1 + 0.08 / 365, days) - 1) / 0.8;
+
+  assertClose(positions.alice.yieldEarned, 1000 * growth(60));
+  assertClose(positions.bob.yieldEarned, 500 * growth(50));
+  assertClose(yieldGenerated, positions.alice.yieldEarned + positions.bob.yieldEarned);
+  assertClose(donated, yieldGenerated * 0.2);
+  assertClose(donatedUSD, donated * 0.1);
+});
+
+test('does not accrue the same period twice', async () => {
+  const storage = await openStorage('store');
+  await seedPool(storage);
+  await createEngine(storage, START + 30 * DAY).accruePool(POOL_ID);
+  const first = await snapshot(storage);
+
+  const reopened = await openStorage('store');
+  const result = await createEngine(reopened, START + 30 * DAY).accruePool(POOL_ID);
+
+  assert.deepEqual(result.transactions, []);
+  assert.deepEqual(await snapshot(reopened), first);
+});
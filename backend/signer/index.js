@@ -0,0 +1,52 @@
+/**
+ * Transaction signing for backend services
+ *
+ * Every adapter exposes the same async interface:
+ *   signer.listKeys()                              - public keys the signer can sign for
+ *   signer.hasKey(publicKey)                       - whether it can sign for publicKey
+ *   signer.signTransaction(transaction, publicKey) - add publicKey's signature to a built transaction
+ *   signer.createKey(label)                        - generate a new key held by the signer, returns its public key
+ *   signer.removeKey(publicKey)                    - forget a key (e.g. once an NFT issuer is locked)
+ *
+ * The 'keystore' driver keeps encrypted secrets in signerConfig.keystorePath, unlocked with
+ * KEYSTORE_PASSPHRASE; the 'socket' driver asks an external signing process on
+ * signerConfig.socketPath, so the secrets never enter this process.
+ */
+
+import { signerConfig } from '../config.js'
+import { KeystoreSigner } from './keystoreSigner.js'
+import { SocketSigner } from './socketSigner.js'
+
+let signerInstance = null
+
+/**
+ * Create a signer adapter
+ */
+export const createSigner = (options = signerConfig) => {
+  if (options.driver === 'keystore') {
+    return new KeystoreSigner(options.keystorePath, options.keystorePassphrase)
+  }
+  if (options.driver === 'socket') {
+    return new SocketSigner(options.socketPath, { timeoutSeconds: options.socketTimeoutSeconds })
+  }
+  throw new Error(`Unknown signer driver: ${options.driver}`)
+}
+
+/**
+ * Get the shared signer
+ */
+export const getSigner = () => {
+  if (!signerInstance) {
+    signerInstance = createSigner()
+  }
+  return signerInstance
+}
+
+/**
+ * Replace the shared signer (e.g. with a keystore in a temporary directory in tests)
+ */
+export const setSigner = (signer) => {
+  signerInstance = signer
+}
+
+export default getSigner
@@ -0,0 +1,64 @@
+/**
+ * Manage the encrypted keystore used by the 'keystore' signer and `npm run signer`
+ * Usage (KEYSTORE_PASSPHRASE must be set; KEYSTORE_PATH selects the file):
+ *   npm run keystore -- list
+ *   npm run keystore -- add [--label treasury] < secret.txt   (reads the secret key from stdin)
+ *   npm run keystore -- create [--label name]
+ *   npm run keystore -- remove G...
+ */
+
+import { signerConfig } from '../config.js'
+import { KeystoreSigner } from './keystoreSigner.js'
+
+const [command, ...args] = process.argv.slice(2)
+const labelFlagIndex = args.indexOf('--label')
+const label = labelFlagIndex !== -1 ? args[labelFlagIndex + 1] : null
+
+const readStdin = async () => {
+  let input = ''
+  for await (const chunk of process.stdin) {
+    input += chunk
+  }
+  return input.trim()
+}
+
+const keystore = new KeystoreSigner(signerConfig.keystorePath, signerConfig.keystorePassphrase)
+
+try {
+  switch (command) {
+    case 'list': {
+      const keys = await keystore.describeKeys()
+      keys.forEach(key => console.log(`${key.publicKey}  ${key.label || '-'}  ${key.createdAt}`))
+      console.log(`🔐 [KEYSTORE] ${keys.length} keys in ${signerConfig.keystorePath}`)
+      break
+    }
+
+    case 'add': {
+      if (process.stdin.isTTY) {
+        console.log('Paste the secret key and press Ctrl-D:')
+      }
+      const publicKey = await keystore.addKey(await readStdin(), label)
+      console.log(`✅ [KEYSTORE] Stored the key of ${publicKey}`)
+      break
+    }
+
+    case 'create': {
+      const publicKey = await keystore.createKey(label)
+      console.log(`✅ [KEYSTORE] Created ${publicKey} (fund it before use)`)
+      break
+    }
+
+    case 'remove': {
+      const removed = await keystore.removeKey(args[0])
+      console.log(removed ? `🗑️ [KEYSTORE] Removed ${args[0]}` : `⏭️ [KEYSTORE] No key for ${args[0]}`)
+      break
+    }
+
+    default:
+      console.error('Usage: npm run keystore -- list | add [--label name] | create [--label name] | remove <publicKey>')
+      process.exitCode = 1
+  }
+} catch (error) {
+  console.error(`❌ [KEYSTORE] ${error.message}`)
+  process.exitCode = 1
+}
@@ -0,0 +1,184 @@
+import crypto from 'crypto'
+import * as StellarSDK from '@stellar/stellar-sdk'
+import { AtomicJsonFile } from '../storage/atomicFile.js'
+
+const KEYSTORE_VERSION = 1
+const CIPHER = 'aes-256-gcm'
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 }
+const SCRYPT_MAXMEM = 64 * 1024 * 1024
+
+const scrypt = (passphrase, salt, { N, r, p }) => new Promise((resolve, reject) => {
+  crypto.scrypt(passphrase, salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM }, (error, key) => (error ? reject(error) : resolve(key)))
+})
+
+/**
+ * Signer backed by an encrypted keystore file
+ *
+ * File format:
+ *   { version, kdf: { name: 'scrypt', salt, N, r, p },
+ *     keys: [{ publicKey, label, createdAt, iv, tag, ciphertext }] }
+ *
+ * Every secret is encrypted with AES-256-GCM under a key derived from the passphrase, with
+ * the public key as additional authenticated data so entries can't be swapped around.
+ * The file is unlocked on first use; a wrong passphrase fails every signing request.
+ */
+export class KeystoreSigner {
+  constructor(filePath, passphrase) {
+    this.driver = 'keystore'
+    this.file = new AtomicJsonFile(filePath, { mode: 0o600 })
+    this.filePath = filePath
+    this.passphrase = passphrase
+    this.document = null
+    this.encryptionKey = null
+    this.keypairs = null
+    this.unlocking = null
+  }
+
+  /**
+   * Read and decrypt the keystore (once)
+   */
+  unlock() {
+    if (!this.unlocking) {
+      this.unlocking = this.readKeystore().catch(error => {
+        this.unlocking = null
+        throw error
+      })
+    }
+    return this.unlocking
+  }
+
+  async readKeystore() {
+    if (!this.passphrase) {
+      throw new Error('KEYSTORE_PASSPHRASE is not set')
+    }
+
+    const document = this.file.read(null) || {
+      version: KEYSTORE_VERSION,
+      kdf: { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS },
+      keys: []
+    }
+    if (document.version !== KEYSTORE_VERSION || document.kdf?.name !== 'scrypt') {
+      throw new Error(`Unsupported keystore format in ${this.filePath}`)
+    }
+
+    const encryptionKey = await scrypt(this.passphrase, Buffer.from(document.kdf.salt, 'base64'), document.kdf)
+    const keypairs = new Map()
+    for (const entry of document.keys) {
+      const keypair = StellarSDK.Keypair.fromSecret(this.decrypt(encryptionKey, entry))
+      if (keypair.publicKey() !== entry.publicKey) {
+        throw new Error(`Keystore entry ${entry.publicKey} holds the key of another account`)
+      }
+      keypairs.set(entry.publicKey, keypair)
+    }
+
+    this.document = document
+    this.encryptionKey = encryptionKey
+    this.keypairs = keypairs
+  }
+
+  decrypt(encryptionKey, entry) {
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, encryptionKey, Buffer.from(entry.iv, 'base64'))
+      decipher.setAAD(Buffer.from(entry.publicKey))
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'))
+      return Buffer.concat([decipher.update(Buffer.from(entry.ciphertext, 'base64')), decipher.final()]).toString('utf8')
+    } catch (error) {
+      throw new Error(`Cannot decrypt ${this.filePath}: wrong KEYSTORE_PASSPHRASE or a damaged keystore`)
+    }
+  }
+
+  encrypt(keypair) {
+    const iv = crypto.randomBytes(12)
+    const cipher = crypto.createCipheriv(CIPHER, this.encryptionKey, iv)
+    cipher.setAAD(Buffer.from(keypair.publicKey()))
+    const ciphertext = Buffer.concat([cipher.update(keypair.secret(), 'utf8'), cipher.final()])
+
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    }
+  }
+
+  /**
+   * Write the keystore (created readable by the owner only)
+   */
+  persist() {
+    return this.file.save(() => this.document)
+  }
+
+  async listKeys() {
+    await this.unlock()
+    return [...this.keypairs.keys()]
+  }
+
+  async hasKey(publicKey) {
+    await this.unlock()
+    return this.keypairs.has(publicKey)
+  }
+
+  /**
+   * Add publicKey's signature to a built transaction
+   */
+  async signTransaction(transaction, publicKey) {
+    await this.unlock()
+
+    const keypair = this.keypairs.get(publicKey)
+    if (!keypair) {
+      throw new Error(`The keystore has no key for ${publicKey}`)
+    }
+    transaction.sign(keypair)
+    return transaction
+  }
+
+  /**
+   * Store an existing secret key (e.g. a treasury imported with `npm run keystore`)
+   * @returns {string} Its public key
+   */
+  async addKey(secret, label = null) {
+    await this.unlock()
+
+    const keypair = StellarSDK.Keypair.fromSecret(secret)
+    if (this.keypairs.has(keypair.publicKey())) {
+      return keypair.publicKey()
+    }
+
+    this.keypairs.set(keypair.publicKey(), keypair)
+    this.document.keys.push({
+      publicKey: keypair.publicKey(),
+      label,
+      createdAt: new Date().toISOString(),
+      ...this.encrypt(keypair)
+    })
+    await this.persist()
+
+    return keypair.publicKey()
+  }
+
+  /**
+   * Generate a new key held only by the keystore
+   * @returns {string} Its public key
+   */
+  async createKey(label = null) {
+    return this.addKey(StellarSDK.Keypair.random().secret(), label)
+  }
+
+  async removeKey(publicKey) {
+    await this.unlock()
+
+    if (!this.keypairs.delete(publicKey)) return false
+    this.document.keys = this.document.keys.filter(entry => entry.publicKey !== publicKey)
+    await this.persist()
+    return true
+  }
+
+  /**
+   * Labels and creation times of the stored keys (never the secrets)
+   */
+  async describeKeys() {
+    await this.unlock()
+    return this.document.keys.map(({ publicKey, label, createdAt }) => ({ publicKey, label, createdAt }))
+  }
+}
+
+export default KeystoreSigner
@@ -0,0 +1,86 @@
+/**
+ * Reference signing process for the 'socket' signer driver
+ * Serves the keystore at KEYSTORE_PATH on SIGNER_SOCKET with the protocol described in
+ * socketSigner.js. Run it as its own user so the API process never holds the secrets;
+ * only transactions for the configured Stellar network are signed.
+ * Usage: npm run signer
+ */
+
+import fs from 'fs'
+import net from 'net'
+import * as StellarSDK from '@stellar/stellar-sdk'
+import { signerConfig, stellarConfig } from '../config.js'
+import { KeystoreSigner } from './keystoreSigner.js'
+
+const networkPassphrase = stellarConfig.network === 'public' ? StellarSDK.Networks.PUBLIC : StellarSDK.Networks.TESTNET
+const keystore = new KeystoreSigner(signerConfig.keystorePath, signerConfig.keystorePassphrase)
+
+const handlers = {
+  listKeys: async () => ({ keys: await keystore.listKeys() }),
+
+  sign: async ({ publicKey, networkPassphrase: requested, xdr }) => {
+    if (requested !== networkPassphrase) {
+      throw new Error(`only transactions for ${networkPassphrase} are signed`)
+    }
+    const transaction = StellarSDK.TransactionBuilder.fromXDR(xdr, networkPassphrase)
+    await keystore.signTransaction(transaction, publicKey)
+
+    const signature = transaction.signatures[transaction.signatures.length - 1].signature()
+    console.log(`✍️ [SIGNER] Signed ${transaction.hash().toString('hex')} for ${publicKey}`)
+    return { signature: signature.toString('base64') }
+  },
+
+  createKey: async ({ label }) => ({ publicKey: await keystore.createKey(label) }),
+
+  removeKey: async ({ publicKey }) => ({ removed: await keystore.removeKey(publicKey) })
+}
+
+const server = net.createServer(socket => {
+  let buffer = ''
+  socket.setEncoding('utf8')
+  socket.on('error', () => socket.destroy())
+  socket.on('data', async chunk => {
+    buffer += chunk
+    const newline = buffer.indexOf('\n')
+    if (newline === -1) return
+
+    let request = {}
+    try {
+      request = JSON.parse(buffer.slice(0, newline))
+      const handler = handlers[request.method]
+      if (!handler) {
+        throw new Error(`unknown method ${request.method}`)
+      }
+      socket.end(`${JSON.stringify({ id: request.id, result: await handler(request.params || {}) })}\n`)
+    } catch (error) {
+      console.warn(`⚠️ [SIGNER] Refused ${request.method || 'request'}: ${error.message}`)
+      socket.end(`${JSON.stringify({ id: request.id, error: error.message })}\n`)
+    }
+  })
+})
+
+if (!signerConfig.socketPath) {
+  console.error('❌ [SIGNER] SIGNER_SOCKET is not set')
+  process.exit(1)
+}
+
+try {
+  // Unlock first so a wrong passphrase stops the process instead of failing every request
+  console.log(`🔐 [SIGNER] Keystore holds ${(await keystore.listKeys()).length} keys`)
+} catch (error) {
+  console.error(`❌ [SIGNER] ${error.message}`)
+  process.exit(1)
+}
+
+// A socket file left behind by a previous run would make listen() fail
+fs.rmSync(signerConfig.socketPath, { force: true })
+server.listen(signerConfig.socketPath, () => {
+  fs.chmodSync(signerConfig.socketPath, 0o660)
+  console.log(`🚀 [SIGNER] Listening on ${signerConfig.socketPath}`)
+})
+
+const shutdown = () => {
+  server.close(() => process.exit(0))
+}
+process.on('SIGINT', shutdown)
+process.on('SIGTERM', shutdown)
@@ -0,0 +1,99 @@
+import net from 'net'
+import crypto from 'crypto'
+
+/**
+ * Signer that delegates to an external signing process over a local (Unix domain) socket,
+ * so secret keys never enter the API process
+ *
+ * Protocol: each connection carries one JSON request line { id, method, params } and is
+ * answered with one JSON line { id, result } or { id, error }.
+ *   listKeys  {}                                 -> { keys: [publicKey] }
+ *   sign      { publicKey, networkPassphrase, xdr } -> { signature } (base64 signature of the transaction hash)
+ *   createKey { label }                          -> { publicKey }
+ *   removeKey { publicKey }                      -> { removed }
+ * The whole transaction is sent, not just its hash, so the signing process can apply its
+ * own policy before signing. `npm run signer` serves a keystore with this protocol.
+ */
+export class SocketSigner {
+  constructor(socketPath, { timeoutSeconds = 10 } = {}) {
+    this.driver = 'socket'
+    this.socketPath = socketPath
+    this.timeoutMs = timeoutSeconds * 1000
+  }
+
+  /**
+   * Send one request and wait for its response line
+   */
+  request(method, params = {}) {
+    if (!this.socketPath) {
+      return Promise.reject(new Error('SIGNER_SOCKET is not set'))
+    }
+
+    return new Promise((resolve, reject) => {
+      const id = crypto.randomUUID()
+      const socket = net.createConnection(this.socketPath)
+      let buffer = ''
+
+      const fail = (error) => {
+        socket.destroy()
+        reject(error)
+      }
+
+      socket.setTimeout(this.timeoutMs, () => fail(new Error(`Signing process did not answer ${method} within ${this.timeoutMs / 1000}s`)))
+      socket.on('error', error => fail(new Error(`Signing process unavailable at ${this.socketPath}: ${error.message}`)))
+      socket.on('connect', () => socket.write(`${JSON.stringify({ id, method, params })}\n`))
+      socket.on('data', chunk => {
+        buffer += chunk
+        const newline = buffer.indexOf('\n')
+        if (newline === -1) return
+
+        socket.end()
+        try {
+          const response = JSON.parse(buffer.slice(0, newline))
+          if (response.id !== id) {
+            reject(new Error('Signing process answered a different request'))
+          } else if (response.error) {
+            reject(new Error(`Signing process refused ${method}: ${response.error}`))
+          } else {
+            resolve(response.result)
+          }
+        } catch (error) {
+          reject(new Error(`Invalid response from signing process: ${error.message}`))
+        }
+      })
+    })
+  }
+
+  async listKeys() {
+    return (await this.request('listKeys')).keys
+  }
+
+  async hasKey(publicKey) {
+    return (await this.listKeys()).includes(publicKey)
+  }
+
+  /**
+   * Add publicKey's signature to a built transaction
+   */
+  async signTransaction(transaction, publicKey) {
+    const { signature } = await this.request('sign', {
+      publicKey,
+      networkPassphrase: transaction.networkPassphrase,
+      xdr: transaction.toXDR()
+    })
+
+    // addSignature verifies the signature against the transaction hash
+    transaction.addSignature(publicKey, signature)
+    return transaction
+  }
+
+  async createKey(label = null) {
+    return (await this.request('createKey', { label })).publicKey
+  }
+
+  async removeKey(publicKey) {
+    return (await this.request('removeKey', { publicKey })).removed
+  }
+}
+
+export default SocketSigner
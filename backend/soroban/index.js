@@ -0,0 +1,53 @@
+/**
+ * Soroban RPC access for backend services
+ *
+ * Every adapter exposes the same async interface:
+ *   soroban.getPoolInfo(contractId)              - normalized pool state (see normalizePoolInfo)
+ *   soroban.getUserBalance(contractId, publicKey) - a depositor's balance held by the contract
+ *   soroban.getLatestLedger()                     - sequence of the latest ledger
+ *   soroban.getEvents({ contractId, startLedger, cursor, limit })
+ *                                                 - { latestLedger, events } with one page of the contract's
+ *                                                   events (see normalizeContractEvent), oldest first
+ *
+ * Contract state is read by simulating calls, so nothing is signed or submitted.
+ * The 'rpc' driver talks to stellarConfig.sorobanRpcUrl; the 'mock' driver keeps contract
+ * state in memory so smart-contract pools can be synced and tested without network access.
+ */
+
+import { stellarConfig } from '../config.js'
+import { SorobanRpcClient } from './sorobanRpcClient.js'
+import { MockSorobanClient } from './mockSorobanClient.js'
+
+let sorobanInstance = null
+
+/**
+ * Create a Soroban adapter
+ */
+export const createSoroban = (options = stellarConfig) => {
+  if (options.sorobanDriver === 'mock') {
+    return new MockSorobanClient(options.sorobanMockFile)
+  }
+  if (options.sorobanDriver !== 'rpc') {
+    throw new Error(`Unknown Soroban driver: ${options.sorobanDriver}`)
+  }
+  return new SorobanRpcClient(options.sorobanRpcUrl, options.network)
+}
+
+/**
+ * Get the shared Soroban adapter
+ */
+export const getSoroban = () => {
+  if (!sorobanInstance) {
+    sorobanInstance = createSoroban()
+  }
+  return sorobanInstance
+}
+
+/**
+ * Replace the shared Soroban adapter (e.g. with a MockSorobanClient in tests)
+ */
+export const setSoroban = (soroban) => {
+  sorobanInstance = soroban
+}
+
+export default getSoroban
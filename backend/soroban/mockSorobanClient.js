@@ -0,0 +1,110 @@
+import fs from 'fs'
+import { fromStroops, normalizeContractEvent, normalizePoolInfo } from './normalize.js'
+
+/**
+ * In-memory Soroban adapter for offline development and testing
+ * Contracts hold their raw `get_pool_info` struct (snake_case, amounts in stroops),
+ * per-user balances in stroops and the events they emitted. They can be seeded from a JSON
+ * file of the form
+ * { "<contractId>": { "poolInfo": { ... }, "balances": { "<publicKey>": 10000000 }, "events": [...] } }
+ * or set at runtime.
+ */
+export class MockSorobanClient {
+  constructor(fixtureFile = null) {
+    this.driver = 'mock'
+    this.contracts = new Map()
+    this.events = []
+    this.latestLedger = 1
+    this.calls = []
+
+    if (fixtureFile && fs.existsSync(fixtureFile)) {
+      const fixtures = JSON.parse(fs.readFileSync(fixtureFile, 'utf8'))
+      Object.entries(fixtures).forEach(([contractId, { poolInfo, balances = {}, events = [] }]) => {
+        if (poolInfo) this.setPoolInfo(contractId, poolInfo)
+        Object.entries(balances).forEach(([publicKey, balance]) => this.setUserBalance(contractId, publicKey, balance))
+        events.forEach(event => this.addEvent(contractId, event))
+      })
+      console.log(`🧪 [SOROBAN] Loaded ${this.contracts.size} mock contracts from ${fixtureFile}`)
+    }
+  }
+
+  contract(contractId) {
+    if (!this.contracts.has(contractId)) {
+      this.contracts.set(contractId, { poolInfo: null, balances: new Map() })
+    }
+    return this.contracts.get(contractId)
+  }
+
+  /**
+   * Set (or merge into) a contract's PoolInfo struct
+   */
+  setPoolInfo(contractId, poolInfo) {
+    const contract = this.contract(contractId)
+    contract.poolInfo = { ...contract.poolInfo, ...poolInfo }
+  }
+
+  /**
+   * Set a depositor's balance in stroops
+   */
+  setUserBalance(contractId, publicKey, balance) {
+    this.contract(contractId).balances.set(publicKey, balance)
+  }
+
+  async getPoolInfo(contractId) {
+    this.calls.push({ contractId, method: 'get_pool_info' })
+    const poolInfo = this.contracts.get(contractId)?.poolInfo
+    if (!poolInfo) {
+      throw new Error(`Contract ${contractId} not found`)
+    }
+    return normalizePoolInfo(poolInfo)
+  }
+
+  async getUserBalance(contractId, publicKey) {
+    this.calls.push({ contractId, method: 'get_user_balance', publicKey })
+    const contract = this.contracts.get(contractId)
+    if (!contract) {
+      throw new Error(`Contract ${contractId} not found`)
+    }
+    return fromStroops(contract.balances.get(publicKey) || 0)
+  }
+
+  /**
+   * Record a contract event, e.g. { topic: ['deposit', 'G...'], value: [10000000n, 1700000000n] }
+   * Each event closes a new ledger unless `ledger` is given; amounts are in stroops.
+   */
+  addEvent(contractId, { topic, value, ledger, txHash = null, successful = true }) {
+    this.latestLedger = Math.max(this.latestLedger, ledger ?? this.latestLedger + 1)
+    const eventLedger = ledger ?? this.latestLedger
+    const index = this.events.filter(event => event.ledger === eventLedger).length
+    const id = `${String(eventLedger).padStart(19, '0')}-${String(index).padStart(10, '0')}`
+
+    const event = {
+      id,
+      pagingToken: id,
+      contractId,
+      ledger: eventLedger,
+      ledgerClosedAt: new Date().toISOString(),
+      txHash,
+      successful,
+      topic,
+      value
+    }
+    this.events.push(event)
+    this.events.sort((a, b) => (a.id < b.id ? -1 : 1))
+    return normalizeContractEvent(event)
+  }
+
+  async getLatestLedger() {
+    return this.latestLedger
+  }
+
+  async getEvents({ contractId, startLedger, cursor, limit = 100 }) {
+    this.calls.push({ contractId, method: 'getEvents', startLedger, cursor })
+    const events = this.events
+      .filter(event => event.contractId === contractId)
+      .filter(event => (cursor ? event.pagingToken > cursor : event.ledger >= startLedger))
+      .slice(0, limit)
+
+    return { latestLedger: this.latestLedger, events: events.map(normalizeContractEvent) }
+  }
+}
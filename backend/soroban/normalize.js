@@ -0,0 +1,76 @@
+/**
+ * Normalize pool contract results into plain objects used by the backend
+ * Contract amounts are i128 stroops; they are returned in whole units like the rest of the API.
+ */
+
+export const STROOPS_PER_UNIT = 1e7
+
+/**
+ * Convert a contract amount (bigint or number of stroops) to units
+ */
+export const fromStroops = (amount) => Number(amount ?? 0) / STROOPS_PER_UNIT
+
+/**
+ * Normalize the PoolInfo struct returned by `get_pool_info`
+ * The deployed contract (contracts/impact_pool) reports deposits and donations; the newer
+ * pool contract also tracks yield and whether the pool is active.
+ */
+export const normalizePoolInfo = (info) => ({
+  totalDeposited: fromStroops(info.total_deposited),
+  totalDonated: fromStroops(info.total_donated),
+  totalYieldGenerated: info.total_yield === undefined ? null : fromStroops(info.total_yield),
+  donationPercentage: info.donation_percentage === undefined ? null : Number(info.donation_percentage),
+  isActive: info.is_active === undefined ? true : Boolean(info.is_active)
+})
+
+// First topic of each contract event (case-insensitive: the newer pool contract uses upper case)
+const EVENT_TYPES = {
+  deposit: 'deposit',
+  withdraw: 'withdrawal',
+  yield: 'yield',
+  pause: 'pause',
+  resume: 'resume'
+}
+
+/**
+ * Normalize a pool contract event
+ * Topics and value must already be native values (symbols and addresses as strings, i128 as bigint).
+ *   deposit/withdraw: topics (name, user), value (amount, ...)
+ *   yield:            topics (name, ...),  value (yield_amount, donation_amount, ...)
+ *   pause/resume:     topics (name),       value (admin)
+ * Events the backend doesn't know get type null and are skipped by the indexer.
+ * @returns {Object} { id, pagingToken, contractId, ledger, ledgerClosedAt, txHash, successful, type, user, amount, donationAmount }
+ */
+export const normalizeContractEvent = ({ id, pagingToken, contractId, ledger, ledgerClosedAt, txHash = null, successful = true, topic = [], value }) => {
+  const name = typeof topic[0] === 'string' ? topic[0].toLowerCase() : null
+  const type = EVENT_TYPES[name] || null
+  const values = Array.isArray(value) ? value : [value]
+
+  const event = {
+    id,
+    pagingToken: pagingToken || id,
+    contractId,
+    ledger,
+    ledgerClosedAt,
+    txHash,
+    successful,
+    type,
+    user: null,
+    amount: null,
+    donationAmount: null
+  }
+
+  switch (type) {
+    case 'deposit':
+    case 'withdrawal':
+      return { ...event, user: String(topic[1]), amount: fromStroops(values[0]) }
+    case 'yield':
+      return { ...event, amount: fromStroops(values[0]), donationAmount: fromStroops(values[1]) }
+    case 'pause':
+    case 'resume':
+      // The admin who paused or resumed the pool
+      return { ...event, user: values[0] ? String(values[0]) : null }
+    default:
+      return { ...event, topic: topic.map(String) }
+  }
+}
@@ -0,0 +1,83 @@
+import * as StellarSDK from '@stellar/stellar-sdk'
+import { fromStroops, normalizeContractEvent, normalizePoolInfo } from './normalize.js'
+
+// Simulations are never submitted; any valid account works as their source
+const SIMULATION_SOURCE = 'GAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWHF'
+const SIMULATION_TIMEOUT_SECONDS = 30
+
+/**
+ * Soroban adapter backed by a Soroban RPC server
+ * Contract state is read by simulating read-only calls.
+ */
+export class SorobanRpcClient {
+  constructor(rpcUrl, network = 'testnet') {
+    this.driver = 'rpc'
+    this.server = new StellarSDK.SorobanRpc.Server(rpcUrl)
+    this.networkPassphrase = network === 'public' ? StellarSDK.Networks.PUBLIC : StellarSDK.Networks.TESTNET
+  }
+
+  /**
+   * Simulate a contract call and return its result as a native value
+   */
+  async call(contractId, method, args = [], source = SIMULATION_SOURCE) {
+    const transaction = new StellarSDK.TransactionBuilder(new StellarSDK.Account(source, '0'), {
+      fee: StellarSDK.BASE_FEE,
+      networkPassphrase: this.networkPassphrase
+    })
+      .addOperation(new StellarSDK.Contract(contractId).call(method, ...args))
+      .setTimeout(SIMULATION_TIMEOUT_SECONDS)
+      .build()
+
+    const simulation = await this.server.simulateTransaction(transaction)
+    if (!StellarSDK.SorobanRpc.Api.isSimulationSuccess(simulation)) {
+      throw new Error(simulation.error || `${method} simulation failed`)
+    }
+    return StellarSDK.scValToNative(simulation.result.retval)
+  }
+
+  async getPoolInfo(contractId) {
+    return normalizePoolInfo(await this.call(contractId, 'get_pool_info'))
+  }
+
+  async getUserBalance(contractId, publicKey) {
+    const balance = await this.call(
+      contractId,
+      'get_user_balance',
+      [StellarSDK.Address.fromString(publicKey).toScVal()],
+      publicKey
+    )
+    return fromStroops(balance)
+  }
+
+  async getLatestLedger() {
+    const { sequence } = await this.server.getLatestLedger()
+    return sequence
+  }
+
+  /**
+   * One page of a contract's events, starting at `startLedger` or after `cursor`
+   */
+  async getEvents({ contractId, startLedger, cursor, limit }) {
+    const response = await this.server.getEvents({
+      ...(cursor ? { cursor } : { startLedger }),
+      filters: [{ type: 'contract', contractIds: [contractId] }],
+      limit
+    })
+
+    return {
+      latestLedger: response.latestLedger,
+      events: response.events.map(event => normalizeContractEvent({
+        id: event.id,
+        pagingToken: event.pagingToken,
+        contractId,
+        ledger: event.ledger,
+        ledgerClosedAt: event.ledgerClosedAt,
+        // Only reported by newer RPC servers
+        txHash: event.txHash || null,
+        successful: event.inSuccessfulContractCall,
+        topic: event.topic.map(topic => StellarSDK.scValToNative(topic)),
+        value: StellarSDK.scValToNative(event.value)
+      }))
+    }
+  }
+}
@@ -0,0 +1,68 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Write a file atomically
+ * The data is written to a temporary file in the same directory, flushed to disk
+ * and then renamed over the target, so readers never see a half-written file.
+ * `mode` sets the permissions of the new file (e.g. 0o600 for secrets).
+ */
+export const writeFileAtomic = async (filePath, contents, { mode = 0o666 } = {}) => {
+  const directory = path.dirname(filePath)
+  const tempPath = path.join(directory, `.${path.basename(filePath)}.${process.pid}.tmp`)
+
+  await fs.promises.mkdir(directory, { recursive: true })
+
+  const handle = await fs.promises.open(tempPath, 'w', mode)
+  try {
+    await handle.writeFile(contents, 'utf8')
+    await handle.sync()
+  } finally {
+    await handle.close()
+  }
+
+  await fs.promises.rename(tempPath, filePath)
+}
+
+/**
+ * JSON document on disk with serialized, coalesced atomic saves
+ * Overlapping save() calls never interleave: a save requested while another is in
+ * flight is queued, and every caller waiting on the queue shares one write of the
+ * latest state.
+ */
+export class AtomicJsonFile {
+  constructor(filePath, { mode } = {}) {
+    this.filePath = filePath
+    this.mode = mode
+    this.inFlight = Promise.resolve()
+    this.queued = null
+  }
+
+  /**
+   * Read and parse the document, returning `fallback` if the file does not exist
+   */
+  read(fallback) {
+    if (!fs.existsSync(this.filePath)) {
+      return fallback
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+  }
+
+  /**
+   * Persist the value returned by `getSnapshot` once any in-flight write has finished
+   */
+  save(getSnapshot) {
+    if (this.queued) {
+      return this.queued
+    }
+
+    const write = () => {
+      this.queued = null
+      return writeFileAtomic(this.filePath, JSON.stringify(getSnapshot(), null, 2), { mode: this.mode })
+    }
+
+    this.queued = this.inFlight.then(write, write)
+    this.inFlight = this.queued.catch(() => {})
+    return this.queued
+  }
+}
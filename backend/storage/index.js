@@ -0,0 +1,124 @@
+/**
+ * Pluggable persistence layer for ImpactPools
+ *
+ * Every adapter exposes the same async repository interface:
+ *   storage.pools        - list(), get(id), insert(pool), update(id, changes), remove(id)
+ *   storage.deposits     - listByPool(poolId), query(filters), add(record), addMany(records), removeByPool(poolId),
+ *                          findByTxHash(txHash), countUsers(poolId), balancesByUser(poolId), totalsByAsset(poolId)
+ *   storage.transactions - listByPool(poolId), query(filters), add(record), addMany(records), removeByPool(poolId)
+ *   storage.positions    - listByPool(poolId), get(poolId, userId), upsertMany(records), removeByPool(poolId)
+ *   storage.payouts      - list({ status, limit }), get(id), findByTxHash(txHash), insert(payout), update(id, changes)
+ *   storage.withdrawals  - list({ status, recipient, order, limit }), get(id), findByIdempotencyKey(key),
+ *                          findByTxHash(txHash), insert(withdrawal), update(id, changes)
+ *   storage.charities    - list({ status }), get(id), findByAddress(address), insert(charity), update(id, changes), remove(id)
+ *   storage.contractEvents - list({ contractId, poolId, types, after, order, limit }), add(event)
+ *   storage.treasuryPayments - list({ account, poolId, direction, statuses, txHash, limit }), get(id), add(payment),
+ *                          update(id, changes)
+ *   storage.milestones   - list({ recipient, poolId, type, statuses }), get(id), insert(milestone),
+ *                          update(id, changes), transition(id, fromStatus, changes)
+ *   storage.mintJobs     - list({ statuses, recipient, limit }), get(id), findByMilestone(milestoneId),
+ *                          insert(job), update(id, changes), listSteps(jobId), updateStep(id, changes)
+ *   storage.certificates - list({ recipient, limit }), get(assetCode), findByMilestone(milestoneKey),
+ *                          insert(certificate), update(assetCode, changes)
+ *   storage.meta         - get(key), set(key, value)
+ *   storage.close()
+ *
+ * Deposit and transaction records carry their `poolId` and are unique per pool by `id`.
+ *
+ * query({ poolId, types, user, from, to, after, order, limit }) returns { items, hasMore }.
+ * Results are ordered by (timestamp, id); `after` is the { timestamp, id } of the last
+ * record of the previous page. Deposit records have no `type` field: negative amounts
+ * are reported as 'withdrawal', everything else as 'deposit'.
+ *
+ * deposits.findByTxHash(txHash) returns the record for a Stellar transaction in any pool (or null);
+ * deposits.countUsers(poolId) counts the distinct depositors of a pool and
+ * deposits.balancesByUser(poolId) returns each depositor's net { userId, asset, amount } per asset and
+ * deposits.totalsByAsset(poolId) the pool's net { asset, amount } per asset. Records without
+ * an asset count as XLM.
+ *
+ * Positions hold each depositor's accrued { poolId, userId, assets, updatedAt } (`assets` maps an
+ * asset code to { yieldEarned, donated, donatedUSD, unpricedDonated }) and optional personal donationPercentage; they are
+ * unique per (poolId, userId) and upsertMany replaces existing positions.
+ *
+ * Pools keep their per-asset figures in `assetTotals`; totalDeposited, totalYieldGenerated,
+ * totalDonated and totalDonationsPaid add up every asset and are kept for older clients.
+ * totalDonatedUSD is the pool's donations valued in USD as they accrued.
+ *
+ * Withdrawal requests are listed by (createdAt, id), newest first unless order is 'asc'. Their
+ * `idempotencyKey` is unique: inserting a second request with the same key throws.
+ *
+ * Contract events are unique by their Soroban event `id`, which sorts in ledger order; adding an
+ * event that is already stored is a no-op and returns false. list() returns { items, hasMore },
+ * oldest first unless order is 'desc', and `after` is the id of the last event of the previous page.
+ *
+ * Treasury payments are the Horizon payments to and from the treasury accounts, unique by their
+ * operation `id`; adding one that is already stored is a no-op and returns false. They are listed
+ * newest first by (createdAt, id).
+ *
+ * Milestones are unique by their key (`pool_<poolId>_<milestone>` or `individual_<publicKey>_<poolId>_<milestone>`):
+ * insert() returns false instead of adding a second record for a key. They are listed oldest first by
+ * claimableAt. transition() applies the changes only while the milestone is still in `fromStatus`
+ * and returns null otherwise, so a milestone can be claimed once.
+ *
+ * Mint jobs hold one certificate mint each and are unique by id and by milestoneId: insert() returns
+ * false instead of adding a second job for a milestone. A job is inserted with its `steps`, which are
+ * stored as one record per step ({ id, jobId, name, position, status, attempts, txHash, error, ... })
+ * and read back in order with listSteps(). Jobs are listed oldest first by (createdAt, id).
+ *
+ * Certificates are the registry of minted NFTs, keyed by `assetCode` and unique by `milestoneKey`:
+ * insert() returns false if either is already registered. They are listed oldest first by
+ * (createdAt, assetCode).
+ *
+ * Charities are listed by name; their Stellar `address` is unique across the registry and
+ * inserting or updating a charity onto an address that is already registered throws.
+ */
+
+import { storageConfig } from '../config.js'
+import { JsonFileStorage } from './jsonFileStorage.js'
+import { SqliteStorage } from './sqliteStorage.js'
+
+let storageInstance = null
+
+/**
+ * Create and initialize a storage adapter
+ * Falls back to the JSON adapter when the optional better-sqlite3 dependency is missing.
+ */
+export const createStorage = async (options = storageConfig) => {
+  if (options.driver === 'sqlite') {
+    try {
+      const { default: Database } = await import('better-sqlite3')
+      return await new SqliteStorage(Database, options.sqlitePath).initialize()
+    } catch (error) {
+      if (error.code !== 'ERR_MODULE_NOT_FOUND') {
+        throw error
+      }
+      console.warn('⚠️ [STORAGE] better-sqlite3 is not installed - falling back to JSON file storage')
+    }
+  } else if (options.driver !== 'json') {
+    throw new Error(`Unknown storage driver: ${options.driver}`)
+  }
+
+  return new JsonFileStorage(options.jsonPath).initialize()
+}
+
+/**
+ * Initialize the shared storage instance used by the API and background services
+ */
+export const initializeStorage = async (options = storageConfig) => {
+  if (!storageInstance) {
+    storageInstance = await createStorage(options)
+  }
+  return storageInstance
+}
+
+/**
+ * Get the shared storage instance (initializeStorage must have been awaited first)
+ */
+export const getStorage = () => {
+  if (!storageInstance) {
+    throw new Error('Storage has not been initialized')
+  }
+  return storageInstance
+}
+
+export default getStorage
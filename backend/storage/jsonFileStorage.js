@@ -0,0 +1,554 @@
+import { AtomicJsonFile } from './atomicFile.js'
+
+const EMPTY_DOCUMENT = {
+  schemaVersion: 1,
+  pools: [],
+  deposits: [],
+  transactions: [],
+  positions: [],
+  payouts: [],
+  withdrawals: [],
+  charities: [],
+  contractEvents: [],
+  treasuryPayments: [],
+  milestones: [],
+  mintJobs: [],
+  mintJobSteps: [],
+  certificates: [],
+  meta: {}
+}
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value))
+
+/**
+ * JSON file storage adapter
+ * Keeps the whole store in memory and persists it with atomic, serialized writes.
+ * Suitable for development and single-process deployments.
+ */
+export class JsonFileStorage {
+  constructor(filePath) {
+    this.driver = 'json'
+    this.file = new AtomicJsonFile(filePath)
+    this.data = null
+
+    this.pools = {
+      list: async () => clone(this.data.pools),
+
+      get: async (id) => clone(this.data.pools.find(pool => pool.id === id) || null),
+
+      insert: async (pool) => {
+        if (this.data.pools.some(existing => existing.id === pool.id)) {
+          throw new Error(`Pool ${pool.id} already exists`)
+        }
+        this.data.pools.push(clone(pool))
+        await this.persist()
+        return clone(pool)
+      },
+
+      update: async (id, changes) => {
+        const index = this.data.pools.findIndex(pool => pool.id === id)
+        if (index === -1) return null
+
+        this.data.pools[index] = { ...this.data.pools[index], ...clone(changes), id }
+        await this.persist()
+        return clone(this.data.pools[index])
+      },
+
+      remove: async (id) => {
+        const index = this.data.pools.findIndex(pool => pool.id === id)
+        if (index === -1) return null
+
+        const [removed] = this.data.pools.splice(index, 1)
+        this.data.deposits = this.data.deposits.filter(deposit => deposit.poolId !== id)
+        this.data.transactions = this.data.transactions.filter(transaction => transaction.poolId !== id)
+        this.data.positions = this.data.positions.filter(position => position.poolId !== id)
+        await this.persist()
+        return removed
+      }
+    }
+
+    this.deposits = {
+      ...this.createLedgerRepository('deposits', {
+        userField: 'userId',
+        typeOf: record => (record.amount < 0 ? 'withdrawal' : 'deposit')
+      }),
+
+      findByTxHash: async (txHash) => clone(this.data.deposits.find(deposit => deposit.txHash === txHash) || null),
+
+      countUsers: async (poolId) => new Set(
+        this.data.deposits
+          .filter(deposit => deposit.poolId === poolId && deposit.amount > 0)
+          .map(deposit => deposit.userId)
+      ).size,
+
+      // Deposits recorded without an asset predate multi-asset pools and were XLM
+      balancesByUser: async (poolId) => {
+        const balances = new Map()
+        for (const deposit of this.data.deposits) {
+          if (deposit.poolId !== poolId || !deposit.userId) continue
+          const asset = deposit.asset || 'XLM'
+          const key = `${deposit.userId}\u0000${asset}`
+          const entry = balances.get(key) || { userId: deposit.userId, asset, amount: 0 }
+          entry.amount += deposit.amount
+          balances.set(key, entry)
+        }
+        return [...balances.values()].sort((a, b) => (
+          a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : a.asset < b.asset ? -1 : a.asset > b.asset ? 1 : 0
+        ))
+      },
+
+      totalsByAsset: async (poolId) => {
+        const totals = new Map()
+        for (const deposit of this.data.deposits) {
+          if (deposit.poolId !== poolId) continue
+          const asset = deposit.asset || 'XLM'
+          totals.set(asset, (totals.get(asset) || 0) + deposit.amount)
+        }
+        return [...totals.entries()]
+          .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+          .map(([asset, amount]) => ({ asset, amount }))
+      }
+    }
+    this.transactions = this.createLedgerRepository('transactions', {
+      userField: 'user',
+      typeOf: record => record.type
+    })
+
+    this.positions = {
+      listByPool: async (poolId) => clone(
+        this.data.positions
+          .filter(position => position.poolId === poolId)
+          .sort((a, b) => (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0))
+      ),
+
+      get: async (poolId, userId) => clone(
+        this.data.positions.find(position => position.poolId === poolId && position.userId === userId) || null
+      ),
+
+      upsertMany: async (records) => {
+        for (const record of records) {
+          const index = this.data.positions.findIndex(
+            position => position.poolId === record.poolId && position.userId === record.userId
+          )
+          if (index === -1) {
+            this.data.positions.push(clone(record))
+          } else {
+            this.data.positions[index] = clone(record)
+          }
+        }
+        await this.persist()
+        return records.length
+      },
+
+      removeByPool: async (poolId) => {
+        this.data.positions = this.data.positions.filter(position => position.poolId !== poolId)
+        await this.persist()
+      }
+    }
+
+    this.payouts = {
+      list: async ({ status, limit = 50 } = {}) => clone(
+        this.data.payouts
+          .filter(payout => !status || payout.status === status)
+          .sort((a, b) => (a.createdAt === b.createdAt ? (a.id < b.id ? 1 : -1) : (a.createdAt < b.createdAt ? 1 : -1)))
+          .slice(0, limit)
+      ),
+
+      get: async (id) => clone(this.data.payouts.find(payout => payout.id === id) || null),
+
+      findByTxHash: async (txHash) => clone(this.data.payouts.find(payout => payout.txHash === txHash) || null),
+
+      insert: async (payout) => {
+        if (this.data.payouts.some(existing => existing.id === payout.id)) {
+          throw new Error(`Payout ${payout.id} already exists`)
+        }
+        this.data.payouts.push(clone(payout))
+        await this.persist()
+        return clone(payout)
+      },
+
+      update: async (id, changes) => {
+        const index = this.data.payouts.findIndex(payout => payout.id === id)
+        if (index === -1) return null
+
+        this.data.payouts[index] = { ...this.data.payouts[index], ...clone(changes), id }
+        await this.persist()
+        return clone(this.data.payouts[index])
+      }
+    }
+
+    this.withdrawals = {
+      list: async ({ status, recipient, order = 'desc', limit = 50 } = {}) => {
+        const direction = order === 'asc' ? 1 : -1
+        return clone(
+          this.data.withdrawals
+            .filter(withdrawal => !status || withdrawal.status === status)
+            .filter(withdrawal => !recipient || withdrawal.recipient === recipient)
+            .sort((a, b) => (
+              a.createdAt === b.createdAt ? (a.id < b.id ? -1 : 1) : (a.createdAt < b.createdAt ? -1 : 1)
+            ) * direction)
+            .slice(0, limit)
+        )
+      },
+
+      get: async (id) => clone(this.data.withdrawals.find(withdrawal => withdrawal.id === id) || null),
+
+      findByIdempotencyKey: async (key) => clone(
+        this.data.withdrawals.find(withdrawal => withdrawal.idempotencyKey === key) || null
+      ),
+
+      findByTxHash: async (txHash) => clone(this.data.withdrawals.find(withdrawal => withdrawal.txHash === txHash) || null),
+
+      // Idempotency keys are unique, like the SQLite UNIQUE constraint
+      insert: async (withdrawal) => {
+        if (this.data.withdrawals.some(existing => existing.id === withdrawal.id)) {
+          throw new Error(`Withdrawal ${withdrawal.id} already exists`)
+        }
+        if (this.data.withdrawals.some(existing => existing.idempotencyKey === withdrawal.idempotencyKey)) {
+          throw new Error(`Idempotency key ${withdrawal.idempotencyKey} is already used`)
+        }
+        this.data.withdrawals.push(clone(withdrawal))
+        await this.persist()
+        return clone(withdrawal)
+      },
+
+      update: async (id, changes) => {
+        const index = this.data.withdrawals.findIndex(withdrawal => withdrawal.id === id)
+        if (index === -1) return null
+
+        this.data.withdrawals[index] = { ...this.data.withdrawals[index], ...clone(changes), id }
+        await this.persist()
+        return clone(this.data.withdrawals[index])
+      }
+    }
+
+    this.contractEvents = {
+      list: async ({ contractId, poolId, types, after, order = 'asc', limit = 50 } = {}) => {
+        const direction = order === 'desc' ? -1 : 1
+        const matches = this.data.contractEvents
+          .filter(event => !contractId || event.contractId === contractId)
+          .filter(event => !poolId || event.poolId === poolId)
+          .filter(event => !types || types.length === 0 || types.includes(event.type))
+          .filter(event => !after || (direction === 1 ? event.id > after : event.id < after))
+          .sort((a, b) => (a.id < b.id ? -1 : 1) * direction)
+
+        return {
+          items: clone(matches.slice(0, limit)),
+          hasMore: matches.length > limit
+        }
+      },
+
+      // Events are unique by id; adding one that is already stored is a no-op
+      add: async (event) => {
+        if (this.data.contractEvents.some(existing => existing.id === event.id)) return false
+        this.data.contractEvents.push(clone(event))
+        await this.persist()
+        return true
+      }
+    }
+
+    this.treasuryPayments = {
+      list: async ({ account, poolId, direction, statuses, txHash, limit = 50 } = {}) => clone(
+        this.data.treasuryPayments
+          .filter(payment => !account || payment.account === account)
+          .filter(payment => !poolId || payment.poolId === poolId)
+          .filter(payment => !direction || payment.direction === direction)
+          .filter(payment => !txHash || payment.txHash === txHash)
+          .filter(payment => !statuses || statuses.length === 0 || statuses.includes(payment.status))
+          .sort((a, b) => (
+            a.createdAt === b.createdAt ? (a.id < b.id ? 1 : -1) : (a.createdAt < b.createdAt ? 1 : -1)
+          ))
+          .slice(0, limit)
+      ),
+
+      get: async (id) => clone(this.data.treasuryPayments.find(payment => payment.id === id) || null),
+
+      // Payments are unique by id; adding one that is already stored is a no-op
+      add: async (payment) => {
+        if (this.data.treasuryPayments.some(existing => existing.id === payment.id)) return false
+        this.data.treasuryPayments.push(clone(payment))
+        await this.persist()
+        return true
+      },
+
+      update: async (id, changes) => {
+        const index = this.data.treasuryPayments.findIndex(payment => payment.id === id)
+        if (index === -1) return null
+
+        this.data.treasuryPayments[index] = { ...this.data.treasuryPayments[index], ...clone(changes), id }
+        await this.persist()
+        return clone(this.data.treasuryPayments[index])
+      }
+    }
+
+    this.milestones = {
+      list: async ({ recipient, poolId, type, statuses } = {}) => clone(
+        this.data.milestones
+          .filter(milestone => !recipient || milestone.recipientPublicKey === recipient)
+          .filter(milestone => !poolId || milestone.poolId === poolId)
+          .filter(milestone => !type || milestone.type === type)
+          .filter(milestone => !statuses || statuses.length === 0 || statuses.includes(milestone.status))
+          .sort((a, b) => (
+            a.claimableAt === b.claimableAt ? (a.id < b.id ? -1 : 1) : (a.claimableAt < b.claimableAt ? -1 : 1)
+          ))
+      ),
+
+      get: async (id) => clone(this.data.milestones.find(milestone => milestone.id === id) || null),
+
+      // Milestone keys are unique, like the SQLite primary key: inserting one twice is a no-op
+      insert: async (milestone) => {
+        if (this.data.milestones.some(existing => existing.id === milestone.id)) return false
+        this.data.milestones.push(clone(milestone))
+        await this.persist()
+        return true
+      },
+
+      update: async (id, changes) => {
+        const index = this.data.milestones.findIndex(milestone => milestone.id === id)
+        if (index === -1) return null
+
+        this.data.milestones[index] = { ...this.data.milestones[index], ...clone(changes), id }
+        await this.persist()
+        return clone(this.data.milestones[index])
+      },
+
+      // Checked and written without yielding, so two callers can't both move the same milestone
+      transition: async (id, fromStatus, changes) => {
+        const index = this.data.milestones.findIndex(milestone => milestone.id === id)
+        if (index === -1 || this.data.milestones[index].status !== fromStatus) return null
+
+        this.data.milestones[index] = { ...this.data.milestones[index], ...clone(changes), id }
+        await this.persist()
+        return clone(this.data.milestones[index])
+      }
+    }
+
+    this.mintJobs = {
+      list: async ({ statuses, recipient, limit = 50 } = {}) => clone(
+        this.data.mintJobs
+          .filter(job => !recipient || job.recipientPublicKey === recipient)
+          .filter(job => !statuses || statuses.length === 0 || statuses.includes(job.status))
+          .sort((a, b) => (a.createdAt === b.createdAt ? (a.id < b.id ? -1 : 1) : (a.createdAt < b.createdAt ? -1 : 1)))
+          .slice(0, limit)
+      ),
+
+      get: async (id) => clone(this.data.mintJobs.find(job => job.id === id) || null),
+
+      findByMilestone: async (milestoneId) => clone(this.data.mintJobs.find(job => job.milestoneId === milestoneId) || null),
+
+      // Job IDs and milestones are unique, like the SQLite keys: a second job for either is a no-op
+      insert: async ({ steps = [], ...job }) => {
+        if (this.data.mintJobs.some(existing => existing.id === job.id || existing.milestoneId === job.milestoneId)) return false
+        this.data.mintJobs.push(clone(job))
+        this.data.mintJobSteps.push(...clone(steps))
+        await this.persist()
+        return true
+      },
+
+      update: async (id, changes) => {
+        const index = this.data.mintJobs.findIndex(job => job.id === id)
+        if (index === -1) return null
+
+        this.data.mintJobs[index] = { ...this.data.mintJobs[index], ...clone(changes), id }
+        await this.persist()
+        return clone(this.data.mintJobs[index])
+      },
+
+      listSteps: async (jobId) => clone(
+        this.data.mintJobSteps.filter(step => step.jobId === jobId).sort((a, b) => a.position - b.position)
+      ),
+
+      updateStep: async (id, changes) => {
+        const index = this.data.mintJobSteps.findIndex(step => step.id === id)
+        if (index === -1) return null
+
+        this.data.mintJobSteps[index] = { ...this.data.mintJobSteps[index], ...clone(changes), id }
+        await this.persist()
+        return clone(this.data.mintJobSteps[index])
+      }
+    }
+
+    this.certificates = {
+      list: async ({ recipient, limit = 50 } = {}) => clone(
+        this.data.certificates
+          .filter(certificate => !recipient || certificate.recipientPublicKey === recipient)
+          .sort((a, b) => (a.createdAt === b.createdAt ? (a.assetCode < b.assetCode ? -1 : 1) : (a.createdAt < b.createdAt ? -1 : 1)))
+          .slice(0, limit)
+      ),
+
+      get: async (assetCode) => clone(this.data.certificates.find(certificate => certificate.assetCode === assetCode) || null),
+
+      findByMilestone: async (milestoneKey) => clone(
+        this.data.certificates.find(certificate => certificate.milestoneKey === milestoneKey) || null
+      ),
+
+      // Asset codes and milestone keys are unique, like the SQLite keys: a second certificate for either is a no-op
+      insert: async (certificate) => {
+        if (this.data.certificates.some(existing => existing.assetCode === certificate.assetCode || existing.milestoneKey === certificate.milestoneKey)) return false
+        this.data.certificates.push(clone(certificate))
+        await this.persist()
+        return true
+      },
+
+      update: async (assetCode, changes) => {
+        const index = this.data.certificates.findIndex(certificate => certificate.assetCode === assetCode)
+        if (index === -1) return null
+
+        this.data.certificates[index] = { ...this.data.certificates[index], ...clone(changes), assetCode }
+        await this.persist()
+        return clone(this.data.certificates[index])
+      }
+    }
+
+    // Addresses are unique across charities, like the SQLite UNIQUE constraint
+    const assertUniqueAddress = (charity) => {
+      if (charity.address && this.data.charities.some(existing => existing.id !== charity.id && existing.address === charity.address)) {
+        throw new Error(`Charity address ${charity.address} is already registered`)
+      }
+    }
+
+    this.charities = {
+      list: async ({ status } = {}) => clone(
+        this.data.charities
+          .filter(charity => !status || charity.verificationStatus === status)
+          .sort((a, b) => (a.name === b.name ? (a.id < b.id ? -1 : 1) : (a.name < b.name ? -1 : 1)))
+      ),
+
+      get: async (id) => clone(this.data.charities.find(charity => charity.id === id) || null),
+
+      findByAddress: async (address) => clone(this.data.charities.find(charity => charity.address === address) || null),
+
+      insert: async (charity) => {
+        if (this.data.charities.some(existing => existing.id === charity.id)) {
+          throw new Error(`Charity ${charity.id} already exists`)
+        }
+        assertUniqueAddress(charity)
+        this.data.charities.push(clone(charity))
+        await this.persist()
+        return clone(charity)
+      },
+
+      update: async (id, changes) => {
+        const index = this.data.charities.findIndex(charity => charity.id === id)
+        if (index === -1) return null
+
+        const updated = { ...this.data.charities[index], ...clone(changes), id }
+        assertUniqueAddress(updated)
+        this.data.charities[index] = updated
+        await this.persist()
+        return clone(updated)
+      },
+
+      remove: async (id) => {
+        const index = this.data.charities.findIndex(charity => charity.id === id)
+        if (index === -1) return null
+
+        const [removed] = this.data.charities.splice(index, 1)
+        await this.persist()
+        return removed
+      }
+    }
+
+    this.meta = {
+      get: async (key) => clone(this.data.meta[key]),
+
+      set: async (key, value) => {
+        this.data.meta[key] = clone(value)
+        await this.persist()
+      }
+    }
+  }
+
+  /**
+   * Load the store from disk
+   */
+  async initialize() {
+    this.data = { ...structuredClone(EMPTY_DOCUMENT), ...this.file.read({}) }
+    console.log(`💾 [STORAGE] JSON store loaded from ${this.file.filePath}`)
+    return this
+  }
+
+  /**
+   * Repository for records that belong to a pool (deposits, transactions)
+   * Records are unique per pool by `id`; adding an existing record is a no-op.
+   */
+  createLedgerRepository(collection, { userField, typeOf }) {
+    return {
+      listByPool: async (poolId) => clone(
+        this.data[collection]
+          .filter(record => record.poolId === poolId)
+          .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      ),
+
+      query: async ({ poolId, types, user, from, to, after, order = 'desc', limit = 50 }) => {
+        const direction = order === 'asc' ? 1 : -1
+        const compare = (a, b) => (
+          a.timestamp === b.timestamp
+            ? (a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+            : (a.timestamp < b.timestamp ? -1 : 1)
+        ) * direction
+
+        const matches = this.data[collection]
+          .filter(record => record.poolId === poolId)
+          .filter(record => !types || types.length === 0 || types.includes(typeOf(record)))
+          .filter(record => !user || record[userField] === user)
+          .filter(record => !from || record.timestamp >= from)
+          .filter(record => !to || record.timestamp <= to)
+          .filter(record => !after || compare(record, after) > 0)
+          .sort(compare)
+
+        return {
+          items: clone(matches.slice(0, limit)),
+          hasMore: matches.length > limit
+        }
+      },
+
+      add: async (record) => {
+        const inserted = this.insertLedgerRecords(collection, [record])
+        if (inserted > 0) await this.persist()
+        return inserted > 0
+      },
+
+      addMany: async (records) => {
+        const inserted = this.insertLedgerRecords(collection, records)
+        if (inserted > 0) await this.persist()
+        return inserted
+      },
+
+      removeByPool: async (poolId) => {
+        this.data[collection] = this.data[collection].filter(record => record.poolId !== poolId)
+        await this.persist()
+      }
+    }
+  }
+
+  insertLedgerRecords(collection, records) {
+    const existingKeys = new Set(this.data[collection].map(record => `${record.poolId}:${record.id}`))
+    let inserted = 0
+
+    for (const record of records) {
+      if (!record.poolId || !record.id) {
+        throw new Error(`${collection} records require poolId and id`)
+      }
+
+      const key = `${record.poolId}:${record.id}`
+      if (existingKeys.has(key)) continue
+
+      existingKeys.add(key)
+      this.data[collection].push(clone(record))
+      inserted++
+    }
+
+    return inserted
+  }
+
+  persist() {
+    return this.file.save(() => this.data)
+  }
+
+  async close() {
+    await this.file.inFlight
+  }
+}
+
+export default JsonFileStorage
@@ -0,0 +1,29 @@
+/**
+ * Import pools-data.json into the configured store
+ * Usage: npm run migrate [-- --force] [-- --file path/to/pools-data.json]
+ */
+
+import { storageConfig } from '../config.js'
+import { createStorage } from './index.js'
+import { importLegacyPools } from './migrations/importLegacyPools.js'
+
+const args = process.argv.slice(2)
+const fileFlagIndex = args.indexOf('--file')
+const filePath = fileFlagIndex !== -1 ? args[fileFlagIndex + 1] : storageConfig.legacyPoolsFile
+
+const storage = await createStorage(storageConfig)
+
+try {
+  const result = await importLegacyPools(storage, filePath, { force: args.includes('--force') })
+
+  if (result.skipped) {
+    console.log(`⏭️ [MIGRATE] Import skipped: ${result.reason}`)
+  } else {
+    console.log(`✅ [MIGRATE] Imported ${result.pools} pools, ${result.deposits} deposits and ${result.transactions} transactions into ${storage.driver} storage`)
+  }
+} catch (error) {
+  console.error('❌ [MIGRATE] Import failed:', error)
+  process.exitCode = 1
+} finally {
+  await storage.close()
+}
@@ -0,0 +1,91 @@
+import fs from 'fs'
+import { splitPoolDocument } from '../records.js'
+
+const IMPORT_MARKER_KEY = 'legacyPoolsImport'
+
+/**
+ * Pool documents of a legacy file
+ */
+const readLegacyPools = (filePath) => {
+  const legacyPools = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  if (!Array.isArray(legacyPools)) {
+    throw new Error(`${filePath} does not contain a pool array`)
+  }
+  return legacyPools
+}
+
+/**
+ * Set `legacyImportedAt` on the stored pools of the legacy file that don't have it yet
+ */
+const markLegacyPools = async (storage, legacyPools, importedAt) => {
+  for (const { id } of legacyPools) {
+    const pool = id ? await storage.pools.get(id) : null
+    if (pool && !pool.legacyImportedAt) {
+      await storage.pools.update(id, { legacyImportedAt: importedAt })
+    }
+  }
+}
+
+/**
+ * Import the legacy pools-data.json file into the storage layer
+ * The legacy file is an array of pool documents with embedded `deposits` and
+ * `transactions` arrays. Pools that already exist in storage are skipped and
+ * ledger records are de-duplicated per pool, so the import is safe to re-run.
+ *
+ * Imported pools are marked with `legacyImportedAt`: their ledger from before then was never
+ * ingested from Horizon, so reconciliation doesn't expect treasury payments for it. Pools
+ * imported before the marker existed get it from the recorded import.
+ *
+ * @param {Object} storage - Initialized storage adapter
+ * @param {string} filePath - Path to the legacy pools-data.json
+ * @param {Object} options
+ * @param {boolean} options.force - Import even if a previous import was recorded
+ * @returns {Object} Import summary
+ */
+export const importLegacyPools = async (storage, filePath, { force = false } = {}) => {
+  const previousImport = await storage.meta.get(IMPORT_MARKER_KEY)
+  if (previousImport && !force) {
+    if (fs.existsSync(filePath)) {
+      await markLegacyPools(storage, readLegacyPools(filePath), previousImport.importedAt)
+    }
+    return { skipped: true, reason: 'already_imported', previousImport }
+  }
+
+  if (!fs.existsSync(filePath)) {
+    return { skipped: true, reason: 'file_not_found' }
+  }
+
+  const legacyPools = readLegacyPools(filePath)
+  const importedAt = new Date().toISOString()
+  const summary = { pools: 0, deposits: 0, transactions: 0, skippedPools: 0 }
+
+  for (const poolDocument of legacyPools) {
+    const { pool, deposits, transactions } = splitPoolDocument(poolDocument)
+
+    if (!pool.id) {
+      summary.skippedPools++
+      continue
+    }
+
+    if (await storage.pools.get(pool.id)) {
+      summary.skippedPools++
+    } else {
+      await storage.pools.insert({ ...pool, legacyImportedAt: importedAt })
+      summary.pools++
+    }
+
+    summary.deposits += await storage.deposits.addMany(deposits)
+    summary.transactions += await storage.transactions.addMany(transactions)
+  }
+
+  await markLegacyPools(storage, legacyPools, importedAt)
+  await storage.meta.set(IMPORT_MARKER_KEY, {
+    filePath,
+    importedAt,
+    ...summary
+  })
+
+  return { skipped: false, ...summary }
+}
+
+export default importLegacyPools
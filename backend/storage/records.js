@@ -0,0 +1,76 @@
+/**
+ * Record helpers shared by the storage adapters
+ * Pools, deposits and transactions are stored as separate collections;
+ * these helpers convert between the API's pool document and those records.
+ */
+
+/**
+ * Split an API pool document into the pool record and its embedded ledger arrays
+ */
+export const splitPoolDocument = (poolDocument) => {
+  const { deposits = [], transactions = [], ...pool } = poolDocument || {}
+
+  return {
+    pool,
+    deposits: Array.isArray(deposits) ? deposits.map(deposit => ({ ...deposit, poolId: pool.id })) : [],
+    transactions: Array.isArray(transactions) ? transactions.map(transaction => ({ ...transaction, poolId: pool.id })) : []
+  }
+}
+
+/**
+ * Build a row mapper from a column spec
+ * Each column is [columnName, propertyName, kind] where kind is 'json', 'bool' or undefined.
+ * Properties without a column are kept in the `extra` JSON column so no field is ever dropped.
+ */
+export const createRowMapper = (columns) => {
+  const knownProperties = new Set(columns.map(([, property]) => property))
+
+  const toRow = (record) => {
+    const row = {}
+    const extra = {}
+
+    for (const [column, property, kind] of columns) {
+      const value = record[property]
+      if (value === undefined || value === null) {
+        row[column] = null
+      } else if (kind === 'json') {
+        row[column] = JSON.stringify(value)
+      } else if (kind === 'bool') {
+        row[column] = value ? 1 : 0
+      } else {
+        row[column] = value
+      }
+    }
+
+    for (const [property, value] of Object.entries(record)) {
+      if (!knownProperties.has(property) && value !== undefined) {
+        extra[property] = value
+      }
+    }
+
+    row.extra = Object.keys(extra).length > 0 ? JSON.stringify(extra) : null
+    return row
+  }
+
+  const fromRow = (row) => {
+    if (!row) return null
+
+    const record = {}
+    for (const [column, property, kind] of columns) {
+      const value = row[column]
+      if (value === null || value === undefined) continue
+
+      if (kind === 'json') {
+        record[property] = JSON.parse(value)
+      } else if (kind === 'bool') {
+        record[property] = value === 1
+      } else {
+        record[property] = value
+      }
+    }
+
+    return row.extra ? { ...record, ...JSON.parse(row.extra) } : record
+  }
+
+  return { toRow, fromRow, columns: columns.map(([column]) => column) }
+}
@@ -0,0 +1,467 @@
+/**
+ * SQLite schema migrations
+ * Applied in order by the SQLite adapter; each version runs once inside a transaction.
+ * Append new migrations to the end - never edit one that has shipped.
+ */
+export const SQLITE_MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create_pools_deposits_transactions',
+    up: `
+      CREATE TABLE pools (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        charity TEXT,
+        creator TEXT NOT NULL,
+        assets TEXT,
+        donation_percentage REAL,
+        treasury TEXT,
+        is_smart_contract INTEGER,
+        contract_id TEXT,
+        creation_tx_hash TEXT,
+        total_deposited REAL,
+        total_yield_generated REAL,
+        total_donated REAL,
+        participants INTEGER,
+        current_apy REAL,
+        created_at TEXT,
+        last_yield_update TEXT,
+        extra TEXT
+      );
+      CREATE INDEX idx_pools_creator ON pools (creator);
+      CREATE INDEX idx_pools_created_at ON pools (created_at);
+
+      CREATE TABLE deposits (
+        pool_id TEXT NOT NULL REFERENCES pools (id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        user_id TEXT,
+        asset TEXT,
+        amount REAL NOT NULL,
+        timestamp TEXT,
+        tx_hash TEXT,
+        is_smart_contract INTEGER,
+        extra TEXT,
+        PRIMARY KEY (pool_id, id)
+      );
+      CREATE INDEX idx_deposits_pool_timestamp ON deposits (pool_id, timestamp);
+      CREATE INDEX idx_deposits_user ON deposits (user_id);
+      CREATE INDEX idx_deposits_tx_hash ON deposits (tx_hash);
+
+      CREATE TABLE transactions (
+        pool_id TEXT NOT NULL REFERENCES pools (id) ON DELETE CASCADE,
+        id TEXT NOT NULL,
+        type TEXT NOT NULL,
+        amount REAL,
+        asset TEXT,
+        user TEXT,
+        timestamp TEXT,
+        extra TEXT,
+        PRIMARY KEY (pool_id, id)
+      );
+      CREATE INDEX idx_transactions_pool_timestamp ON transactions (pool_id, timestamp);
+      CREATE INDEX idx_transactions_pool_type ON transactions (pool_id, type);
+      CREATE INDEX idx_transactions_user ON transactions (user);
+
+      CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `
+  },
+  {
+    version: 2,
+    name: 'create_positions',
+    up: `
+      CREATE TABLE positions (
+        pool_id TEXT NOT NULL REFERENCES pools (id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL,
+        yield_earned REAL,
+        donated REAL,
+        updated_at TEXT,
+        extra TEXT,
+        PRIMARY KEY (pool_id, user_id)
+      );
+      CREATE INDEX idx_positions_user ON positions (user_id);
+    `
+  },
+  {
+    version: 3,
+    name: 'create_payouts',
+    up: `
+      CREATE TABLE payouts (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        tx_hash TEXT,
+        treasury TEXT,
+        asset TEXT,
+        total_amount REAL,
+        items TEXT,
+        dry_run INTEGER,
+        created_at TEXT,
+        settled_at TEXT,
+        extra TEXT
+      );
+      CREATE INDEX idx_payouts_status ON payouts (status);
+      CREATE INDEX idx_payouts_created_at ON payouts (created_at);
+    `
+  },
+  {
+    version: 4,
+    name: 'create_charities',
+    up: `
+      CREATE TABLE charities (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        address TEXT UNIQUE,
+        description TEXT,
+        logo_url TEXT,
+        website TEXT,
+        verification_status TEXT NOT NULL,
+        verified_at TEXT,
+        created_at TEXT,
+        updated_at TEXT,
+        extra TEXT
+      );
+      CREATE INDEX idx_charities_status ON charities (verification_status);
+
+      ALTER TABLE pools ADD COLUMN charity_id TEXT;
+      CREATE INDEX idx_pools_charity_id ON pools (charity_id);
+    `
+  },
+  {
+    version: 5,
+    name: 'add_position_donation_percentage',
+    up: `
+      ALTER TABLE positions ADD COLUMN donation_percentage REAL;
+    `
+  },
+  {
+    version: 6,
+    name: 'positions_per_asset',
+    up: `
+      ALTER TABLE positions ADD COLUMN assets TEXT;
+      UPDATE positions SET assets = json_object(
+        'XLM', json_object('yieldEarned', COALESCE(yield_earned, 0), 'donated', COALESCE(donated, 0))
+      );
+      ALTER TABLE positions DROP COLUMN yield_earned;
+      ALTER TABLE positions DROP COLUMN donated;
+    `
+  },
+  {
+    version: 7,
+    name: 'create_withdrawals',
+    up: `
+      CREATE TABLE withdrawals (
+        id TEXT PRIMARY KEY,
+        idempotency_key TEXT NOT NULL UNIQUE,
+        status TEXT NOT NULL,
+        pool_id TEXT,
+        recipient TEXT NOT NULL,
+        asset TEXT NOT NULL,
+        amount REAL NOT NULL,
+        treasury TEXT,
+        tx_hash TEXT,
+        attempts INTEGER,
+        error TEXT,
+        created_at TEXT,
+        updated_at TEXT,
+        extra TEXT
+      );
+      CREATE INDEX idx_withdrawals_status_created_at ON withdrawals (status, created_at);
+      CREATE INDEX idx_withdrawals_recipient ON withdrawals (recipient);
+    `
+  },
+  {
+    version: 8,
+    name: 'create_contract_events',
+    up: `
+      CREATE TABLE contract_events (
+        id TEXT PRIMARY KEY,
+        contract_id TEXT NOT NULL,
+        pool_id TEXT,
+        type TEXT NOT NULL,
+        ledger INTEGER NOT NULL,
+        ledger_closed_at TEXT,
+        tx_hash TEXT,
+        user TEXT,
+        amount REAL,
+        extra TEXT
+      );
+      CREATE INDEX idx_contract_events_contract_id ON contract_events (contract_id, id);
+      CREATE INDEX idx_contract_events_pool_id ON contract_events (pool_id, id);
+    `
+  },
+  {
+    version: 9,
+    name: 'create_treasury_payments',
+    up: `
+      CREATE TABLE treasury_payments (
+        id TEXT PRIMARY KEY,
+        account TEXT NOT NULL,
+        direction TEXT NOT NULL,
+        status TEXT NOT NULL,
+        pool_id TEXT,
+        tx_hash TEXT NOT NULL,
+        from_account TEXT,
+        to_account TEXT,
+        asset TEXT,
+        amount REAL,
+        memo TEXT,
+        created_at TEXT,
+        extra TEXT
+      );
+      CREATE INDEX idx_treasury_payments_tx_hash ON treasury_payments (tx_hash);
+      CREATE INDEX idx_treasury_payments_status ON treasury_payments (status, created_at);
+      CREATE INDEX idx_treasury_payments_pool_id ON treasury_payments (pool_id, created_at);
+    `
+  },
+  {
+    version: 10,
+    name: 'create_milestones',
+    up: `
+      CREATE TABLE milestones (
+        id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        pool_id TEXT,
+        recipient TEXT NOT NULL,
+        milestone REAL NOT NULL,
+        status TEXT NOT NULL,
+        claimable_at TEXT,
+        claimed_at TEXT,
+        minted_at TEXT,
+        extra TEXT
+      );
+      CREATE INDEX idx_milestones_recipient ON milestones (recipient, status);
+      CREATE INDEX idx_milestones_pool_id ON milestones (pool_id, type);
+    `
+  },
+  {
+    version: 11,
+    name: 'create_mint_jobs',
+    up: `
+      CREATE TABLE mint_jobs (
+        id TEXT PRIMARY KEY,
+        milestone_id TEXT NOT NULL UNIQUE,
+        recipient TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER,
+        next_attempt_at TEXT,
+        error TEXT,
+        created_at TEXT,
+        updated_at TEXT,
+        extra TEXT
+      );
+      CREATE INDEX idx_mint_jobs_status ON mint_jobs (status, next_attempt_at);
+      CREATE INDEX idx_mint_jobs_recipient ON mint_jobs (recipient);
+
+      CREATE TABLE mint_job_steps (
+        id TEXT PRIMARY KEY,
+        job_id TEXT NOT NULL REFERENCES mint_jobs (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER,
+        tx_hash TEXT,
+        error TEXT,
+        started_at TEXT,
+        completed_at TEXT,
+        extra TEXT
+      );
+      CREATE INDEX idx_mint_job_steps_job_id ON mint_job_steps (job_id, position);
+    `
+  },
+  {
+    version: 12,
+    name: 'create_certificates',
+    up: `
+      CREATE TABLE certificates (
+        asset_code TEXT PRIMARY KEY,
+        milestone_key TEXT NOT NULL UNIQUE,
+        issuer TEXT,
+        recipient TEXT NOT NULL,
+        status TEXT NOT NULL,
+        metadata_tx_hash TEXT,
+        payment_tx_hash TEXT,
+        freeze_tx_hash TEXT,
+        image_hash TEXT,
+        created_at TEXT,
+        minted_at TEXT,
+        extra TEXT
+      );
+      CREATE INDEX idx_certificates_recipient ON certificates (recipient);
+    `
+  }
+]
+
+/**
+ * Column specs used to map records to rows (see createRowMapper)
+ */
+export const POOL_COLUMNS = [
+  ['id', 'id'],
+  ['name', 'name'],
+  ['charity', 'charity'],
+  ['creator', 'creator'],
+  ['assets', 'assets', 'json'],
+  ['donation_percentage', 'donationPercentage'],
+  ['treasury', 'treasury'],
+  ['is_smart_contract', 'isSmartContract', 'bool'],
+  ['contract_id', 'contractId'],
+  ['creation_tx_hash', 'creationTxHash'],
+  ['total_deposited', 'totalDeposited'],
+  ['total_yield_generated', 'totalYieldGenerated'],
+  ['total_donated', 'totalDonated'],
+  ['participants', 'participants'],
+  ['current_apy', 'currentAPY'],
+  ['created_at', 'createdAt'],
+  ['last_yield_update', 'lastYieldUpdate'],
+  ['charity_id', 'charityId']
+]
+
+export const DEPOSIT_COLUMNS = [
+  ['pool_id', 'poolId'],
+  ['id', 'id'],
+  ['user_id', 'userId'],
+  ['asset', 'asset'],
+  ['amount', 'amount'],
+  ['timestamp', 'timestamp'],
+  ['tx_hash', 'txHash'],
+  ['is_smart_contract', 'isSmartContract', 'bool']
+]
+
+export const TRANSACTION_COLUMNS = [
+  ['pool_id', 'poolId'],
+  ['id', 'id'],
+  ['type', 'type'],
+  ['amount', 'amount'],
+  ['asset', 'asset'],
+  ['user', 'user'],
+  ['timestamp', 'timestamp']
+]
+
+export const POSITION_COLUMNS = [
+  ['pool_id', 'poolId'],
+  ['user_id', 'userId'],
+  ['updated_at', 'updatedAt'],
+  ['donation_percentage', 'donationPercentage'],
+  ['assets', 'assets', 'json']
+]
+
+export const PAYOUT_COLUMNS = [
+  ['id', 'id'],
+  ['status', 'status'],
+  ['tx_hash', 'txHash'],
+  ['treasury', 'treasury'],
+  ['asset', 'asset'],
+  ['total_amount', 'totalAmount'],
+  ['items', 'items', 'json'],
+  ['dry_run', 'dryRun', 'bool'],
+  ['created_at', 'createdAt'],
+  ['settled_at', 'settledAt']
+]
+
+export const WITHDRAWAL_COLUMNS = [
+  ['id', 'id'],
+  ['idempotency_key', 'idempotencyKey'],
+  ['status', 'status'],
+  ['pool_id', 'poolId'],
+  ['recipient', 'recipient'],
+  ['asset', 'asset'],
+  ['amount', 'amount'],
+  ['treasury', 'treasury'],
+  ['tx_hash', 'txHash'],
+  ['attempts', 'attempts'],
+  ['error', 'error'],
+  ['created_at', 'createdAt'],
+  ['updated_at', 'updatedAt']
+]
+
+export const CONTRACT_EVENT_COLUMNS = [
+  ['id', 'id'],
+  ['contract_id', 'contractId'],
+  ['pool_id', 'poolId'],
+  ['type', 'type'],
+  ['ledger', 'ledger'],
+  ['ledger_closed_at', 'ledgerClosedAt'],
+  ['tx_hash', 'txHash'],
+  ['user', 'user'],
+  ['amount', 'amount']
+]
+
+export const TREASURY_PAYMENT_COLUMNS = [
+  ['id', 'id'],
+  ['account', 'account'],
+  ['direction', 'direction'],
+  ['status', 'status'],
+  ['pool_id', 'poolId'],
+  ['tx_hash', 'txHash'],
+  ['from_account', 'from'],
+  ['to_account', 'to'],
+  ['asset', 'asset'],
+  ['amount', 'amount'],
+  ['memo', 'memo'],
+  ['created_at', 'createdAt']
+]
+
+export const MILESTONE_COLUMNS = [
+  ['id', 'id'],
+  ['type', 'type'],
+  ['pool_id', 'poolId'],
+  ['recipient', 'recipientPublicKey'],
+  ['milestone', 'milestone'],
+  ['status', 'status'],
+  ['claimable_at', 'claimableAt'],
+  ['claimed_at', 'claimedAt'],
+  ['minted_at', 'mintedAt']
+]
+
+export const MINT_JOB_COLUMNS = [
+  ['id', 'id'],
+  ['milestone_id', 'milestoneId'],
+  ['recipient', 'recipientPublicKey'],
+  ['status', 'status'],
+  ['attempts', 'attempts'],
+  ['next_attempt_at', 'nextAttemptAt'],
+  ['error', 'error'],
+  ['created_at', 'createdAt'],
+  ['updated_at', 'updatedAt']
+]
+
+export const MINT_STEP_COLUMNS = [
+  ['id', 'id'],
+  ['job_id', 'jobId'],
+  ['name', 'name'],
+  ['position', 'position'],
+  ['status', 'status'],
+  ['attempts', 'attempts'],
+  ['tx_hash', 'txHash'],
+  ['error', 'error'],
+  ['started_at', 'startedAt'],
+  ['completed_at', 'completedAt']
+]
+
+export const CERTIFICATE_COLUMNS = [
+  ['asset_code', 'assetCode'],
+  ['milestone_key', 'milestoneKey'],
+  ['issuer', 'issuerPublicKey'],
+  ['recipient', 'recipientPublicKey'],
+  ['status', 'status'],
+  ['metadata_tx_hash', 'metadataTxHash'],
+  ['payment_tx_hash', 'paymentTxHash'],
+  ['freeze_tx_hash', 'freezeTxHash'],
+  ['image_hash', 'imageHash'],
+  ['created_at', 'createdAt'],
+  ['minted_at', 'mintedAt']
+]
+
+export const CHARITY_COLUMNS = [
+  ['id', 'id'],
+  ['name', 'name'],
+  ['address', 'address'],
+  ['description', 'description'],
+  ['logo_url', 'logoUrl'],
+  ['website', 'website'],
+  ['verification_status', 'verificationStatus'],
+  ['verified_at', 'verifiedAt'],
+  ['created_at', 'createdAt'],
+  ['updated_at', 'updatedAt']
+]
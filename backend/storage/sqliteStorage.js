@@ -0,0 +1,570 @@
+import fs from 'fs'
+import path from 'path'
+import { createRowMapper } from './records.js'
+import { SQLITE_MIGRATIONS, POOL_COLUMNS, DEPOSIT_COLUMNS, TRANSACTION_COLUMNS, POSITION_COLUMNS, PAYOUT_COLUMNS, WITHDRAWAL_COLUMNS, CHARITY_COLUMNS, CONTRACT_EVENT_COLUMNS, TREASURY_PAYMENT_COLUMNS, MILESTONE_COLUMNS, MINT_JOB_COLUMNS, MINT_STEP_COLUMNS, CERTIFICATE_COLUMNS } from './schema.js'
+
+/**
+ * Build INSERT/UPDATE statements for a mapped table
+ */
+const prepareTableStatements = (db, table, mapper) => {
+  const columns = [...mapper.columns, 'extra']
+  const placeholders = columns.map(column => `@${column}`).join(', ')
+
+  return {
+    insert: db.prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`),
+    insertOrIgnore: db.prepare(`INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`),
+    updateById: db.prepare(
+      `UPDATE ${table} SET ${columns.filter(column => column !== 'id').map(column => `${column} = @${column}`).join(', ')} WHERE id = @id`
+    )
+  }
+}
+
+/**
+ * SQLite storage adapter (better-sqlite3)
+ * Every write is a single statement or an explicit transaction, and the database
+ * runs in WAL mode, so a crash can never leave a partially written store.
+ */
+export class SqliteStorage {
+  constructor(Database, filePath) {
+    this.driver = 'sqlite'
+    this.Database = Database
+    this.filePath = filePath
+    this.db = null
+  }
+
+  /**
+   * Open the database and apply pending schema migrations
+   */
+  async initialize() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+
+    this.db = new this.Database(this.filePath)
+    this.db.pragma('journal_mode = WAL')
+    this.db.pragma('foreign_keys = ON')
+
+    this.migrate()
+    this.prepareRepositories()
+
+    console.log(`💾 [STORAGE] SQLite store opened at ${this.filePath}`)
+    return this
+  }
+
+  migrate() {
+    this.db.exec('CREATE TABLE IF NOT EXISTS schema_migrations (version INTEGER PRIMARY KEY, name TEXT, applied_at TEXT)')
+
+    const applied = new Set(
+      this.db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    )
+
+    for (const migration of SQLITE_MIGRATIONS) {
+      if (applied.has(migration.version)) continue
+
+      this.db.transaction(() => {
+        this.db.exec(migration.up)
+        this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, new Date().toISOString())
+      })()
+
+      console.log(`💾 [STORAGE] Applied migration ${migration.version}: ${migration.name}`)
+    }
+  }
+
+  prepareRepositories() {
+    const db = this.db
+    const poolMapper = createRowMapper(POOL_COLUMNS)
+    const poolStatements = prepareTableStatements(db, 'pools', poolMapper)
+
+    this.pools = {
+      list: async () => db.prepare('SELECT * FROM pools').all().map(poolMapper.fromRow),
+
+      get: async (id) => poolMapper.fromRow(db.prepare('SELECT * FROM pools WHERE id = ?').get(id)),
+
+      insert: async (pool) => {
+        poolStatements.insert.run(poolMapper.toRow(pool))
+        return poolMapper.fromRow(db.prepare('SELECT * FROM pools WHERE id = ?').get(pool.id))
+      },
+
+      update: async (id, changes) => db.transaction(() => {
+        const existing = poolMapper.fromRow(db.prepare('SELECT * FROM pools WHERE id = ?').get(id))
+        if (!existing) return null
+
+        const updated = { ...existing, ...changes, id }
+        poolStatements.updateById.run(poolMapper.toRow(updated))
+        return updated
+      })(),
+
+      remove: async (id) => db.transaction(() => {
+        const existing = poolMapper.fromRow(db.prepare('SELECT * FROM pools WHERE id = ?').get(id))
+        if (!existing) return null
+
+        db.prepare('DELETE FROM pools WHERE id = ?').run(id)
+        return existing
+      })()
+    }
+
+    const depositMapper = createRowMapper(DEPOSIT_COLUMNS)
+    this.deposits = {
+      ...this.createLedgerRepository('deposits', depositMapper, {
+        userColumn: 'user_id',
+        typeExpression: "CASE WHEN amount < 0 THEN 'withdrawal' ELSE 'deposit' END"
+      }),
+
+      findByTxHash: async (txHash) => depositMapper.fromRow(
+        db.prepare('SELECT * FROM deposits WHERE tx_hash = ? LIMIT 1').get(txHash)
+      ),
+
+      countUsers: async (poolId) => db
+        .prepare('SELECT COUNT(DISTINCT user_id) AS count FROM deposits WHERE pool_id = ? AND amount > 0')
+        .get(poolId).count,
+
+      // Deposits recorded without an asset predate multi-asset pools and were XLM
+      balancesByUser: async (poolId) => db
+        .prepare(
+          "SELECT user_id AS userId, COALESCE(asset, 'XLM') AS asset, SUM(amount) AS amount FROM deposits " +
+          "WHERE pool_id = ? AND user_id IS NOT NULL GROUP BY user_id, COALESCE(asset, 'XLM') ORDER BY user_id, asset"
+        )
+        .all(poolId),
+
+      totalsByAsset: async (poolId) => db
+        .prepare("SELECT COALESCE(asset, 'XLM') AS asset, SUM(amount) AS amount FROM deposits WHERE pool_id = ? GROUP BY COALESCE(asset, 'XLM') ORDER BY asset")
+        .all(poolId)
+    }
+
+    this.transactions = this.createLedgerRepository('transactions', createRowMapper(TRANSACTION_COLUMNS), {
+      userColumn: 'user',
+      typeExpression: 'type'
+    })
+
+    const positionMapper = createRowMapper(POSITION_COLUMNS)
+    const positionColumns = [...positionMapper.columns, 'extra']
+    const upsertPosition = db.prepare(
+      `INSERT INTO positions (${positionColumns.join(', ')}) VALUES (${positionColumns.map(column => `@${column}`).join(', ')}) ` +
+      `ON CONFLICT (pool_id, user_id) DO UPDATE SET ${positionColumns.map(column => `${column} = excluded.${column}`).join(', ')}`
+    )
+    const upsertPositions = db.transaction((records) => {
+      for (const record of records) {
+        upsertPosition.run(positionMapper.toRow(record))
+      }
+      return records.length
+    })
+
+    this.positions = {
+      listByPool: async (poolId) => db
+        .prepare('SELECT * FROM positions WHERE pool_id = ? ORDER BY user_id')
+        .all(poolId)
+        .map(positionMapper.fromRow),
+
+      get: async (poolId, userId) => positionMapper.fromRow(
+        db.prepare('SELECT * FROM positions WHERE pool_id = ? AND user_id = ?').get(poolId, userId)
+      ),
+
+      upsertMany: async (records) => upsertPositions(records),
+
+      removeByPool: async (poolId) => {
+        db.prepare('DELETE FROM positions WHERE pool_id = ?').run(poolId)
+      }
+    }
+
+    const payoutMapper = createRowMapper(PAYOUT_COLUMNS)
+    const payoutStatements = prepareTableStatements(db, 'payouts', payoutMapper)
+
+    this.payouts = {
+      list: async ({ status, limit = 50 } = {}) => db
+        .prepare(`SELECT * FROM payouts ${status ? 'WHERE status = @status' : ''} ORDER BY created_at DESC, id DESC LIMIT @limit`)
+        .all({ status, limit })
+        .map(payoutMapper.fromRow),
+
+      get: async (id) => payoutMapper.fromRow(db.prepare('SELECT * FROM payouts WHERE id = ?').get(id)),
+
+      findByTxHash: async (txHash) => payoutMapper.fromRow(db.prepare('SELECT * FROM payouts WHERE tx_hash = ?').get(txHash)),
+
+      insert: async (payout) => {
+        payoutStatements.insert.run(payoutMapper.toRow(payout))
+        return payout
+      },
+
+      update: async (id, changes) => db.transaction(() => {
+        const existing = payoutMapper.fromRow(db.prepare('SELECT * FROM payouts WHERE id = ?').get(id))
+        if (!existing) return null
+
+        const updated = { ...existing, ...changes, id }
+        payoutStatements.updateById.run(payoutMapper.toRow(updated))
+        return updated
+      })()
+    }
+
+    const withdrawalMapper = createRowMapper(WITHDRAWAL_COLUMNS)
+    const withdrawalStatements = prepareTableStatements(db, 'withdrawals', withdrawalMapper)
+
+    this.withdrawals = {
+      list: async ({ status, recipient, order = 'desc', limit = 50 } = {}) => {
+        const direction = order === 'asc' ? 'ASC' : 'DESC'
+        const conditions = []
+        if (status) conditions.push('status = @status')
+        if (recipient) conditions.push('recipient = @recipient')
+
+        return db
+          .prepare(
+            `SELECT * FROM withdrawals ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ` +
+            `ORDER BY created_at ${direction}, id ${direction} LIMIT @limit`
+          )
+          .all({ status, recipient, limit })
+          .map(withdrawalMapper.fromRow)
+      },
+
+      get: async (id) => withdrawalMapper.fromRow(db.prepare('SELECT * FROM withdrawals WHERE id = ?').get(id)),
+
+      findByIdempotencyKey: async (key) => withdrawalMapper.fromRow(
+        db.prepare('SELECT * FROM withdrawals WHERE idempotency_key = ?').get(key)
+      ),
+
+      findByTxHash: async (txHash) => withdrawalMapper.fromRow(db.prepare('SELECT * FROM withdrawals WHERE tx_hash = ?').get(txHash)),
+
+      insert: async (withdrawal) => {
+        withdrawalStatements.insert.run(withdrawalMapper.toRow(withdrawal))
+        return withdrawal
+      },
+
+      update: async (id, changes) => db.transaction(() => {
+        const existing = withdrawalMapper.fromRow(db.prepare('SELECT * FROM withdrawals WHERE id = ?').get(id))
+        if (!existing) return null
+
+        const updated = { ...existing, ...changes, id }
+        withdrawalStatements.updateById.run(withdrawalMapper.toRow(updated))
+        return updated
+      })()
+    }
+
+    const contractEventMapper = createRowMapper(CONTRACT_EVENT_COLUMNS)
+    const contractEventStatements = prepareTableStatements(db, 'contract_events', contractEventMapper)
+
+    this.contractEvents = {
+      list: async ({ contractId, poolId, types, after, order = 'asc', limit = 50 } = {}) => {
+        const direction = order === 'desc' ? 'DESC' : 'ASC'
+        const conditions = []
+        const params = { contractId, poolId, after, limit: limit + 1 }
+
+        if (contractId) conditions.push('contract_id = @contractId')
+        if (poolId) conditions.push('pool_id = @poolId')
+        if (types && types.length > 0) {
+          conditions.push(`type IN (${types.map((_, index) => `@type${index}`).join(', ')})`)
+          types.forEach((type, index) => { params[`type${index}`] = type })
+        }
+        if (after) conditions.push(`id ${direction === 'ASC' ? '>' : '<'} @after`)
+
+        const rows = db.prepare(
+          `SELECT * FROM contract_events ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ` +
+          `ORDER BY id ${direction} LIMIT @limit`
+        ).all(params)
+
+        return {
+          items: rows.slice(0, limit).map(contractEventMapper.fromRow),
+          hasMore: rows.length > limit
+        }
+      },
+
+      add: async (event) => contractEventStatements.insertOrIgnore.run(contractEventMapper.toRow(event)).changes > 0
+    }
+
+    const treasuryPaymentMapper = createRowMapper(TREASURY_PAYMENT_COLUMNS)
+    const treasuryPaymentStatements = prepareTableStatements(db, 'treasury_payments', treasuryPaymentMapper)
+
+    this.treasuryPayments = {
+      list: async ({ account, poolId, direction, statuses, txHash, limit = 50 } = {}) => {
+        const conditions = []
+        const params = { account, poolId, direction, txHash, limit }
+
+        if (account) conditions.push('account = @account')
+        if (poolId) conditions.push('pool_id = @poolId')
+        if (direction) conditions.push('direction = @direction')
+        if (txHash) conditions.push('tx_hash = @txHash')
+        if (statuses && statuses.length > 0) {
+          conditions.push(`status IN (${statuses.map((_, index) => `@status${index}`).join(', ')})`)
+          statuses.forEach((status, index) => { params[`status${index}`] = status })
+        }
+
+        return db.prepare(
+          `SELECT * FROM treasury_payments ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ` +
+          'ORDER BY created_at DESC, id DESC LIMIT @limit'
+        ).all(params).map(treasuryPaymentMapper.fromRow)
+      },
+
+      get: async (id) => treasuryPaymentMapper.fromRow(db.prepare('SELECT * FROM treasury_payments WHERE id = ?').get(id)),
+
+      add: async (payment) => treasuryPaymentStatements.insertOrIgnore.run(treasuryPaymentMapper.toRow(payment)).changes > 0,
+
+      update: async (id, changes) => db.transaction(() => {
+        const existing = treasuryPaymentMapper.fromRow(db.prepare('SELECT * FROM treasury_payments WHERE id = ?').get(id))
+        if (!existing) return null
+
+        const updated = { ...existing, ...changes, id }
+        treasuryPaymentStatements.updateById.run(treasuryPaymentMapper.toRow(updated))
+        return updated
+      })()
+    }
+
+    const milestoneMapper = createRowMapper(MILESTONE_COLUMNS)
+    const milestoneStatements = prepareTableStatements(db, 'milestones', milestoneMapper)
+
+    this.milestones = {
+      list: async ({ recipient, poolId, type, statuses } = {}) => {
+        const conditions = []
+        const params = { recipient, poolId, type }
+
+        if (recipient) conditions.push('recipient = @recipient')
+        if (poolId) conditions.push('pool_id = @poolId')
+        if (type) conditions.push('type = @type')
+        if (statuses && statuses.length > 0) {
+          conditions.push(`status IN (${statuses.map((_, index) => `@status${index}`).join(', ')})`)
+          statuses.forEach((status, index) => { params[`status${index}`] = status })
+        }
+
+        return db.prepare(
+          `SELECT * FROM milestones ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ` +
+          'ORDER BY claimable_at, id'
+        ).all(params).map(milestoneMapper.fromRow)
+      },
+
+      get: async (id) => milestoneMapper.fromRow(db.prepare('SELECT * FROM milestones WHERE id = ?').get(id)),
+
+      insert: async (milestone) => milestoneStatements.insertOrIgnore.run(milestoneMapper.toRow(milestone)).changes > 0,
+
+      update: async (id, changes) => db.transaction(() => {
+        const existing = milestoneMapper.fromRow(db.prepare('SELECT * FROM milestones WHERE id = ?').get(id))
+        if (!existing) return null
+
+        const updated = { ...existing, ...changes, id }
+        milestoneStatements.updateById.run(milestoneMapper.toRow(updated))
+        return updated
+      })(),
+
+      transition: async (id, fromStatus, changes) => db.transaction(() => {
+        const existing = milestoneMapper.fromRow(db.prepare('SELECT * FROM milestones WHERE id = ?').get(id))
+        if (!existing || existing.status !== fromStatus) return null
+
+        const updated = { ...existing, ...changes, id }
+        milestoneStatements.updateById.run(milestoneMapper.toRow(updated))
+        return updated
+      })()
+    }
+
+    const mintJobMapper = createRowMapper(MINT_JOB_COLUMNS)
+    const mintJobStatements = prepareTableStatements(db, 'mint_jobs', mintJobMapper)
+    const mintStepMapper = createRowMapper(MINT_STEP_COLUMNS)
+    const mintStepStatements = prepareTableStatements(db, 'mint_job_steps', mintStepMapper)
+
+    this.mintJobs = {
+      list: async ({ statuses, recipient, limit = 50 } = {}) => {
+        const conditions = []
+        const params = { recipient, limit }
+
+        if (recipient) conditions.push('recipient = @recipient')
+        if (statuses && statuses.length > 0) {
+          conditions.push(`status IN (${statuses.map((_, index) => `@status${index}`).join(', ')})`)
+          statuses.forEach((status, index) => { params[`status${index}`] = status })
+        }
+
+        return db.prepare(
+          `SELECT * FROM mint_jobs ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ` +
+          'ORDER BY created_at, id LIMIT @limit'
+        ).all(params).map(mintJobMapper.fromRow)
+      },
+
+      get: async (id) => mintJobMapper.fromRow(db.prepare('SELECT * FROM mint_jobs WHERE id = ?').get(id)),
+
+      findByMilestone: async (milestoneId) => mintJobMapper.fromRow(
+        db.prepare('SELECT * FROM mint_jobs WHERE milestone_id = ?').get(milestoneId)
+      ),
+
+      insert: async ({ steps = [], ...job }) => db.transaction(() => {
+        if (mintJobStatements.insertOrIgnore.run(mintJobMapper.toRow(job)).changes === 0) return false
+        for (const step of steps) {
+          mintStepStatements.insert.run(mintStepMapper.toRow(step))
+        }
+        return true
+      })(),
+
+      update: async (id, changes) => db.transaction(() => {
+        const existing = mintJobMapper.fromRow(db.prepare('SELECT * FROM mint_jobs WHERE id = ?').get(id))
+        if (!existing) return null
+
+        const updated = { ...existing, ...changes, id }
+        mintJobStatements.updateById.run(mintJobMapper.toRow(updated))
+        return updated
+      })(),
+
+      listSteps: async (jobId) => db
+        .prepare('SELECT * FROM mint_job_steps WHERE job_id = ? ORDER BY position')
+        .all(jobId)
+        .map(mintStepMapper.fromRow),
+
+      updateStep: async (id, changes) => db.transaction(() => {
+        const existing = mintStepMapper.fromRow(db.prepare('SELECT * FROM mint_job_steps WHERE id = ?').get(id))
+        if (!existing) return null
+
+        const updated = { ...existing, ...changes, id }
+        mintStepStatements.updateById.run(mintStepMapper.toRow(updated))
+        return updated
+      })()
+    }
+
+    const certificateMapper = createRowMapper(CERTIFICATE_COLUMNS)
+    // Keyed by asset_code rather than id, so these are prepared here instead of by prepareTableStatements
+    const certificateColumns = [...certificateMapper.columns, 'extra']
+    const insertCertificate = db.prepare(
+      `INSERT OR IGNORE INTO certificates (${certificateColumns.join(', ')}) VALUES (${certificateColumns.map(column => `@${column}`).join(', ')})`
+    )
+    const updateCertificate = db.prepare(
+      `UPDATE certificates SET ${certificateColumns.filter(column => column !== 'asset_code').map(column => `${column} = @${column}`).join(', ')} ` +
+      'WHERE asset_code = @asset_code'
+    )
+
+    this.certificates = {
+      list: async ({ recipient, limit = 50 } = {}) => db
+        .prepare(`SELECT * FROM certificates ${recipient ? 'WHERE recipient = @recipient' : ''} ORDER BY created_at, asset_code LIMIT @limit`)
+        .all({ recipient, limit })
+        .map(certificateMapper.fromRow),
+
+      get: async (assetCode) => certificateMapper.fromRow(
+        db.prepare('SELECT * FROM certificates WHERE asset_code = ?').get(assetCode)
+      ),
+
+      findByMilestone: async (milestoneKey) => certificateMapper.fromRow(
+        db.prepare('SELECT * FROM certificates WHERE milestone_key = ?').get(milestoneKey)
+      ),
+
+      insert: async (certificate) => insertCertificate.run(certificateMapper.toRow(certificate)).changes > 0,
+
+      update: async (assetCode, changes) => db.transaction(() => {
+        const existing = certificateMapper.fromRow(db.prepare('SELECT * FROM certificates WHERE asset_code = ?').get(assetCode))
+        if (!existing) return null
+
+        const updated = { ...existing, ...changes, assetCode }
+        updateCertificate.run(certificateMapper.toRow(updated))
+        return updated
+      })()
+    }
+
+    const charityMapper = createRowMapper(CHARITY_COLUMNS)
+    const charityStatements = prepareTableStatements(db, 'charities', charityMapper)
+
+    this.charities = {
+      list: async ({ status } = {}) => db
+        .prepare(`SELECT * FROM charities ${status ? 'WHERE verification_status = @status' : ''} ORDER BY name, id`)
+        .all({ status })
+        .map(charityMapper.fromRow),
+
+      get: async (id) => charityMapper.fromRow(db.prepare('SELECT * FROM charities WHERE id = ?').get(id)),
+
+      findByAddress: async (address) => charityMapper.fromRow(
+        db.prepare('SELECT * FROM charities WHERE address = ?').get(address)
+      ),
+
+      insert: async (charity) => {
+        charityStatements.insert.run(charityMapper.toRow(charity))
+        return charity
+      },
+
+      update: async (id, changes) => db.transaction(() => {
+        const existing = charityMapper.fromRow(db.prepare('SELECT * FROM charities WHERE id = ?').get(id))
+        if (!existing) return null
+
+        const updated = { ...existing, ...changes, id }
+        charityStatements.updateById.run(charityMapper.toRow(updated))
+        return updated
+      })(),
+
+      remove: async (id) => db.transaction(() => {
+        const existing = charityMapper.fromRow(db.prepare('SELECT * FROM charities WHERE id = ?').get(id))
+        if (!existing) return null
+
+        db.prepare('DELETE FROM charities WHERE id = ?').run(id)
+        return existing
+      })()
+    }
+
+    this.meta = {
+      get: async (key) => {
+        const row = db.prepare('SELECT value FROM meta WHERE key = ?').get(key)
+        return row ? JSON.parse(row.value) : undefined
+      },
+
+      set: async (key, value) => {
+        db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+          .run(key, JSON.stringify(value))
+      }
+    }
+  }
+
+  /**
+   * Repository for records that belong to a pool (deposits, transactions)
+   * Records are unique per pool by `id`; adding an existing record is a no-op.
+   */
+  createLedgerRepository(table, mapper, { userColumn, typeExpression }) {
+    const db = this.db
+    const statements = prepareTableStatements(db, table, mapper)
+
+    const insertMany = db.transaction((records) => {
+      let inserted = 0
+      for (const record of records) {
+        if (!record.poolId || !record.id) {
+          throw new Error(`${table} records require poolId and id`)
+        }
+        inserted += statements.insertOrIgnore.run(mapper.toRow(record)).changes
+      }
+      return inserted
+    })
+
+    return {
+      listByPool: async (poolId) => db
+        .prepare(`SELECT * FROM ${table} WHERE pool_id = ? ORDER BY timestamp ASC`)
+        .all(poolId)
+        .map(mapper.fromRow),
+
+      query: async ({ poolId, types, user, from, to, after, order = 'desc', limit = 50 }) => {
+        const direction = order === 'asc' ? 'ASC' : 'DESC'
+        const conditions = ['pool_id = @poolId']
+        const params = { poolId, from, to, user, limit: limit + 1 }
+
+        if (types && types.length > 0) {
+          conditions.push(`${typeExpression} IN (${types.map((_, index) => `@type${index}`).join(', ')})`)
+          types.forEach((type, index) => { params[`type${index}`] = type })
+        }
+        if (user) conditions.push(`${userColumn} = @user`)
+        if (from) conditions.push('timestamp >= @from')
+        if (to) conditions.push('timestamp <= @to')
+        if (after) {
+          conditions.push(`(timestamp, id) ${direction === 'ASC' ? '>' : '<'} (@afterTimestamp, @afterId)`)
+          params.afterTimestamp = after.timestamp
+          params.afterId = after.id
+        }
+
+        const rows = db.prepare(
+          `SELECT * FROM ${table} WHERE ${conditions.join(' AND ')} ORDER BY timestamp ${direction}, id ${direction} LIMIT @limit`
+        ).all(params)
+
+        return {
+          items: rows.slice(0, limit).map(mapper.fromRow),
+          hasMore: rows.length > limit
+        }
+      },
+
+      add: async (record) => insertMany([record]) > 0,
+
+      addMany: async (records) => insertMany(records),
+
+      removeByPool: async (poolId) => {
+        db.prepare(`DELETE FROM ${table} WHERE pool_id = ?`).run(poolId)
+      }
+    }
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close()
+      this.db = null
+    }
+  }
+}
+
+export default SqliteStorage
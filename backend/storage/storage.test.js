@@ -0,0 +1,211 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { importLegacyPools } from './migrations/importLegacyPools.js';
+import { START, useTestStorage } from '../testing/fixtures.js';
+
+const POOL_ID = 'pool_storage_test';
+const at = (minutes) => new Date(START + minutes * 60 * 1000).toISOString();
+
+const legacyPools = [
+  {
+    id: 'pool_legacy_a',
+    name: 'Legacy Pool A',
+    creator: 'GCREATOR',
+    assets: ['XLM'],
+    totalDeposited: 400,
+    createdAt: at(0),
+    deposits: [
+      { id: 'deposit_1', userId: 'alice', asset: 'XLM', amount: 500, timestamp: at(1), txHash: 'hash_1' },
+      { id: 'withdrawal_1', userId: 'alice', asset: 'XLM', amount: -100, timestamp: at(2), txHash: 'hash_2' }
+    ],
+    transactions: [
+      { id: 'hash_0', type: 'pool_creation', amount: 1, asset: 'XLM', user: 'GCREATOR', timestamp: at(0) }
+    ]
+  },
+  { id: 'pool_legacy_b', name: 'Legacy Pool B', creator: 'GCREATOR', createdAt: at(3) },
+  { name: 'Pool without an ID' }
+];
+
+// Every adapter implements the repository interface documented in storage/index.js
+for (const driver of ['json', 'sqlite']) {
+  describe(`${driver} storage`, () => {
+    const stores = useTestStorage(`storage-${driver}`, { driver });
+
+    const writeLegacyFile = (documents = legacyPools) => {
+      const filePath = path.join(stores.directory, 'pools-data.json');
+      fs.writeFileSync(filePath, JSON.stringify(documents));
+      return filePath;
+    };
+
+    test('opens the requested adapter', async () => {
+      assert.equal((await stores.open()).driver, driver);
+    });
+
+    test('keeps pool fields without a column across a reopen', async () => {
+      const storage = await stores.open();
+      const pool = {
+        id: POOL_ID,
+        name: 'Storage Test Pool',
+        creator: 'GCREATOR',
+        assets: ['XLM', 'USDC'],
+        isSmartContract: false,
+        assetTotals: { XLM: { deposited: 10 } },
+        charitySplits: [{ charityId: 'charity_a', weight: 1 }]
+      };
+      await storage.pools.insert(pool);
+      await storage.pools.update(POOL_ID, { totalDeposited: 10 });
+
+      // Reopening runs the SQLite schema migrations again, which must skip the applied ones
+      const reopened = await stores.open();
+
+      assert.deepEqual(await reopened.pools.get(POOL_ID), { ...pool, totalDeposited: 10 });
+      await assert.rejects(reopened.pools.insert(pool));
+      assert.equal(await reopened.pools.update('pool_missing', { name: 'Missing' }), null);
+    });
+
+    test('adds a ledger record once per pool', async () => {
+      const storage = await stores.open();
+      await storage.pools.insert({ id: POOL_ID, name: 'Storage Test Pool', creator: 'GCREATOR' });
+      const deposit = { id: 'deposit_1', poolId: POOL_ID, userId: 'alice', asset: 'XLM', amount: 5, timestamp: at(1), txHash: 'hash_1' };
+
+      assert.equal(await storage.deposits.add(deposit), true);
+      assert.equal(await storage.deposits.add({ ...deposit, amount: 50 }), false);
+      assert.equal(await storage.deposits.addMany([
+        deposit,
+        { ...deposit, id: 'deposit_2', userId: 'bob', amount: 3, txHash: 'hash_2' },
+        { ...deposit, id: 'deposit_3', userId: 'bob', asset: 'USDC', amount: 2, txHash: 'hash_3' },
+        { ...deposit, id: 'withdrawal_1', amount: -1, timestamp: at(2), txHash: 'hash_4' }
+      ]), 3);
+
+      assert.equal((await storage.deposits.findByTxHash('hash_2')).userId, 'bob');
+      assert.equal(await storage.deposits.findByTxHash('hash_missing'), null);
+      assert.equal(await storage.deposits.countUsers(POOL_ID), 2);
+      assert.deepEqual(await storage.deposits.balancesByUser(POOL_ID), [
+        { userId: 'alice', asset: 'XLM', amount: 4 },
+        { userId: 'bob', asset: 'USDC', amount: 2 },
+        { userId: 'bob', asset: 'XLM', amount: 3 }
+      ]);
+      assert.deepEqual(await storage.deposits.totalsByAsset(POOL_ID), [
+        { asset: 'USDC', amount: 2 },
+        { asset: 'XLM', amount: 7 }
+      ]);
+    });
+
+    test('pages a ledger by timestamp and id', async () => {
+      const storage = await stores.open();
+      await storage.pools.insert({ id: POOL_ID, name: 'Storage Test Pool', creator: 'GCREATOR' });
+      // deposit_b and deposit_c share a timestamp, so the id breaks the tie
+      await storage.deposits.addMany([
+        { id: 'deposit_c', poolId: POOL_ID, userId: 'alice', amount: 3, timestamp: at(2) },
+        { id: 'deposit_a', poolId: POOL_ID, userId: 'alice', amount: 1, timestamp: at(1) },
+        { id: 'deposit_b', poolId: POOL_ID, userId: 'bob', amount: 2, timestamp: at(2) },
+        { id: 'withdrawal_d', poolId: POOL_ID, userId: 'alice', amount: -1, timestamp: at(3) }
+      ]);
+
+      const first = await storage.deposits.query({ poolId: POOL_ID, order: 'asc', limit: 2 });
+      assert.deepEqual(first.items.map(item => item.id), ['deposit_a', 'deposit_b']);
+      assert.equal(first.hasMore, true);
+
+      const second = await storage.deposits.query({ poolId: POOL_ID, order: 'asc', limit: 2, after: first.items[1] });
+      assert.deepEqual(second.items.map(item => item.id), ['deposit_c', 'withdrawal_d']);
+      assert.equal(second.hasMore, false);
+
+      const newest = await storage.deposits.query({ poolId: POOL_ID, limit: 2, after: { timestamp: at(3), id: 'withdrawal_d' } });
+      assert.deepEqual(newest.items.map(item => item.id), ['deposit_c', 'deposit_b']);
+
+      const filtered = await storage.deposits.query({ poolId: POOL_ID, types: ['withdrawal'] });
+      assert.deepEqual(filtered.items.map(item => item.id), ['withdrawal_d']);
+      const ranged = await storage.deposits.query({ poolId: POOL_ID, user: 'alice', from: at(2), to: at(2) });
+      assert.deepEqual(ranged.items.map(item => item.id), ['deposit_c']);
+    });
+
+    test('rejects a second withdrawal with the same idempotency key', async () => {
+      const storage = await stores.open();
+      const withdrawal = { id: 'withdrawal_1', idempotencyKey: 'key_1', recipient: 'alice', asset: 'XLM', amount: 1, status: 'pending', createdAt: at(0) };
+      await storage.withdrawals.insert(withdrawal);
+
+      await assert.rejects(storage.withdrawals.insert({ ...withdrawal, id: 'withdrawal_2' }));
+      assert.equal((await storage.withdrawals.findByIdempotencyKey('key_1')).id, 'withdrawal_1');
+    });
+
+    test('transitions a milestone out of a status once', async () => {
+      const storage = await stores.open();
+      const milestone = { id: 'pool_pool_x_100', poolId: 'pool_x', type: 'pool', recipientPublicKey: 'GCREATOR', milestone: 100, status: 'claimable', claimableAt: at(0) };
+
+      assert.equal(await storage.milestones.insert(milestone), true);
+      assert.equal(await storage.milestones.insert(milestone), false);
+      assert.equal((await storage.milestones.transition(milestone.id, 'claimable', { status: 'claimed' })).status, 'claimed');
+      assert.equal(await storage.milestones.transition(milestone.id, 'claimable', { status: 'claimed' }), null);
+    });
+
+    test('keeps meta values across a reopen', async () => {
+      const storage = await stores.open();
+      await storage.meta.set('checkpoint', { cursor: '123', accounts: ['GA'] });
+
+      assert.deepEqual(await (await stores.open()).meta.get('checkpoint'), { cursor: '123', accounts: ['GA'] });
+      assert.equal(await storage.meta.get('missing'), undefined);
+    });
+
+    test('imports the legacy pools file once', async () => {
+      const storage = await stores.open();
+      const filePath = writeLegacyFile();
+
+      const result = await importLegacyPools(storage, filePath);
+
+      assert.deepEqual(result, { skipped: false, pools: 2, deposits: 2, transactions: 1, skippedPools: 1 });
+      assert.equal((await storage.pools.list()).length, 2);
+      assert.deepEqual(await storage.deposits.balancesByUser('pool_legacy_a'), [{ userId: 'alice', asset: 'XLM', amount: 400 }]);
+      assert.equal((await storage.transactions.listByPool('pool_legacy_a'))[0].type, 'pool_creation');
+
+      const repeated = await importLegacyPools(await stores.open(), filePath);
+      assert.equal(repeated.skipped, true);
+      assert.equal(repeated.reason, 'already_imported');
+    });
+
+    test('marks imported pools, also when the import ran before the marker existed', async () => {
+      const storage = await stores.open();
+      const filePath = writeLegacyFile();
+      await importLegacyPools(storage, filePath);
+      const { importedAt } = await storage.meta.get('legacyPoolsImport');
+
+      assert.equal((await storage.pools.get('pool_legacy_a')).legacyImportedAt, importedAt);
+      assert.equal((await storage.pools.get('pool_legacy_b')).legacyImportedAt, importedAt);
+
+      await storage.pools.update('pool_legacy_a', { legacyImportedAt: null });
+      await storage.pools.insert({ id: POOL_ID, name: 'Storage Test Pool', creator: 'GCREATOR' });
+      await importLegacyPools(storage, filePath);
+
+      assert.equal((await storage.pools.get('pool_legacy_a')).legacyImportedAt, importedAt);
+      assert.equal((await storage.pools.get(POOL_ID)).legacyImportedAt, undefined);
+    });
+
+    test('a forced re-import adds only the records that are new', async () => {
+      const storage = await stores.open();
+      const filePath = writeLegacyFile();
+      await importLegacyPools(storage, filePath);
+
+      const [poolA] = legacyPools;
+      writeLegacyFile([{
+        ...poolA,
+        name: 'Renamed in the file',
+        deposits: [...poolA.deposits, { id: 'deposit_2', userId: 'bob', asset: 'XLM', amount: 7, timestamp: at(4), txHash: 'hash_5' }]
+      }]);
+      const result = await importLegacyPools(storage, filePath, { force: true });
+
+      assert.deepEqual(result, { skipped: false, pools: 0, deposits: 1, transactions: 0, skippedPools: 1 });
+      assert.equal((await storage.pools.get('pool_legacy_a')).name, 'Legacy Pool A');
+      assert.equal((await storage.deposits.listByPool('pool_legacy_a')).length, 3);
+    });
+
+    test('skips the import when there is no legacy file', async () => {
+      const storage = await stores.open();
+
+      const result = await importLegacyPools(storage, path.join(stores.directory, 'missing.json'));
+
+      assert.deepEqual(result, { skipped: true, reason: 'file_not_found' });
+      assert.deepEqual(await storage.pools.list(), []);
+    });
+  });
+}
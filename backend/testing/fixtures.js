@@ -0,0 +1,92 @@
+/**
+ * Shared fixtures for the backend `node --test` suites
+ *
+ * Services take their clock, storage and event sinks as constructor options; these helpers
+ * give each test file a temporary store, a clock it can move and silent event sinks.
+ */
+
+import { before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorage, initializeStorage, getStorage } from '../storage/index.js';
+
+export const DAY = 24 * 60 * 60 * 1000;
+export const START = Date.parse('2025-01-01T00:00:00.000Z');
+
+// Event sinks for services whose notifications a test does not look at
+export const silentEvents = { publish: () => {}, publishPool: async () => {} };
+export const silentDomainEvents = { emit: () => {} };
+
+/**
+ * Clock for the `clock` option of a service; tests move it with `set` and `advance`
+ */
+export const createClock = (start = START) => {
+  let time = start;
+  return {
+    now: () => time,
+    set: (value) => { time = value; },
+    advance: (milliseconds) => { time += milliseconds; }
+  };
+};
+
+/**
+ * Fresh temporary directory for every test of the file, removed after the test
+ * Stores opened through `open(name)` live in it and are closed first; opening the same
+ * name again reopens the file the way a restarted server does.
+ */
+export const useTestStorage = (prefix, { driver = 'json' } = {}) => {
+  const fixture = {
+    directory: null,
+    stores: [],
+    async open(name = 'store') {
+      const storage = await createStorage({
+        driver,
+        jsonPath: path.join(fixture.directory, `${name}.json`),
+        sqlitePath: path.join(fixture.directory, `${name}.db`)
+      });
+      fixture.stores.push(storage);
+      return storage;
+    }
+  };
+
+  beforeEach(() => {
+    fixture.directory = fs.mkdtempSync(path.join(os.tmpdir(), `impactpools-${prefix}-`));
+    fixture.stores = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(fixture.stores.map(storage => storage.close()));
+    fs.rmSync(fixture.directory, { recursive: true, force: true });
+  });
+
+  return fixture;
+};
+
+/**
+ * Temporary store behind the shared `getStorage()` instance, for the singleton services
+ * The instance is opened once per process, so it lives for the whole test file; tests
+ * reset the records they use.
+ */
+export const useSharedStorage = (prefix, { driver = 'json' } = {}) => {
+  let directory;
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), `impactpools-${prefix}-`));
+    await initializeStorage({
+      driver,
+      jsonPath: path.join(directory, 'store.json'),
+      sqlitePath: path.join(directory, 'store.db')
+    });
+  });
+
+  after(async () => {
+    await getStorage().close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+};
+
+export const assertClose = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${actual} is not ${expected}`);
+};
@@ -21,7 +21,7 @@ const MilestoneTracker = ({
   const [claimingNFT, setClaimingNFT] = useState(null);
   const [loadingClaimable, setLoadingClaimable] = useState(false);
   
-  const { publicKey, isConnected } = useWallet();
+  const { publicKey, isConnected, getAuthToken } = useWallet();
 
   // Load claimable NFTs when component mounts or user connects
   useEffect(() => {
@@ -56,10 +56,11 @@ const MilestoneTracker = ({
     setClaimingNFT(nftId);
     try {
       console.log(`🎯 Claiming NFT: ${nftId}`);
-      const result = await nftService.claimNFT(publicKey, nftId);
+      const authToken = await getAuthToken();
+      const result = await nftService.claimNFT(publicKey, nftId, authToken);
       
       if (result.success) {
-        toast.success('🎉 NFT claimed successfully!');
+        toast.success('🎉 NFT claimed! Your certificate is being minted.');
         // Remove from claimable list
         setClaimableNFTs(prev => prev.filter(nft => nft.id !== nftId));
       } else {
@@ -68,6 +69,10 @@ const MilestoneTracker = ({
     } catch (error) {
       console.error('NFT claiming error:', error);
       toast.error(`Failed to claim NFT: ${error.message}`);
+      // Already claimed (409) or not claimable by this wallet (404): drop the stale entry
+      if (error.status === 404 || error.status === 409) {
+        setClaimableNFTs(prev => prev.filter(nft => nft.id !== nftId));
+      }
     } finally {
       setClaimingNFT(null);
     }
@@ -86,27 +91,22 @@ const MilestoneTracker = ({
     return null;
   }
 
-  // Updated default milestone thresholds (matching backend TESTING values)
-  const defaultThresholds = type === 'pool' ? [1, 5, 10] : [0.5, 2, 5];
+  // The ladder served by the backend (steps of { amount, tier, title, description });
+  // the defaults match the backend's default ladders
+  const ladder = milestones?.ladder || [];
+  const defaultThresholds = type === 'pool' ? [25, 100, 500, 1000] : [5, 10, 50, 100];
   const thresholds = milestones?.thresholds || defaultThresholds;
   const currentAmount = progress?.current || milestones?.current || 0;
   const completedMilestones = milestones?.completed || progress?.completed || [];
   const nextMilestone = progress?.next || thresholds.find(t => t > currentAmount);
   const progressPercentage = progress?.progressPercentage || 0;
 
-  // Updated tier information for new testing thresholds
+  // Tier of the highest ladder step reached (the first step's tier below it)
+  const tierColorNames = { Bronze: 'amber', Silver: 'gray', Gold: 'yellow', Platinum: 'purple' };
   const getTierInfo = (amount) => {
-    if (type === 'pool') {
-      if (amount >= 10) return { tier: 'Platinum', color: 'purple' };
-      if (amount >= 5) return { tier: 'Gold', color: 'yellow' };
-      if (amount >= 1) return { tier: 'Silver', color: 'gray' };
-      return { tier: 'Bronze', color: 'amber' };
-    } else {
-      if (amount >= 5) return { tier: 'Platinum', color: 'purple' };
-      if (amount >= 2) return { tier: 'Gold', color: 'yellow' };
-      if (amount >= 0.5) return { tier: 'Silver', color: 'gray' };
-      return { tier: 'Bronze', color: 'amber' };
-    }
+    const step = [...ladder].reverse().find(s => s.amount <= amount) || ladder[0];
+    const tier = step?.tier || 'Bronze';
+    return { tier, color: tierColorNames[tier] || 'amber' };
   };
 
   const currentTier = getTierInfo(currentAmount);
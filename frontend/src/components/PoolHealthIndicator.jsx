@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react'
 import SargamIcon from './SargamIcon'
 import { getPoolHealthMetrics } from '../services/stellarService'
 import { PriceBadge } from './ui/badge'
+import { subscribeToEvents } from '../services/eventService'
 
 /**
  * PoolHealthIndicator Component
@@ -18,10 +19,10 @@ const PoolHealthIndicator = ({ pool, showDetails = false }) => {
   /**
    * Fetch real-time health metrics for the pool
    */
-  const fetchHealthMetrics = async () => {
+  const fetchHealthMetrics = async (targetPool = pool) => {
     try {
       setIsLoading(true)
-      const metrics = await getPoolHealthMetrics(pool)
+      const metrics = await getPoolHealthMetrics(targetPool)
       setHealthMetrics(metrics)
       setLastUpdated(new Date())
     } catch (error) {
@@ -31,14 +32,19 @@ const PoolHealthIndicator = ({ pool, showDetails = false }) => {
     }
   }
 
-  // Fetch metrics on component mount and set up periodic updates
+  // Fetch metrics on component mount and again whenever the backend pushes a change to this pool
   useEffect(() => {
     fetchHealthMetrics()
-    
-    // Update every 30 seconds for real-time data
-    const interval = setInterval(fetchHealthMetrics, 30000)
-    
-    return () => clearInterval(interval)
+
+    return subscribeToEvents({
+      // Only deposits and withdrawals change the pool's utilization and health; yield ticks
+      // are pushed every 30 seconds and would refetch the metrics for nothing
+      pool: ({ reason, pool: updatedPool }) => {
+        if (updatedPool?.id !== pool.id) return
+        if (reason === 'deposit' || reason === 'withdrawal') fetchHealthMetrics(updatedPool)
+      },
+      onReconnect: () => fetchHealthMetrics()
+    })
   }, [pool.id])
 
   /**
@@ -1,7 +1,43 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
 import SargamIcon from './SargamIcon'
+import { getWithdrawal, WITHDRAWAL_STATUS_LABELS } from '../services/treasuryService'
+
+const POLL_INTERVAL_MS = 3000
+
+/**
+ * Withdrawal flow explainer; with `withdrawalId` it also follows that withdrawal request
+ * until it is confirmed, failed or rejected
+ */
+const WithdrawalModal = ({ isVisible, onClose, withdrawalId = null }) => {
+  const [withdrawal, setWithdrawal] = useState(null)
+  const [trackingError, setTrackingError] = useState(null)
+
+  useEffect(() => {
+    if (!isVisible || !withdrawalId) return undefined
+
+    let cancelled = false
+    let timer = null
+    const poll = async () => {
+      try {
+        const latest = await getWithdrawal(withdrawalId)
+        if (cancelled) return
+        setWithdrawal(latest)
+        setTrackingError(null)
+        if (['confirmed', 'failed', 'rejected'].includes(latest.status)) return
+      } catch (error) {
+        if (cancelled) return
+        setTrackingError(error.response?.data?.message || error.message)
+      }
+      timer = setTimeout(poll, POLL_INTERVAL_MS)
+    }
+    poll()
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [isVisible, withdrawalId])
 
-const WithdrawalModal = ({ isVisible, onClose }) => {
   if (!isVisible) return null
 
   return (
@@ -27,14 +63,47 @@ const WithdrawalModal = ({ isVisible, onClose }) => {
             </p>
           </div>
           
+          {withdrawalId && (
+            <div className="border border-gray-200 rounded-lg p-4 text-sm">
+              <div className="flex items-center justify-between">
+                <span className="font-semibold text-gray-900">Your withdrawal</span>
+                <span className={
+                  withdrawal?.status === 'confirmed' ? 'text-green-600' :
+                  ['failed', 'rejected'].includes(withdrawal?.status) ? 'text-red-600' : 'text-blue-600'
+                }>
+                  {withdrawal ? WITHDRAWAL_STATUS_LABELS[withdrawal.status] || withdrawal.status : 'Loading...'}
+                </span>
+              </div>
+              {withdrawal && (
+                <p className="text-gray-600 mt-1">{withdrawal.amount} {withdrawal.asset}</p>
+              )}
+              {['failed', 'rejected'].includes(withdrawal?.status) && withdrawal.error && (
+                <p className="text-red-600 mt-1">{withdrawal.error}</p>
+              )}
+              {trackingError && (
+                <p className="text-red-600 mt-1">Could not load status: {trackingError}</p>
+              )}
+              {withdrawal?.link && (
+                <a
+                  href={withdrawal.link}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-blue-600 underline"
+                >
+                  View transaction
+                </a>
+              )}
+            </div>
+          )}
+
           <div className="space-y-3">
             <h3 className="font-semibold text-gray-900">Withdrawal Process:</h3>
             <ul className="text-sm text-gray-600 space-y-2">
               <li>✅ Connect your Stellar wallet</li>
               <li>✅ Select withdrawal amount and asset</li>
               <li>✅ Confirm transaction details</li>
-              <li>✅ Sign transaction with your wallet</li>
-              <li>✅ Funds transferred to your account</li>
+              <li>✅ Request is queued and paid from the treasury (large amounts wait for an administrator's approval)</li>
+              <li>✅ Funds transferred to your account once confirmed</li>
             </ul>
           </div>
           
@@ -16,6 +16,7 @@ import { blendFactory } from '../services/blendService'
 import { useWallet } from './WalletContext'
 import { 
   sendRealWithdrawal, 
+  waitForWithdrawal,
   getTreasuryBalance, 
   getPoolTreasuryBalance,
   getCombinedTreasuryBalance,
@@ -30,6 +31,9 @@ import { realBlendService } from '../services/realBlendService'
 import smartContractService from '../services/smartContractService'
 import { blendIntegration } from '../services/blendIntegrationService'
 import priceService from '../services/robustPriceService'
+import { getAllPoolDeposits, recordPoolDeposit } from '../services/poolLedgerService'
+import { authHeaders } from '../services/authService'
+import { subscribeToEvents } from '../services/eventService'
 
 // Create the context that will hold pool state and functions
 const PoolContext = createContext()
@@ -53,7 +57,7 @@ const API_BASE_URL = 'http://localhost:4000/api'
 // Pool treasury account - user-funded testnet account
 // Unified treasury account for both deposits and withdrawals
 // This eliminates liquidity issues by using a single treasury account
-const UNIFIED_TREASURY_ACCOUNT = 'GB3TJ4HJZF2SXQDXRTB4GRKQPXUGRBZI3MQS43BTTBHG6MA64VE3BPVG'
+const UNIFIED_TREASURY_ACCOUNT = import.meta.env.VITE_POOL_TREASURY_ACCOUNT || null // Must match the backend's POOL_TREASURY_ACCOUNT
 const POOL_TREASURY_ACCOUNT = UNIFIED_TREASURY_ACCOUNT
 
 // ENHANCED: Smart contract configuration
@@ -66,7 +70,7 @@ const SMART_CONTRACT_ENABLED = !!process.env.REACT_APP_IMPACT_POOL_CONTRACT
  */
 export const PoolProvider = ({ children }) => {
   // Get wallet connection and public key from wallet context
-  const { publicKey } = useWallet()
+  const { publicKey, getAuthToken } = useWallet()
   
   // State for pools and loading/error states
   const [pools, setPools] = useState([])
@@ -137,7 +141,7 @@ export const PoolProvider = ({ children }) => {
    * 
    * @param {Object} poolData - The pool creation data
    * @param {string} poolData.name - Pool name
-   * @param {string} poolData.charity - Selected charity
+   * @param {Array} poolData.charitySplits - Selected charities: [{ charityId, charity, share }], shares totalling 100
    * @param {Array} poolData.assets - Selected assets for the pool
    * @param {number} poolData.donationPercentage - Percentage of yield to donate
    * @param {string} creatorPublicKey - Creator's Stellar public key
@@ -151,6 +155,10 @@ export const PoolProvider = ({ children }) => {
         throw new Error('Wallet not connected or signing not available')
       }
 
+      if (!POOL_TREASURY_ACCOUNT) {
+        throw new Error('Pool treasury is not configured (VITE_POOL_TREASURY_ACCOUNT)')
+      }
+
       // Create a symbolic transaction to represent pool creation
       // In a real DeFi protocol, this would create smart contract state
       const poolCreationAmount = 1 // 1 XLM as a creation fee
@@ -179,17 +187,18 @@ export const PoolProvider = ({ children }) => {
       
       // Generate a unique pool ID based on the transaction
       const poolId = `pool_${result.hash.slice(-8)}`
+      const charityNames = poolData.charitySplits.map(split => split.charity).join(' & ')
       
       // Create the pool object with transaction data
       const newPool = {
         id: poolId,
         name: poolData.name,
-        charity: poolData.charity,
+        charitySplits: poolData.charitySplits.map(({ charityId, share }) => ({ charityId, share })),
+        charity: charityNames,
         assets: poolData.assets,
         donationPercentage: poolData.donationPercentage,
         creator: creatorPublicKey,
         createdAt: new Date().toISOString(),
-        treasury: POOL_TREASURY_ACCOUNT,
         
         // ENHANCED: Smart contract integration
         isSmartContract: false, // Will be updated if contract deployment succeeds
@@ -206,18 +215,9 @@ export const PoolProvider = ({ children }) => {
         participants: 0,
         
         // Real APY calculation based on market conditions (will be updated async)
-        currentAPY: 5.0, // Initial value, will be updated with real Blend data
+        currentAPY: 5.0 // Initial value, will be updated with real Blend data
         
-        deposits: [], // Array to track individual deposits
-        transactions: [{ // Track all pool transactions
-          id: result.hash,
-          type: 'pool_creation',
-          amount: poolCreationAmount,
-          asset: 'XLM',
-          user: creatorPublicKey,
-          timestamp: new Date().toISOString(),
-          link: `https://stellar.expert/explorer/testnet/tx/${result.hash}`
-        }]
+        // The ledger is written by the backend; deposits are credited once verified on the network
       }
       
       // ENHANCED: Deploy smart contract if enabled
@@ -226,7 +226,7 @@ export const PoolProvider = ({ children }) => {
           toast.loading('Deploying smart contract...', { id: 'pool-creation' })
           
           const contractResult = await smartContractService.deployImpactPool(
-            { ...poolData, id: poolId },
+            { ...poolData, charity: charityNames, id: poolId },
             { publicKey: creatorPublicKey }
           )
           
@@ -253,7 +253,7 @@ export const PoolProvider = ({ children }) => {
       const blendPoolResult = blendFactory.createPool({
         id: poolId,
         name: poolData.name,
-        charity: poolData.charity,
+        charity: charityNames,
         assets: poolData.assets,
         donationPercentage: poolData.donationPercentage,
         creator: creatorPublicKey,
@@ -265,8 +265,9 @@ export const PoolProvider = ({ children }) => {
         // Continue anyway - frontend pool can still work without Blend integration
       }
       
-      // Send the pool data to our backend API
-      const response = await axios.post(`${API_BASE_URL}/pools`, newPool)
+      // Send the pool data to our backend API (signed in as the creator)
+      const authToken = await getAuthToken()
+      const response = await axios.post(`${API_BASE_URL}/pools`, newPool, authHeaders(authToken))
       
       // Update local state with the new pool
       setPools(prevPools => [response.data, ...prevPools])
@@ -399,9 +400,10 @@ export const PoolProvider = ({ children }) => {
       toast.loading('Creating deposit transaction...', { id: 'deposit' })
       
       // Create the transaction
+      // Each pool has its own muxed deposit address on the treasury
       const transactionXdr = await createPaymentTransaction(
         userPublicKey,
-        POOL_TREASURY_ACCOUNT,
+        pool.depositAddress || pool.treasury || POOL_TREASURY_ACCOUNT,
         asset,
         amount,
         depositMemo
@@ -441,39 +443,17 @@ export const PoolProvider = ({ children }) => {
    * ENHANCED: Update pool state after deposit (works for both traditional and smart contract)
    */
   const updatePoolAfterDeposit = async (pool, userPublicKey, amount, asset, result, isSmartContract) => {
-    // Create deposit record
-    const deposit = {
-      id: `deposit_${result.hash.slice(-8)}`,
-      userId: userPublicKey,
-      asset,
-      amount: parseFloat(amount),
-      timestamp: new Date().toISOString(),
-      txHash: result.hash,
-      txLink: `https://stellar.expert/explorer/testnet/tx/${result.hash}`,
-      isSmartContract
-    }
-
-    // Update pool data
-    const transaction = {
-      id: result.hash,
-      type: 'deposit',
-      amount: parseFloat(amount),
-      asset,
-      user: userPublicKey,
-      timestamp: new Date().toISOString(),
-      link: `https://stellar.expert/explorer/testnet/tx/${result.hash}`,
-      isSmartContract
+    // The backend verifies the transaction on Horizon and credits the pool;
+    // totals and participants are never computed on the client
+    let creditedPool
+    try {
+      ({ pool: creditedPool } = await recordPoolDeposit(pool.id, result.hash))
+    } catch (error) {
+      const reason = error.response?.data?.message || error.message
+      throw new Error(`Transaction ${result.hash.slice(0, 8)}... was submitted but not credited: ${reason}`)
     }
 
-    const updatedPool = {
-      ...pool,
-      totalDeposited: pool.totalDeposited + parseFloat(amount),
-      participants: pool.deposits.filter(d => d.userId === userPublicKey).length === 0 
-        ? pool.participants + 1 
-        : pool.participants,
-      deposits: [...pool.deposits, deposit],
-      transactions: [...(pool.transactions || []), transaction],
-    }
+    const updatedPool = { ...pool, ...creditedPool }
     
     // ENHANCED: Update corresponding services
     try {
@@ -501,9 +481,6 @@ export const PoolProvider = ({ children }) => {
       // Continue anyway - transaction was successful
     }
 
-    // Update backend
-    await axios.put(`${API_BASE_URL}/pools/${pool.id}`, updatedPool)
-    
     // Update local state
     setPools(prevPools => 
       prevPools.map(p => p.id === pool.id ? updatedPool : p)
@@ -511,10 +488,15 @@ export const PoolProvider = ({ children }) => {
   }
 
   /**
-   * ENHANCED: Withdraw from a pool with smart contract support
-   * Automatically detects and uses the appropriate withdrawal method
+   * Withdraw from a pool
+   * Withdrawals from every kind of pool are queued by the backend, which checks the amount
+   * against its own ledger (and the contract balance for smart-contract pools), pays `asset`
+   * from the treasury and records the withdrawal against the pool. Pass the same
+   * `idempotencyKey` when retrying a withdrawal, and `onStatus(withdrawal)` to follow it until
+   * it is confirmed. Withdrawals above the approval threshold resolve with `held: true`
+   * straight away; they are paid once an administrator approves them.
    */
-  const withdrawFromPool = async (poolId, amount, userPublicKey, signTransaction = null) => {
+  const withdrawFromPool = async (poolId, amount, userPublicKey, signTransaction = null, asset = 'XLM', { idempotencyKey, onStatus } = {}) => {
     if (!userPublicKey) {
       throw new Error('Please connect your wallet first')
     }
@@ -525,17 +507,7 @@ export const PoolProvider = ({ children }) => {
         throw new Error('Pool not found')
       }
 
-      // ENHANCED: Use smart contract withdrawal if available
-      if (targetPool.isSmartContract && targetPool.contractId) {
-        if (!signTransaction) {
-          throw new Error('Wallet signing required for smart contract withdrawals')
-        }
-        return await withdrawFromSmartContract(targetPool, amount, userPublicKey, signTransaction)
-      } else {
-        // Traditional pools use backend treasury service (no signing required)
-        return await withdrawFromTraditionalPool(targetPool, amount, userPublicKey, signTransaction)
-      }
-      
+      return await withdrawThroughTreasury(targetPool, amount, userPublicKey, asset, { idempotencyKey, onStatus })
     } catch (error) {
       console.error('Withdrawal error:', error)
       throw error
@@ -543,146 +515,64 @@ export const PoolProvider = ({ children }) => {
   }
 
   /**
-   * ENHANCED: Smart contract withdrawal
+   * Queue a withdrawal with the backend treasury service and wait for it to be paid
    */
-  const withdrawFromSmartContract = async (pool, amount, userPublicKey, signTransaction) => {
-    try {
-      // Check user balance on contract
-      const contractBalance = await smartContractService.getUserContractBalance(
-        pool.contractId, 
-        userPublicKey
-      )
-      
-      if (contractBalance < amount) {
-        throw new Error(`Insufficient contract balance. Available: ${contractBalance}`)
-      }
-
-      toast.loading('Creating smart contract withdrawal...', { id: 'withdrawal' })
-      
-      const contractTxResult = await smartContractService.createWithdrawalTransaction(
-        pool.contractId,
-        userPublicKey,
-        amount
-      )
-      
-      if (!contractTxResult.success) {
-        throw new Error(contractTxResult.error)
-      }
-      
-      toast.loading('Processing withdrawal from contract...', { id: 'withdrawal' })
-      
-      // For smart contracts, we simulate the withdrawal since it's handled by contract
-      const result = {
-        success: true,
-        hash: contractTxResult.transaction.hash || `sim_${Date.now()}`,
-        timestamp: new Date().toISOString(),
-        link: contractTxResult.transaction.link || '#'
-      }
-      
-      // Update pool state
-      await updatePoolAfterWithdrawal(pool, amount, result, true)
-      
-      toast.success(
-        `Smart contract withdrawal successful! ${amount} XLM`,
-        { id: 'withdrawal' }
-      )
-      
-      return result
-      
-    } catch (error) {
-      console.error('Smart contract withdrawal failed:', error)
-      throw error
-    }
-  }
-
-  /**
-   * Traditional pool withdrawal (enhanced with better validation)
-   */
-  const withdrawFromTraditionalPool = async (pool, amount, userPublicKey, signTransaction) => {
-    if (!userPublicKey) {
-      throw new Error('Wallet not connected')
-    }
-
+  const withdrawThroughTreasury = async (pool, amount, userPublicKey, asset = 'XLM', { idempotencyKey, onStatus } = {}) => {
     // Validate amount
     if (amount <= 0) {
       throw new Error('Invalid withdrawal amount')
     }
 
-    // Check if amount exceeds user's max withdrawable limit
-    const maxWithdrawable = await getUserMaxWithdrawable(pool.id, userPublicKey)
-    if (amount > maxWithdrawable) {
-      throw new Error(`Cannot withdraw more than ${maxWithdrawable} XLM`)
+    // Check the amount against the limit the backend will enforce
+    const { maxWithdrawable, cooldownUntil, error: limitError } = await getUserMaxWithdrawable(pool.id, userPublicKey, asset)
+    if (!limitError && cooldownUntil) {
+      throw new Error(`Withdrawals from this pool open at ${new Date(cooldownUntil).toLocaleString()}`)
+    }
+    if (!limitError && amount > maxWithdrawable) {
+      throw new Error(`Cannot withdraw more than ${maxWithdrawable} ${asset}`)
     }
 
     try {
       toast.loading('Processing withdrawal through treasury...', { id: 'withdrawal' })
-      
-      // Get user's pool balance for validation
-      const userBalance = await getUserPoolBalance(pool.id, userPublicKey)
-      const userBalanceAmount = userBalance['XLM'] || 0
-      
-      // Use the backend treasury service for withdrawal
-      const result = await sendRealWithdrawal(userPublicKey, 'XLM', amount, userBalanceAmount)
-      
-      if (!result.success) {
-        throw new Error(result.error || 'Withdrawal failed')
-      }
-      
-      // Create withdrawal record (negative amount to represent withdrawal)
-      const withdrawal = {
-        id: `withdrawal_${result.hash.slice(-8)}`,
-        userId: userPublicKey,
-        asset: 'XLM',
-        amount: -parseFloat(amount), // NEGATIVE amount for withdrawal
-        timestamp: result.timestamp || new Date().toISOString(),
-        txHash: result.hash,
-        txLink: result.link || `https://stellar.expert/explorer/testnet/tx/${result.hash}`
-      }
 
-      // Create transaction record
-      const transaction = {
-        id: result.hash,
-        type: 'withdrawal',
-        amount: parseFloat(amount),
-        asset: 'XLM',
-        user: userPublicKey,
-        timestamp: result.timestamp || new Date().toISOString(),
-        link: result.link || `https://stellar.expert/explorer/testnet/tx/${result.hash}`,
-        poolId: pool.id
+      const authToken = await getAuthToken()
+      const request = await sendRealWithdrawal(userPublicKey, asset, amount, pool.id, { idempotencyKey, authToken })
+      
+      if (!request.success) {
+        throw new Error(request.error || 'Withdrawal failed')
       }
 
-      // Update pool data with withdrawal record
-      const currentPool = pools.find(p => p.id === pool.id)
-      if (currentPool) {
-        const updatedPool = {
-          ...currentPool,
-          totalDeposited: Math.max(0, currentPool.totalDeposited - parseFloat(amount)), // Reduce total
-          deposits: [...currentPool.deposits, withdrawal], // Add negative withdrawal record
-          transactions: [...(currentPool.transactions || []), transaction],
+      if (request.status === 'held') {
+        if (onStatus) onStatus(request.withdrawal)
+        toast.dismiss('withdrawal')
+        return {
+          success: true,
+          held: true,
+          id: request.id,
+          amount: parseFloat(amount),
+          asset
         }
-        
-        // Update local pool state
-        setPools(prevPools => 
-          prevPools.map(p => p.id === pool.id ? updatedPool : p)
-        )
+      }
 
-        // Update backend
-        try {
-          await axios.put(`${API_BASE_URL}/pools/${pool.id}`, updatedPool)
-        } catch (error) {
-          console.warn('Failed to update backend pool data:', error)
+      const confirmed = await waitForWithdrawal(request.id, {
+        onUpdate: (withdrawal) => {
+          if (onStatus) onStatus(withdrawal)
+          toast.loading(
+            withdrawal.status === 'submitted' ? 'Withdrawal submitted to Stellar, waiting for confirmation...' : 'Withdrawal queued...',
+            { id: 'withdrawal' }
+          )
         }
-      }
+      })
 
-      // Refresh pool data to ensure consistency
+      // The backend recorded the withdrawal against the pool; reload its totals
       await fetchPools()
       
       return {
         success: true,
-        hash: result.hash,
-        transactionLink: result.link,
+        hash: confirmed.txHash,
+        transactionLink: confirmed.link,
         amount: parseFloat(amount),
-        asset: 'XLM'
+        asset
       }
     } catch (error) {
       console.error('Withdrawal error:', error)
@@ -690,59 +580,6 @@ export const PoolProvider = ({ children }) => {
     }
   }
 
-  /**
-   * ENHANCED: Update pool state after withdrawal (works for both traditional and smart contract)
-   */
-  const updatePoolAfterWithdrawal = async (pool, amount, result, isSmartContract) => {
-    // Create withdrawal record (negative amount to represent withdrawal)
-    const withdrawal = {
-      id: `withdrawal_${result.hash.slice(-8)}`,
-      userId: publicKey,
-      asset: 'XLM',
-      amount: -parseFloat(amount), // NEGATIVE amount for withdrawal
-      timestamp: result.timestamp || new Date().toISOString(),
-      txHash: result.hash,
-      txLink: result.link || `https://stellar.expert/explorer/testnet/tx/${result.hash}`,
-      isSmartContract
-    }
-
-    // Create transaction record
-    const transaction = {
-      id: result.hash,
-      type: 'withdrawal',
-      amount: parseFloat(amount),
-      asset: 'XLM',
-      user: publicKey,
-      timestamp: result.timestamp || new Date().toISOString(),
-      link: result.link || `https://stellar.expert/explorer/testnet/tx/${result.hash}`,
-      poolId: pool.id,
-      isSmartContract
-    }
-
-    // Update pool data with withdrawal record
-    const updatedPool = {
-      ...pool,
-      totalDeposited: Math.max(0, pool.totalDeposited - parseFloat(amount)), // Reduce total
-      deposits: [...pool.deposits, withdrawal], // Add negative withdrawal record
-      transactions: [...(pool.transactions || []), transaction],
-    }
-    
-    // Update local pool state
-    setPools(prevPools => 
-      prevPools.map(p => p.id === pool.id ? updatedPool : p)
-    )
-
-    // Update backend
-    try {
-      await axios.put(`${API_BASE_URL}/pools/${pool.id}`, updatedPool)
-    } catch (error) {
-      console.warn('Failed to update backend pool data:', error)
-    }
-
-    // Refresh pool data to ensure consistency
-    await fetchPools()
-  }
-
   /**
    * Get user's balance in a specific pool with enhanced accuracy
    * This calculates how much the user has deposited minus withdrawals
@@ -765,8 +602,8 @@ export const PoolProvider = ({ children }) => {
       }
     }
 
-    // Traditional balance calculation
-    const userDeposits = pool.deposits.filter(d => d.userId === userPublicKey)
+    // Traditional balance calculation from the pool's deposit ledger
+    const userDeposits = await getAllPoolDeposits(poolId, { user: userPublicKey })
     
     // Group by asset and sum the amounts (deposits are positive, withdrawals are negative)
     const balances = userDeposits.reduce((acc, deposit) => {
@@ -805,16 +642,18 @@ export const PoolProvider = ({ children }) => {
       const pool = pools.find(p => p.id === poolId)
       if (!pool) return null
 
-      // Get actual treasury balance
-      const treasuryBalance = await getPoolTreasuryBalance()
+      // Get what the treasury holds for this pool (not the whole shared account)
+      const treasuryBalance = await getPoolTreasuryBalance(poolId)
+      
+      const poolDeposits = await getAllPoolDeposits(poolId)
       
       // Calculate total user deposits in pool
-      const totalUserDeposits = pool.deposits
+      const totalUserDeposits = poolDeposits
         .filter(d => d.amount > 0) // Only positive deposits
         .reduce((sum, d) => sum + d.amount, 0)
       
       // Calculate total withdrawals from pool
-      const totalWithdrawals = pool.deposits
+      const totalWithdrawals = poolDeposits
         .filter(d => d.amount < 0) // Only negative withdrawals
         .reduce((sum, d) => sum + Math.abs(d.amount), 0)
       
@@ -840,10 +679,10 @@ export const PoolProvider = ({ children }) => {
    * Update pool data with real market information
    * Fetches current APY, utilization, and pool health metrics
    */
-  const updatePoolMarketData = async () => {
+  const updatePoolMarketData = async (targetPools = pools) => {
     try {
       const updatedPools = await Promise.all(
-        pools.map(async (pool) => {
+        targetPools.map(async (pool) => {
           try {
             // Get real pool health metrics
             const healthMetrics = await getPoolHealthMetrics(pool)
@@ -865,7 +704,19 @@ export const PoolProvider = ({ children }) => {
         })
       )
       
-      setPools(updatedPools)
+      // Merge into the latest pools; totals may have been pushed while the metrics loaded
+      const byId = new Map(updatedPools.map(pool => [pool.id, pool]))
+      setPools(prevPools => prevPools.map(pool => {
+        const updated = byId.get(pool.id)
+        return updated ? {
+          ...pool,
+          currentAPY: updated.currentAPY,
+          utilizationRate: updated.utilizationRate,
+          riskLevel: updated.riskLevel,
+          healthScore: updated.healthScore,
+          lastUpdated: updated.lastUpdated
+        } : pool
+      }))
     } catch (error) {
       console.error('Error updating pool market data:', error)
     }
@@ -883,26 +734,40 @@ export const PoolProvider = ({ children }) => {
   }, [])
 
   /**
-   * Update market data periodically for real-time pool information
+   * Load market data (APY, health) once pools are loaded
    */
   useEffect(() => {
     if (pools.length > 0) {
-      // Update market data every 60 seconds for real-time APY/health information
-      const marketDataInterval = setInterval(updatePoolMarketData, 60000)
-      
-      // Fetch pool updates every 10 minutes to show real-time yield/donation accumulation
-      const poolUpdateInterval = setInterval(() => fetchPools(true), 10 * 60 * 1000) // 10 minutes
-      
-      // Initial update after pools are loaded
       updatePoolMarketData()
-      
-      return () => {
-        clearInterval(marketDataInterval)
-        clearInterval(poolUpdateInterval)
-      }
     }
   }, [pools.length])
 
+  /**
+   * Keep pools up to date with the updates pushed by the backend (deposits, withdrawals,
+   * yield ticks, payouts) instead of polling
+   */
+  useEffect(() => {
+    return subscribeToEvents({
+      pool: ({ reason, pool, poolId }) => {
+        if (reason === 'deleted') {
+          setPools(prevPools => prevPools.filter(p => p.id !== poolId))
+          return
+        }
+
+        setPools(prevPools => prevPools.some(p => p.id === pool.id)
+          ? prevPools.map(p => p.id === pool.id ? { ...p, ...pool } : p)
+          : [pool, ...prevPools])
+
+        // Deposits and withdrawals change the pool's utilization and health
+        if (reason === 'deposit' || reason === 'withdrawal') {
+          updatePoolMarketData([pool])
+        }
+      },
+      // Catch up on anything missed while the stream was down
+      onReconnect: () => fetchPools(true)
+    })
+  }, [])
+
   // NEW: Add on-chain balance fetching function
   const fetchOnChainPoolData = async (poolId, forceRefresh = false) => {
     if (!publicKey) return null;
@@ -954,11 +819,12 @@ export const PoolProvider = ({ children }) => {
         return onChainData.userPosition.netPosition;
       }
       
-      // Fallback to local calculation
+      // Fallback to the backend deposit ledger
       const pool = pools.find(p => p.id === poolId);
-      if (!pool || !pool.deposits) return 0;
+      if (!pool) return 0;
       
-      const userDeposits = pool.deposits.filter(d => d.user === publicKey && d.asset === asset);
+      const userDeposits = (await getAllPoolDeposits(poolId, { user: publicKey }))
+        .filter(d => d.asset === asset);
       const totalDeposits = userDeposits.reduce((sum, deposit) => sum + parseFloat(deposit.amount), 0);
       
       return totalDeposits;
@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react'
 import { StellarWalletsKit, WalletNetwork, allowAllModules } from '@creit.tech/stellar-wallets-kit'
 import toast from 'react-hot-toast'
+import { getSessionToken, clearSessionToken } from '../services/authService'
 
 // Create the context that will hold wallet state and functions
 const WalletContext = createContext()
@@ -199,6 +200,7 @@ export const WalletProvider = ({ children }) => {
     // Clear localStorage
     localStorage.removeItem('selectedWalletId')
     localStorage.removeItem('publicKey')
+    clearSessionToken()
     
     // Reset the wallet kit (don't pass null to avoid errors)
     if (walletsKit) {
@@ -252,6 +254,18 @@ export const WalletProvider = ({ children }) => {
     }
   }
 
+  /**
+   * Function to get a backend session token for the connected wallet
+   * The first call asks the wallet to sign a login challenge; the token is then cached
+   */
+  const getAuthToken = async () => {
+    if (!isWalletConnected || !publicKey) {
+      throw new Error('No wallet connected')
+    }
+
+    return getSessionToken(publicKey, signTransaction)
+  }
+
   /**
    * Check if any wallet is available (for debugging)
    */
@@ -323,6 +337,7 @@ export const WalletProvider = ({ children }) => {
     connectWallet,
     disconnectWallet,
     signTransaction,
+    getAuthToken,
     
     // Access to the wallets kit for advanced usage
     walletsKit,
@@ -1,5 +1,6 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import nftService from '../services/nftService.js';
+import { subscribeToEvents } from '../services/eventService.js';
 import { useWallet } from '../contexts/WalletContext.jsx';
 
 /**
@@ -18,8 +19,7 @@ export const useNFTMilestones = (userPublicKey = null, poolId = null, options =
   
   // Configuration options with defaults
   const {
-    autoRefresh = true,
-    refreshInterval = 30000, // 30 seconds
+    autoRefresh = true, // Refresh when the backend pushes NFT or pool updates
     enableLogging = true
   } = options;
 
@@ -47,6 +47,10 @@ export const useNFTMilestones = (userPublicKey = null, poolId = null, options =
     lastUpdated: null
   });
 
+  // Latest pool progress, read by the event handler without resubscribing on every update
+  const poolProgressRef = useRef(null);
+  poolProgressRef.current = state.poolProgress;
+
   /**
    * Log function for debugging
    */
@@ -118,7 +122,9 @@ export const useNFTMilestones = (userPublicKey = null, poolId = null, options =
       updateState({
         poolProgress: formattedProgress,
         poolMilestones: {
-          thresholds: [100, 500, 1000],
+          thresholds: progress.ladder?.map(step => step.amount)
+            || [...(progress.completedMilestones || []), ...(progress.remainingMilestones || [])],
+          ladder: progress.ladder || [],
           current: progress.currentAmount,
           completed: progress.completedMilestones || [],
           remaining: progress.remainingMilestones || []
@@ -146,13 +152,15 @@ export const useNFTMilestones = (userPublicKey = null, poolId = null, options =
     try {
       log(`Fetching user milestones for: ${publicKey}`);
       
-      const progress = await nftService.getUserMilestoneProgress(publicKey, currentContributed);
+      const progress = await nftService.getUserMilestoneProgress(publicKey, currentContributed, poolId);
       const formattedProgress = nftService.formatMilestoneProgress(progress);
       
       updateState({
         userProgress: formattedProgress,
         userMilestones: {
-          thresholds: [10, 50, 100],
+          thresholds: progress.ladder?.map(step => step.amount)
+            || [...(progress.completedMilestones || []), ...(progress.remainingMilestones || [])],
+          ladder: progress.ladder || [],
           current: progress.currentAmount,
           completed: progress.completedMilestones || [],
           remaining: progress.remainingMilestones || []
@@ -167,7 +175,7 @@ export const useNFTMilestones = (userPublicKey = null, poolId = null, options =
         error: `Failed to load user milestones: ${error.message}`
       });
     }
-  }, [publicKey, log, updateState]);
+  }, [publicKey, poolId, log, updateState]);
 
   /**
    * Refresh all data
@@ -181,8 +189,9 @@ export const useNFTMilestones = (userPublicKey = null, poolId = null, options =
       await fetchUserNFTs();
       
       // Fetch pool milestones if pool ID provided
-      if (poolId && poolData.totalDonated !== undefined) {
-        await fetchPoolMilestones(poolData.totalDonated);
+      // Milestones are USD amounts, so progress follows the pool's donated USD total
+      if (poolId && poolData.totalDonatedUSD !== undefined) {
+        await fetchPoolMilestones(poolData.totalDonatedUSD);
       }
       
       // Fetch user milestones if user contribution data available
@@ -261,13 +270,38 @@ export const useNFTMilestones = (userPublicKey = null, poolId = null, options =
   useEffect(() => {
     if (!autoRefresh || !publicKey) return;
 
-    const interval = setInterval(() => {
-      log('Auto-refreshing milestone data');
-      refresh();
-    }, refreshInterval);
+    return subscribeToEvents({
+      nft: (event) => {
+        if (event.publicKey !== publicKey) return;
+        log('NFT update pushed, refreshing milestone data');
+        refresh();
+      },
+      pool: ({ reason, pool }) => {
+        if (!poolId || pool?.id !== poolId || pool.totalDonatedUSD === undefined) return;
+        const progress = poolProgressRef.current;
+
+        // Yield ticks are pushed every 30 seconds. Until the next milestone is reached the
+        // pushed donated total is enough to move the progress bar without asking the backend.
+        if (reason === 'yield' && progress && (progress.isComplete || pool.totalDonatedUSD < progress.next)) {
+          setState(prev => ({
+            ...prev,
+            poolProgress: {
+              ...prev.poolProgress,
+              current: pool.totalDonatedUSD,
+              progressPercentage: progress.isComplete ? 100 : Math.min((pool.totalDonatedUSD / progress.next) * 100, 100),
+              tier: nftService.determineTier(pool.totalDonatedUSD, 'pool')
+            },
+            poolMilestones: prev.poolMilestones && { ...prev.poolMilestones, current: pool.totalDonatedUSD }
+          }));
+          return;
+        }
 
-    return () => clearInterval(interval);
-  }, [autoRefresh, refreshInterval, publicKey, refresh, log]);
+        log(`Pool update pushed (${reason}), refreshing milestone progress`);
+        fetchPoolMilestones(pool.totalDonatedUSD);
+      },
+      onReconnect: refresh
+    });
+  }, [autoRefresh, publicKey, poolId, refresh, fetchPoolMilestones, log]);
 
   // Initial load effect
   useEffect(() => {
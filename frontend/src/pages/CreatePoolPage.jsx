@@ -1,8 +1,9 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import SargamIcon from '../components/SargamIcon'
 import { usePools } from '../contexts/PoolContext'
 import { useWallet } from '../contexts/WalletContext'
+import { getVerifiedCharities } from '../services/charityService'
 import toast from 'react-hot-toast'
 
 /**
@@ -17,18 +18,31 @@ const CreatePoolPage = () => {
   // Form state management
   const [formData, setFormData] = useState({
     name: '',
-    charity: '',
+    charitySplits: [], // [{ charityId, share }] - shares total 100
     assets: [],
     donationPercentage: 10
   })
 
-  // Available charity options
-  const charityOptions = [
-    'Stellar Community Fund',
-    'Charity: Water', 
-    'Red Cross',
-    'Doctors Without Borders'
-  ]
+  // Verified charities from the backend registry
+  const [charityOptions, setCharityOptions] = useState([])
+  const [isLoadingCharities, setIsLoadingCharities] = useState(true)
+
+  useEffect(() => {
+    getVerifiedCharities()
+      .then(setCharityOptions)
+      .catch(error => {
+        console.error('Error loading charities:', error)
+        toast.error('Failed to load charities')
+      })
+      .finally(() => setIsLoadingCharities(false))
+  }, [])
+
+  // Selected charities with their names, in the order they were picked
+  const selectedSplits = formData.charitySplits
+    .map(split => ({ ...split, charity: charityOptions.find(charity => charity.id === split.charityId)?.name }))
+    .filter(split => split.charity)
+  const splitTotal = Math.round(formData.charitySplits.reduce((sum, split) => sum + (split.share || 0), 0) * 100) / 100
+  const MAX_CHARITIES = 5
 
   // Available asset options
   const assetOptions = [
@@ -62,6 +76,48 @@ const CreatePoolPage = () => {
     }))
   }
 
+  /**
+   * Handle charity selection (checkbox)
+   * Selecting or removing a charity resets the split to equal shares
+   * @param {string} charityId - The charity to toggle
+   */
+  const handleCharityToggle = (charityId) => {
+    setFormData(prev => {
+      const ids = prev.charitySplits.some(split => split.charityId === charityId)
+        ? prev.charitySplits.filter(split => split.charityId !== charityId).map(split => split.charityId)
+        : [...prev.charitySplits.map(split => split.charityId), charityId]
+
+      if (ids.length > MAX_CHARITIES) {
+        toast.error(`A pool can support up to ${MAX_CHARITIES} charities`)
+        return prev
+      }
+
+      // Equal shares in whole cents; the first charity absorbs the rounding
+      const cents = Math.floor(10000 / Math.max(ids.length, 1))
+      return {
+        ...prev,
+        charitySplits: ids.map((id, index) => ({
+          charityId: id,
+          share: (index === 0 ? 10000 - cents * (ids.length - 1) : cents) / 100
+        }))
+      }
+    })
+  }
+
+  /**
+   * Handle a charity's share of the donation
+   * @param {string} charityId - The charity whose share changed
+   * @param {string} value - New share in percent
+   */
+  const handleShareChange = (charityId, value) => {
+    setFormData(prev => ({
+      ...prev,
+      charitySplits: prev.charitySplits.map(split =>
+        split.charityId === charityId ? { ...split, share: value === '' ? 0 : parseFloat(value) } : split
+      )
+    }))
+  }
+
   /**
    * Handle donation percentage slider change
    * @param {Object} e - Event object
@@ -86,8 +142,16 @@ const CreatePoolPage = () => {
       return { isValid: false, error: 'Pool name must be at least 3 characters' }
     }
     
-    if (!formData.charity) {
-      return { isValid: false, error: 'Please select a charity' }
+    if (selectedSplits.length === 0) {
+      return { isValid: false, error: 'Please select at least one charity' }
+    }
+
+    if (selectedSplits.some(split => !(split.share > 0))) {
+      return { isValid: false, error: 'Every selected charity needs a share above 0%' }
+    }
+
+    if (splitTotal !== 100) {
+      return { isValid: false, error: `Charity shares must total 100% (currently ${splitTotal}%)` }
     }
     
     if (formData.assets.length === 0) {
@@ -123,7 +187,7 @@ const CreatePoolPage = () => {
 
     try {
       // Create the pool
-      const result = await createPool(formData, publicKey, signTransaction)
+      const result = await createPool({ ...formData, charitySplits: selectedSplits }, publicKey, signTransaction)
       
       if (result.success) {
         // Success! Navigate to the new pool's detail page
@@ -241,45 +305,90 @@ const CreatePoolPage = () => {
                   <SargamIcon name="heart" size={20} color="#f472b6" />
                 </div>
                 <h2 className="text-xl font-semibold text-white">
-                  Select Charity
+                  Select Charities
                 </h2>
               </div>
+              <p className="text-sm text-gray-400 mb-4">
+                Pick one charity, or up to {MAX_CHARITIES} to split the donation between them
+              </p>
               
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                {charityOptions.map((charity) => (
-                  <label
-                    key={charity}
-                    className={`border-2 rounded-lg p-4 cursor-pointer transition-all ${
-                      formData.charity === charity
-                        ? 'border-pink-500 bg-pink-500/20'
-                        : 'border-white/20 hover:border-white/40'
-                    }`}
-                  >
-                    <input
-                      type="radio"
-                      name="charity"
-                      value={charity}
-                      checked={formData.charity === charity}
-                      onChange={handleInputChange}
-                      className="sr-only"
-                    />
-                    <div className="flex items-center space-x-3">
-                      <div className={`w-4 h-4 rounded-full border-2 flex items-center justify-center ${
-                        formData.charity === charity
-                          ? 'border-pink-500 bg-pink-500'
-                          : 'border-gray-400'
-                      }`}>
-                        {formData.charity === charity && (
-                          <div className="w-2 h-2 rounded-full bg-white"></div>
+              {isLoadingCharities ? (
+                <p className="text-gray-400">Loading charities...</p>
+              ) : charityOptions.length === 0 ? (
+                <p className="text-gray-400">No verified charities are available right now.</p>
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {charityOptions.map((charity) => {
+                    const isSelected = formData.charitySplits.some(split => split.charityId === charity.id)
+                    return (
+                      <label
+                        key={charity.id}
+                        className={`border-2 rounded-lg p-4 cursor-pointer transition-all ${
+                          isSelected
+                            ? 'border-pink-500 bg-pink-500/20'
+                            : 'border-white/20 hover:border-white/40'
+                        }`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={isSelected}
+                          onChange={() => handleCharityToggle(charity.id)}
+                          className="sr-only"
+                        />
+                        <div className="flex items-center space-x-3">
+                          <div className={`w-4 h-4 rounded border-2 flex items-center justify-center ${
+                            isSelected
+                              ? 'border-pink-500 bg-pink-500'
+                              : 'border-gray-400'
+                          }`}>
+                            {isSelected && (
+                              <SargamIcon name="check" size={12} color="white" />
+                            )}
+                          </div>
+                          {charity.logoUrl && (
+                            <img src={charity.logoUrl} alt="" className="w-6 h-6 rounded" />
+                          )}
+                          <span className="font-medium text-white">
+                            {charity.name}
+                          </span>
+                        </div>
+                        {charity.description && (
+                          <p className="text-sm text-gray-400 mt-2">{charity.description}</p>
                         )}
+                      </label>
+                    )
+                  })}
+                </div>
+              )}
+
+              {/* Split editor - only needed when the donation is shared */}
+              {selectedSplits.length > 1 && (
+                <div className="mt-6 bg-white/10 rounded-lg p-4 border border-white/20">
+                  <h3 className="text-sm font-medium text-gray-300 mb-3">Donation split</h3>
+                  <div className="space-y-3">
+                    {selectedSplits.map((split) => (
+                      <div key={split.charityId} className="flex items-center justify-between space-x-4">
+                        <span className="text-white">{split.charity}</span>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="number"
+                            min="0.01"
+                            max="100"
+                            step="0.01"
+                            value={split.share}
+                            onChange={(e) => handleShareChange(split.charityId, e.target.value)}
+                            className="w-24 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-right focus:outline-none focus:ring-2 focus:ring-pink-500"
+                          />
+                          <span className="text-gray-400">%</span>
+                        </div>
                       </div>
-                      <span className="font-medium text-white">
-                        {charity}
-                      </span>
-                    </div>
-                  </label>
-                ))}
-              </div>
+                    ))}
+                  </div>
+                  <p className={`text-sm mt-3 ${splitTotal === 100 ? 'text-green-400' : 'text-red-400'}`}>
+                    Total: {splitTotal}% {splitTotal !== 100 && '(must be 100%)'}
+                  </p>
+                </div>
+              )}
             </div>
 
             {/* Asset Selection */}
@@ -362,7 +471,11 @@ const CreatePoolPage = () => {
                     <strong>Impact Preview:</strong> For every $100 in yield generated, 
                     <span className="text-pink-400 font-semibold">
                       {' '}${formData.donationPercentage}
-                    </span> will be donated to {formData.charity || 'your selected charity'}, 
+                    </span> will be donated to {selectedSplits.length === 0
+                      ? 'your selected charity'
+                      : selectedSplits.length === 1
+                        ? selectedSplits[0].charity
+                        : selectedSplits.map(split => `${split.charity} (${split.share}%)`).join(', ')}, 
                     and you'll keep ${100 - formData.donationPercentage}.
                   </p>
                 </div>
@@ -8,6 +8,29 @@ import { PriceBadge } from '../components/ui/badge'
 
 import WithdrawalModal from '../components/WithdrawalDemo'
 
+/**
+ * Per-asset amounts of a pool total, e.g. [['XLM', 120], ['USDC', 40]]
+ * Pools without per-asset totals only hold XLM.
+ */
+const assetAmounts = (pool, field, legacyField) =>
+  pool.assetTotals
+    ? Object.entries(pool.assetTotals).map(([asset, totals]) => [asset, totals[field] || 0])
+    : [['XLM', pool[legacyField] || 0]]
+
+/**
+ * XLM part of a pool total (valued by PriceBadge; other assets are priced by the backend)
+ */
+const xlmAmount = (pool, field, legacyField) =>
+  assetAmounts(pool, field, legacyField).find(([asset]) => asset === 'XLM')?.[1] || 0
+
+/**
+ * Combined USD value of a total across pools, or null if any pool lacks a USD figure
+ */
+const totalUsd = (pools, field) =>
+  pools.every(pool => pool.totalsUSD?.[field] != null)
+    ? pools.reduce((sum, pool) => sum + pool.totalsUSD[field], 0)
+    : null
+
 /**
  * HomePage component - Main landing page showing pool gallery
  * This is the primary interface where users discover and browse ImpactPools
@@ -78,15 +101,19 @@ const HomePage = () => {
           <div className="bg-gray-50 p-3 rounded">
             <p className="text-sm text-gray-600">Total Deposited</p>
             <div className="flex items-center space-x-2">
-              <p className="text-lg font-semibold">{pool.totalDeposited?.toFixed(4) || '0.0000'} XLM</p>
-              <PriceBadge xlmAmount={pool.totalDeposited || 0} />
+              <p className="text-lg font-semibold">
+                {assetAmounts(pool, 'deposited', 'totalDeposited').map(([asset, amount]) => `${amount.toFixed(4)} ${asset}`).join(' + ') || '0.0000 XLM'}
+              </p>
+              <PriceBadge xlmAmount={xlmAmount(pool, 'deposited', 'totalDeposited')} />
             </div>
           </div>
           <div className="bg-gray-50 p-3 rounded">
             <p className="text-sm text-gray-600">Total Donated</p>
             <div className="flex items-center space-x-2">
-              <p className="text-lg font-semibold">{pool.totalDonated?.toFixed(4) || '0.0000'} XLM</p>
-              <PriceBadge xlmAmount={pool.totalDonated || 0} />
+              <p className="text-lg font-semibold">
+                {assetAmounts(pool, 'donated', 'totalDonated').map(([asset, amount]) => `${amount.toFixed(4)} ${asset}`).join(' + ') || '0.0000 XLM'}
+              </p>
+              <PriceBadge xlmAmount={xlmAmount(pool, 'donated', 'totalDonated')} />
             </div>
           </div>
         </div>
@@ -206,8 +233,11 @@ const HomePage = () => {
    * Stats Section - Show platform-wide statistics
    */
   const StatsSection = () => {
-    const totalDeposited = pools.reduce((sum, pool) => sum + pool.totalDeposited, 0)
-    const totalDonated = pools.reduce((sum, pool) => sum + pool.totalDonated, 0)
+    const totalDeposited = pools.reduce((sum, pool) => sum + xlmAmount(pool, 'deposited', 'totalDeposited'), 0)
+    const totalDonated = pools.reduce((sum, pool) => sum + xlmAmount(pool, 'donated', 'totalDonated'), 0)
+    const hasCreditAssets = pools.some(pool => assetAmounts(pool, 'deposited', 'totalDeposited').some(([asset, amount]) => asset !== 'XLM' && amount > 0))
+    const depositedUsd = totalUsd(pools, 'deposited')
+    const donatedUsd = totalUsd(pools, 'donated')
     const totalParticipants = pools.reduce((sum, pool) => sum + pool.participants, 0)
 
     return (
@@ -229,6 +259,9 @@ const HomePage = () => {
                 />
               </div>
               <p className="text-gray-300">Total Value Locked</p>
+              {hasCreditAssets && depositedUsd != null && (
+                <p className="text-sm text-gray-400">≈ ${depositedUsd.toFixed(2)} USD across all assets</p>
+              )}
             </div>
             
             <div className="text-center">
@@ -242,6 +275,9 @@ const HomePage = () => {
                 />
               </div>
               <p className="text-gray-300">Donated to Charities</p>
+              {hasCreditAssets && donatedUsd != null && (
+                <p className="text-sm text-gray-400">≈ ${donatedUsd.toFixed(2)} USD across all assets</p>
+              )}
             </div>
             
             <div className="text-center">
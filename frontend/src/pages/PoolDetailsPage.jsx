@@ -7,9 +7,30 @@ import toast from 'react-hot-toast'
 import MilestoneTracker, { CompactMilestoneProgress } from '../components/MilestoneTracker'
 import { useNFTMilestones } from '../hooks/useNFTMilestones'
 import { SimpleNFTGallery } from '../components/NFTGallery'
-import { getCombinedTreasuryBalance, getUserMaxWithdrawable } from '../services/treasuryService'
+import { getCombinedTreasuryBalance, getUserMaxWithdrawable, WITHDRAWAL_STATUS_LABELS } from '../services/treasuryService'
+import WithdrawalModal from '../components/WithdrawalDemo'
 import { PriceBadge } from '../components/ui/badge'
 import priceService from '../services/robustPriceService'
+import { getPoolTransactions, getUserPoolEarnings, setUserDonationRate } from '../services/poolLedgerService'
+import { calculateYieldDistribution } from '../services/stellarService'
+
+// Transaction types shown in the history (yield accruals are summarized in the pool stats)
+const HISTORY_TRANSACTION_TYPES = 'pool_creation,deposit,withdrawal'
+const HISTORY_PAGE_SIZE = 10
+
+/**
+ * XLM part of a pool total (pools without per-asset totals only hold XLM)
+ */
+const xlmTotal = (pool, field, legacyField) =>
+  pool.assetTotals ? (pool.assetTotals.XLM?.[field] || 0) : (pool[legacyField] || 0)
+
+/**
+ * Non-XLM parts of a pool total, e.g. [['USDC', 40]]
+ */
+const creditAssetTotals = (pool, field) =>
+  Object.entries(pool.assetTotals || {})
+    .filter(([asset, totals]) => asset !== 'XLM' && totals[field] > 0)
+    .map(([asset, totals]) => [asset, totals[field]])
 
 /**
  * PoolDetailsPage component - Detailed view of an individual ImpactPool
@@ -19,7 +40,7 @@ const PoolDetailsPage = () => {
   const { poolId } = useParams()
   const navigate = useNavigate()
   const { pools, depositToPool, withdrawFromPool, getUserPoolBalance, getUserAvailableWithdrawal, getPoolLiquidityInfo, fetchPools } = usePools()
-  const { isConnected, publicKey, signTransaction } = useWallet()
+  const { isConnected, publicKey, signTransaction, getAuthToken } = useWallet()
 
   // Find the specific pool
   const pool = pools.find(p => p.id === poolId)
@@ -30,6 +51,9 @@ const PoolDetailsPage = () => {
     amount: ''
   })
   
+  // Personal donation rate (percent of the depositor's yield, never below the pool's)
+  const [donationRate, setDonationRate] = useState(null)
+
   const [withdrawForm, setWithdrawForm] = useState({
     asset: 'XLM',
     amount: ''
@@ -39,8 +63,13 @@ const PoolDetailsPage = () => {
   const [activeTab, setActiveTab] = useState('deposit') // 'deposit' or 'withdraw'
   const [isDepositing, setIsDepositing] = useState(false)
   const [isWithdrawing, setIsWithdrawing] = useState(false)
+  // One idempotency key per withdrawal, so a double submit can't pay twice
+  const [withdrawalKey, setWithdrawalKey] = useState(() => crypto.randomUUID())
+  const [lastWithdrawal, setLastWithdrawal] = useState(null)
+  const [trackingWithdrawal, setTrackingWithdrawal] = useState(false)
   const [liquidityInfo, setLiquidityInfo] = useState(null)
   const [userBalance, setUserBalance] = useState({})
+  const [userEarnings, setUserEarnings] = useState(null)
   const [loadingUserBalance, setLoadingUserBalance] = useState(false)
   const [xlmPrice, setXlmPrice] = useState(0.245) // Default price, will be updated
 
@@ -57,6 +86,11 @@ const PoolDetailsPage = () => {
   const [loadingTreasury, setLoadingTreasury] = useState(false)
   const [maxWithdrawInfo, setMaxWithdrawInfo] = useState(null)
 
+  // Paginated transaction history from the pool ledger
+  const [transactions, setTransactions] = useState([])
+  const [transactionsCursor, setTransactionsCursor] = useState(null)
+  const [loadingTransactions, setLoadingTransactions] = useState(false)
+
   /**
    * Format number with proper decimals
    * @param {number} num - Number to format
@@ -126,6 +160,13 @@ const PoolDetailsPage = () => {
     setIsDepositing(true)
     
     try {
+      const currentRate = userEarnings?.donationPercentage ?? pool.donationPercentage
+      if (donationRate !== null && donationRate !== currentRate) {
+        const authToken = await getAuthToken()
+        const updated = await setUserDonationRate(poolId, publicKey, donationRate, authToken)
+        setUserEarnings(prev => ({ ...prev, donationPercentage: updated.donationPercentage }))
+      }
+
       const result = await depositToPool(
         poolId,
         depositForm.asset,
@@ -166,16 +207,22 @@ const PoolDetailsPage = () => {
   const loadUserBalance = async () => {
     if (!isConnected || !pool || !publicKey) {
       setUserBalance({})
+      setUserEarnings(null)
       return
     }
     
     setLoadingUserBalance(true)
     try {
-      const balance = await getUserPoolBalance(poolId, publicKey)
+      const [balance, earnings] = await Promise.all([
+        getUserPoolBalance(poolId, publicKey),
+        getUserPoolEarnings(poolId, publicKey).catch(() => null)
+      ])
       setUserBalance(balance)
+      setUserEarnings(earnings)
     } catch (error) {
       console.error('Failed to load user balance:', error)
       setUserBalance({})
+      setUserEarnings(null)
     } finally {
       setLoadingUserBalance(false)
     }
@@ -189,16 +236,19 @@ const PoolDetailsPage = () => {
     
     setLoadingTreasury(true)
     try {
-      // Get user's available withdrawal amount for the selected asset from userBalance state
-      const availableBalance = userBalance[withdrawForm.asset] || 0
-      
-      // Get pool liquidity information for transparency
-      const liquidity = await getPoolLiquidityInfo(poolId)
+      // The backend's limit for the selected asset: ledger balance less withdrawals in flight,
+      // capped by what the treasury can pay
+      const [limit, liquidity] = await Promise.all([
+        getUserMaxWithdrawable(poolId, publicKey, withdrawForm.asset),
+        // Get pool liquidity information for transparency
+        getPoolLiquidityInfo(poolId)
+      ])
       
-      // Set max withdrawal info based on user's actual balance
       setMaxWithdrawInfo({
-        maxWithdrawable: availableBalance,
-        userBalance: availableBalance,
+        maxWithdrawable: limit.maxWithdrawable,
+        userBalance: limit.userPoolBalance,
+        cooldownUntil: limit.cooldownUntil,
+        approvalThreshold: limit.approvalThreshold,
         poolLiquidity: liquidity?.availableLiquidity || 0,
         isHealthy: liquidity?.isHealthy || true
       })
@@ -221,11 +271,44 @@ const PoolDetailsPage = () => {
     }
   }
 
+  /**
+   * Load a page of transaction history
+   * @param {string|null} cursor - Cursor of the next page, or null for the latest transactions
+   */
+  const loadTransactions = async (cursor = null) => {
+    setLoadingTransactions(true)
+    try {
+      const page = await getPoolTransactions(poolId, {
+        type: HISTORY_TRANSACTION_TYPES,
+        limit: HISTORY_PAGE_SIZE,
+        ...(cursor ? { cursor } : {})
+      })
+      setTransactions(prev => cursor ? [...prev, ...page.transactions] : page.transactions)
+      setTransactionsCursor(page.nextCursor)
+    } catch (error) {
+      console.error('Failed to load transaction history:', error)
+    } finally {
+      setLoadingTransactions(false)
+    }
+  }
+
+  // Reload the latest transactions when the pool changes
+  useEffect(() => {
+    if (pool) {
+      loadTransactions()
+    }
+  }, [poolId, pool?.totalDeposited])
+
   // Load user balance when component mounts or when user connects/disconnects
   useEffect(() => {
     loadUserBalance()
   }, [isConnected, publicKey, poolId, pools])
 
+  // Start the donation slider from the depositor's saved rate
+  useEffect(() => {
+    setDonationRate(null)
+  }, [poolId, userEarnings?.donationPercentage])
+
   // Fetch current XLM price
   useEffect(() => {
     const fetchXLMPrice = async () => {
@@ -250,7 +333,7 @@ const PoolDetailsPage = () => {
       // Load treasury info once when switching to withdraw tab (without continuous updates)
       loadTreasuryInfo()
     }
-  }, [activeTab, userBalance]) // Also trigger when user balance changes
+  }, [activeTab, userBalance, withdrawForm.asset]) // Also trigger when user balance or asset changes
 
   /**
    * Handle withdrawal submission
@@ -265,10 +348,18 @@ const PoolDetailsPage = () => {
         throw new Error('Pool not found or poolId is missing')
       }
       
-      // Use the simplified withdrawFromPool function
-      const result = await withdrawFromPool(poolId, amount, publicKey, signTransaction)
+      // Use the simplified withdrawFromPool function (polls the queued withdrawal until it is paid)
+      const result = await withdrawFromPool(poolId, amount, publicKey, signTransaction, asset, {
+        idempotencyKey: withdrawalKey,
+        onStatus: setLastWithdrawal
+      })
       
-      if (result.success) {
+      if (result.held) {
+        toast.success(`Withdrawal of ${amount} ${asset} is awaiting approval by an ImpactPools administrator. Track its status below.`, {
+          duration: 8000
+        })
+        await loadUserBalance()
+      } else if (result.success) {
         toast.success(`Withdrawal successful! ${amount} ${asset} sent to your wallet.`, {
           duration: 8000
         })
@@ -284,6 +375,7 @@ const PoolDetailsPage = () => {
       toast.error(`Withdrawal failed: ${error.message}`, { duration: 6000 })
     } finally {
       setIsWithdrawing(false)
+      setWithdrawalKey(crypto.randomUUID())
     }
   }
 
@@ -376,6 +468,11 @@ const PoolDetailsPage = () => {
     )
   }
 
+  const selectedDonationRate = donationRate ?? userEarnings?.donationPercentage ?? pool.donationPercentage
+  const depositPreview = parseFloat(depositForm.amount) > 0
+    ? calculateYieldDistribution(pool, parseFloat(depositForm.amount) * (pool.currentAPY || 0) / 100, selectedDonationRate)
+    : null
+
   return (
     <div className="min-h-screen [background:radial-gradient(125%_125%_at_50%_10%,#000_40%,#63e_100%)] py-8">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -433,11 +530,17 @@ const PoolDetailsPage = () => {
                   </div>
                   <div className="text-2xl font-bold text-white mb-1">
                     <PriceBadge 
-                      xlmAmount={pool.totalDeposited} 
+                      xlmAmount={xlmTotal(pool, 'deposited', 'totalDeposited')} 
                       className="bg-white/20 text-white text-xl px-3 py-1 hover:bg-white/30" 
                     />
                   </div>
+                  {creditAssetTotals(pool, 'deposited').map(([asset, amount]) => (
+                    <p key={asset} className="text-sm text-gray-300">+ {formatNumber(amount)} {asset}</p>
+                  ))}
                   <p className="text-gray-300 text-sm">Total Value Locked</p>
+                  {pool.totalsUSD?.deposited != null && creditAssetTotals(pool, 'deposited').length > 0 && (
+                    <p className="text-xs text-gray-400">≈ ${pool.totalsUSD.deposited.toFixed(2)} USD in total</p>
+                  )}
                 </div>
                 
                 <div className="text-center">
@@ -446,10 +549,13 @@ const PoolDetailsPage = () => {
                   </div>
                   <div className="text-2xl font-bold text-pink-400 mb-1">
                     <PriceBadge 
-                      xlmAmount={pool.totalDonated} 
+                      xlmAmount={xlmTotal(pool, 'donated', 'totalDonated')} 
                       className="bg-pink-500/20 text-pink-400 text-xl px-3 py-1 hover:bg-pink-500/30" 
                     />
                   </div>
+                  {creditAssetTotals(pool, 'donated').map(([asset, amount]) => (
+                    <p key={asset} className="text-sm text-pink-300">+ {formatNumber(amount)} {asset}</p>
+                  ))}
                   <p className="text-gray-300 text-sm">Donated to Charity</p>
                 </div>
                 
@@ -497,12 +603,30 @@ const PoolDetailsPage = () => {
                   <span className="text-gray-300">Total Yield Generated</span>
                   <span className="font-semibold text-white">
                     <PriceBadge 
-                      xlmAmount={pool.totalYieldGenerated} 
+                      xlmAmount={xlmTotal(pool, 'yieldGenerated', 'totalYieldGenerated')} 
                       className="bg-white/10 text-white text-sm px-2 py-1 hover:bg-white/20" 
                     />
+                    {creditAssetTotals(pool, 'yieldGenerated').map(([asset, amount]) => (
+                      <span key={asset} className="ml-2 text-sm">+ {formatNumber(amount)} {asset}</span>
+                    ))}
                   </span>
                 </div>
                 
+                {pool.depositAddress && !pool.isSmartContract && (
+                  <div className="flex justify-between items-center py-3 border-b border-white/20">
+                    <span className="text-gray-300">Deposit Address</span>
+                    <a
+                      href={`https://stellar.expert/explorer/testnet/account/${pool.treasury}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="font-mono text-sm text-purple-300 hover:text-purple-200"
+                      title={pool.depositAddress}
+                    >
+                      {`${pool.depositAddress.slice(0, 4)}...${pool.depositAddress.slice(-4)}`}
+                    </a>
+                  </div>
+                )}
+                
                 <div className="flex justify-between items-center py-3">
                   <span className="text-gray-300">Pool Creator</span>
                   <span className="font-mono text-sm text-gray-400">
@@ -525,9 +649,12 @@ const PoolDetailsPage = () => {
                   </span>
                   <span className="text-pink-400 font-semibold">
                     <PriceBadge 
-                      xlmAmount={pool.totalDonated} 
+                      xlmAmount={xlmTotal(pool, 'donated', 'totalDonated')} 
                       className="bg-pink-500/20 text-pink-400 text-sm px-2 py-1 hover:bg-pink-500/30" 
-                    /> donated
+                    />
+                    {creditAssetTotals(pool, 'donated').map(([asset, amount]) => (
+                      <span key={asset}> + {formatNumber(amount)} {asset}</span>
+                    ))} donated
                   </span>
                 </div>
                 
@@ -535,11 +662,31 @@ const PoolDetailsPage = () => {
                   <div 
                     className="bg-gradient-to-r from-pink-500 to-purple-500 h-3 rounded-full transition-all duration-300"
                     style={{ 
-                      width: `${Math.min((pool.totalDonated / Math.max(pool.totalYieldGenerated, 1)) * 100, 100)}%` 
+                      width: `${Math.min((xlmTotal(pool, 'donated', 'totalDonated') / Math.max(xlmTotal(pool, 'yieldGenerated', 'totalYieldGenerated'), 1)) * 100, 100)}%` 
                     }}
                   ></div>
                 </div>
                 
+                {new Set(pool.charityDonations?.map(donation => donation.charityId)).size > 1 && (
+                  <div className="space-y-2 mb-4">
+                    {pool.charityDonations.map((donation) => (
+                      <div key={`${donation.charityId}:${donation.asset}`} className="flex items-center justify-between text-sm">
+                        <span className="text-gray-200">
+                          {donation.charity} <span className="text-gray-400">({donation.share}%)</span>
+                        </span>
+                        {donation.asset === 'XLM' ? (
+                          <PriceBadge 
+                            xlmAmount={donation.donated} 
+                            className="bg-pink-500/20 text-pink-400 text-sm px-2 py-1 hover:bg-pink-500/30" 
+                          />
+                        ) : (
+                          <span className="text-pink-400">{formatNumber(donation.donated)} {donation.asset}</span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                
                 <p className="text-sm text-gray-300">
                   Every time this pool generates yield, {pool.donationPercentage}% automatically goes to{' '}
                   <span className="font-semibold text-pink-400">{pool.charity}</span>.
@@ -660,13 +807,40 @@ const PoolDetailsPage = () => {
                         <div className="font-semibold text-white">
                           {formatNumber(balance)}
                         </div>
-                        <div className="text-xs text-gray-400">
-                          ≈ ${(balance * xlmPrice).toFixed(2)} USD
-                        </div>
+                        {(userEarnings?.assets?.[asset]?.usdPrice ?? (asset === 'XLM' ? xlmPrice : null)) != null && (
+                          <div className="text-xs text-gray-400">
+                            ≈ ${(balance * (userEarnings?.assets?.[asset]?.usdPrice ?? xlmPrice)).toFixed(2)} USD
+                          </div>
+                        )}
                       </div>
                     </div>
                   ))}
                 </div>
+
+                {userEarnings && Object.values(userEarnings.assets || {}).some(earned => earned.yieldEarned > 0) && (
+                  <div className="mt-4 pt-3 border-t border-white/10 space-y-2">
+                    {Object.entries(userEarnings.assets)
+                      .filter(([, earned]) => earned.yieldEarned > 0)
+                      .map(([asset, earned]) => (
+                        <React.Fragment key={asset}>
+                          <div className="flex justify-between items-center text-sm">
+                            <span className="text-gray-300">Yield earned ({asset})</span>
+                            <span className="font-semibold text-green-400">{formatNumber(earned.netYield)}</span>
+                          </div>
+                          <div className="flex justify-between items-center text-sm">
+                            <span className="text-gray-300">Donated to charity ({asset})</span>
+                            <span className="font-semibold text-pink-400">{formatNumber(earned.donated)}</span>
+                          </div>
+                        </React.Fragment>
+                      ))}
+                    <div className="text-xs text-gray-400">
+                      {userEarnings.poolShare != null && <>{(userEarnings.poolShare * 100).toFixed(2)}% of the pool</>}
+                      {userEarnings.donationPercentage > pool.donationPercentage && (
+                        <> · donating {userEarnings.donationPercentage}% of your yield</>
+                      )}
+                    </div>
+                  </div>
+                )}
                 
                 {liquidityInfo && (
                   <div className="mt-4 pt-3 border-t border-white/10">
@@ -792,6 +966,28 @@ const PoolDetailsPage = () => {
                             min="0"
                           />
                         </div>
+
+                        <div>
+                          <div className="flex justify-between items-center mb-2">
+                            <label className="block text-sm font-medium text-gray-300">Your donation rate</label>
+                            <span className="text-sm font-semibold text-pink-400">{selectedDonationRate}%</span>
+                          </div>
+                          <input
+                            type="range"
+                            value={selectedDonationRate}
+                            onChange={(e) => setDonationRate(parseInt(e.target.value))}
+                            className="w-full accent-pink-500"
+                            min={pool.donationPercentage}
+                            max="100"
+                            step="1"
+                          />
+                          <p className="text-xs text-gray-400 mt-1">
+                            Pool minimum is {pool.donationPercentage}% of your yield
+                            {depositPreview && (
+                              <> · about {formatNumber(depositPreview.charityAmount)} {depositForm.asset} a year to charity</>
+                            )}
+                          </p>
+                        </div>
                         
                         <button
                           type="submit"
@@ -860,10 +1056,20 @@ const PoolDetailsPage = () => {
                                   })}
                                   className="text-xs text-purple-400 hover:text-purple-300 transition-colors"
                                 >
-                                  Max: {formatNumber(maxWithdrawInfo.maxWithdrawable)} XLM
+                                  Max: {formatNumber(maxWithdrawInfo.maxWithdrawable)} {withdrawForm.asset}
                                 </button>
                               </div>
                             )}
+                            {maxWithdrawInfo?.cooldownUntil && (
+                              <p className="text-xs text-yellow-300 mt-1">
+                                Withdrawals open {new Date(maxWithdrawInfo.cooldownUntil).toLocaleString()}, after the cooldown following your last deposit
+                              </p>
+                            )}
+                            {maxWithdrawInfo?.approvalThreshold != null && parseFloat(withdrawForm.amount) > maxWithdrawInfo.approvalThreshold && (
+                              <p className="text-xs text-yellow-300 mt-1">
+                                Withdrawals above {formatNumber(maxWithdrawInfo.approvalThreshold)} {withdrawForm.asset} wait for an administrator's approval
+                              </p>
+                            )}
                           </div>
                           
                           <button
@@ -892,6 +1098,32 @@ const PoolDetailsPage = () => {
                             )}
                           </button>
                         </form>
+
+                        {lastWithdrawal && (
+                          <div className="mt-4 p-3 bg-white/5 border border-white/10 rounded-lg text-sm">
+                            <div className="flex items-center justify-between">
+                              <span className="text-gray-300">
+                                Withdrawal of {formatNumber(lastWithdrawal.amount)} {lastWithdrawal.asset}
+                              </span>
+                              <span className={
+                                lastWithdrawal.status === 'confirmed' ? 'text-green-400' :
+                                ['failed', 'rejected'].includes(lastWithdrawal.status) ? 'text-red-400' : 'text-yellow-300'
+                              }>
+                                {WITHDRAWAL_STATUS_LABELS[lastWithdrawal.status] || lastWithdrawal.status}
+                              </span>
+                            </div>
+                            {['failed', 'rejected'].includes(lastWithdrawal.status) && lastWithdrawal.error && (
+                              <p className="text-red-300 mt-1">{lastWithdrawal.error}</p>
+                            )}
+                            <button
+                              type="button"
+                              onClick={() => setTrackingWithdrawal(true)}
+                              className="text-xs text-purple-400 hover:text-purple-300 transition-colors mt-1"
+                            >
+                              Track status
+                            </button>
+                          </div>
+                        )}
                       </>
                     )}
                   </>
@@ -900,7 +1132,7 @@ const PoolDetailsPage = () => {
             </div>
 
             {/* Transaction History */}
-            {pool.transactions && pool.transactions.length > 0 && (
+            {transactions.length > 0 && (
               <div className="bg-white/10 backdrop-blur-md rounded-xl border border-white/20 shadow-lg overflow-hidden">
                 <div className="p-6 border-b border-white/20">
                   <div className="flex items-center space-x-2">
@@ -915,7 +1147,7 @@ const PoolDetailsPage = () => {
                 </div>
                 
                 <div className="divide-y divide-white/10">
-                  {pool.transactions.slice(-10).reverse().map((tx) => (
+                  {transactions.map((tx) => (
                     <div key={tx.id} className="p-4 hover:bg-white/5">
                       <div className="flex items-center justify-between">
                         <div className="flex items-center space-x-3">
@@ -960,11 +1192,15 @@ const PoolDetailsPage = () => {
                   ))}
                 </div>
                 
-                {pool.transactions.length > 10 && (
+                {transactionsCursor && (
                   <div className="p-4 bg-white/5 text-center">
-                    <p className="text-sm text-gray-400">
-                      Showing latest 10 transactions
-                    </p>
+                    <button
+                      onClick={() => loadTransactions(transactionsCursor)}
+                      disabled={loadingTransactions}
+                      className="text-sm text-purple-400 hover:text-purple-300 disabled:opacity-50"
+                    >
+                      {loadingTransactions ? 'Loading...' : 'Load older transactions'}
+                    </button>
                   </div>
                 )}
               </div>
@@ -990,6 +1226,12 @@ const PoolDetailsPage = () => {
           </div>
         </div>
       </div>
+
+      <WithdrawalModal
+        isVisible={trackingWithdrawal}
+        onClose={() => setTrackingWithdrawal(false)}
+        withdrawalId={lastWithdrawal?.id}
+      />
     </div>
   )
 }
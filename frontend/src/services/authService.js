@@ -0,0 +1,61 @@
+import axios from 'axios'
+
+// Backend API URL
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+// Session tokens are cached per wallet so users only sign a challenge once per session
+const SESSION_STORAGE_KEY = 'impactpools.authSession'
+
+// Refresh tokens a minute before they expire
+const EXPIRY_MARGIN_MS = 60 * 1000
+
+const readCachedSession = (publicKey) => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY))
+    if (session?.account === publicKey && new Date(session.expiresAt).getTime() - EXPIRY_MARGIN_MS > Date.now()) {
+      return session
+    }
+  } catch (error) {
+    // Corrupted cache entry - fall through to a fresh login
+  }
+  return null
+}
+
+/**
+ * Get a backend session token for the connected wallet
+ * Requests a challenge transaction, has the wallet sign it and exchanges it for a token.
+ * @param {string} publicKey - Connected wallet public key
+ * @param {Function} signTransaction - WalletContext signTransaction(xdr, networkPassphrase)
+ * @returns {string} Bearer token for authenticated API calls
+ */
+export const getSessionToken = async (publicKey, signTransaction) => {
+  const cached = readCachedSession(publicKey)
+  if (cached) {
+    return cached.token
+  }
+
+  const challengeResponse = await axios.post(`${API_BASE_URL}/api/auth/challenge`, { account: publicKey })
+  const { transaction, networkPassphrase } = challengeResponse.data
+
+  const signedTransaction = await signTransaction(transaction, networkPassphrase)
+
+  const tokenResponse = await axios.post(`${API_BASE_URL}/api/auth/token`, { transaction: signedTransaction })
+  const session = tokenResponse.data
+
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session))
+  return session.token
+}
+
+/**
+ * Forget the cached session token (on disconnect or when the backend rejects it)
+ */
+export const clearSessionToken = () => {
+  localStorage.removeItem(SESSION_STORAGE_KEY)
+}
+
+/**
+ * Build axios request config with the Authorization header
+ */
+export const authHeaders = (token) => ({
+  headers: { Authorization: `Bearer ${token}` }
+})
@@ -0,0 +1,33 @@
+import axios from 'axios'
+
+// Backend API URL
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+// Charity Service
+// Charities come from the backend registry; pools reference them by ID.
+
+/**
+ * Fetch the charity registry
+ * @param {Object} params - Query params: status ('pending', 'verified' or 'rejected')
+ * @returns {Array} Charities ordered by name
+ */
+export const getCharities = async (params = {}) => {
+  const response = await axios.get(`${API_BASE_URL}/api/charities`, { params })
+  return response.data.charities
+}
+
+/**
+ * Fetch charities that new pools can donate to
+ * @returns {Array} Verified charities
+ */
+export const getVerifiedCharities = () => getCharities({ status: 'verified' })
+
+/**
+ * Fetch a single charity
+ * @param {string} charityId - Charity identifier
+ * @returns {Object} Charity
+ */
+export const getCharity = async (charityId) => {
+  const response = await axios.get(`${API_BASE_URL}/api/charities/${charityId}`)
+  return response.data
+}
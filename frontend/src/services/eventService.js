@@ -0,0 +1,61 @@
+// Backend API URL
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+// Event Service
+// Pool updates, deposits, yield, payouts and claimable NFTs are pushed by the backend over
+// server-sent events (GET /api/events) instead of being polled. One stream is shared by
+// every subscriber.
+
+const EVENT_TYPES = ['pool', 'deposit', 'yield', 'payout', 'nft']
+
+const subscribers = new Set()
+let source = null
+let hasConnected = false
+
+const connect = () => {
+  source = new EventSource(`${API_BASE_URL}/api/events`)
+  hasConnected = false
+
+  // The browser reconnects dropped streams by itself; events sent while it was away are lost
+  source.onopen = () => {
+    if (hasConnected) {
+      subscribers.forEach(subscriber => subscriber.onReconnect?.())
+    }
+    hasConnected = true
+  }
+
+  for (const type of EVENT_TYPES) {
+    source.addEventListener(type, (message) => {
+      let data
+      try {
+        data = JSON.parse(message.data)
+      } catch (error) {
+        console.warn(`Ignoring malformed ${type} event:`, error)
+        return
+      }
+      subscribers.forEach(subscriber => subscriber.handlers[type]?.(data))
+    })
+  }
+}
+
+/**
+ * Subscribe to events pushed by the backend
+ * Handlers receive the event data, e.g. pool({ reason, pool }) or nft({ publicKey, poolId, nft }).
+ * `onReconnect` runs when the stream comes back after a drop - reload anything that may
+ * have changed in the meantime.
+ * @param {Object} handlers - { pool, deposit, yield, payout, nft, onReconnect }
+ * @returns {Function} Unsubscribe (the stream is closed when the last subscriber leaves)
+ */
+export const subscribeToEvents = ({ onReconnect, ...handlers }) => {
+  const subscriber = { handlers, onReconnect }
+  subscribers.add(subscriber)
+  if (!source) connect()
+
+  return () => {
+    subscribers.delete(subscriber)
+    if (subscribers.size === 0 && source) {
+      source.close()
+      source = null
+    }
+  }
+}
@@ -76,7 +76,7 @@ class NFTService {
   /**
    * Get milestone progress for a pool
    * @param {string} poolId - Pool identifier
-   * @param {number} currentDonated - Current donated amount
+   * @param {number} currentDonated - Current donated amount in USD
    * @returns {Promise<Object>} Milestone progress data
    */
   async getPoolMilestoneProgress(poolId, currentDonated = 0) {
@@ -112,15 +112,16 @@ class NFTService {
   /**
    * Get individual user milestone progress
    * @param {string} publicKey - User's public key
-   * @param {number} currentContributed - Current contributed amount
+   * @param {number} currentContributed - Current contributed amount in USD
+   * @param {string} [poolId] - Pool whose individual ladder to follow (the default ladder without one)
    * @returns {Promise<Object>} User milestone progress
    */
-  async getUserMilestoneProgress(publicKey, currentContributed = 0) {
+  async getUserMilestoneProgress(publicKey, currentContributed = 0, poolId) {
     try {
       console.log(`👤 [NFT-CLIENT] Fetching user milestone progress: ${publicKey}`);
       
       const response = await this.axios.get(`/user/${publicKey}/milestones`, {
-        params: { currentContributed }
+        params: { currentContributed, poolId }
       });
       
       if (response.data.success) {
@@ -146,15 +147,18 @@ class NFTService {
   }
 
   /**
-   * Manually mint an NFT (admin/testing function)
+   * Manually mint an NFT (admin function)
    * @param {Object} metadata - NFT metadata
+   * @param {string} authToken - Wallet session token of an admin account
    * @returns {Promise<Object>} Minted NFT details
    */
-  async mintNFT(metadata) {
+  async mintNFT(metadata, authToken) {
     try {
       console.log(`🎨 [NFT-CLIENT] Requesting NFT mint:`, metadata);
       
-      const response = await this.axios.post('/mint', { metadata });
+      const response = await this.axios.post('/mint', { metadata }, {
+        headers: { Authorization: `Bearer ${authToken}` }
+      });
       
       if (response.data.success) {
         console.log(`✅ [NFT-CLIENT] NFT minted successfully`);
@@ -165,7 +169,7 @@ class NFTService {
       
     } catch (error) {
       console.error(`❌ [NFT-CLIENT] NFT minting failed:`, error);
-      throw new Error(`NFT minting failed: ${error.response?.data?.details || error.message}`);
+      throw new Error(`NFT minting failed: ${error.response?.data?.message || error.response?.data?.details || error.message}`);
     }
   }
 
@@ -285,31 +289,6 @@ class NFTService {
     }
   }
 
-  /**
-   * Manually trigger milestone check (admin/testing function)
-   * @param {string} poolId - Pool identifier
-   * @param {Object} poolData - Pool data
-   * @returns {Promise<Array>} Minted NFTs
-   */
-  async triggerMilestoneCheck(poolId, poolData) {
-    try {
-      console.log(`🔧 [NFT-CLIENT] Triggering milestone check for pool: ${poolId}`);
-      
-      const response = await this.axios.post('/milestone-check', { poolId, poolData });
-      
-      if (response.data.success) {
-        console.log(`✅ [NFT-CLIENT] Milestone check completed: ${response.data.nftCount} NFTs minted`);
-        return response.data.mintedNFTs || [];
-      }
-      
-      throw new Error(response.data.error || 'Milestone check failed');
-      
-    } catch (error) {
-      console.error(`❌ [NFT-CLIENT] Milestone check failed:`, error);
-      throw new Error(`Milestone check failed: ${error.response?.data?.details || error.message}`);
-    }
-  }
-
   /**
    * Check NFT service health
    * @returns {Promise<Object>} Service health status
@@ -438,22 +417,25 @@ class NFTService {
    * Claim an NFT
    * @param {string} userPublicKey - User's Stellar public key
    * @param {string} nftId - ID of the NFT to claim
-   * @returns {Promise<Object>} Claim result
+   * @param {string} authToken - Wallet session token for userPublicKey
+   * @returns {Promise<Object>} Claim result, with the mint job minting the certificate
    */
-  async claimNFT(userPublicKey, nftId) {
+  async claimNFT(userPublicKey, nftId, authToken) {
     try {
       console.log(`🎯 [NFT-CLIENT] Claiming NFT: ${nftId} for user: ${userPublicKey}`);
       
       const response = await this.axios.post('/claim', {
         userPublicKey,
         nftId
+      }, {
+        headers: { Authorization: `Bearer ${authToken}` }
       });
       
       if (response.data.success) {
         console.log(`✅ [NFT-CLIENT] NFT claimed successfully: ${nftId}`);
         return {
           success: true,
-          nft: response.data.nft,
+          mintJob: response.data.mintJob,
           message: response.data.message
         };
       }
@@ -462,42 +444,10 @@ class NFTService {
       
     } catch (error) {
       console.error(`❌ [NFT-CLIENT] Failed to claim NFT ${nftId}:`, error);
-      throw new Error(`Failed to claim NFT: ${error.response?.data?.error || error.message}`);
-    }
-  }
-
-  /**
-   * Trigger milestone check (updated for claim system)
-   */
-  async triggerMilestoneCheckUpdated(poolId, poolData) {
-    try {
-      console.log(`🔧 [NFT] Triggering milestone check for pool: ${poolId}`)
-      
-      const response = await fetch(`${API_BASE_URL}/nft/milestone-check/${poolId}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(poolData)
-      })
-      
-      if (!response.ok) {
-        const errorData = await response.json()
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`)
-      }
-      
-      const data = await response.json()
-      
-      if (!data.success) {
-        throw new Error(data.error || 'Milestone check failed')
-      }
-      
-      console.log(`✅ [NFT] Milestone check completed: ${data.claimableNFTs.length} new claimable NFTs`)
-      return data.claimableNFTs // Return claimable NFTs instead of minted ones
-      
-    } catch (error) {
-      console.error('❌ [NFT] Error in milestone check:', error)
-      throw new Error(`Milestone check failed: ${error.message}`)
+      // Keep the HTTP status: 404 and 409 mean the NFT is no longer claimable
+      throw Object.assign(new Error(`Failed to claim NFT: ${error.response?.data?.error || error.message}`), {
+        status: error.response?.status
+      });
     }
   }
 }
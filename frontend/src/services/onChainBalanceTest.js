@@ -29,8 +29,8 @@ export const testOnChainBalanceFetching = async (userPublicKey, poolId) => {
 
   try {
     // Step 1: Test Stellar on-chain position fetching
-    console.log('📊 Step 1: Fetching user pool position from Stellar blockchain...');
-    const userPosition = await getUserPoolPosition(userPublicKey, POOL_TREASURY);
+    console.log('📊 Step 1: Fetching user pool position from the verified deposit ledger...');
+    const userPosition = await getUserPoolPosition(userPublicKey, poolId);
     
     console.log('✅ User Position Results:');
     console.log(`   Total Deposited: ${userPosition.totalDeposited} XLM`);
@@ -88,8 +88,8 @@ export const testOnChainBalanceFetching = async (userPublicKey, poolId) => {
     console.log('📋 SUMMARY - Balance Calculation Sources:');
     console.log('');
     console.log('✅ RECOMMENDED: On-chain cumulative balance calculation');
-    console.log(`   Source: Stellar Horizon API`);
-    console.log(`   Method: Analyze all user transactions with pool treasury`);
+    console.log(`   Source: Backend deposit ledger (treasury payments ingested from Horizon)`);
+    console.log(`   Method: Sum the user's verified deposits and withdrawals in the pool`);
     console.log(`   Accuracy: 100% (real blockchain data)`);
     console.log(`   Balance: ${userPosition.netPosition} XLM`);
     console.log('');
@@ -130,7 +130,7 @@ export const compareBalanceCalculations = async (userPublicKey, poolData) => {
     const localBalance = localDeposits.reduce((sum, deposit) => sum + parseFloat(deposit.amount), 0);
     
     // On-chain calculation (new method)
-    const onChainPosition = await getUserPoolPosition(userPublicKey, POOL_TREASURY);
+    const onChainPosition = await getUserPoolPosition(userPublicKey, poolData.id);
     
     console.log('📊 COMPARISON RESULTS:');
     console.log('');
@@ -141,7 +141,7 @@ export const compareBalanceCalculations = async (userPublicKey, poolData) => {
     console.log('');
     console.log(`On-Chain Calculation (New):`);
     console.log(`   Balance: ${onChainPosition.netPosition} XLM`);
-    console.log(`   Source: Stellar blockchain`);
+    console.log(`   Source: Backend deposit ledger`);
     console.log(`   Deposits: ${onChainPosition.totalDeposited} XLM`);
     console.log(`   Withdrawals: ${onChainPosition.totalWithdrawn} XLM`);
     console.log(`   Transactions: ${onChainPosition.depositCount}`);
@@ -173,11 +173,11 @@ export const compareBalanceCalculations = async (userPublicKey, poolData) => {
 /**
  * Quick balance check for debugging
  */
-export const quickBalanceCheck = async (userPublicKey) => {
+export const quickBalanceCheck = async (userPublicKey, poolId = EXAMPLE_POOL_ID) => {
   console.log(`🔍 Quick balance check for ${userPublicKey.slice(0, 8)}...`);
   
   try {
-    const position = await getUserPoolPosition(userPublicKey, POOL_TREASURY);
+    const position = await getUserPoolPosition(userPublicKey, poolId);
     
     console.log(`✅ Result: ${position.netPosition} XLM`);
     console.log(`   (${position.totalDeposited} deposited - ${position.totalWithdrawn} withdrawn)`);
@@ -200,5 +200,5 @@ console.log('');
 console.log('Usage in browser console:');
 console.log('  testOnChainBalance(userPublicKey, poolId)');
 console.log('  compareBalances(userPublicKey, poolData)');
-console.log('  quickBalanceCheck(userPublicKey)');
+console.log('  quickBalanceCheck(userPublicKey, poolId)');
 console.log(''); 
\ No newline at end of file
@@ -0,0 +1,105 @@
+import axios from 'axios'
+import { authHeaders } from './authService'
+
+// Backend API URL
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000'
+
+// Pool Ledger Service
+// Deposit and transaction history is no longer embedded in pool objects;
+// it is served page by page from the backend ledger endpoints.
+
+/**
+ * Fetch one page of a pool's transaction history
+ * @param {string} poolId - Pool identifier
+ * @param {Object} params - Query params: type, user, from, to, cursor, limit, order
+ * @returns {Object} { transactions, nextCursor }
+ */
+export const getPoolTransactions = async (poolId, params = {}) => {
+  const response = await axios.get(`${API_BASE_URL}/api/pools/${poolId}/transactions`, { params })
+  return response.data
+}
+
+/**
+ * Fetch one page of a pool's deposit ledger (withdrawals have negative amounts)
+ * @param {string} poolId - Pool identifier
+ * @param {Object} params - Query params: type, user, from, to, cursor, limit, order
+ * @returns {Object} { deposits, nextCursor }
+ */
+export const getPoolDeposits = async (poolId, params = {}) => {
+  const response = await axios.get(`${API_BASE_URL}/api/pools/${poolId}/deposits`, { params })
+  return response.data
+}
+
+/**
+ * Fetch every deposit record matching the filters by following the cursors
+ * @param {string} poolId - Pool identifier
+ * @param {Object} params - Query params: type, user, from, to
+ * @returns {Array} Deposit records, oldest first
+ */
+export const getAllPoolDeposits = async (poolId, params = {}) => {
+  const deposits = []
+  let cursor = null
+
+  do {
+    const page = await getPoolDeposits(poolId, {
+      ...params,
+      order: 'asc',
+      limit: 200,
+      ...(cursor ? { cursor } : {})
+    })
+    deposits.push(...page.deposits)
+    cursor = page.nextCursor
+  } while (cursor)
+
+  return deposits
+}
+
+/**
+ * Ask the backend to verify a deposit transaction on Horizon and credit it to the pool
+ * @param {string} poolId - Pool identifier
+ * @param {string} txHash - Hash of the submitted deposit transaction
+ * @returns {Object} { pool, deposit, transaction }
+ */
+export const recordPoolDeposit = async (poolId, txHash) => {
+  const response = await axios.post(`${API_BASE_URL}/api/pools/${poolId}/deposits`, { txHash })
+  return response.data
+}
+
+/**
+ * Fetch the yield and donations attributed to one depositor
+ * @param {string} poolId - Pool identifier
+ * @param {string} publicKey - Depositor's public key
+ * @returns {Object} { principal, yieldEarned, donated, netYield, balance, poolShare, donationPercentage, updatedAt }
+ */
+export const getUserPoolEarnings = async (poolId, publicKey) => {
+  const response = await axios.get(`${API_BASE_URL}/api/pools/${poolId}/users/${publicKey}/earnings`)
+  return response.data
+}
+
+/**
+ * Fetch what one depositor has deposited into and withdrawn from a pool
+ * @param {string} poolId - Pool identifier
+ * @param {string} publicKey - Depositor's public key
+ * @returns {Object} { assets: { [asset]: { deposited, withdrawn, net } }, depositCount, withdrawalCount, entries }
+ */
+export const getPoolPosition = async (poolId, publicKey) => {
+  const response = await axios.get(`${API_BASE_URL}/api/pools/${poolId}/users/${publicKey}/position`)
+  return response.data
+}
+
+/**
+ * Set the share of a depositor's yield donated to the pool's charities
+ * @param {string} poolId - Pool identifier
+ * @param {string} publicKey - Depositor's public key (must be the signed-in wallet)
+ * @param {number|null} donationPercentage - Between the pool's minimum and 100, or null for the pool default
+ * @param {string} authToken - Wallet session token
+ * @returns {Object} { poolId, publicKey, donationPercentage }
+ */
+export const setUserDonationRate = async (poolId, publicKey, donationPercentage, authToken) => {
+  const response = await axios.put(
+    `${API_BASE_URL}/api/pools/${poolId}/users/${publicKey}/donation-rate`,
+    { donationPercentage },
+    authHeaders(authToken)
+  )
+  return response.data
+}
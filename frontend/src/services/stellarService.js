@@ -5,6 +5,7 @@ console.log('🌟 Stellar Service v2.1 - Initializing...')
 import * as StellarSDK from '@stellar/stellar-sdk'
 import { blendService } from './blendService'
 import priceService from './robustPriceService'
+import { getPoolPosition } from './poolLedgerService'
 // import { realBlendService } from './realBlendService'
 
 // Stellar SDK and utilities
@@ -24,14 +25,6 @@ const STELLAR_NETWORK = StellarSDK.Networks.TESTNET
 // Export network constant for use with wallet
 export { STELLAR_NETWORK }
 
-// Valid charity addresses - using user-funded testnet accounts
-export const CHARITY_ADDRESSES = {
-  'Stellar Community Fund': 'GDKTQSV73PCX62MVQJV3NNAKYUQMXUP6MNQMQYJ4XI7REPQKHFDAENCF',
-  'Charity: Water': 'GDWAFO6SXQS7FCMPGPS74FWL4INPAMMXFAYX5JJWXE5KJI22YF3LJZM7',
-  'Red Cross': 'GAEYMY5KLHSRZQPC2RV7FSETCB27J2BU7OQ4U6O2LG6ZMXIZPUZCYAHD',
-  'Doctors Without Borders': 'GDKTQSV73PCX62MVQJV3NNAKYUQMXUP6MNQMQYJ4XI7REPQKHFDAENCF'
-}
-
 // Supported assets for the platform (using valid testnet USDC)
 export const SUPPORTED_ASSETS = {
   'XLM': {
@@ -42,13 +35,13 @@ export const SUPPORTED_ASSETS = {
   },
   'USDC': {
     code: 'USDC',
-    issuer: 'GCKFBEIYTKP6RCZX6VTR5JQEFNQTYCNG6HIG5GDXGD37MMXSZFAOGHJLJ',
+    issuer: import.meta.env.VITE_USDC_ISSUER || 'GBBD47IF6LWK7P7MDEVSCWR7DPUWV3NY3DTQEVFL4NAT4AQH3ZLLFLA5', // Must match the backend's USDC_ISSUER
     contractId: 'CAQCFVLOBK5GIULPNZRGATJJMIZL5BSP7X5YJVMGCPTUEPFM4AVSRCJU',
     decimals: 6
   },
   'BLND': {
     code: 'BLND',
-    issuer: 'GBLNDCUW3KKBQFQVMYF6NDXVQ6BBPHPZ6ETJSCWXJSOFXUWQG3VQJVCX',
+    issuer: import.meta.env.VITE_BLND_ISSUER || null, // Must match the backend's BLND_ISSUER
     contractId: 'CB22KRA3YZVCNCQI64JQ5WE7UY2VAV7WFLK6A2JN3HEX56T2EDAFO7QF',
     decimals: 7
   }
@@ -135,7 +128,7 @@ export const createPaymentTransaction = async (sourcePublicKey, destinationKey,
     if (typeof asset === 'string') {
       if (asset === 'XLM') {
         stellarAsset = StellarSDK.Asset.native()
-      } else if (SUPPORTED_ASSETS[asset]) {
+      } else if (SUPPORTED_ASSETS[asset]?.issuer) {
         const assetInfo = SUPPORTED_ASSETS[asset]
         stellarAsset = new StellarSDK.Asset(assetInfo.code, assetInfo.issuer)
       } else {
@@ -145,10 +138,13 @@ export const createPaymentTransaction = async (sourcePublicKey, destinationKey,
       stellarAsset = asset // Assume it's already an Asset object
     }
     
-    // Validate destination account for non-XLM assets
+    // Validate destination account for non-XLM assets (muxed M-addresses live on their base account)
     if (asset !== 'XLM') {
       try {
-        await server.loadAccount(destinationKey)
+        const destinationAccount = StellarSDK.StrKey.isValidMed25519PublicKey(destinationKey)
+          ? StellarSDK.MuxedAccount.fromAddress(destinationKey, '0').baseAccount().accountId()
+          : destinationKey
+        await server.loadAccount(destinationAccount)
       } catch (destError) {
         if (destError.response && destError.response.status === 404) {
           throw new Error('Destination account not found. Cannot send non-XLM assets to unfunded accounts.')
@@ -389,20 +385,33 @@ export const calculateRealAPY = async (poolData) => {
 
 /**
  * Calculate yield distribution for a pool
- * Returns how much goes to lenders vs charity
+ * Returns how much goes to lenders vs charity, and how the charity amount
+ * is split between the pool's charities. A depositor's personal donation
+ * rate applies when it is above the pool's minimum.
  */
-export const calculateYieldDistribution = (poolData, yieldAmount) => {
+export const calculateYieldDistribution = (poolData, yieldAmount, userDonationPercentage = null) => {
   try {
-    const donationPercentage = poolData.donationPercentage || 0
+    const donationPercentage = Math.min(100, Math.max(poolData.donationPercentage || 0, userDonationPercentage ?? 0))
     const charityAmount = yieldAmount * (donationPercentage / 100)
     const lenderAmount = yieldAmount - charityAmount
+
+    // Pools without a split give the whole donation to their single charity
+    const splits = poolData.charitySplits?.length > 0
+      ? poolData.charitySplits
+      : [{ charityId: poolData.charityId, charity: poolData.charity, share: 100 }]
     
     return {
       totalYield: yieldAmount,
       charityAmount: charityAmount,
       lenderAmount: lenderAmount,
       charityPercentage: donationPercentage,
-      lenderPercentage: 100 - donationPercentage
+      lenderPercentage: 100 - donationPercentage,
+      charityBreakdown: splits.map(split => ({
+        charityId: split.charityId,
+        charity: split.charity,
+        share: split.share,
+        amount: charityAmount * (split.share / 100)
+      }))
     }
   } catch (error) {
     console.error('Error calculating yield distribution:', error)
@@ -411,7 +420,8 @@ export const calculateYieldDistribution = (poolData, yieldAmount) => {
       charityAmount: 0,
       lenderAmount: 0,
       charityPercentage: 0,
-      lenderPercentage: 100
+      lenderPercentage: 100,
+      charityBreakdown: []
     }
   }
 }
@@ -561,7 +571,7 @@ export const getPoolHealthMetrics = async (poolData) => {
 
 // Unified treasury account for both deposits and withdrawals (centralized management)
 // This eliminates liquidity issues by using a single treasury account
-const UNIFIED_TREASURY_ACCOUNT = 'GB3TJ4HJZF2SXQDXRTB4GRKQPXUGRBZI3MQS43BTTBHG6MA64VE3BPVG'
+const UNIFIED_TREASURY_ACCOUNT = import.meta.env.VITE_POOL_TREASURY_ACCOUNT || null // Must match the backend's POOL_TREASURY_ACCOUNT
 const POOL_TREASURY_ACCOUNT = UNIFIED_TREASURY_ACCOUNT
 
 /**
@@ -690,87 +700,38 @@ export const calculatePoolMetrics = async (assets, contributions) => {
 }
 
 /**
- * Get real-time user pool position from on-chain data
- * This fetches actual deposits and positions from Stellar blockchain
+ * Get a user's position in a pool
+ * The backend ingests every payment to and from the treasury accounts into the pool's deposit
+ * ledger, so the position is read from there instead of scanning the user's transactions here.
+ * @param {string} userPublicKey - Depositor's public key
+ * @param {string} poolId - Pool identifier
+ * @param {string} asset - Asset the totals are reported in
  */
-export const getUserPoolPosition = async (userPublicKey, poolTreasuryAddress) => {
+export const getUserPoolPosition = async (userPublicKey, poolId, asset = 'XLM') => {
   try {
-    console.log(`🔍 Fetching on-chain position for user: ${userPublicKey.slice(0, 8)}...`)
-    
-    // Get user's transaction history with the pool treasury
-    const transactions = await server.transactions()
-      .forAccount(userPublicKey)
-      .order('desc')
-      .limit(200)  // Get more transactions to capture all deposits
-      .call()
-    
-    let totalDeposited = 0
-    let totalWithdrawn = 0
-    let depositCount = 0
-    const depositTransactions = []
-    
-    // Analyze transactions to calculate cumulative position
-    for (const tx of transactions.records) {
-      try {
-        // Get transaction operations
-        const operations = await tx.operations()
-        
-        for (const op of operations.records) {
-          if (op.type === 'payment') {
-            // Check if this is a deposit to pool treasury
-            if (op.to === poolTreasuryAddress && op.from === userPublicKey) {
-              const amount = parseFloat(op.amount)
-              totalDeposited += amount
-              depositCount++
-              depositTransactions.push({
-                hash: tx.hash,
-                amount: amount,
-                asset: op.asset_type === 'native' ? 'XLM' : op.asset_code,
-                timestamp: tx.created_at,
-                type: 'deposit'
-              })
-            }
-            // Check if this is a withdrawal from pool treasury
-            else if (op.from === poolTreasuryAddress && op.to === userPublicKey) {
-              const amount = parseFloat(op.amount)
-              totalWithdrawn += amount
-              depositTransactions.push({
-                hash: tx.hash,
-                amount: amount,
-                asset: op.asset_type === 'native' ? 'XLM' : op.asset_code,
-                timestamp: tx.created_at,
-                type: 'withdrawal'
-              })
-            }
-          }
-        }
-      } catch (opError) {
-        console.warn('Error processing transaction operations:', opError.message)
-        continue
-      }
-    }
-    
-    const netPosition = totalDeposited - totalWithdrawn
-    
-    console.log(`✅ On-chain position calculated:`)
-    console.log(`   Total Deposited: ${totalDeposited} XLM`)
-    console.log(`   Total Withdrawn: ${totalWithdrawn} XLM`) 
-    console.log(`   Net Position: ${netPosition} XLM`)
-    console.log(`   Transaction Count: ${depositCount}`)
-    
+    const position = await getPoolPosition(poolId, userPublicKey)
+    const totals = position.assets[asset] || { deposited: 0, withdrawn: 0, net: 0 }
+
     return {
-      totalDeposited,
-      totalWithdrawn,
-      netPosition,
-      depositCount,
-      transactions: depositTransactions,
+      totalDeposited: totals.deposited,
+      totalWithdrawn: totals.withdrawn,
+      netPosition: totals.net,
+      depositCount: position.depositCount,
+      assets: position.assets,
+      transactions: position.entries.map(entry => ({
+        hash: entry.txHash,
+        amount: Math.abs(entry.amount),
+        asset: entry.asset || 'XLM',
+        timestamp: entry.timestamp,
+        type: entry.amount < 0 ? 'withdrawal' : 'deposit'
+      })),
+      // Every ledger entry was verified on the network before it was recorded
       isOnChainData: true,
       lastUpdated: new Date().toISOString()
     }
-    
   } catch (error) {
-    console.error('Error fetching on-chain position:', error)
-    throw new Error(`Failed to fetch on-chain position: ${error.message}`)
+    console.error('Error fetching pool position:', error)
+    throw new Error(`Failed to fetch pool position: ${error.response?.data?.message || error.message}`)
   }
 }
 
@@ -849,7 +810,7 @@ export const getComprehensivePoolData = async (poolId, userPublicKey, poolTreasu
     console.log(`🔍 Starting comprehensive on-chain analysis for pool: ${poolId}`)
     
     const [userPosition, treasuryInfo] = await Promise.all([
-      getUserPoolPosition(userPublicKey, poolTreasuryAddress),
+      getUserPoolPosition(userPublicKey, poolId),
       getPoolTreasuryInfo(poolTreasuryAddress)
     ])
     
@@ -1,5 +1,6 @@
 import * as StellarSDK from '@stellar/stellar-sdk'
 import axios from 'axios'
+import { authHeaders } from './authService'
 
 // Stellar Testnet configuration
 const STELLAR_NETWORK = StellarSDK.Networks.TESTNET
@@ -11,24 +12,44 @@ const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000'
 
 // Unified treasury account for both deposits and withdrawals (public info only)
 // This eliminates liquidity issues by using a single treasury account
-const UNIFIED_TREASURY_ACCOUNT = 'GB3TJ4HJZF2SXQDXRTB4GRKQPXUGRBZI3MQS43BTTBHG6MA64VE3BPVG'
+const UNIFIED_TREASURY_ACCOUNT = import.meta.env.VITE_POOL_TREASURY_ACCOUNT || null // Must match the backend's POOL_TREASURY_ACCOUNT
 const POOL_TREASURY_ACCOUNT = UNIFIED_TREASURY_ACCOUNT
 
+// How often a withdrawal request is sent when no response comes back
+const WITHDRAWAL_REQUEST_ATTEMPTS = 3
+
 // Treasury Management Service
 // Now uses secure backend API instead of exposing secret keys
 
 /**
- * Send real XLM from treasury to user wallet via backend API
- * This is now secure - secret keys are handled by backend only
+ * Request a withdrawal of XLM (or the deposited asset) from a pool to the user's wallet via backend API
+ * The backend checks the amount against its own record of the user's pool balance, queues the
+ * request and pays it in the background; follow it with waitForWithdrawal.
+ * Retrying with the same idempotencyKey never pays twice - it returns the original request.
+ * @param {Object} options - { idempotencyKey, authToken } (authToken: session of recipientPublicKey)
+ * @returns {Object} { success, id, status, withdrawal }
  */
-export const sendRealWithdrawal = async (recipientPublicKey, asset, amount, userPoolBalance = 0) => {
+export const sendRealWithdrawal = async (recipientPublicKey, asset, amount, poolId, { idempotencyKey = crypto.randomUUID(), authToken } = {}) => {
+  const { headers } = authHeaders(authToken)
+  const request = () => axios.post(`${API_BASE_URL}/api/withdrawal/process`, {
+    recipientPublicKey,
+    asset,
+    amount: parseFloat(amount),
+    poolId
+  }, {
+    headers: { ...headers, 'Idempotency-Key': idempotencyKey }
+  })
+
   try {
-    const response = await axios.post(`${API_BASE_URL}/api/withdrawal/process`, {
-      recipientPublicKey,
-      asset,
-      amount: parseFloat(amount),
-      userPoolBalance
-    })
+    let response
+    for (let attempt = 1; !response; attempt++) {
+      try {
+        response = await request()
+      } catch (error) {
+        // No response means the request may or may not have arrived; the key makes resending safe
+        if (error.response || attempt >= WITHDRAWAL_REQUEST_ATTEMPTS) throw error
+      }
+    }
     
     if (response.data.success) {
       return response.data
@@ -47,6 +68,52 @@ export const sendRealWithdrawal = async (recipientPublicKey, asset, amount, user
   }
 }
 
+// Display names of the withdrawal request statuses
+export const WITHDRAWAL_STATUS_LABELS = {
+  pending: 'Queued',
+  held: 'Awaiting approval',
+  submitted: 'Submitted to Stellar',
+  confirmed: 'Confirmed',
+  failed: 'Failed',
+  rejected: 'Rejected'
+}
+
+/**
+ * Get the status of a withdrawal request (see WITHDRAWAL_STATUS_LABELS)
+ */
+export const getWithdrawal = async (withdrawalId) => {
+  const response = await axios.get(`${API_BASE_URL}/api/withdrawal/${encodeURIComponent(withdrawalId)}`)
+  return response.data.withdrawal
+}
+
+/**
+ * Poll a withdrawal request until it is confirmed, failed or rejected
+ * Held requests wait for an administrator, so don't wait on them with a short timeout.
+ * @param {string} withdrawalId - ID returned by sendRealWithdrawal
+ * @param {Object} options - { onUpdate(withdrawal), intervalMs, timeoutMs }
+ * @returns {Object} The confirmed withdrawal (throws if it failed, was rejected or is still processing at the timeout)
+ */
+export const waitForWithdrawal = async (withdrawalId, { onUpdate = null, intervalMs = 2000, timeoutMs = 120000 } = {}) => {
+  const deadline = Date.now() + timeoutMs
+
+  while (true) {
+    const withdrawal = await getWithdrawal(withdrawalId)
+    if (onUpdate) onUpdate(withdrawal)
+
+    if (withdrawal.status === 'confirmed') {
+      return withdrawal
+    }
+    if (withdrawal.status === 'failed' || withdrawal.status === 'rejected') {
+      throw new Error(withdrawal.error || 'Withdrawal failed')
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Withdrawal ${withdrawalId} is still ${withdrawal.status}; check its status again later`)
+    }
+
+    await new Promise(resolve => setTimeout(resolve, intervalMs))
+  }
+}
+
 /**
  * Check treasury account balance via backend API
  */
@@ -71,10 +138,13 @@ export const getTreasuryBalance = async () => {
 
 /**
  * Check pool treasury account balance via backend API
+ * With a poolId only what the treasury holds for that pool is reported
  */
-export const getPoolTreasuryBalance = async () => {
+export const getPoolTreasuryBalance = async (poolId = null) => {
   try {
-    const response = await axios.get(`${API_BASE_URL}/api/withdrawal/pool-treasury-balance`)
+    const response = await axios.get(`${API_BASE_URL}/api/withdrawal/pool-treasury-balance`, {
+      params: poolId ? { poolId } : {}
+    })
     
     if (response.data.success) {
       return response.data
@@ -123,14 +193,15 @@ export const getCombinedTreasuryBalance = async () => {
 }
 
 /**
- * Validate withdrawal request via backend API
+ * Validate withdrawal request via backend API (the user's pool balance is looked up by the backend)
  */
-export const validateWithdrawal = async (recipientPublicKey, amount, userPoolBalance = 0) => {
+export const validateWithdrawal = async (recipientPublicKey, amount, poolId, asset = 'XLM') => {
   try {
     const response = await axios.post(`${API_BASE_URL}/api/withdrawal/validate`, {
       recipientPublicKey,
+      asset,
       amount: parseFloat(amount),
-      userPoolBalance
+      poolId
     })
     
     return response.data
@@ -145,36 +216,47 @@ export const validateWithdrawal = async (recipientPublicKey, amount, userPoolBal
 }
 
 /**
- * Get user's maximum withdrawable amount
+ * Get user's maximum withdrawable amount from a pool, as the backend enforces it
+ * `limitedBy` is 'cooldown', 'daily_limit', 'treasury_balance' or 'user_balance'; amounts above
+ * `approvalThreshold` (null if none) are held until an administrator approves them.
+ * @returns {Object} { maxWithdrawable, userPoolBalance, reserved, treasuryAvailable, cooldownUntil, dailyRemaining, approvalThreshold, limitedBy }
  */
-export const getUserMaxWithdrawable = async (userPoolBalance) => {
+export const getUserMaxWithdrawable = async (poolId, userPublicKey, asset = 'XLM') => {
   try {
-    const validation = await validateWithdrawal('GDOJCL3TYPS3YJX53QIERHEKWALVSNKMUZH4K7XGT25APLFNHW6HNDNP', 0.1, userPoolBalance) // Use dummy values for balance check
-    
-    if (validation.valid) {
-      return {
-        maxWithdrawable: validation.maxWithdrawable || Math.max(0, Math.min(userPoolBalance, (validation.treasuryBalance || 0) - 1)),
-        userPoolBalance,
-        treasuryAvailable: validation.treasuryBalance || 0,
-        limitedBy: validation.maxWithdrawable === userPoolBalance ? 'user_balance' : 'treasury_balance'
-      }
-    } else {
-      return {
-        maxWithdrawable: 0,
-        userPoolBalance,
-        treasuryAvailable: 0,
-        limitedBy: 'error',
-        error: validation.error
-      }
+    const response = await axios.get(`${API_BASE_URL}/api/withdrawal/limit`, {
+      params: { poolId, publicKey: userPublicKey, asset }
+    })
+    const limit = response.data
+
+    let limitedBy = 'user_balance'
+    if (limit.cooldownUntil) {
+      limitedBy = 'cooldown'
+    } else if (limit.maxWithdrawable < limit.withdrawable) {
+      limitedBy = limit.maxWithdrawable === limit.dailyRemaining ? 'daily_limit' : 'treasury_balance'
+    }
+
+    return {
+      maxWithdrawable: limit.maxWithdrawable,
+      userPoolBalance: limit.withdrawable,
+      reserved: limit.reserved,
+      treasuryAvailable: limit.treasuryBalance,
+      cooldownUntil: limit.cooldownUntil,
+      dailyRemaining: limit.dailyRemaining,
+      approvalThreshold: limit.approvalThreshold,
+      limitedBy
     }
   } catch (error) {
     console.error('Error getting max withdrawable amount:', error)
     return {
       maxWithdrawable: 0,
-      userPoolBalance,
+      userPoolBalance: 0,
+      reserved: 0,
       treasuryAvailable: 0,
+      cooldownUntil: null,
+      dailyRemaining: null,
+      approvalThreshold: null,
       limitedBy: 'error',
-      error: error.message
+      error: error.response?.data?.message || error.message
     }
   }
-} 
\ No newline at end of file
+}